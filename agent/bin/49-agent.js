@@ -3,11 +3,14 @@
 import { startAgent } from '../src/index.js';
 import { loadToken, saveToken, clearToken } from '../src/auth.js';
 import { config } from '../src/config.js';
+import { claudeHooksService } from '../services/claudeHooks.js';
+import { e2eService } from '../src/e2e.js';
 import { readFileSync, writeFileSync, existsSync, unlinkSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fork } from 'child_process';
 import { fileURLToPath } from 'url';
 import { createInterface } from 'readline';
+import os from 'os';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -21,6 +24,12 @@ switch (command) {
   case 'login':
     await handleLogin();
     break;
+  case 'pair':
+    await handlePair();
+    break;
+  case 'e2e':
+    handleE2E();
+    break;
   case 'start':
     await handleStart();
     break;
@@ -36,6 +45,9 @@ switch (command) {
   case 'install-service':
     handleInstallService();
     break;
+  case 'install-hooks':
+    handleInstallHooks();
+    break;
   case 'help':
   default:
     printHelp();
@@ -98,17 +110,7 @@ async function handleStart() {
 
   // Foreground mode
   let token = loadToken();
-  let cloudUrl;
-
-  // Priority: TC_CLOUD_URL env var > saved cloud-url file > default
-  if (process.env.TC_CLOUD_URL) {
-    cloudUrl = process.env.TC_CLOUD_URL;
-  } else {
-    const cloudUrlFile = join(config.configDir, 'cloud-url');
-    if (existsSync(cloudUrlFile)) {
-      cloudUrl = readFileSync(cloudUrlFile, 'utf-8').trim();
-    }
-  }
+  let cloudUrl = savedCloudUrl();
 
   if (!token) {
     // No token — default to local dev mode, no prompts needed
@@ -138,6 +140,119 @@ async function handleStart() {
   await startAgent({ token, cloudUrl });
 }
 
+/**
+ * Cloud URL the agent should use.
+ * Priority: TC_CLOUD_URL env var > saved cloud-url file (undefined if neither)
+ */
+function savedCloudUrl() {
+  if (process.env.TC_CLOUD_URL) return process.env.TC_CLOUD_URL;
+  const cloudUrlFile = join(config.configDir, 'cloud-url');
+  if (existsSync(cloudUrlFile)) return readFileSync(cloudUrlFile, 'utf-8').trim();
+  return undefined;
+}
+
+/**
+ * Pair with a code from the dashboard's Add Machine dialog: send this
+ * machine's details and e2e identity key, then poll until a browser
+ * approves. The approving browser's key comes back and is trusted, so that
+ * browser can open an end-to-end encrypted channel right away.
+ */
+async function handlePair() {
+  const code = (args[1] || '').trim().toUpperCase();
+  if (!code) {
+    console.error('[49-agent] Usage: 49-agent pair <CODE>');
+    process.exit(1);
+  }
+
+  const cloudUrl = savedCloudUrl() || config.cloudUrl;
+  const httpUrl = cloudUrl.replace(/^ws/, 'http');
+  const { publicKey, fingerprint } = e2eService.identity();
+  const query = new URLSearchParams({
+    code, publicKey, hostname: os.hostname(), os: process.platform, version: config.version,
+  });
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  console.log(`[49-agent] Pairing code:      ${code}`);
+  console.log(`[49-agent] Agent fingerprint: ${fingerprint}`);
+  console.log(`[49-agent] Approve at ${httpUrl}/pair?code=${code}`);
+  console.log('[49-agent] and check that the page shows the same fingerprint.');
+
+  const deadline = Date.now() + 10 * 60 * 1000;
+  while (Date.now() < deadline) {
+    let res;
+    let data;
+    try {
+      res = await fetch(`${httpUrl}/api/agents/pair-status?${query}`);
+      data = await res.json();
+    } catch (err) {
+      console.warn(`[49-agent] Could not reach ${httpUrl}: ${err.message}`);
+      await sleep(3000);
+      continue;
+    }
+    if (res.status !== 429 && !res.ok) {
+      console.error(`[49-agent] Pairing failed: ${data?.error || res.status}`);
+      process.exit(1);
+    }
+    if (data?.status === 'approved') {
+      saveToken(data.token);
+      mkdirSync(config.configDir, { recursive: true });
+      writeFileSync(join(config.configDir, 'cloud-url'), cloudUrl, 'utf-8');
+      console.log(`[49-agent] Paired as agent ${data.agentId}. Token saved.`);
+      const browser = data.browserPublicKey && e2eService.trustBrowser({ publicKey: data.browserPublicKey, label: 'pairing browser' });
+      if (browser) {
+        e2eService.setEnabled(true);
+        console.log(`[49-agent] Trusted browser ${browser.fingerprint}; end-to-end encryption enabled.`);
+      }
+      console.log('[49-agent] Run "49-agent start" to connect.');
+      return;
+    }
+    await sleep(3000);
+  }
+  console.error('[49-agent] Pairing code expired before it was approved.');
+  process.exit(1);
+}
+
+function handleE2E() {
+  const sub = args[1] || 'status';
+  switch (sub) {
+    case 'enable':
+    case 'disable':
+      e2eService.setEnabled(sub === 'enable');
+      console.log(`[49-agent] End-to-end encryption ${sub}d. Restart the agent to apply.`);
+      break;
+    case 'trust': {
+      const entry = e2eService.trustBrowser({ fingerprint: args[2] });
+      if (!entry) {
+        console.error(`[49-agent] No browser with fingerprint ${args[2] || '(none)'} has connected. Open the dashboard in that browser first.`);
+        process.exit(1);
+      }
+      console.log(`[49-agent] Trusted browser ${entry.fingerprint}.`);
+      break;
+    }
+    case 'revoke':
+      if (!e2eService.revokeBrowser(args[2])) {
+        console.error(`[49-agent] No trusted browser with fingerprint ${args[2] || '(none)'}.`);
+        process.exit(1);
+      }
+      console.log('[49-agent] Browser revoked. Restart the agent to rotate the channel key it already holds.');
+      break;
+    case 'status':
+    default: {
+      const { fingerprint } = e2eService.identity();
+      const { trusted, pending } = e2eService.listBrowsers();
+      console.log(`End-to-end encryption: ${e2eService.enabled ? 'enabled' : 'disabled'}`);
+      console.log(`  Agent fingerprint: ${fingerprint}`);
+      console.log(`  Trusted browsers:  ${trusted.length === 0 ? 'none' : ''}`);
+      for (const b of trusted) console.log(`    ${b.fingerprint}  ${b.label || ''} (since ${b.trustedAt})`);
+      if (pending.length > 0) {
+        console.log('  Waiting for trust (49-agent e2e trust <fingerprint>):');
+        for (const b of pending) console.log(`    ${b.fingerprint}  (seen ${b.seenAt})`);
+      }
+      break;
+    }
+  }
+}
+
 function handleStatus() {
   const token = loadToken();
   const hasPid = existsSync(PID_FILE);
@@ -252,6 +367,23 @@ WantedBy=multi-user.target`;
   }
 }
 
+function handleInstallHooks() {
+  try {
+    if (args.includes('--remove')) {
+      const { settingsFile, removed } = claudeHooksService.uninstallHooks();
+      console.log(`[49-agent] Removed ${removed} 49Agents hook entr${removed === 1 ? 'y' : 'ies'} from ${settingsFile}`);
+      return;
+    }
+    const { settingsFile, events } = claudeHooksService.installHooks();
+    console.log(`[49-agent] Installed Claude Code hooks in ${settingsFile}`);
+    console.log(`[49-agent] Events: ${events.join(', ')}`);
+    console.log(`[49-agent] Hooks report to 127.0.0.1:${config.hookPort}. Restart running Claude sessions to pick them up.`);
+  } catch (err) {
+    console.error('[49-agent] Failed to install hooks:', err.message);
+    process.exit(1);
+  }
+}
+
 async function handleConfig() {
   const rl = createInterface({ input: process.stdin, output: process.stdout });
   const ask = (q) => new Promise((resolve) => rl.question(q, resolve));
@@ -301,10 +433,18 @@ Commands:
   status              Show agent status and configuration
   stop                Stop the background agent
   login [token]       Store a cloud authentication token (future use)
+  pair <code>         Pair with a code from Add Machine (sets up end-to-end encryption)
+  e2e [status]        Show e2e encryption state, fingerprints and trusted browsers
+  e2e enable|disable  Require end-to-end encryption for browser traffic (restart to apply)
+  e2e trust <fp>      Trust a browser by the fingerprint shown in its Machines panel
+  e2e revoke <fp>     Stop trusting a browser
   install-service     Show instructions for system service installation
+  install-hooks       Add Claude Code hooks for exact state detection
+  install-hooks --remove  Remove the 49Agents Claude Code hooks
   help                Show this help message
 
 Environment:
   TC_CLOUD_URL        Override cloud relay URL (default: ws://localhost:1071)
+  TC_HOOK_PORT        Local port for Claude Code hook events (default: 7690)
 `);
 }
@@ -0,0 +1,238 @@
+import http from 'http';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { homedir } from 'os';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { config } from '../src/config.js';
+
+const DATA_DIR = config.dataDir;
+const SECRET_FILE = join(DATA_DIR, 'hook-secret');
+const CLAUDE_SETTINGS_FILE = join(homedir(), '.claude', 'settings.json');
+
+const HOOK_HOST = '127.0.0.1';
+const HOOK_PATH = '/claude-hook';
+const MAX_BODY_SIZE = 256 * 1024;
+
+// Claude Code hook events we subscribe to
+const HOOK_EVENTS = ['SessionStart', 'UserPromptSubmit', 'PreToolUse', 'PostToolUse', 'Notification', 'Stop', 'SessionEnd'];
+
+// A 'working' signal with no follow-up event for this long is dropped. An Esc
+// interrupt fires no hook; tmux.js catches that sooner, as a scraped idle
+// prompt overrides hook states, and this only bounds how long one is kept.
+const WORKING_STATE_TTL = 10 * 60 * 1000;
+
+// tmux pane id (e.g. '%12') → { state, sessionId, event, toolName, updatedAt }
+const paneStates = new Map();
+
+let server = null;
+
+function ensureDataDir() {
+  if (!existsSync(DATA_DIR)) {
+    mkdirSync(DATA_DIR, { recursive: true });
+  }
+}
+
+/**
+ * Load the shared secret hook requests must present, creating it on first use.
+ * Browsers can POST to localhost, so the listener must not trust bare requests.
+ */
+function loadSecret() {
+  try {
+    ensureDataDir();
+    if (existsSync(SECRET_FILE)) {
+      const secret = readFileSync(SECRET_FILE, 'utf-8').trim();
+      if (secret) return secret;
+    }
+    const secret = randomBytes(24).toString('hex');
+    writeFileSync(SECRET_FILE, secret, { mode: 0o600 });
+    return secret;
+  } catch (error) {
+    console.error('[ClaudeHooks] Error loading hook secret:', error);
+    return null;
+  }
+}
+
+function secretMatches(provided, expected) {
+  if (!provided || !expected) return false;
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Map a Claude Code hook event to one of CLAUDE_STATES.
+ * Returns undefined for events that carry no state information.
+ */
+function stateForEvent(event) {
+  switch (event.hook_event_name) {
+    case 'SessionStart':
+    case 'Stop':
+      return 'idle';
+    case 'UserPromptSubmit':
+    case 'PostToolUse':
+      return 'working';
+    case 'PreToolUse':
+      return event.tool_name === 'AskUserQuestion' ? 'question' : 'working';
+    case 'Notification': {
+      const message = event.message || '';
+      if (/permission/i.test(message)) return 'permission';
+      if (/waiting for your input/i.test(message)) return 'idle';
+      return undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+function handleHookEvent(paneId, event) {
+  if (!paneId || !event || typeof event !== 'object') return;
+
+  if (event.hook_event_name === 'SessionEnd') {
+    paneStates.delete(paneId);
+    return;
+  }
+
+  const state = stateForEvent(event);
+  if (!state) return;
+
+  paneStates.set(paneId, {
+    state,
+    sessionId: event.session_id || null,
+    event: event.hook_event_name,
+    toolName: event.tool_name || paneStates.get(paneId)?.toolName || null,
+    updatedAt: Date.now(),
+  });
+}
+
+function buildHookCommand(port, secret) {
+  return `curl -s -m 2 -X POST -H 'Content-Type: application/json' -H 'X-49Agents-Hook: ${secret}' `
+    + `--data-binary @- "http://${HOOK_HOST}:${port}${HOOK_PATH}?pane=\${TMUX_PANE#%}" >/dev/null 2>&1 || true`;
+}
+
+function isOurHookEntry(entry) {
+  return Array.isArray(entry?.hooks)
+    && entry.hooks.some(h => typeof h.command === 'string' && h.command.includes(HOOK_PATH));
+}
+
+export const claudeHooksService = {
+  /**
+   * Start the local hook listener. Claude Code hooks (installed via
+   * `49-agent install-hooks`) POST their event JSON here.
+   */
+  start(port = config.hookPort) {
+    if (server) return;
+    const secret = loadSecret();
+    if (!secret) return;
+
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, `http://${HOOK_HOST}`);
+      if (req.method !== 'POST' || url.pathname !== HOOK_PATH) {
+        res.writeHead(404).end();
+        return;
+      }
+      if (!secretMatches(req.headers['x-49agents-hook'], secret)) {
+        res.writeHead(403).end();
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        try {
+          const event = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+          // tmux pane ids look like '%12'; the hook sends them without the '%'
+          const pane = url.searchParams.get('pane');
+          handleHookEvent(pane ? `%${pane}` : null, event);
+          res.writeHead(204).end();
+        } catch {
+          res.writeHead(400).end();
+        }
+      });
+    });
+
+    server.on('error', (error) => {
+      console.error(`[ClaudeHooks] Hook listener error on port ${port}:`, error.message);
+      server = null;
+    });
+
+    server.listen(port, HOOK_HOST, () => {
+      console.log(`[ClaudeHooks] Listening for Claude Code hooks on ${HOOK_HOST}:${port}`);
+    });
+  },
+
+  stop() {
+    if (server) {
+      server.close();
+      server = null;
+    }
+    paneStates.clear();
+  },
+
+  /**
+   * Get the hook-reported state for a tmux pane, or null if there is no
+   * usable signal (no hooks installed, stale 'working', or session mismatch).
+   */
+  getPaneState(paneId, claudeSessionId = null) {
+    const entry = paneStates.get(paneId);
+    if (!entry) return null;
+    if (claudeSessionId && entry.sessionId && entry.sessionId !== claudeSessionId) return null;
+    if (entry.state === 'working' && Date.now() - entry.updatedAt > WORKING_STATE_TTL) return null;
+    return entry;
+  },
+
+  clearPaneState(paneId) {
+    paneStates.delete(paneId);
+  },
+
+  /**
+   * Write hook entries into ~/.claude/settings.json, replacing any previously
+   * installed 49Agents entries and leaving the user's own hooks untouched.
+   */
+  installHooks(port = config.hookPort) {
+    const secret = loadSecret();
+    if (!secret) throw new Error('Could not create hook secret');
+
+    let settings = {};
+    if (existsSync(CLAUDE_SETTINGS_FILE)) {
+      settings = JSON.parse(readFileSync(CLAUDE_SETTINGS_FILE, 'utf-8'));
+    }
+    settings.hooks = settings.hooks || {};
+
+    const command = buildHookCommand(port, secret);
+    for (const event of HOOK_EVENTS) {
+      const existing = (settings.hooks[event] || []).filter(entry => !isOurHookEntry(entry));
+      const entry = { hooks: [{ type: 'command', command }] };
+      if (event === 'PreToolUse' || event === 'PostToolUse') entry.matcher = '*';
+      settings.hooks[event] = [...existing, entry];
+    }
+
+    mkdirSync(dirname(CLAUDE_SETTINGS_FILE), { recursive: true });
+    writeFileSync(CLAUDE_SETTINGS_FILE, JSON.stringify(settings, null, 2));
+    return { settingsFile: CLAUDE_SETTINGS_FILE, events: HOOK_EVENTS };
+  },
+
+  uninstallHooks() {
+    if (!existsSync(CLAUDE_SETTINGS_FILE)) return { settingsFile: CLAUDE_SETTINGS_FILE, removed: 0 };
+
+    const settings = JSON.parse(readFileSync(CLAUDE_SETTINGS_FILE, 'utf-8'));
+    let removed = 0;
+    for (const [event, entries] of Object.entries(settings.hooks || {})) {
+      if (!Array.isArray(entries)) continue;
+      const kept = entries.filter(entry => !isOurHookEntry(entry));
+      removed += entries.length - kept.length;
+      if (kept.length > 0) settings.hooks[event] = kept;
+      else delete settings.hooks[event];
+    }
+
+    writeFileSync(CLAUDE_SETTINGS_FILE, JSON.stringify(settings, null, 2));
+    return { settingsFile: CLAUDE_SETTINGS_FILE, removed };
+  },
+};
@@ -0,0 +1,344 @@
+import { homedir } from 'os';
+import { join, basename } from 'path';
+import { readdir, stat, open as fsOpen } from 'fs/promises';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { config } from '../src/config.js';
+
+const CLAUDE_PROJECTS_DIR = join(homedir(), '.claude', 'projects');
+const DATA_DIR = config.dataDir;
+const INDEX_FILE = join(DATA_DIR, 'conversation-index.json');
+const INDEX_VERSION = 2;
+
+// Longest message text kept in the index; search snippets come from this
+const MAX_MESSAGE_CHARS = 4000;
+// Bytes read per chunk while indexing new transcript content
+const READ_CHUNK_SIZE = 1024 * 1024;
+// Minimum time between two directory scans triggered by searches
+const REFRESH_INTERVAL_MS = 10000;
+const SNIPPET_RADIUS = 120;
+const CONTEXT_CHARS = 200;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function ensureDataDir() {
+  if (!existsSync(DATA_DIR)) {
+    mkdirSync(DATA_DIR, { recursive: true });
+  }
+}
+
+/**
+ * Index layout: { files: { [filePath]: entry }, version }
+ * entry = { sessionId, projectDir, size, mtimeMs, offset, cwd, gitBranch,
+ *           customTitle, messages: [{ role, text, timestamp }],
+ *           usage: { [day]: { [model]: { input, output, cacheRead, cacheWrite, requests } } },
+ *           lastUsage }
+ * `offset` is the byte position just past the last complete line indexed,
+ * so appended transcript lines are picked up without re-reading the file.
+ */
+function loadIndex() {
+  try {
+    ensureDataDir();
+    if (!existsSync(INDEX_FILE)) return {};
+    const state = JSON.parse(readFileSync(INDEX_FILE, 'utf-8'));
+    if (state.version !== INDEX_VERSION) return {};
+    return state.files || {};
+  } catch (error) {
+    console.error('[ConversationSearch] Error loading index:', error.message);
+    return {};
+  }
+}
+
+function saveIndex(files) {
+  try {
+    ensureDataDir();
+    writeFileSync(INDEX_FILE, JSON.stringify({ files, version: INDEX_VERSION }));
+  } catch (error) {
+    console.error('[ConversationSearch] Error saving index:', error.message);
+  }
+}
+
+let indexCache = null;
+let lastRefreshAt = 0;
+let refreshPromise = null;
+
+function getIndex() {
+  if (!indexCache) indexCache = loadIndex();
+  return indexCache;
+}
+
+/**
+ * Pull the searchable text out of a transcript message, using the same rules
+ * as the conversation detail view (system-injected blocks are skipped).
+ */
+function messageText(obj) {
+  if (obj.type === 'user' && obj.message && !obj.isMeta) {
+    const content = obj.message.content;
+    if (typeof content === 'string') return content.trim();
+    if (Array.isArray(content)) {
+      return content
+        .filter(block => block.type === 'text' && block.text && !block.text.trim().startsWith('<'))
+        .map(block => block.text.trim())
+        .join('\n');
+    }
+  }
+  if (obj.type === 'assistant' && obj.message) {
+    const content = obj.message.content;
+    if (typeof content === 'string') return content.trim();
+    if (Array.isArray(content)) {
+      return content
+        .filter(block => block.type === 'text' && block.text)
+        .map(block => block.text.trim())
+        .join('\n');
+    }
+  }
+  return null;
+}
+
+function addUsage(entry, day, model, tokens, sign, requests) {
+  const byModel = entry.usage[day] || (entry.usage[day] = {});
+  const totals = byModel[model] || (byModel[model] = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, requests: 0 });
+  totals.input += sign * tokens.input;
+  totals.output += sign * tokens.output;
+  totals.cacheRead += sign * tokens.cacheRead;
+  totals.cacheWrite += sign * tokens.cacheWrite;
+  totals.requests += requests;
+}
+
+/**
+ * Add an assistant message's token usage to the entry's per-day, per-model
+ * totals. Claude writes one transcript line per content block, each repeating
+ * the message usage, so a message is counted once with its latest figures.
+ */
+function recordUsage(entry, obj) {
+  const { usage, model } = obj.message;
+  const tokens = {
+    input: usage.input_tokens || 0,
+    output: usage.output_tokens || 0,
+    cacheRead: usage.cache_read_input_tokens || 0,
+    cacheWrite: usage.cache_creation_input_tokens || 0,
+  };
+  const id = obj.message.id || obj.requestId || null;
+  const last = entry.lastUsage;
+  const repeat = !!(id && last && last.id === id);
+  if (repeat) addUsage(entry, last.day, last.model, last.tokens, -1, 0);
+
+  const day = repeat ? last.day : (obj.timestamp || '').slice(0, 10) || 'unknown';
+  addUsage(entry, day, model, tokens, 1, repeat ? 0 : 1);
+  entry.lastUsage = { id, day, model, tokens };
+}
+
+function indexLine(entry, line) {
+  const trimmed = line.trim();
+  if (!trimmed) return;
+  let obj;
+  try {
+    obj = JSON.parse(trimmed);
+  } catch {
+    return;
+  }
+  if (!entry.cwd && obj.cwd) entry.cwd = obj.cwd;
+  if (obj.gitBranch && obj.gitBranch !== 'HEAD') entry.gitBranch = obj.gitBranch;
+  if (obj.type === 'custom-title' && obj.customTitle) entry.customTitle = obj.customTitle;
+  if (obj.type === 'assistant' && obj.message?.usage && obj.message.model && obj.message.model !== '<synthetic>') {
+    recordUsage(entry, obj);
+  }
+
+  const text = messageText(obj);
+  if (text) {
+    entry.messages.push({
+      role: obj.type,
+      text: text.slice(0, MAX_MESSAGE_CHARS),
+      timestamp: obj.timestamp || null,
+    });
+  }
+}
+
+/**
+ * Index transcript bytes from entry.offset up to the last complete line.
+ * A partially written trailing line is left for the next refresh.
+ */
+async function indexFileFrom(filePath, entry, size) {
+  const fd = await fsOpen(filePath, 'r');
+  try {
+    let position = entry.offset;
+    let pending = Buffer.alloc(0);
+    while (position < size) {
+      const length = Math.min(READ_CHUNK_SIZE, size - position);
+      const buf = Buffer.alloc(length);
+      const { bytesRead } = await fd.read(buf, 0, length, position);
+      if (bytesRead === 0) break;
+      position += bytesRead;
+
+      const data = pending.length ? Buffer.concat([pending, buf.subarray(0, bytesRead)]) : buf.subarray(0, bytesRead);
+      const lastNewline = data.lastIndexOf(0x0a);
+      if (lastNewline === -1) {
+        pending = data;
+        continue;
+      }
+      for (const line of data.subarray(0, lastNewline).toString('utf8').split('\n')) {
+        indexLine(entry, line);
+      }
+      entry.offset = position - (data.length - lastNewline - 1);
+      pending = data.subarray(lastNewline + 1);
+    }
+  } finally {
+    await fd.close();
+  }
+}
+
+async function listTranscripts() {
+  const transcripts = [];
+  const projectDirs = await readdir(CLAUDE_PROJECTS_DIR).catch(() => []);
+  for (const projectDir of projectDirs) {
+    const entries = await readdir(join(CLAUDE_PROJECTS_DIR, projectDir)).catch(() => []);
+    for (const file of entries) {
+      if (file.endsWith('.jsonl')) transcripts.push({ projectDir, filePath: join(CLAUDE_PROJECTS_DIR, projectDir, file) });
+    }
+  }
+  return transcripts;
+}
+
+/**
+ * Bring the index up to date: new transcripts are indexed, grown ones are
+ * read from their last offset, rewritten (shrunk) ones are re-indexed and
+ * deleted ones are dropped.
+ */
+async function refreshIndex() {
+  const files = getIndex();
+  const seen = new Set();
+  let changed = false;
+
+  for (const { projectDir, filePath } of await listTranscripts()) {
+    seen.add(filePath);
+    const fileStat = await stat(filePath).catch(() => null);
+    if (!fileStat) continue;
+
+    let entry = files[filePath];
+    if (entry && entry.size === fileStat.size && entry.mtimeMs === fileStat.mtimeMs) continue;
+    if (!entry || fileStat.size < entry.offset) {
+      entry = {
+        sessionId: basename(filePath, '.jsonl'),
+        projectDir,
+        size: 0,
+        mtimeMs: 0,
+        offset: 0,
+        cwd: null,
+        gitBranch: null,
+        customTitle: null,
+        messages: [],
+        usage: {},
+        lastUsage: null,
+      };
+    }
+
+    try {
+      await indexFileFrom(filePath, entry, fileStat.size);
+      entry.size = fileStat.size;
+      entry.mtimeMs = fileStat.mtimeMs;
+      files[filePath] = entry;
+      changed = true;
+    } catch (err) {
+      console.error(`[ConversationSearch] Failed to index ${filePath}:`, err.message);
+    }
+  }
+
+  for (const filePath of Object.keys(files)) {
+    if (!seen.has(filePath)) {
+      delete files[filePath];
+      changed = true;
+    }
+  }
+
+  if (changed) saveIndex(files);
+  lastRefreshAt = Date.now();
+}
+
+function ensureFreshIndex() {
+  if (refreshPromise) return refreshPromise;
+  if (Date.now() - lastRefreshAt < REFRESH_INTERVAL_MS) return Promise.resolve();
+  refreshPromise = refreshIndex().finally(() => { refreshPromise = null; });
+  return refreshPromise;
+}
+
+function makeSnippet(text, matchAt, matchLength) {
+  const start = Math.max(0, matchAt - SNIPPET_RADIUS);
+  const end = Math.min(text.length, matchAt + matchLength + SNIPPET_RADIUS);
+  return {
+    text: (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : ''),
+    matchStart: matchAt - start + (start > 0 ? 1 : 0),
+    matchLength,
+  };
+}
+
+function contextMessage(message) {
+  if (!message) return null;
+  return {
+    role: message.role,
+    text: message.text.length > CONTEXT_CHARS ? message.text.slice(0, CONTEXT_CHARS) + '…' : message.text,
+    timestamp: message.timestamp,
+  };
+}
+
+/**
+ * Find messages containing every whitespace-separated term (case-insensitive).
+ * Results are newest first with the neighbouring messages as context.
+ */
+async function search(query, { limit = DEFAULT_LIMIT } = {}) {
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return { results: [], total: 0 };
+  await ensureFreshIndex();
+
+  const files = getIndex();
+  const matches = [];
+  for (const entry of Object.values(files)) {
+    entry.messages.forEach((message, i) => {
+      const lower = message.text.toLowerCase();
+      if (!terms.every(term => lower.includes(term))) return;
+      matches.push({ entry, message, index: i, matchAt: lower.indexOf(terms[0]) });
+    });
+  }
+
+  matches.sort((a, b) => String(b.message.timestamp || '').localeCompare(String(a.message.timestamp || '')));
+  const max = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const results = matches.slice(0, max).map(({ entry, message, index, matchAt }) => ({
+    sessionId: entry.sessionId,
+    projectDir: entry.projectDir,
+    cwd: entry.cwd,
+    gitBranch: entry.gitBranch,
+    customTitle: entry.customTitle,
+    role: message.role,
+    timestamp: message.timestamp,
+    messageIndex: index,
+    snippet: makeSnippet(message.text, matchAt, terms[0].length),
+    before: contextMessage(entry.messages[index - 1]),
+    after: contextMessage(entry.messages[index + 1]),
+  }));
+
+  return { results, total: matches.length };
+}
+
+export const conversationSearchService = {
+  search,
+
+  /** Refresh the index now (joins a refresh that is already running). */
+  refreshIndex() {
+    lastRefreshAt = 0;
+    return ensureFreshIndex();
+  },
+
+  /** All indexed sessions, refreshed first (read-only; shared with the index). */
+  async getIndexedSessions() {
+    await ensureFreshIndex();
+    return Object.values(getIndex());
+  },
+
+  getIndexStats() {
+    const files = Object.values(getIndex());
+    return {
+      sessions: files.length,
+      messages: files.reduce((n, entry) => n + entry.messages.length, 0),
+      lastRefreshAt: lastRefreshAt || null,
+    };
+  },
+};
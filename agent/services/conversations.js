@@ -8,6 +8,7 @@ import { config } from '../src/config.js';
 const CLAUDE_PROJECTS_DIR = join(homedir(), '.claude', 'projects');
 const DATA_DIR = config.dataDir;
 const CONVOS_PANES_FILE = join(DATA_DIR, 'conversations-panes.json');
+const FORKS_DIR = join(DATA_DIR, 'conversation-forks');
 
 // How much of each JSONL file to read for metadata extraction
 const HEAD_SIZE = 65536;  // 64KB for first user message, cwd, branch
@@ -423,7 +424,7 @@ async function extractConversation(dirPath, sessionId, format) {
       md += `### ${role}${time}\n\n${msg.text}\n\n---\n\n`;
     }
 
-    return { content: md, filename: `${safeTitle}.md`, mimeType: 'text/markdown' };
+    return { content: md, filename: `${safeTitle}.md`, mimeType: 'text/markdown', cwd: detail.cwd };
   }
 
   if (format === 'json') {
@@ -473,6 +474,25 @@ async function extractConversation(dirPath, sessionId, format) {
   return { error: `Unknown format: ${format}` };
 }
 
+/**
+ * Export a conversation as markdown for seeding a fresh Claude session.
+ * The transcript is written under the data dir (it can be far larger than a
+ * command-line argument) and the returned prompt asks Claude to read it.
+ * Returns { cwd, transcriptPath, prompt } or { error }.
+ */
+async function prepareFork(dirPath, sessionId) {
+  const exported = await extractConversation(dirPath, sessionId, 'markdown');
+  if (exported.error) return exported;
+
+  if (!existsSync(FORKS_DIR)) mkdirSync(FORKS_DIR, { recursive: true });
+  const transcriptPath = join(FORKS_DIR, `${sessionId}-${Date.now()}.md`);
+  writeFileSync(transcriptPath, exported.content);
+
+  const prompt = `${transcriptPath} is the transcript of an earlier Claude session (${sessionId}). `
+    + 'Read it for context, then continue from where it left off.';
+  return { cwd: exported.cwd, transcriptPath, prompt };
+}
+
 // --- Pane state persistence (same pattern as beads.js) ---
 
 function ensureDataDir() {
@@ -550,4 +570,5 @@ export const conversationsService = {
   scanConversations,
   fetchConversationDetail,
   extractConversation,
+  prepareFork,
 };
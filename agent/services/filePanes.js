@@ -149,8 +149,10 @@ export const filePaneService = {
    * Supports two modes:
    * 1. filePath provided - read content from local disk
    * 2. fileName + content provided - use provided content (for native file picker)
+   * Passing `revision` ({ hash, path, repoPath }) with mode 2 makes a read-only
+   * snapshot of a file at a git revision.
    */
-  createFilePane({ filePath, fileName, content: providedContent, position, size }) {
+  createFilePane({ filePath, fileName, content: providedContent, revision, position, size }) {
     let content;
     let finalFileName;
     let finalFilePath;
@@ -176,6 +178,7 @@ export const filePaneService = {
       filePath: finalFilePath,
       device: localHostname,
       content: finalFilePath ? undefined : content, // Store content only for virtual files
+      ...(revision && !finalFilePath ? { readOnly: true, revision } : {}),
       position: position || { x: 100, y: 100 },
       size: size || { width: 600, height: 400 },
       createdAt: new Date().toISOString()
@@ -200,6 +203,9 @@ export const filePaneService = {
 
     // Position/size now handled by cloud-only storage
     if (updates.content !== undefined) {
+      if (filePane.readOnly) {
+        throw new Error('File pane is read-only');
+      }
       if (filePane.filePath) {
         // Path-based file - write content to local file
         writeFileContent(filePane.filePath, updates.content);
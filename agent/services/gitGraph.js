@@ -1,8 +1,8 @@
 import { randomUUID } from 'crypto';
 import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, statSync, realpathSync } from 'fs';
-import { join, relative, resolve } from 'path';
+import { join, relative, resolve, sep } from 'path';
 import { homedir } from 'os';
-import { exec, execSync } from 'child_process';
+import { exec, execSync, execFile } from 'child_process';
 import { promisify } from 'util';
 import { config } from '../src/config.js';
 import { validateWorkingDirectory } from './sanitize.js';
@@ -116,6 +116,462 @@ async function fetchGraphData(repoPath, maxCommits = 50, { ascii = false } = {})
   }
 }
 
+// ── Git operations (status, diff, stage, commit, branch) ──
+
+// -c overrides neutralize malicious repo config: pagers, ssh commands,
+// fsmonitor and hook scripts can all execute arbitrary code.
+const GIT_SAFE_ARGS = ['-c', 'core.pager=cat', '-c', 'core.sshCommand=ssh', '-c', 'core.fsmonitor=', '-c', 'core.hooksPath='];
+
+/**
+ * Run git with the hardened config overrides and no shell. Rejects with the
+ * trimmed git output as the error message.
+ */
+function runGit(repoPath, args, { input, timeout = 15000, okCodes = [0], encoding = 'utf-8' } = {}) {
+  return new Promise((resolvePromise, reject) => {
+    const child = execFile('git', [...GIT_SAFE_ARGS, ...args], {
+      cwd: repoPath,
+      encoding,
+      timeout,
+      maxBuffer: 20 * 1024 * 1024,
+    }, (error, stdout, stderr) => {
+      if (error && !okCodes.includes(error.code)) {
+        reject(new Error((stderr || stdout || error.message).toString().trim()));
+        return;
+      }
+      resolvePromise({ stdout, stderr });
+    });
+    if (input !== undefined) child.stdin.end(input);
+  });
+}
+
+/**
+ * Validate repo-relative file paths from the client: no options, no escaping the repo.
+ */
+function validateRepoPaths(repoPath, paths) {
+  if (!Array.isArray(paths) || paths.length === 0) throw new Error('paths required');
+  const root = resolve(repoPath);
+  for (const p of paths) {
+    if (typeof p !== 'string' || !p || p.startsWith('-')) throw new Error(`Invalid path: ${p}`);
+    const full = resolve(root, p);
+    if (full !== root && !full.startsWith(root + sep)) throw new Error(`Path outside repository: ${p}`);
+  }
+  return paths;
+}
+
+async function validateBranchName(repoPath, name) {
+  if (typeof name !== 'string' || !name || name.startsWith('-')) throw new Error('Invalid branch name');
+  await runGit(repoPath, ['check-ref-format', '--branch', name]).catch(() => {
+    throw new Error(`Invalid branch name: ${name}`);
+  });
+  return name;
+}
+
+/**
+ * Parse `git status --porcelain=v1 -z` into per-file entries.
+ */
+function parseStatus(stdout) {
+  const files = [];
+  const entries = stdout.split('\0');
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.length < 4) continue;
+    const index = entry[0];
+    const worktree = entry[1];
+    const path = entry.slice(3);
+    let origPath = null;
+    // Renames/copies carry the original path as the next NUL-separated field
+    if (index === 'R' || index === 'C') origPath = entries[++i] || null;
+    const untracked = index === '?';
+    files.push({
+      path,
+      origPath,
+      index,
+      worktree,
+      staged: !untracked && index !== ' ',
+      unstaged: untracked || worktree !== ' ',
+      untracked,
+    });
+  }
+  return files;
+}
+
+/**
+ * Split a unified diff into its file header and hunks (each starting at '@@').
+ */
+function splitDiff(diff) {
+  const lines = diff.split('\n');
+  const header = [];
+  const hunks = [];
+  for (const line of lines) {
+    if (line.startsWith('@@')) {
+      hunks.push([line]);
+    } else if (hunks.length > 0) {
+      hunks[hunks.length - 1].push(line);
+    } else {
+      header.push(line);
+    }
+  }
+  // Drop the trailing empty line from the final split
+  const last = hunks[hunks.length - 1];
+  if (last && last[last.length - 1] === '') last.pop();
+  return { header: header.join('\n'), hunks: hunks.map(h => h.join('\n')) };
+}
+
+async function getStatus(repoPath) {
+  validateWorkingDirectory(resolve(repoPath));
+  const [statusResult, branchResult, branchesResult, trackingResult] = await Promise.all([
+    runGit(repoPath, ['status', '--porcelain=v1', '-z', '--untracked-files=all']),
+    runGit(repoPath, ['branch', '--show-current']),
+    runGit(repoPath, ['for-each-ref', '--format=%(refname)', 'refs/heads', 'refs/remotes']),
+    runGit(repoPath, ['rev-list', '--left-right', '--count', 'HEAD...@{upstream}']).catch(() => null),
+  ]);
+
+  let ahead = 0;
+  let behind = 0;
+  if (trackingResult) {
+    [ahead, behind] = trackingResult.stdout.trim().split(/\s+/).map(n => parseInt(n, 10) || 0);
+  }
+
+  const refs = branchesResult.stdout.split('\n').filter(ref => ref && !ref.endsWith('/HEAD'));
+
+  return {
+    branch: branchResult.stdout.trim(),
+    branches: refs.filter(ref => ref.startsWith('refs/heads/')).map(ref => ref.slice('refs/heads/'.length)),
+    remoteBranches: refs.filter(ref => ref.startsWith('refs/remotes/')).map(ref => ref.slice('refs/remotes/'.length)),
+    files: parseStatus(statusResult.stdout),
+    upstream: trackingResult ? { ahead, behind } : null,
+  };
+}
+
+async function getFileDiff(repoPath, path, { staged = false, untracked = false } = {}) {
+  validateRepoPaths(repoPath, [path]);
+  let diff;
+  if (untracked) {
+    // --no-index exits 1 when the files differ, which is always the case here
+    ({ stdout: diff } = await runGit(repoPath, ['diff', '--no-color', '--no-index', '--', '/dev/null', path], { okCodes: [0, 1] }));
+  } else {
+    const args = ['diff', '--no-color', '--no-ext-diff'];
+    if (staged) args.push('--cached');
+    ({ stdout: diff } = await runGit(repoPath, [...args, '--', path]));
+  }
+  const { header, hunks } = splitDiff(diff);
+  const binary = /^Binary files /m.test(header);
+  return { path, staged, diff, hunks, binary };
+}
+
+async function stagePaths(repoPath, paths) {
+  validateRepoPaths(repoPath, paths);
+  await runGit(repoPath, ['add', '--', ...paths]);
+}
+
+async function unstagePaths(repoPath, paths) {
+  validateRepoPaths(repoPath, paths);
+  const hasHead = await runGit(repoPath, ['rev-parse', '--verify', '-q', 'HEAD']).then(() => true, () => false);
+  if (hasHead) {
+    await runGit(repoPath, ['restore', '--staged', '--', ...paths]);
+  } else {
+    // No commits yet — nothing to restore from, just drop the paths from the index
+    await runGit(repoPath, ['rm', '--cached', '-r', '-q', '--', ...paths]);
+  }
+}
+
+/**
+ * Stage (or unstage) one hunk of a file's diff by applying it to the index.
+ * The hunk index refers to the diff the client last fetched; it's recomputed
+ * here, so a stale index fails the apply check rather than staging the wrong lines.
+ */
+async function applyHunk(repoPath, path, hunkIndex, { unstage = false } = {}) {
+  validateRepoPaths(repoPath, [path]);
+  const args = ['diff', '--no-color', '--no-ext-diff'];
+  if (unstage) args.push('--cached');
+  const { stdout } = await runGit(repoPath, [...args, '--', path]);
+  const { header, hunks } = splitDiff(stdout);
+  const hunk = hunks[hunkIndex];
+  if (!hunk) throw new Error('Hunk not found — the file changed, refresh and try again');
+
+  const patch = `${header}\n${hunk}\n`;
+  const applyArgs = ['apply', '--cached', '--unidiff-zero', '--whitespace=nowarn'];
+  if (unstage) applyArgs.push('--reverse');
+  await runGit(repoPath, [...applyArgs, '-'], { input: patch });
+}
+
+async function commit(repoPath, message, { amend = false } = {}) {
+  validateWorkingDirectory(resolve(repoPath));
+  if (!message || !message.trim()) throw new Error('Commit message required');
+  const args = ['commit', '-F', '-'];
+  if (amend) args.push('--amend');
+  const { stdout } = await runGit(repoPath, args, { input: message });
+  return stdout.trim();
+}
+
+async function createBranch(repoPath, name, { checkout = true, startPoint = null } = {}) {
+  await validateBranchName(repoPath, name);
+  if (startPoint && (typeof startPoint !== 'string' || startPoint.startsWith('-'))) throw new Error('Invalid start point');
+  const args = checkout ? ['checkout', '-b', name] : ['branch', name];
+  if (startPoint) args.push(startPoint);
+  const { stdout, stderr } = await runGit(repoPath, args);
+  return (stdout || stderr).trim();
+}
+
+async function checkoutBranch(repoPath, name) {
+  if (typeof name !== 'string' || !name || name.startsWith('-')) throw new Error('Invalid branch name');
+  // Remote branches (origin/foo) check out as a local tracking branch
+  const remoteMatch = name.match(/^([^/]+)\/(.+)$/);
+  const { stdout: remotes } = await runGit(repoPath, ['remote']);
+  const args = remoteMatch && remotes.split('\n').includes(remoteMatch[1])
+    ? ['checkout', '--track', name]
+    : ['checkout', name, '--'];
+  const { stdout, stderr } = await runGit(repoPath, args);
+  return (stdout || stderr).trim();
+}
+
+async function fetchRemotes(repoPath) {
+  validateWorkingDirectory(resolve(repoPath));
+  const { stdout, stderr } = await runGit(repoPath, ['fetch', '--all', '--prune'], { timeout: 60000 });
+  return (stdout || stderr).trim();
+}
+
+async function pull(repoPath) {
+  validateWorkingDirectory(resolve(repoPath));
+  const { stdout, stderr } = await runGit(repoPath, ['pull', '--ff-only'], { timeout: 60000 });
+  return (stdout || stderr).trim();
+}
+
+// ── Commit inspection ──
+
+const COMMIT_HASH_RE = /^[0-9a-f]{4,40}$/i;
+// File contents returned per diff side are capped so the REST-over-WS response
+// (both sides, JSON-encoded) stays under the relay's 1 MB frame limit.
+const MAX_REVISION_FILE_SIZE = 384 * 1024;
+
+function validateCommitHash(hash) {
+  if (typeof hash !== 'string' || !COMMIT_HASH_RE.test(hash)) throw new Error('Invalid commit hash');
+  return hash;
+}
+
+/**
+ * Parse `git diff-tree -z --name-status` and `--numstat` output for the same
+ * commit into one list of files. Both list files in the same order.
+ */
+function parseCommitFiles(nameStatus, numstat) {
+  const files = [];
+  const ns = nameStatus.split('\0');
+  for (let i = 0; i < ns.length; i++) {
+    const code = ns[i];
+    if (!code) continue;
+    const status = code[0];
+    const file = { status, path: null, origPath: null, additions: 0, deletions: 0, binary: false };
+    if (status === 'R' || status === 'C') {
+      file.origPath = ns[++i];
+      file.path = ns[++i];
+    } else {
+      file.path = ns[++i];
+    }
+    files.push(file);
+  }
+
+  // numstat -z: "added\tdeleted\tpath\0", or for renames "added\tdeleted\t\0old\0new\0"
+  const nums = numstat.split('\0');
+  let fileIndex = 0;
+  for (let i = 0; i < nums.length && fileIndex < files.length; i++) {
+    const entry = nums[i];
+    if (!entry) continue;
+    const [added, deleted, path] = entry.split('\t');
+    if (path === '') i += 2; // skip the rename's old/new path fields
+    const file = files[fileIndex++];
+    if (added === '-' && deleted === '-') {
+      file.binary = true;
+    } else {
+      file.additions = parseInt(added, 10) || 0;
+      file.deletions = parseInt(deleted, 10) || 0;
+    }
+  }
+  return files;
+}
+
+async function getCommitDetail(repoPath, hash) {
+  validateWorkingDirectory(resolve(repoPath));
+  validateCommitHash(hash);
+
+  const fmt = ['%H', '%P', '%an', '%ae', '%at', '%cn', '%ce', '%ct', '%D', '%B'].join('%x00');
+  const { stdout } = await runGit(repoPath, ['show', '-s', '--no-show-signature', `--format=${fmt}`, hash, '--']);
+  const [fullHash, parents, authorName, authorEmail, authorTime, committerName, committerEmail, committerTime, refs, ...messageParts] = stdout.split('\0');
+  const parentList = parents ? parents.split(' ').filter(Boolean) : [];
+
+  // Merge commits are shown against their first parent, like GitHub does
+  const base = parentList.length > 0 ? [parentList[0], fullHash] : ['--root', fullHash];
+  const [nameStatus, numstat] = await Promise.all([
+    runGit(repoPath, ['diff-tree', '-r', '-z', '-M', '--no-commit-id', '--name-status', ...base]),
+    runGit(repoPath, ['diff-tree', '-r', '-z', '-M', '--no-commit-id', '--numstat', ...base]),
+  ]);
+
+  const message = messageParts.join('\0').replace(/\n+$/, '');
+  return {
+    hash: fullHash,
+    shortHash: fullHash.slice(0, 7),
+    parents: parentList,
+    author: { name: authorName, email: authorEmail, timestamp: parseInt(authorTime, 10) },
+    committer: { name: committerName, email: committerEmail, timestamp: parseInt(committerTime, 10) },
+    refs: refs || '',
+    subject: message.split('\n')[0],
+    message,
+    files: parseCommitFiles(nameStatus.stdout, numstat.stdout),
+  };
+}
+
+/**
+ * Read a file as of a revision. Missing files (added/deleted sides of a diff)
+ * come back with `missing: true` and empty content.
+ */
+async function readFileAtRevision(repoPath, rev, path) {
+  validateWorkingDirectory(resolve(repoPath));
+  validateCommitHash(rev);
+  validateRepoPaths(repoPath, [path]);
+
+  const spec = `${rev}:${path}`;
+  let size;
+  try {
+    const { stdout } = await runGit(repoPath, ['cat-file', '-s', spec]);
+    size = parseInt(stdout.trim(), 10) || 0;
+  } catch {
+    return { content: '', missing: true, binary: false, truncated: false, size: 0 };
+  }
+
+  const { stdout } = await runGit(repoPath, ['cat-file', 'blob', spec], { encoding: 'buffer' });
+  // Same heuristic git uses: a NUL byte in the first 8000 bytes means binary
+  if (stdout.subarray(0, 8000).includes(0)) {
+    return { content: '', missing: false, binary: true, truncated: false, size };
+  }
+  const truncated = stdout.length > MAX_REVISION_FILE_SIZE;
+  const content = (truncated ? stdout.subarray(0, MAX_REVISION_FILE_SIZE) : stdout).toString('utf-8');
+  return { content, missing: false, binary: false, truncated, size };
+}
+
+/**
+ * Both sides of one file's change in a commit, for a side-by-side diff.
+ */
+async function getCommitFileDiff(repoPath, hash, path, origPath = null) {
+  validateCommitHash(hash);
+  const { stdout } = await runGit(repoPath, ['show', '-s', '--no-show-signature', '--format=%H %P', hash, '--']);
+  const [fullHash, parent = null] = stdout.trim().split(' ');
+  const [original, modified] = await Promise.all([
+    parent ? readFileAtRevision(repoPath, parent, origPath || path) : { content: '', missing: true, binary: false, truncated: false, size: 0 },
+    readFileAtRevision(repoPath, fullHash, path),
+  ]);
+  return { hash: fullHash, parent, path, origPath, original, modified };
+}
+
+// ── Worktrees ──
+
+// New worktrees go under <repo>/.worktrees/ (skipped by the repo scanner)
+const WORKTREES_DIR = '.worktrees';
+
+function parseWorktreeList(stdout) {
+  const worktrees = [];
+  let current = null;
+  for (const line of stdout.split('\n')) {
+    if (line.startsWith('worktree ')) {
+      current = { path: line.slice('worktree '.length), head: null, branch: null, bare: false, detached: false, locked: false, prunable: false };
+      worktrees.push(current);
+    } else if (!current) {
+      continue;
+    } else if (line.startsWith('HEAD ')) {
+      current.head = line.slice('HEAD '.length);
+    } else if (line.startsWith('branch ')) {
+      current.branch = line.slice('branch '.length).replace(/^refs\/heads\//, '');
+    } else if (line === 'bare') {
+      current.bare = true;
+    } else if (line === 'detached') {
+      current.detached = true;
+    } else if (line.startsWith('locked')) {
+      current.locked = true;
+    } else if (line.startsWith('prunable')) {
+      current.prunable = true;
+    }
+  }
+  return worktrees;
+}
+
+/**
+ * List worktrees; the first is the main worktree. Each linked worktree's branch
+ * is flagged `merged` when it's fully merged into the main worktree's HEAD.
+ */
+async function listWorktrees(repoPath) {
+  validateWorkingDirectory(resolve(repoPath));
+  const { stdout } = await runGit(repoPath, ['worktree', 'list', '--porcelain']);
+  const worktrees = parseWorktreeList(stdout);
+  const main = worktrees[0];
+
+  let merged = new Set();
+  if (main?.head) {
+    const { stdout: mergedOut } = await runGit(repoPath, ['for-each-ref', `--merged=${main.head}`, '--format=%(refname:short)', 'refs/heads']).catch(() => ({ stdout: '' }));
+    merged = new Set(mergedOut.split('\n').filter(Boolean));
+  }
+
+  return worktrees.map((wt, i) => ({
+    ...wt,
+    main: i === 0,
+    name: wt.path.split('/').pop(),
+    merged: i > 0 && !!wt.branch && merged.has(wt.branch),
+  }));
+}
+
+/**
+ * Create a worktree on a new branch under <repo>/.worktrees/<branch>.
+ * The folder is added to .git/info/exclude so it doesn't show up as untracked.
+ */
+async function createWorktree(repoPath, branch, { startPoint = null } = {}) {
+  validateWorkingDirectory(resolve(repoPath));
+  await validateBranchName(repoPath, branch);
+  if (startPoint && (typeof startPoint !== 'string' || startPoint.startsWith('-'))) throw new Error('Invalid start point');
+
+  const { stdout: topLevel } = await runGit(repoPath, ['rev-parse', '--show-toplevel']);
+  const worktreePath = join(topLevel.trim(), WORKTREES_DIR, branch.replace(/\//g, '-'));
+  validateWorkingDirectory(worktreePath);
+  if (existsSync(worktreePath)) throw new Error(`Worktree path already exists: ${worktreePath}`);
+
+  const args = ['worktree', 'add', '-b', branch, worktreePath];
+  if (startPoint) args.push(startPoint);
+  await runGit(repoPath, args, { timeout: 60000 });
+
+  try {
+    const { stdout: commonDir } = await runGit(repoPath, ['rev-parse', '--git-common-dir']);
+    const excludeFile = join(resolve(repoPath, commonDir.trim()), 'info', 'exclude');
+    const existing = existsSync(excludeFile) ? readFileSync(excludeFile, 'utf-8') : '';
+    if (!existing.split('\n').includes(`/${WORKTREES_DIR}/`)) {
+      mkdirSync(join(excludeFile, '..'), { recursive: true });
+      writeFileSync(excludeFile, `${existing}${existing && !existing.endsWith('\n') ? '\n' : ''}/${WORKTREES_DIR}/\n`);
+    }
+  } catch (error) {
+    console.error('[GitGraph] Failed to update info/exclude:', error.message);
+  }
+
+  const worktrees = await listWorktrees(repoPath);
+  return worktrees.find(wt => wt.path === worktreePath) || { path: worktreePath, branch, name: worktreePath.split('/').pop() };
+}
+
+/**
+ * Remove a linked worktree. Unless `force` is set, only worktrees whose branch
+ * is merged can be removed (and git itself refuses when there are local changes).
+ * With `deleteBranch`, the branch is deleted afterwards via `branch -d`.
+ */
+async function removeWorktree(repoPath, worktreePath, { force = false, deleteBranch = false } = {}) {
+  const worktrees = await listWorktrees(repoPath);
+  const worktree = worktrees.find(wt => wt.path === worktreePath);
+  if (!worktree) throw new Error(`Not a worktree of this repository: ${worktreePath}`);
+  if (worktree.main) throw new Error('Cannot remove the main worktree');
+  if (!force && !worktree.merged) throw new Error(`Branch ${worktree.branch || '(detached)'} is not merged`);
+
+  const args = ['worktree', 'remove'];
+  if (force) args.push('--force');
+  await runGit(repoPath, [...args, worktree.path]);
+
+  if (deleteBranch && worktree.branch) {
+    await runGit(repoPath, ['branch', force ? '-D' : '-d', worktree.branch]);
+  }
+  return worktree;
+}
+
 const SKIP_DIRS = new Set(['node_modules', '.git', '.hg', '.svn', '.worktrees', 'vendor', 'dist', 'build', '__pycache__', '.cache', '.npm', '.yarn', '.claude']);
 const DEFAULT_MAX_DEPTH = 4;
 
@@ -283,5 +739,22 @@ export const gitGraphService = {
 
   fetchGraphData,
   scanForRepos,
-  scanReposInFolder
+  scanReposInFolder,
+  getStatus,
+  getFileDiff,
+  stagePaths,
+  unstagePaths,
+  applyHunk,
+  commit,
+  createBranch,
+  checkoutBranch,
+  fetchRemotes,
+  pull,
+  getCommitDetail,
+  getCommitFileDiff,
+  readFileAtRevision,
+  listWorktrees,
+  createWorktree,
+  removeWorktree,
+  runGit,
 };
@@ -0,0 +1,165 @@
+import http from 'http';
+import WebSocket from 'ws';
+import { MSG } from '../src/protocol.js';
+import { config } from '../src/config.js';
+
+// Raw bytes per preview:http:data message (base64 keeps it under the relay's 1 MB cap)
+const CHUNK_SIZE = 256 * 1024;
+// Largest WebSocket frame forwarded to the cloud (same cap, after base64)
+const MAX_WS_FRAME = 700 * 1024;
+
+const activeRequests = new Map(); // requestId -> http.ClientRequest
+const activeSockets = new Map();  // socketId -> WebSocket
+
+// Only the ports the user allowed (TC_PREVIEW_PORTS) — not databases, the
+// agent's own hook port or anything else listening on localhost
+function allowedPort(port) {
+  return Number.isInteger(port) && config.previewPorts.some(([from, to]) => port >= from && port <= to);
+}
+
+const PORT_NOT_ALLOWED = 'port not allowed for previews on this machine (set TC_PREVIEW_PORTS)';
+
+function validPath(path) {
+  return typeof path === 'string' && path.startsWith('/');
+}
+
+/** Close codes that may be sent on the wire (1005/1006 etc. are local-only). */
+function sendableCloseCode(code) {
+  const valid = (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) || (code >= 3000 && code <= 4999);
+  return valid ? code : 1000;
+}
+
+/**
+ * Make an HTTP request to localhost:port for the cloud preview proxy and
+ * stream the response back as preview:http:response / data / end.
+ */
+function proxyHttp({ id, port, method, path, headers, body }, send) {
+  if (!validPath(path)) {
+    send(MSG.PREVIEW_HTTP_END, { id, error: 'Invalid preview target' });
+    return;
+  }
+  if (!allowedPort(port)) {
+    send(MSG.PREVIEW_HTTP_END, { id, error: PORT_NOT_ALLOWED });
+    return;
+  }
+
+  const req = http.request({ host: 'localhost', port, method, path, headers }, (res) => {
+    send(MSG.PREVIEW_HTTP_RESPONSE, { id, status: res.statusCode, headers: res.headers });
+    res.on('data', (chunk) => {
+      for (let offset = 0; offset < chunk.length; offset += CHUNK_SIZE) {
+        send(MSG.PREVIEW_HTTP_DATA, { id, data: chunk.subarray(offset, offset + CHUNK_SIZE).toString('base64') });
+      }
+    });
+    res.on('end', () => {
+      activeRequests.delete(id);
+      send(MSG.PREVIEW_HTTP_END, { id });
+    });
+    res.on('error', (err) => {
+      activeRequests.delete(id);
+      send(MSG.PREVIEW_HTTP_END, { id, error: err.message });
+    });
+  });
+
+  req.on('error', (err) => {
+    if (!activeRequests.has(id)) return;
+    activeRequests.delete(id);
+    send(MSG.PREVIEW_HTTP_END, { id, error: err.code === 'ECONNREFUSED' ? 'nothing is listening on that port' : err.message });
+  });
+
+  activeRequests.set(id, req);
+  req.end(body ? Buffer.from(body, 'base64') : undefined);
+}
+
+/**
+ * Open ws://localhost:port for a browser socket tunnelled by the cloud and
+ * relay frames both ways.
+ */
+function proxyWebSocket({ id, port, path, headers, protocols }, send) {
+  if (!validPath(path) || !allowedPort(port)) {
+    send(MSG.PREVIEW_WS_CLOSE, { id, code: 1008, reason: 'Invalid preview target' });
+    return;
+  }
+
+  const upstream = new WebSocket(`ws://localhost:${port}${path}`, protocols || [], {
+    headers,
+    perMessageDeflate: false,
+  });
+  activeSockets.set(id, upstream);
+
+  upstream.on('open', () => {
+    send(MSG.PREVIEW_WS_OPENED, { id, protocol: upstream.protocol || null });
+  });
+  upstream.on('message', (data, isBinary) => {
+    if (data.length > MAX_WS_FRAME) {
+      upstream.close(1009, 'Frame too large for preview relay');
+      return;
+    }
+    send(MSG.PREVIEW_WS_MESSAGE, {
+      id,
+      data: isBinary ? data.toString('base64') : data.toString(),
+      binary: isBinary,
+    });
+  });
+  upstream.on('close', (code, reason) => {
+    if (!activeSockets.has(id)) return;
+    activeSockets.delete(id);
+    send(MSG.PREVIEW_WS_CLOSE, { id, code, reason: reason.toString() });
+  });
+  upstream.on('error', (err) => {
+    console.warn(`[PreviewProxy] WebSocket to localhost:${port}${path} failed:`, err.message);
+    if (!activeSockets.has(id)) return;
+    activeSockets.delete(id);
+    send(MSG.PREVIEW_WS_CLOSE, { id, code: 1011, reason: err.message });
+  });
+}
+
+export const previewProxyService = {
+  /**
+   * Handle a preview:* message from the cloud. Replies go through `send`.
+   * Only localhost is ever contacted, on a port from TC_PREVIEW_PORTS.
+   */
+  handleMessage({ type, payload }, send) {
+    switch (type) {
+      case MSG.PREVIEW_HTTP_REQUEST:
+        proxyHttp(payload, send);
+        break;
+
+      case MSG.PREVIEW_HTTP_ABORT: {
+        const req = activeRequests.get(payload.id);
+        activeRequests.delete(payload.id);
+        if (req) req.destroy();
+        break;
+      }
+
+      case MSG.PREVIEW_WS_OPEN:
+        proxyWebSocket(payload, send);
+        break;
+
+      case MSG.PREVIEW_WS_MESSAGE: {
+        const upstream = activeSockets.get(payload.id);
+        if (upstream?.readyState === WebSocket.OPEN) {
+          upstream.send(payload.binary ? Buffer.from(payload.data, 'base64') : payload.data, { binary: payload.binary });
+        }
+        break;
+      }
+
+      case MSG.PREVIEW_WS_CLOSE: {
+        const upstream = activeSockets.get(payload.id);
+        activeSockets.delete(payload.id);
+        if (upstream) upstream.close(sendableCloseCode(payload.code), payload.reason || '');
+        break;
+      }
+
+      default:
+        console.warn(`[PreviewProxy] Unknown message type: ${type}`);
+    }
+  },
+
+  /** Drop every proxied request and socket (relay connection lost). */
+  closeAll() {
+    for (const req of activeRequests.values()) req.destroy();
+    activeRequests.clear();
+    for (const upstream of activeSockets.values()) upstream.terminate();
+    activeSockets.clear();
+  },
+};
@@ -0,0 +1,392 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, statSync, unlinkSync, createWriteStream, openSync, readSync, closeSync } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { StringDecoder } from 'string_decoder';
+import { config } from '../src/config.js';
+
+const DATA_DIR = config.dataDir;
+const RECORDINGS_DIR = join(DATA_DIR, 'recordings');
+const SETTINGS_FILE = join(DATA_DIR, 'recordings.json');
+const REPLAY_PANES_FILE = join(DATA_DIR, 'replay-panes.json');
+
+// Max bytes returned per read — keeps REST-over-WS responses under the relay's 1 MB frame limit
+// (cast lines are JSON, and the response body is JSON-encoded again on the way out).
+const READ_CHUNK_SIZE = 256 * 1024;
+const HEADER_READ_SIZE = 4096;
+// Output is split into events of at most this many characters, so a cast line
+// always fits in one read chunk (JSON escapes a control character as 6 bytes)
+const MAX_EVENT_CHARS = Math.floor(READ_CHUNK_SIZE / 8);
+// A recording continues in a new file past this size; the oldest finished
+// recordings are deleted past the age and total size limits
+const MAX_RECORDING_BYTES = 50 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 500 * 1024 * 1024;
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const VALID_ID = /^[A-Za-z0-9_-]+$/;
+
+// terminalId → { id, stream, decoder, startedAt, bytes }
+const activeRecordings = new Map();
+// terminalId → { cols, rows } — last known size, used for the cast header and resize events
+const terminalSizes = new Map();
+
+function ensureDataDir() {
+  if (!existsSync(DATA_DIR)) {
+    mkdirSync(DATA_DIR, { recursive: true });
+  }
+}
+
+function ensureRecordingsDir() {
+  if (!existsSync(RECORDINGS_DIR)) {
+    mkdirSync(RECORDINGS_DIR, { recursive: true });
+  }
+}
+
+function loadEnabledTerminals() {
+  try {
+    if (!existsSync(SETTINGS_FILE)) {
+      return [];
+    }
+    const data = readFileSync(SETTINGS_FILE, 'utf-8');
+    const state = JSON.parse(data);
+    return state.terminals || [];
+  } catch (error) {
+    console.error('[Recordings] Error loading recording settings:', error);
+    return [];
+  }
+}
+
+function saveEnabledTerminals(terminals) {
+  try {
+    ensureDataDir();
+    const state = {
+      terminals,
+      version: 1,
+    };
+    writeFileSync(SETTINGS_FILE, JSON.stringify(state, null, 2));
+  } catch (error) {
+    console.error('[Recordings] Error saving recording settings:', error);
+  }
+}
+
+const enabledTerminals = new Set(loadEnabledTerminals());
+
+function loadReplayPanes() {
+  try {
+    ensureDataDir();
+    if (!existsSync(REPLAY_PANES_FILE)) return [];
+    const data = readFileSync(REPLAY_PANES_FILE, 'utf-8');
+    const state = JSON.parse(data);
+    return state.replayPanes || [];
+  } catch (error) {
+    console.error('[Recordings] Error loading replay panes:', error);
+    return [];
+  }
+}
+
+function saveReplayPanes(panes) {
+  try {
+    ensureDataDir();
+    writeFileSync(REPLAY_PANES_FILE, JSON.stringify({ replayPanes: panes, version: 1 }, null, 2));
+  } catch (error) {
+    console.error('[Recordings] Error saving replay panes:', error);
+  }
+}
+
+let replayPanesCache = loadReplayPanes();
+
+function recordingPath(id) {
+  if (!VALID_ID.test(id)) throw new Error('Invalid recording id');
+  return join(RECORDINGS_DIR, `${id}.cast`);
+}
+
+function elapsedSeconds(recording) {
+  return Number(((Date.now() - recording.startedAt) / 1000).toFixed(6));
+}
+
+function writeLine(recording, value) {
+  const line = JSON.stringify(value) + '\n';
+  recording.bytes += Buffer.byteLength(line);
+  recording.stream.write(line);
+}
+
+function writeOutput(recording, text) {
+  const time = elapsedSeconds(recording);
+  for (let start = 0; start < text.length;) {
+    let end = Math.min(start + MAX_EVENT_CHARS, text.length);
+    // Don't split a surrogate pair across events
+    if (end < text.length && /[\uD800-\uDBFF]/.test(text[end - 1])) end--;
+    writeLine(recording, [time, 'o', text.slice(start, end)]);
+    start = end;
+  }
+}
+
+/**
+ * Delete finished recordings older than MAX_AGE_MS, then the oldest ones
+ * until all recordings together fit in MAX_TOTAL_BYTES.
+ */
+function pruneRecordings() {
+  if (!existsSync(RECORDINGS_DIR)) return;
+  const activeIds = new Set(Array.from(activeRecordings.values()).map(r => r.id));
+  const files = [];
+  let total = 0;
+  for (const name of readdirSync(RECORDINGS_DIR)) {
+    if (!name.endsWith('.cast')) continue;
+    try {
+      const stat = statSync(join(RECORDINGS_DIR, name));
+      files.push({ name, size: stat.size, mtimeMs: stat.mtimeMs, active: activeIds.has(name.slice(0, -'.cast'.length)) });
+      total += stat.size;
+    } catch {}
+  }
+  const now = Date.now();
+  for (const file of files.filter(f => !f.active).sort((a, b) => a.mtimeMs - b.mtimeMs)) {
+    if (now - file.mtimeMs < MAX_AGE_MS && total <= MAX_TOTAL_BYTES) break;
+    try {
+      unlinkSync(join(RECORDINGS_DIR, file.name));
+      total -= file.size;
+      console.log(`[Recordings] Deleted old recording ${file.name}`);
+    } catch (error) {
+      console.error(`[Recordings] Error deleting ${file.name}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Open a new asciinema v2 cast file for a terminal. The first line is the
+ * header; every following line is an event: [elapsedSeconds, code, data].
+ */
+function startRecording(terminalId) {
+  ensureRecordingsDir();
+  pruneRecordings();
+  const startedAt = Date.now();
+  const id = `${terminalId}-${startedAt}`;
+  const size = terminalSizes.get(terminalId) || { cols: 80, rows: 24 };
+  const stream = createWriteStream(recordingPath(id), { flags: 'a' });
+  stream.on('error', (error) => {
+    console.error(`[Recordings] Write error for ${id}:`, error.message);
+  });
+
+  const header = {
+    version: 2,
+    width: size.cols,
+    height: size.rows,
+    timestamp: Math.floor(startedAt / 1000),
+    title: `Terminal ${terminalId.slice(0, 8)}`,
+    env: { TERM: 'xterm-256color' },
+  };
+
+  // Output chunks can split multi-byte characters — decode incrementally
+  const recording = { id, stream, decoder: new StringDecoder('utf8'), startedAt, bytes: 0 };
+  writeLine(recording, header);
+  activeRecordings.set(terminalId, recording);
+  console.log(`[Recordings] Started recording ${id}`);
+  return recording;
+}
+
+// Offset just past the newline that ends the line running through `position`
+function skipLine(fd, position, size) {
+  const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+  while (position < size) {
+    const bytesRead = readSync(fd, buffer, 0, buffer.length, position);
+    if (bytesRead === 0) break;
+    const newline = buffer.indexOf(0x0a);
+    if (newline !== -1 && newline < bytesRead) return position + newline + 1;
+    position += bytesRead;
+  }
+  return size;
+}
+
+function readHeader(filePath) {
+  const fd = openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_READ_SIZE);
+    const bytesRead = readSync(fd, buffer, 0, HEADER_READ_SIZE, 0);
+    const firstLine = buffer.slice(0, bytesRead).toString('utf-8').split('\n')[0];
+    return JSON.parse(firstLine);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+export const recordingService = {
+  isEnabled(terminalId) {
+    return enabledTerminals.has(terminalId);
+  },
+
+  /**
+   * Turn recording on or off for a terminal. The setting is persisted so
+   * recording survives agent restarts; a new cast file starts with the next output.
+   */
+  setEnabled(terminalId, enabled) {
+    if (enabled) {
+      enabledTerminals.add(terminalId);
+    } else {
+      enabledTerminals.delete(terminalId);
+      this.stopRecording(terminalId);
+    }
+    saveEnabledTerminals(Array.from(enabledTerminals));
+    return { enabled: enabledTerminals.has(terminalId), recordingId: activeRecordings.get(terminalId)?.id || null };
+  },
+
+  getStatus(terminalId) {
+    return { enabled: enabledTerminals.has(terminalId), recordingId: activeRecordings.get(terminalId)?.id || null };
+  },
+
+  /**
+   * Append raw terminal output (Buffer) to the terminal's active recording.
+   * No-op unless recording is enabled for the terminal.
+   */
+  recordOutput(terminalId, data) {
+    if (!enabledTerminals.has(terminalId)) return;
+    let recording = activeRecordings.get(terminalId);
+    if (recording && recording.bytes >= MAX_RECORDING_BYTES) {
+      this.stopRecording(terminalId);
+      recording = null;
+    }
+    if (!recording) recording = startRecording(terminalId);
+    const text = recording.decoder.write(data);
+    if (!text) return;
+    writeOutput(recording, text);
+  },
+
+  setSize(terminalId, cols, rows) {
+    if (!cols || !rows) return;
+    const prev = terminalSizes.get(terminalId);
+    terminalSizes.set(terminalId, { cols, rows });
+    const recording = activeRecordings.get(terminalId);
+    if (recording && (prev?.cols !== cols || prev?.rows !== rows)) {
+      writeLine(recording, [elapsedSeconds(recording), 'r', `${cols}x${rows}`]);
+    }
+  },
+
+  stopRecording(terminalId) {
+    const recording = activeRecordings.get(terminalId);
+    if (!recording) return;
+    activeRecordings.delete(terminalId);
+    const rest = recording.decoder.end();
+    if (rest) writeOutput(recording, rest);
+    recording.stream.end();
+    console.log(`[Recordings] Stopped recording ${recording.id}`);
+  },
+
+  stopAll() {
+    for (const terminalId of Array.from(activeRecordings.keys())) {
+      this.stopRecording(terminalId);
+    }
+  },
+
+  /**
+   * Forget a terminal entirely (closed terminals can't produce more output).
+   */
+  removeTerminal(terminalId) {
+    this.stopRecording(terminalId);
+    terminalSizes.delete(terminalId);
+    if (enabledTerminals.delete(terminalId)) {
+      saveEnabledTerminals(Array.from(enabledTerminals));
+    }
+  },
+
+  listRecordings() {
+    if (!existsSync(RECORDINGS_DIR)) return [];
+    const activeIds = new Set(Array.from(activeRecordings.values()).map(r => r.id));
+    const recordings = [];
+    for (const name of readdirSync(RECORDINGS_DIR)) {
+      if (!name.endsWith('.cast')) continue;
+      const id = name.slice(0, -'.cast'.length);
+      if (!VALID_ID.test(id)) continue;
+      try {
+        const filePath = join(RECORDINGS_DIR, name);
+        const stat = statSync(filePath);
+        const header = readHeader(filePath);
+        recordings.push({
+          id,
+          terminalId: id.replace(/-\d+$/, ''),
+          title: header.title || id,
+          width: header.width,
+          height: header.height,
+          startedAt: header.timestamp ? header.timestamp * 1000 : stat.birthtimeMs,
+          updatedAt: stat.mtimeMs,
+          size: stat.size,
+          active: activeIds.has(id),
+        });
+      } catch {
+        // Skip unreadable or malformed cast files
+      }
+    }
+    return recordings.sort((a, b) => b.startedAt - a.startedAt);
+  },
+
+  /**
+   * Read a cast file in chunks, split on line boundaries so each chunk
+   * parses on its own. Pass the returned nextOffset to continue. A line
+   * longer than a chunk (written before events were capped) is skipped.
+   */
+  readRecording(id, offset = 0) {
+    const filePath = recordingPath(id);
+    if (!existsSync(filePath)) return null;
+
+    const size = statSync(filePath).size;
+    const start = Math.max(0, Math.min(offset, size));
+    const fd = openSync(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(Math.min(READ_CHUNK_SIZE, size - start));
+      const bytesRead = readSync(fd, buffer, 0, buffer.length, start);
+      let end = bytesRead;
+      if (start + bytesRead < size) {
+        const lastNewline = buffer.lastIndexOf(0x0a, bytesRead - 1);
+        if (lastNewline === -1) {
+          const next = skipLine(fd, start + bytesRead, size);
+          console.warn(`[Recordings] Skipped a ${next - start}-byte line in ${id}`);
+          return { data: '', nextOffset: next, size, done: next >= size };
+        }
+        end = lastNewline + 1;
+      }
+      return {
+        data: buffer.slice(0, end).toString('utf-8'),
+        nextOffset: start + end,
+        size,
+        done: start + end >= size,
+      };
+    } finally {
+      closeSync(fd);
+    }
+  },
+
+  deleteRecording(id) {
+    const filePath = recordingPath(id);
+    for (const [terminalId, recording] of activeRecordings) {
+      if (recording.id === id) this.stopRecording(terminalId);
+    }
+    if (existsSync(filePath)) unlinkSync(filePath);
+  },
+
+  listReplayPanes() {
+    return replayPanesCache;
+  },
+
+  getReplayPane(id) {
+    return replayPanesCache.find(p => p.id === id);
+  },
+
+  createReplayPane({ recordingId, position, size, device }) {
+    const id = randomUUID();
+    const pane = {
+      id,
+      recordingId: recordingId || null,
+      position: position || { x: 100, y: 100 },
+      size: size || { width: 720, height: 480 },
+      device: device || null,
+      createdAt: new Date().toISOString(),
+    };
+    replayPanesCache.push(pane);
+    saveReplayPanes(replayPanesCache);
+    return pane;
+  },
+
+  deleteReplayPane(id) {
+    const index = replayPanesCache.findIndex(p => p.id === id);
+    if (index !== -1) {
+      replayPanesCache.splice(index, 1);
+      saveReplayPanes(replayPanesCache);
+    }
+  },
+};
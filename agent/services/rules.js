@@ -0,0 +1,286 @@
+import { randomUUID } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+import { config } from '../src/config.js';
+import { tmuxService } from './tmux.js';
+
+const DATA_DIR = config.dataDir;
+const RULES_FILE = join(DATA_DIR, 'rules.json');
+const RULES_LOG_FILE = join(DATA_DIR, 'rules-log.json');
+
+const MAX_LOG_ENTRIES = 200;
+// Lines from the bottom of the pane that a rule's pattern is matched against
+const PROMPT_LINES = 40;
+
+export const RULE_STATES = ['permission', 'question'];
+export const RULE_ACTIONS = ['allow', 'allowAlways', 'deny', 'send', 'notify'];
+
+function ensureDataDir() {
+  if (!existsSync(DATA_DIR)) {
+    mkdirSync(DATA_DIR, { recursive: true });
+  }
+}
+
+function loadRules() {
+  try {
+    ensureDataDir();
+    if (!existsSync(RULES_FILE)) return [];
+    const data = readFileSync(RULES_FILE, 'utf-8');
+    const state = JSON.parse(data);
+    return state.rules || [];
+  } catch (error) {
+    console.error('[Rules] Error loading rules:', error);
+    return [];
+  }
+}
+
+function saveRules(rules) {
+  try {
+    ensureDataDir();
+    writeFileSync(RULES_FILE, JSON.stringify({ rules, version: 1 }, null, 2));
+  } catch (error) {
+    console.error('[Rules] Error saving rules:', error);
+  }
+}
+
+function loadLog() {
+  try {
+    ensureDataDir();
+    if (!existsSync(RULES_LOG_FILE)) return [];
+    const data = readFileSync(RULES_LOG_FILE, 'utf-8');
+    const state = JSON.parse(data);
+    return state.entries || [];
+  } catch (error) {
+    console.error('[Rules] Error loading rules log:', error);
+    return [];
+  }
+}
+
+function saveLog(entries) {
+  try {
+    ensureDataDir();
+    writeFileSync(RULES_LOG_FILE, JSON.stringify({ entries, version: 1 }, null, 2));
+  } catch (error) {
+    console.error('[Rules] Error saving rules log:', error);
+  }
+}
+
+let rulesCache = loadRules();
+let logCache = loadLog();
+
+// terminalId → prompt key last evaluated, so each prompt is handled once
+const handledPrompts = new Map();
+
+/**
+ * Convert a glob to a RegExp: `**` matches across '/', `*` and `?` don't.
+ * A leading '~' expands to the home directory.
+ */
+function globToRegExp(glob) {
+  const expanded = glob.startsWith('~') ? homedir() + glob.slice(1) : glob;
+  let source = '';
+  for (let i = 0; i < expanded.length; i++) {
+    const ch = expanded[i];
+    if (ch === '*' && expanded[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function validateRule(rule) {
+  if (!RULE_ACTIONS.includes(rule.action)) {
+    throw new Error(`Invalid action: ${rule.action}`);
+  }
+  if (!Array.isArray(rule.states) || rule.states.length === 0 || rule.states.some(s => !RULE_STATES.includes(s))) {
+    throw new Error('states must list at least one of: ' + RULE_STATES.join(', '));
+  }
+  if (rule.action === 'send' && !rule.text) {
+    throw new Error('text required for send action');
+  }
+  if (rule.pattern) {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch {
+      throw new Error(`Invalid pattern: ${rule.pattern}`);
+    }
+  }
+}
+
+function ruleMatches(rule, { terminalId, info, promptText }) {
+  if (!rule.enabled) return false;
+  if (!rule.states.includes(info.state)) return false;
+  if (rule.pathGlob) {
+    const re = globToRegExp(rule.pathGlob);
+    const candidates = [terminalId, info.cwd, info.location?.path, info.location?.name].filter(Boolean);
+    if (!candidates.some(c => re.test(c))) return false;
+  }
+  if (rule.toolName) {
+    const toolName = info.permission?.toolName || '';
+    if (!globToRegExp(rule.toolName.toLowerCase()).test(toolName.toLowerCase())) return false;
+  }
+  if (rule.pattern && !new RegExp(rule.pattern, 'i').test(promptText)) return false;
+  return true;
+}
+
+/**
+ * Pick the keystrokes for an action. Permission dialogs are answered by the
+ * number of the matching choice; questions accept the highlighted option (Enter)
+ * or dismiss (Escape). Returns null when no parsed choice matches an allow:
+ * guessing a number could answer a differently laid-out prompt.
+ */
+function keysForAction(rule, info) {
+  if (rule.action === 'send') return { text: rule.text, enter: true };
+  if (info.state === 'question') {
+    if (rule.action === 'deny') return { key: 'Escape' };
+    return { key: 'Enter' };
+  }
+  const choices = info.permission?.choices || [];
+  const find = (re) => choices.find(c => re.test(c.label))?.key;
+  if (rule.action === 'deny') return { key: find(/^No\b/i) || 'Escape' };
+  const key = rule.action === 'allowAlways' ? find(/^Yes,/i) || find(/^Yes(?!,)/i) : find(/^Yes(?!,)/i);
+  return key ? { key } : null;
+}
+
+function appendLog(entry) {
+  logCache.unshift(entry);
+  if (logCache.length > MAX_LOG_ENTRIES) logCache.length = MAX_LOG_ENTRIES;
+  saveLog(logCache);
+}
+
+export const rulesService = {
+  listRules() {
+    return rulesCache;
+  },
+
+  hasActiveRules() {
+    return rulesCache.some(r => r.enabled);
+  },
+
+  createRule({ name, enabled = true, states = ['permission'], pathGlob = '', toolName = '', pattern = '', action, text = '' }) {
+    const rule = {
+      id: randomUUID(),
+      name: name || 'Untitled rule',
+      enabled: !!enabled,
+      states,
+      pathGlob,
+      toolName,
+      pattern,
+      action,
+      text,
+      createdAt: new Date().toISOString(),
+    };
+    validateRule(rule);
+    rulesCache.push(rule);
+    saveRules(rulesCache);
+    return rule;
+  },
+
+  updateRule(id, updates) {
+    const index = rulesCache.findIndex(r => r.id === id);
+    if (index === -1) throw new Error(`Rule not found: ${id}`);
+
+    const rule = { ...rulesCache[index] };
+    for (const field of ['name', 'enabled', 'states', 'pathGlob', 'toolName', 'pattern', 'action', 'text']) {
+      if (updates[field] !== undefined) rule[field] = updates[field];
+    }
+    rule.enabled = !!rule.enabled;
+    validateRule(rule);
+
+    rulesCache[index] = rule;
+    saveRules(rulesCache);
+    return rule;
+  },
+
+  deleteRule(id) {
+    const index = rulesCache.findIndex(r => r.id === id);
+    if (index !== -1) {
+      rulesCache.splice(index, 1);
+      saveRules(rulesCache);
+    }
+  },
+
+  getLog() {
+    return logCache;
+  },
+
+  clearLog() {
+    logCache = [];
+    saveLog(logCache);
+  },
+
+  /**
+   * Evaluate rules for terminals that just entered a permission/question prompt.
+   * Each prompt (terminal + state + command) is evaluated once; the first matching
+   * rule wins. Returns the log entries for rules that fired.
+   *
+   * @param {Object} states - result of tmuxService.getAllClaudeStates()
+   */
+  async processStates(states) {
+    const fired = [];
+
+    for (const terminalId of handledPrompts.keys()) {
+      if (!states[terminalId]) handledPrompts.delete(terminalId);
+    }
+
+    for (const [terminalId, info] of Object.entries(states)) {
+      if (!info?.isClaude || !RULE_STATES.includes(info.state)) {
+        handledPrompts.delete(terminalId);
+        continue;
+      }
+
+      const promptKey = `${info.state}|${info.permission?.command || ''}`;
+      if (handledPrompts.get(terminalId) === promptKey) continue;
+      handledPrompts.set(terminalId, promptKey);
+
+      const candidates = rulesCache.filter(r => r.enabled && r.states.includes(info.state));
+      if (candidates.length === 0) continue;
+
+      const promptText = await tmuxService.capturePrompt(terminalId, PROMPT_LINES);
+      const rule = candidates.find(r => ruleMatches(r, { terminalId, info, promptText }));
+      if (!rule) continue;
+
+      const entry = {
+        id: randomUUID(),
+        at: new Date().toISOString(),
+        terminalId,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        action: rule.action,
+        state: info.state,
+        toolName: info.permission?.toolName || null,
+        command: info.permission?.command || null,
+        cwd: info.cwd || null,
+        sent: null,
+        error: null,
+      };
+
+      if (rule.action !== 'notify') {
+        const keys = keysForAction(rule, info);
+        if (!keys) {
+          entry.error = 'No matching choice in the prompt; sent nothing';
+        } else {
+          try {
+            await tmuxService.sendKeys(terminalId, keys);
+            entry.sent = keys.text !== undefined ? keys.text : keys.key;
+          } catch (error) {
+            entry.error = error.message;
+          }
+        }
+      }
+
+      console.log(`[Rules] "${rule.name}" → ${rule.action} on ${terminalId.slice(0, 8)}${entry.error ? ` (failed: ${entry.error})` : ''}`);
+      appendLog(entry);
+      fired.push(entry);
+    }
+
+    return fired;
+  },
+};
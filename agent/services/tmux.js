@@ -2,11 +2,13 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import { readdirSync, statSync, readFileSync } from 'fs';
 import { readdir, stat, open as fsOpen } from 'fs/promises';
-import { join, basename } from 'path';
+import { join, basename, dirname, resolve } from 'path';
 import { homedir } from 'os';
 import { v4 as uuidv4 } from 'uuid';
 import { escapeShellArg, validateWorkingDirectory, validatePositiveInt } from './sanitize.js';
 import { loadTerminalState, saveTerminalState, removeTerminalFromStorage } from './storage.js';
+import { claudeHooksService } from './claudeHooks.js';
+import { recordingService } from './recordings.js';
 
 const execAsync = promisify(exec);
 
@@ -360,7 +362,7 @@ export class TmuxService {
     return Array.from(terminals.values());
   }
 
-  async createTerminal(workingDir = '~', position, device, size) {
+  async createTerminal(workingDir = '~', position, device, size, command = null) {
     const id = uuidv4();
     const sessionName = `tc2-${id}`;
     const validatedDir = validateWorkingDirectory(workingDir);
@@ -374,6 +376,11 @@ export class TmuxService {
     // Scroll-through-history is handled by forwarding wheel events as SGR sequences from the client.
     await execAsync(`tmux set-option -t ${escapeShellArg(sessionName)} history-limit 50000 2>/dev/null || true`);
 
+    // Run command if provided (e.g. claude --resume <id>)
+    if (command) {
+      await execAsync(`tmux send-keys -t ${escapeShellArg(sessionName)} ${escapeShellArg(command)} Enter`);
+    }
+
     const terminal = {
       id,
       workingDir,
@@ -441,6 +448,43 @@ export class TmuxService {
 
     terminals.delete(terminalId);
     removeTerminalFromStorage(terminalId);
+    recordingService.removeTerminal(terminalId);
+  }
+
+  /**
+   * Capture the visible bottom of a terminal's pane (where prompts are drawn).
+   */
+  async capturePrompt(terminalId, lines = 40) {
+    const terminal = terminals.get(terminalId);
+    if (!terminal) return '';
+
+    try {
+      const { stdout } = await execAsync(
+        `tmux capture-pane -t ${escapeShellArg(terminal.tmuxSession)} -p 2>/dev/null`
+      );
+      return stdout.replace(/\s+$/, '').split('\n').slice(-lines).join('\n');
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Type into a terminal via tmux: either a named key ({ key: 'Enter' }, '1', ...)
+   * or literal text ({ text, enter: true }).
+   */
+  async sendKeys(terminalId, { key, text, enter = false }) {
+    const terminal = terminals.get(terminalId);
+    if (!terminal) throw new Error('Terminal not found');
+    const target = escapeShellArg(terminal.tmuxSession);
+
+    if (text !== undefined) {
+      await execAsync(`tmux send-keys -t ${target} -l ${escapeShellArg(text)}`);
+    } else if (key) {
+      await execAsync(`tmux send-keys -t ${target} ${escapeShellArg(key)}`);
+    }
+    if (enter) {
+      await execAsync(`tmux send-keys -t ${target} Enter`);
+    }
   }
 
   async captureOutput(terminalId) {
@@ -474,7 +518,7 @@ export class TmuxService {
       }
 
       // -p = print to stdout, -S - = from start of history, -E -1 = stop
-      // before the visible screen (ttyd sends the live screen naturally).
+      // before the visible screen (the terminal backend paints the live screen).
       // Intentionally no -e: that flag injects tmux cursor-positioning sequences
       // (\e[H, \e[?25h/l, \e[J etc.) that aren't part of the original pty
       // stream. Replaying them in xterm.js corrupts cursor position and leaves
@@ -509,6 +553,24 @@ export class TmuxService {
     }
   }
 
+  /**
+   * Current size of a terminal's tmux pane as { cols, rows }, or null.
+   */
+  async getPaneSize(terminalId) {
+    const terminal = terminals.get(terminalId);
+    if (!terminal) return null;
+    try {
+      const { stdout } = await execAsync(
+        `tmux display-message -p -t ${escapeShellArg(terminal.tmuxSession)} '#{pane_width} #{pane_height}'`,
+        { timeout: 2000 }
+      );
+      const [cols, rows] = stdout.trim().split(' ').map(Number);
+      return cols > 0 && rows > 0 ? { cols, rows } : null;
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Force tmux to redraw a terminal pane by nudging its size +1/-1 row.
    * This makes tmux resend the full screen content (including alternate screen
@@ -588,17 +650,17 @@ export class TmuxService {
     const results = {};
     try {
       const { stdout } = await execAsync(
-        `tmux list-panes -a -F "#{session_name}|#{pane_current_command}|#{pane_current_path}|#{pane_active}|#{pane_pid}|#{alternate_on}" 2>/dev/null`
+        `tmux list-panes -a -F "#{session_name}|#{pane_current_command}|#{pane_current_path}|#{pane_active}|#{pane_pid}|#{alternate_on}|#{pane_id}" 2>/dev/null`
       );
       for (const line of stdout.trim().split('\n')) {
         if (!line || !line.startsWith('tc2-')) continue;
         const parts = line.split('|');
-        if (parts.length < 6) continue;
-        const [session, command, cwd, active, pid, altOn] = parts;
+        if (parts.length < 7) continue;
+        const [session, command, cwd, active, pid, altOn, paneId] = parts;
         if (active !== '1') continue; // Only active panes
         const id = session.replace('tc2-', '');
         if (!terminals.has(id)) continue;
-        results[id] = { session, command, cwd, pid, isClaude: /^claude/i.test(command), alternateOn: altOn === '1' };
+        results[id] = { session, command, cwd, pid, paneId, isClaude: /^claude/i.test(command), alternateOn: altOn === '1' };
       }
     } catch {
       // Silently fail - returns empty results
@@ -629,7 +691,8 @@ export class TmuxService {
 
       if (repoPath) {
         const repoName = repoPath.split('/').pop();
-        return { type: 'git', name: repoName, path: repoPath };
+        const worktree = await this.detectWorktree(cwd, repoPath);
+        return { type: 'git', name: repoName, path: repoPath, worktree };
       }
     } catch {
       // Not a git repo, fall through
@@ -640,6 +703,33 @@ export class TmuxService {
     return { type: 'path', name: lastTwo || cwd, path: cwd };
   }
 
+  /**
+   * If cwd is inside a linked git worktree (not the main checkout), return
+   * { branch, path, name, mainRepo }. Its git dir differs from the common dir.
+   */
+  async detectWorktree(cwd, worktreePath) {
+    try {
+      const { stdout } = await execAsync(
+        `git -C ${escapeShellArg(cwd)} rev-parse --absolute-git-dir --git-common-dir 2>/dev/null`
+      );
+      const [gitDir, commonDir] = stdout.trim().split('\n');
+      const commonPath = resolve(cwd, commonDir || '');
+      if (!gitDir || resolve(gitDir) === commonPath) return null;
+
+      const { stdout: branch } = await execAsync(
+        `git -C ${escapeShellArg(cwd)} branch --show-current 2>/dev/null`
+      );
+      return {
+        branch: branch.trim() || null,
+        path: worktreePath,
+        name: worktreePath.split('/').pop(),
+        mainRepo: dirname(commonPath).split('/').pop(),
+      };
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Detect Claude's state by parsing tmux pane content (screen scraping).
    * Examines the last 20 non-empty lines for known UI patterns.
@@ -695,8 +785,60 @@ export class TmuxService {
   }
 
   /**
-   * Get all Claude states by screen-scraping tmux panes (no hooks required).
-   * Uses tmux capture-pane + detectClaudeState() for each Claude terminal.
+   * Parse Claude Code's permission dialog into the requested tool, its
+   * command/target and the numbered choices. Returns null if none is on screen.
+   *
+   *   Bash command
+   *     npm test
+   *   Do you want to proceed?
+   *   ❯ 1. Yes
+   *     2. Yes, and don't ask again for npm test commands in /repo
+   *     3. No, and tell Claude what to do differently (esc)
+   */
+  parsePermissionPrompt(paneContent) {
+    // Strip box-drawing borders so boxed and borderless dialogs parse alike
+    const lines = paneContent.split('\n').map(l => l.replace(/^[\s│]+|[\s│]+$/g, ''));
+    const choicePattern = /^(?:❯\s*)?(\d)\.\s+(.+)$/;
+
+    let lastChoiceIdx = -1;
+    for (let i = lines.length - 1; i >= Math.max(0, lines.length - 30); i--) {
+      if (choicePattern.test(lines[i])) { lastChoiceIdx = i; break; }
+    }
+    if (lastChoiceIdx === -1) return null;
+
+    // The question line ("Do you want to proceed?") sits right above the choices
+    let questionIdx = -1;
+    for (let i = lastChoiceIdx - 1; i >= Math.max(0, lastChoiceIdx - 12); i--) {
+      if (/\?$/.test(lines[i]) && !choicePattern.test(lines[i])) { questionIdx = i; break; }
+    }
+    if (questionIdx === -1) return null;
+
+    const choices = [];
+    for (let i = questionIdx + 1; i <= lastChoiceIdx; i++) {
+      const m = lines[i].match(choicePattern);
+      if (m) choices.push({ key: m[1], label: m[2].trim() });
+    }
+    if (!choices.some(c => /^Yes,\s/.test(c.label))) return null;
+
+    // Header block: from the dialog's top border (or a rule line) down to the question
+    const header = [];
+    for (let i = questionIdx - 1; i >= Math.max(0, questionIdx - 12); i--) {
+      if (/^[╭╰─━╮╯\s]+$/.test(lines[i]) && lines[i].length > 0) break;
+      if (lines[i]) header.unshift(lines[i]);
+    }
+
+    return {
+      toolName: header[0] || null,
+      command: header[1] ? header[1].slice(0, 300) : null,
+      choices,
+    };
+  }
+
+  /**
+   * Get all Claude states. Prefers signals from Claude Code hooks (see
+   * claudeHooks.js) and falls back to screen-scraping tmux panes via
+   * capture-pane + detectClaudeState() when no fresh hook state exists.
+   * Each Claude result carries `source: 'hook' | 'scrape'`.
    */
   async getAllClaudeStates() {
     const results = {};
@@ -748,31 +890,54 @@ export class TmuxService {
     for (const id of nonClaudeIds) {
       const info = sessionInfo[id];
       if (!info.isClaude) {
-        results[id] = { isClaude: false, state: null, cwd: info.cwd || null, alternateOn: info.alternateOn };
+        const location = await this.getCachedLocation(info.cwd);
+        results[id] = { isClaude: false, state: null, cwd: info.cwd || null, alternateOn: info.alternateOn, worktree: location?.worktree || null };
+        // Claude exited — drop any hook state so a later session starts clean
+        claudeHooksService.clearPaneState(info.paneId);
       }
     }
 
-    // Step 3: Resolve Claude terminal states via screen scraping in parallel
+    // Step 3: Resolve Claude terminal states in parallel — hook signal first, screen scraping as fallback
     const claudeEntries = Object.entries(sessionInfo).filter(([, info]) => info.isClaude);
     if (claudeEntries.length === 0) return results;
 
     const statePromises = claudeEntries.map(async ([id, info]) => {
+      const location = await this.getCachedLocation(info.cwd);
+      const claudeSessionId = await this.resolveClaudeSessionForPane(info.pid);
+      const claudeSessionName = await resolveClaudeSessionName(claudeSessionId, info.cwd);
+      const base = { isClaude: true, command: 'claude', location, cwd: info.cwd, claudeSessionId, claudeSessionName, alternateOn: info.alternateOn, worktree: location?.worktree || null };
+
+      const hook = claudeHooksService.getPaneState(info.paneId, claudeSessionId);
+      // Hooks fire nothing when Claude is interrupted or a prompt is dismissed
+      // with Esc, so a hook 'working', 'permission' or 'question' is only
+      // trusted while the screen doesn't show the idle prompt. A hook 'idle'
+      // needs no second opinion.
+      if (hook?.state === 'idle') {
+        return [id, { ...base, state: hook.state, source: 'hook' }];
+      }
+
+      let scraped = 'working';
+      let paneContent = '';
       try {
         const terminal = terminals.get(id);
-        const { stdout: paneContent } = await execAsync(
+        ({ stdout: paneContent } = await execAsync(
           `tmux capture-pane -t ${escapeShellArg(terminal.tmuxSession)} -p 2>/dev/null`
-        );
-        const state = this.detectClaudeState(paneContent);
-        const location = await this.getCachedLocation(info.cwd);
-        const claudeSessionId = await this.resolveClaudeSessionForPane(info.pid);
-        const claudeSessionName = await resolveClaudeSessionName(claudeSessionId, info.cwd);
-        return [id, { isClaude: true, state, command: 'claude', location, cwd: info.cwd, claudeSessionId, claudeSessionName, alternateOn: info.alternateOn }];
+        ));
+        scraped = this.detectClaudeState(paneContent);
       } catch {
-        const location = await this.getCachedLocation(info.cwd);
-        const claudeSessionId = await this.resolveClaudeSessionForPane(info.pid);
-        const claudeSessionName = await resolveClaudeSessionName(claudeSessionId, info.cwd);
-        return [id, { isClaude: true, state: 'working', command: 'claude', location, cwd: info.cwd, claudeSessionId, claudeSessionName, alternateOn: info.alternateOn }];
+        // Capture failed — assume working
+      }
+
+      const result = hook && scraped !== 'idle'
+        ? { ...base, state: hook.state, source: 'hook' }
+        : { ...base, state: scraped, source: 'scrape' };
+      if (result.state === 'permission') {
+        result.permission = this.parsePermissionPrompt(paneContent);
+        if (result.permission && !result.permission.toolName && hook?.toolName) {
+          result.permission.toolName = hook.toolName;
+        }
       }
+      return [id, result];
     });
 
     const claudeResults = await Promise.all(statePromises);
@@ -0,0 +1,243 @@
+import { randomUUID } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { config } from '../src/config.js';
+import { conversationSearchService } from './conversationSearch.js';
+
+const DATA_DIR = config.dataDir;
+const USAGE_PANES_FILE = join(DATA_DIR, 'usage-panes.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const TOP_SESSIONS = 20;
+const GROUP_BY = ['day', 'model', 'project', 'session'];
+
+/**
+ * List prices in USD per million tokens, matched against the model id in
+ * order (first match wins). Costs are estimates: they ignore discounts,
+ * batch pricing and long-context surcharges.
+ */
+const MODEL_PRICING = [
+  { match: /opus-(4-[5-9]|[5-9])/, input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  { match: /opus/, input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  { match: /sonnet/, input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  { match: /haiku-([4-9])/, input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  { match: /haiku/, input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+];
+
+function priceFor(model) {
+  return MODEL_PRICING.find(p => p.match.test(model)) || null;
+}
+
+function emptyTotals() {
+  return { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, requests: 0, cost: 0 };
+}
+
+function addTotals(target, tokens, cost) {
+  target.input += tokens.input;
+  target.output += tokens.output;
+  target.cacheRead += tokens.cacheRead;
+  target.cacheWrite += tokens.cacheWrite;
+  target.requests += tokens.requests;
+  target.cost += cost;
+}
+
+/** Share of prompt tokens served from the cache. */
+function cacheHitRatio(totals) {
+  const prompt = totals.input + totals.cacheRead + totals.cacheWrite;
+  return prompt > 0 ? totals.cacheRead / prompt : 0;
+}
+
+function finish(key, totals) {
+  return { key, ...totals, cost: Math.round(totals.cost * 10000) / 10000, cacheHitRatio: cacheHitRatio(totals) };
+}
+
+function byCostDesc(a, b) {
+  return b.cost - a.cost;
+}
+
+/**
+ * Aggregate token usage recorded in the conversation index over the last
+ * `days` days (0 = all time) per day, model, project (cwd) and session.
+ */
+async function buildReport(days = DEFAULT_DAYS) {
+  const sessions = await conversationSearchService.getIndexedSessions();
+  const since = days > 0 ? new Date(Date.now() - (days - 1) * DAY_MS).toISOString().slice(0, 10) : null;
+
+  const totals = emptyTotals();
+  const byDay = new Map();
+  const byModel = new Map();
+  const byProject = new Map();
+  const bySession = [];
+  const unpricedModels = new Set();
+
+  const bucket = (map, key) => {
+    if (!map.has(key)) map.set(key, emptyTotals());
+    return map.get(key);
+  };
+
+  for (const session of sessions) {
+    const sessionTotals = emptyTotals();
+    let lastActiveDay = null;
+    for (const [day, models] of Object.entries(session.usage || {})) {
+      if (since && day < since) continue;
+      for (const [model, tokens] of Object.entries(models)) {
+        const price = priceFor(model);
+        if (!price) unpricedModels.add(model);
+        const cost = price
+          ? (tokens.input * price.input + tokens.output * price.output
+            + tokens.cacheRead * price.cacheRead + tokens.cacheWrite * price.cacheWrite) / 1e6
+          : 0;
+        addTotals(totals, tokens, cost);
+        addTotals(bucket(byDay, day), tokens, cost);
+        addTotals(bucket(byModel, model), tokens, cost);
+        addTotals(bucket(byProject, session.cwd || session.projectDir), tokens, cost);
+        addTotals(sessionTotals, tokens, cost);
+      }
+      if (!lastActiveDay || day > lastActiveDay) lastActiveDay = day;
+    }
+    if (sessionTotals.requests === 0) continue;
+    bySession.push({
+      ...finish(session.sessionId, sessionTotals),
+      title: session.customTitle || session.messages.find(m => m.role === 'user')?.text.slice(0, 120) || null,
+      cwd: session.cwd,
+      gitBranch: session.gitBranch,
+      lastActiveDay,
+    });
+  }
+
+  // Every day in the range gets a row so the chart has no gaps
+  const dayRows = [];
+  if (since) {
+    for (let t = Date.parse(since); t <= Date.now(); t += DAY_MS) {
+      const day = new Date(t).toISOString().slice(0, 10);
+      dayRows.push(finish(day, byDay.get(day) || emptyTotals()));
+    }
+  } else {
+    for (const day of [...byDay.keys()].sort()) dayRows.push(finish(day, byDay.get(day)));
+  }
+
+  bySession.sort(byCostDesc);
+  return {
+    days,
+    totals: finish('total', totals),
+    byDay: dayRows,
+    byModel: [...byModel].map(([key, t]) => finish(key, t)).sort(byCostDesc),
+    byProject: [...byProject].map(([key, t]) => finish(key, t)).sort(byCostDesc),
+    sessions: bySession,
+    unpricedModels: [...unpricedModels],
+  };
+}
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Render one breakdown of the report as CSV.
+ * Returns { content, filename, mimeType } like conversation extraction.
+ */
+function reportToCsv(report, groupBy) {
+  const rows = {
+    day: report.byDay,
+    model: report.byModel,
+    project: report.byProject,
+    session: report.sessions,
+  }[groupBy];
+  const extraHeaders = groupBy === 'session' ? ['title', 'cwd', 'git_branch', 'last_active'] : [];
+  const header = [groupBy, ...extraHeaders, 'input_tokens', 'output_tokens', 'cache_read_tokens', 'cache_write_tokens', 'requests', 'cache_hit_ratio', 'cost_usd'];
+
+  const lines = [header.join(',')];
+  for (const row of rows) {
+    const extra = groupBy === 'session' ? [row.title, row.cwd, row.gitBranch, row.lastActiveDay] : [];
+    lines.push([row.key, ...extra, row.input, row.output, row.cacheRead, row.cacheWrite, row.requests,
+      row.cacheHitRatio.toFixed(4), row.cost.toFixed(4)].map(csvCell).join(','));
+  }
+
+  const range = report.days > 0 ? `${report.days}d` : 'all';
+  return { content: lines.join('\n') + '\n', filename: `claude-usage-by-${groupBy}-${range}.csv`, mimeType: 'text/csv' };
+}
+
+// --- Pane state persistence (same pattern as conversations.js) ---
+
+function ensureDataDir() {
+  if (!existsSync(DATA_DIR)) {
+    mkdirSync(DATA_DIR, { recursive: true });
+  }
+}
+
+function loadUsagePanes() {
+  try {
+    ensureDataDir();
+    if (!existsSync(USAGE_PANES_FILE)) return [];
+    const state = JSON.parse(readFileSync(USAGE_PANES_FILE, 'utf-8'));
+    return state.usagePanes || [];
+  } catch (error) {
+    console.error('[Usage] Error loading panes:', error);
+    return [];
+  }
+}
+
+function saveUsagePanes(panes) {
+  try {
+    ensureDataDir();
+    writeFileSync(USAGE_PANES_FILE, JSON.stringify({ usagePanes: panes, version: 1 }, null, 2));
+  } catch (error) {
+    console.error('[Usage] Error saving panes:', error);
+  }
+}
+
+let usagePanesCache = loadUsagePanes();
+
+export const usageService = {
+  GROUP_BY,
+
+  listUsagePanes() {
+    return usagePanesCache;
+  },
+
+  getUsagePane(id) {
+    return usagePanesCache.find(p => p.id === id);
+  },
+
+  createUsagePane({ position, size, device, days }) {
+    const pane = {
+      id: randomUUID(),
+      days: Number.isInteger(days) && days >= 0 ? days : DEFAULT_DAYS,
+      position: position || { x: 100, y: 100 },
+      size: size || { width: 720, height: 560 },
+      device: device || null,
+      createdAt: new Date().toISOString(),
+    };
+    usagePanesCache.push(pane);
+    saveUsagePanes(usagePanesCache);
+    return pane;
+  },
+
+  updateUsagePane(id, updates) {
+    const pane = usagePanesCache.find(p => p.id === id);
+    if (!pane) throw new Error(`Usage pane not found: ${id}`);
+    if (Number.isInteger(updates.days) && updates.days >= 0) pane.days = updates.days;
+    saveUsagePanes(usagePanesCache);
+    return pane;
+  },
+
+  deleteUsagePane(id) {
+    const index = usagePanesCache.findIndex(p => p.id === id);
+    if (index !== -1) {
+      usagePanesCache.splice(index, 1);
+      saveUsagePanes(usagePanesCache);
+    }
+  },
+
+  async getReport(days) {
+    const report = await buildReport(days);
+    const { sessions, ...rest } = report;
+    return { ...rest, topSessions: sessions.slice(0, TOP_SESSIONS), sessionCount: sessions.length };
+  },
+
+  async exportCsv(days, groupBy) {
+    return reportToCsv(await buildReport(days), groupBy);
+  },
+};
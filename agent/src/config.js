@@ -17,9 +17,33 @@ try {
 
 const defaultDir = join(homedir(), '.49agents');
 
+// Ports the localhost preview may reach (services/previewProxy.js): common dev
+// server ports unless TC_PREVIEW_PORTS lists others ("3000,5173-5179", or
+// "none"). Returns a list of [from, to] ranges.
+const DEFAULT_PREVIEW_PORTS = '3000-3009,4200,4321,5000-5009,5173-5179,8000-8009,8080-8089,8888';
+
+function parsePortRanges(value) {
+  return value.split(',').map(part => part.trim()).filter(Boolean).flatMap((part) => {
+    const m = part.match(/^(\d{1,5})(?:-(\d{1,5}))?$/);
+    if (!m) return [];
+    const from = parseInt(m[1], 10);
+    const to = m[2] ? parseInt(m[2], 10) : from;
+    return from >= 1 && to <= 65535 && from <= to ? [[from, to]] : [];
+  });
+}
+
 export const config = {
   cloudUrl: process.env.TC_CLOUD_URL || 'ws://localhost:1071',
   configDir: process.env.TC_CONFIG_DIR || defaultDir,
   dataDir: process.env.TC_CONFIG_DIR || defaultDir,
+  hookPort: parseInt(process.env.TC_HOOK_PORT, 10) || 7690,
+  // 'ttyd' (default) or 'tmux' for the in-process tmux control-mode bridge
+  terminalBackend: process.env.TC_TERMINAL_BACKEND === 'tmux' ? 'tmux' : 'ttyd',
+  // Direct LAN mode (see directServer.js): off unless a port is given
+  directPort: parseInt(process.env.TC_DIRECT_PORT, 10) || null,
+  directHosts: (process.env.TC_DIRECT_HOST || '').split(',').map(h => h.trim()).filter(Boolean),
+  directTlsCert: process.env.TC_DIRECT_TLS_CERT || null,
+  directTlsKey: process.env.TC_DIRECT_TLS_KEY || null,
+  previewPorts: parsePortRanges(process.env.TC_PREVIEW_PORTS ?? DEFAULT_PREVIEW_PORTS),
   version,
 };
@@ -0,0 +1,225 @@
+import { EventEmitter } from 'events';
+import { createServer as createHttpServer } from 'http';
+import { createServer as createHttpsServer } from 'https';
+import { readFileSync } from 'fs';
+import { randomBytes } from 'crypto';
+import os from 'os';
+import { WebSocketServer, WebSocket } from 'ws';
+import { MSG, FRAME, encodeFrame, decodeFrame } from './protocol.js';
+import { config } from './config.js';
+
+// Direct LAN mode: an optional WebSocket listener on the agent, so a browser
+// on the same network can skip the round trip through the cloud relay.
+// Enabled with TC_DIRECT_PORT; advertised to browsers through agent:auth.
+//
+// Browsers authenticate with a one-time ticket they request over the relay
+// (POST /api/direct/ticket), so only a browser the relay has already
+// authenticated for this agent's account can open a direct link. The relay
+// says who asked and with which canvas role: viewers of a shared canvas get
+// no ticket, and a member's links close when they lose that role
+// (direct:role from the relay).
+//
+// A direct link speaks the relay's browser protocol minus agentId. Replies to
+// requests made over a link go back on that link only; everything else the
+// agent sends goes to the relay and to every direct link, and browsers drop
+// whichever copy arrives second (terminal output by stream offset).
+
+const TICKET_TTL_MS = 30000;
+const PING_INTERVAL_MS = 30000;
+
+// Canvas roles allowed a direct link: everything a link carries types or
+// changes something on the agent, which viewers may not do
+const DIRECT_ROLES = new Set(['owner', 'operator']);
+
+// Browser messages a direct link may carry (cloud-only types stay on the relay)
+const ALLOWED_TYPES = new Set([
+  MSG.REQUEST, MSG.TERMINAL_ATTACH, MSG.TERMINAL_INPUT, MSG.TERMINAL_RESIZE,
+  MSG.TERMINAL_SCROLL, MSG.TERMINAL_CLOSE, MSG.TERMINAL_DETACH, MSG.E2E_HELLO,
+]);
+
+class DirectServer extends EventEmitter {
+  constructor() {
+    super();
+    this.wss = null;
+    this.server = null;
+    this.clients = new Set();
+    this.tickets = new Map();      // ticket -> { expiresAt, sender }
+    this.requestLinks = new Map(); // request id -> ws it arrived on
+    this.pingTimer = null;
+  }
+
+  get enabled() {
+    return this.server !== null;
+  }
+
+  /** Start listening if TC_DIRECT_PORT is set. Emits 'message' like RelayClient. */
+  start() {
+    if (this.server || !config.directPort) return;
+    const tls = config.directTlsCert && config.directTlsKey;
+    this.server = tls
+      ? createHttpsServer({ cert: readFileSync(config.directTlsCert), key: readFileSync(config.directTlsKey) })
+      : createHttpServer();
+    this.server.on('request', (req, res) => {
+      res.writeHead(426, { 'Content-Type': 'text/plain' });
+      res.end('49Agents direct link: WebSocket only\n');
+    });
+    this.wss = new WebSocketServer({ server: this.server, maxPayload: 1024 * 1024, verifyClient: (info) => this.verify(info) });
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+    this.server.on('error', (err) => {
+      console.error(`[Direct] Listener on port ${config.directPort} failed:`, err.message);
+      this.stop();
+    });
+    this.server.listen(config.directPort, () => {
+      console.log(`[Direct] Listening for direct browser links on ${tls ? 'wss' : 'ws'}://${this.addresses().join(', ')}:${config.directPort}`);
+    });
+    this.pingTimer = setInterval(() => {
+      for (const ws of this.clients) {
+        if (ws.isAlive === false) { ws.terminate(); continue; }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, PING_INTERVAL_MS);
+    this.pingTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+    for (const ws of this.clients) ws.close(1001, 'Agent shutting down');
+    this.clients.clear();
+    this.wss?.close();
+    this.server?.close();
+    this.wss = null;
+    this.server = null;
+  }
+
+  /** Addresses browsers should try: TC_DIRECT_HOST, else this machine's LAN IPv4s. */
+  addresses() {
+    if (config.directHosts.length > 0) return config.directHosts;
+    const found = [];
+    for (const list of Object.values(os.networkInterfaces())) {
+      for (const iface of list || []) {
+        if (iface.family === 'IPv4' && !iface.internal) found.push(iface.address);
+      }
+    }
+    return found;
+  }
+
+  /** Advertisement for agent:auth, or null when direct mode is off. */
+  info() {
+    if (!this.enabled) return null;
+    return { port: config.directPort, addresses: this.addresses(), tls: !!(config.directTlsCert && config.directTlsKey) };
+  }
+
+  /**
+   * One-time ticket for a browser to open a direct link within TICKET_TTL_MS,
+   * or null if the sender ({ userId, role }, stamped by the relay) may not
+   * have a link.
+   */
+  issueTicket(sender) {
+    if (!sender?.userId || !DIRECT_ROLES.has(sender.role)) return null;
+    const now = Date.now();
+    for (const [ticket, entry] of this.tickets) {
+      if (entry.expiresAt < now) this.tickets.delete(ticket);
+    }
+    const ticket = randomBytes(24).toString('base64url');
+    this.tickets.set(ticket, { expiresAt: now + TICKET_TTL_MS, sender: { userId: sender.userId, role: sender.role } });
+    return { ticket, expiresIn: TICKET_TTL_MS / 1000 };
+  }
+
+  verify({ req }) {
+    const ticket = new URL(req.url, 'http://localhost').searchParams.get('ticket');
+    const entry = ticket && this.tickets.get(ticket);
+    if (!entry) return false;
+    this.tickets.delete(ticket);
+    if (entry.expiresAt < Date.now()) return false;
+    req.directSender = entry.sender;
+    return true;
+  }
+
+  /**
+   * A canvas member's role changed (null: removed). Links and unused tickets
+   * of a member who may no longer have a link are closed.
+   */
+  setMemberRole(userId, role) {
+    if (DIRECT_ROLES.has(role)) {
+      for (const ws of this.clients) {
+        if (ws.sender.userId === userId) ws.sender.role = role;
+      }
+      return;
+    }
+    for (const [ticket, entry] of this.tickets) {
+      if (entry.sender.userId === userId) this.tickets.delete(ticket);
+    }
+    for (const ws of this.clients) {
+      if (ws.sender.userId === userId) ws.close(4403, 'Canvas role changed');
+    }
+  }
+
+  handleConnection(ws, req) {
+    this.clients.add(ws);
+    ws.isAlive = true;
+    ws.sender = req.directSender;
+    const remote = req.socket.remoteAddress;
+    console.log(`[Direct] Browser linked from ${remote} as ${ws.sender.role} (${this.clients.size} direct)`);
+
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) {
+        if (!DIRECT_ROLES.has(ws.sender.role)) return;
+        const frame = decodeFrame(data);
+        if (frame?.kind !== FRAME.TERMINAL_INPUT) return;
+        this.emit('message', { type: MSG.TERMINAL_INPUT, payload: { terminalId: frame.terminalId, data: frame.data } }, ws);
+        return;
+      }
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+      if (message.type === 'ping') {
+        ws.send(JSON.stringify({ type: 'pong' }));
+        return;
+      }
+      if (!ALLOWED_TYPES.has(message.type) || !DIRECT_ROLES.has(ws.sender.role)) return;
+      if (message.type === MSG.REQUEST && message.id) this.requestLinks.set(message.id, ws);
+      this.emit('message', { type: message.type, payload: message.payload, ...(message.id ? { id: message.id } : {}) }, ws);
+    });
+    ws.on('close', () => {
+      this.clients.delete(ws);
+      for (const [id, link] of this.requestLinks) {
+        if (link === ws) this.requestLinks.delete(id);
+      }
+      console.log(`[Direct] Browser link from ${remote} closed (${this.clients.size} direct)`);
+    });
+    ws.on('error', (err) => console.warn(`[Direct] Link error from ${remote}:`, err.message));
+  }
+
+  sendOn(ws, type, payload, extra = {}) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    if (type === MSG.TERMINAL_OUTPUT && Buffer.isBuffer(payload.data)) {
+      ws.send(encodeFrame(FRAME.TERMINAL_OUTPUT, payload.terminalId, '', payload.data, payload.seq), { binary: true });
+      return;
+    }
+    ws.send(JSON.stringify({ type, payload, ...extra }));
+  }
+
+  /**
+   * Send a reply to a request that arrived over a direct link. Returns false
+   * if the request came through the relay (or its link has closed).
+   */
+  reply(type, payload, extra = {}) {
+    const ws = extra.id && this.requestLinks.get(extra.id);
+    if (!ws) return false;
+    if (type === MSG.RESPONSE) this.requestLinks.delete(extra.id);
+    this.sendOn(ws, type, payload, extra);
+    return true;
+  }
+
+  broadcast(type, payload, extra = {}) {
+    for (const ws of this.clients) this.sendOn(ws, type, payload, extra);
+  }
+}
+
+export const directServer = new DirectServer();
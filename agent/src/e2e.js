@@ -0,0 +1,282 @@
+import { createECDH, createHash, createCipheriv, createDecipheriv, hkdfSync, randomBytes } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { config } from './config.js';
+import { MSG } from './protocol.js';
+
+// Opt-in end-to-end encryption between browsers and this agent.
+//
+// The agent has a long-lived P-256 identity key (~/.49agents/e2e.json) and a
+// random channel key generated at startup. A browser sends its public key in
+// e2e:hello; if that key is trusted (approved while pairing, or with
+// `49-agent e2e trust <fingerprint>`), the agent replies with the channel key
+// wrapped for that browser (ECDH + HKDF + AES-GCM). From then on request and
+// response payloads, terminal data and Claude states are AES-256-GCM sealed
+// with the channel key; the relay only sees type, agentId, ids, stream offsets
+// and each terminal's bare Claude state (for push notifications and webhooks).
+//
+// Sealed blob: [iv: senderId(4) | counter(u64 BE)][ciphertext][tag(16)]
+// AAD: `${type}\0${terminalId || requestId}`, so a blob cannot be replayed as
+// another message type or onto another terminal or request. Each counter is
+// accepted once per sender (within a window), so a blob cannot be replayed at all.
+
+const E2E_FILE = join(config.configDir, 'e2e.json');
+const WRAP_INFO = '49agents-e2e-wrap-v1';
+const TAG_LENGTH = 16;
+const IV_LENGTH = 12;
+
+// Agent -> browser messages whose payload (or terminal data) is sealed
+const SEALED_OUTBOUND = new Set([MSG.RESPONSE, MSG.SCAN_PARTIAL, MSG.TERMINAL_OUTPUT, MSG.TERMINAL_HISTORY, MSG.CLAUDE_STATES]);
+
+let state = null;       // contents of e2e.json
+let ecdh = null;
+const channelKey = randomBytes(32);
+const senderId = randomBytes(4);
+let counter = 0n;
+const lastSeen = new Map(); // sender id (hex) -> { max, recent } counters accepted
+// Counters accepted out of order per sender: a browser that switches between
+// the relay and a direct LAN link may have copies overtake each other
+const REPLAY_WINDOW = 4096n;
+
+function loadState() {
+  try {
+    if (existsSync(E2E_FILE)) return JSON.parse(readFileSync(E2E_FILE, 'utf-8'));
+  } catch (err) {
+    console.error('[E2E] Failed to read e2e.json:', err.message);
+  }
+  return { enabled: false, privateKey: null, publicKey: null, trustedBrowsers: [], pendingBrowsers: [] };
+}
+
+function saveState() {
+  mkdirSync(config.configDir, { recursive: true });
+  writeFileSync(E2E_FILE, JSON.stringify(state, null, 2), { mode: 0o600 });
+}
+
+/** Load (creating on first use) the identity key pair. */
+function ensureIdentity() {
+  if (!state) state = loadState();
+  if (ecdh) return;
+  ecdh = createECDH('prime256v1');
+  if (state.privateKey) {
+    ecdh.setPrivateKey(Buffer.from(state.privateKey, 'base64'));
+  } else {
+    ecdh.generateKeys();
+    state.privateKey = ecdh.getPrivateKey('base64');
+    state.publicKey = ecdh.getPublicKey('base64');
+    saveState();
+  }
+}
+
+/**
+ * Short, human-comparable identifier for a raw P-256 public key: the first
+ * 16 bytes of its SHA-256, as hex in groups of four.
+ */
+export function fingerprint(publicKeyBase64) {
+  const hex = createHash('sha256').update(Buffer.from(publicKeyBase64, 'base64')).digest('hex').slice(0, 32);
+  return hex.match(/.{4}/g).join(':');
+}
+
+function normalizeFingerprint(fp) {
+  return String(fp || '').toLowerCase().replace(/[^0-9a-f]/g, '').match(/.{1,4}/g)?.join(':') || '';
+}
+
+function isPublicKey(value) {
+  if (typeof value !== 'string') return false;
+  const raw = Buffer.from(value, 'base64');
+  return raw.length === 65 && raw[0] === 0x04;
+}
+
+/** claude:states without paths, titles or prompts: what the relay still needs. */
+function bareStates(states) {
+  const bare = {};
+  for (const [terminalId, info] of Object.entries(states || {})) {
+    bare[terminalId] = { isClaude: !!info?.isClaude, state: info?.state || null };
+  }
+  return bare;
+}
+
+function aad(type, ref) {
+  return Buffer.from(`${type}\0${ref || ''}`);
+}
+
+function acceptCounter(sender, count) {
+  let seen = lastSeen.get(sender);
+  if (!seen) lastSeen.set(sender, seen = { max: 0n, recent: new Set() });
+  if (count + REPLAY_WINDOW <= seen.max || seen.recent.has(count)) return false;
+  seen.recent.add(count);
+  if (count > seen.max) seen.max = count;
+  if (seen.recent.size > REPLAY_WINDOW) {
+    for (const c of seen.recent) if (c + REPLAY_WINDOW <= seen.max) seen.recent.delete(c);
+  }
+  return true;
+}
+
+function seal(type, ref, plaintext) {
+  counter += 1n;
+  const iv = Buffer.alloc(IV_LENGTH);
+  senderId.copy(iv, 0);
+  iv.writeBigUInt64BE(counter, 4);
+  const cipher = createCipheriv('aes-256-gcm', channelKey, iv);
+  cipher.setAAD(aad(type, ref));
+  return Buffer.concat([iv, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+/** Decrypt a blob sealed by a browser; null if forged, replayed or malformed. */
+function unseal(type, ref, blob) {
+  if (!Buffer.isBuffer(blob) || blob.length < IV_LENGTH + TAG_LENGTH) return null;
+  const iv = blob.subarray(0, IV_LENGTH);
+  const sender = iv.toString('hex', 0, 4);
+  const count = iv.readBigUInt64BE(4);
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', channelKey, iv);
+    decipher.setAAD(aad(type, ref));
+    decipher.setAuthTag(blob.subarray(blob.length - TAG_LENGTH));
+    const plaintext = Buffer.concat([decipher.update(blob.subarray(IV_LENGTH, blob.length - TAG_LENGTH)), decipher.final()]);
+    return acceptCounter(sender, count) ? plaintext : null;
+  } catch {
+    return null;
+  }
+}
+
+export const e2eService = {
+  get enabled() {
+    if (!state) state = loadState();
+    return !!state.enabled;
+  },
+
+  /** Identity public key (raw, base64) and its fingerprint. */
+  identity() {
+    ensureIdentity();
+    return { publicKey: state.publicKey, fingerprint: fingerprint(state.publicKey) };
+  },
+
+  setEnabled(enabled) {
+    ensureIdentity();
+    state.enabled = !!enabled;
+    saveState();
+  },
+
+  listBrowsers() {
+    state = loadState();
+    return { trusted: state.trustedBrowsers || [], pending: state.pendingBrowsers || [] };
+  },
+
+  /**
+   * Trust a browser key, given either the key itself (pairing) or the
+   * fingerprint of a key that has already said hello (pending list).
+   * Returns the trusted entry, or null if the fingerprint is unknown.
+   */
+  trustBrowser({ publicKey, fingerprint: fp, label = null }) {
+    state = loadState();
+    state.trustedBrowsers ||= [];
+    state.pendingBrowsers ||= [];
+    if (!publicKey) {
+      const wanted = normalizeFingerprint(fp);
+      publicKey = state.pendingBrowsers.find(b => b.fingerprint === wanted)?.publicKey;
+      if (!publicKey) return null;
+    }
+    if (!isPublicKey(publicKey)) return null;
+    const entry = { fingerprint: fingerprint(publicKey), publicKey, label, trustedAt: new Date().toISOString() };
+    state.trustedBrowsers = state.trustedBrowsers.filter(b => b.fingerprint !== entry.fingerprint);
+    state.trustedBrowsers.push(entry);
+    state.pendingBrowsers = state.pendingBrowsers.filter(b => b.fingerprint !== entry.fingerprint);
+    saveState();
+    return entry;
+  },
+
+  /** Remove a trusted browser. Takes full effect once the agent restarts. */
+  revokeBrowser(fp) {
+    state = loadState();
+    const wanted = normalizeFingerprint(fp);
+    const before = state.trustedBrowsers?.length || 0;
+    state.trustedBrowsers = (state.trustedBrowsers || []).filter(b => b.fingerprint !== wanted);
+    if (state.trustedBrowsers.length === before) return false;
+    saveState();
+    return true;
+  },
+
+  /**
+   * Answer a browser's e2e:hello. Trusted browsers get the channel key
+   * wrapped with a key only they can derive; others are recorded as pending
+   * so the user can trust them by fingerprint.
+   */
+  handleHello(payload) {
+    ensureIdentity();
+    const { publicKey, nonce } = payload || {};
+    if (!isPublicKey(publicKey) || typeof nonce !== 'string') return null;
+    const fp = fingerprint(publicKey);
+
+    // Re-read so `49-agent e2e trust` takes effect without a restart
+    const fresh = loadState();
+    state.trustedBrowsers = fresh.trustedBrowsers || [];
+    state.pendingBrowsers = fresh.pendingBrowsers || [];
+
+    if (!state.trustedBrowsers.some(b => b.publicKey === publicKey)) {
+      if (!state.pendingBrowsers.some(b => b.fingerprint === fp)) {
+        state.pendingBrowsers = [...state.pendingBrowsers, { fingerprint: fp, publicKey, seenAt: new Date().toISOString() }].slice(-20);
+        saveState();
+        console.log(`[E2E] Untrusted browser ${fp} asked for the channel key. To allow it, run: 49-agent e2e trust ${fp}`);
+      }
+      return { type: MSG.E2E_ERROR, payload: { to: fp, nonce, reason: 'untrusted' } };
+    }
+
+    const secret = ecdh.computeSecret(Buffer.from(publicKey, 'base64'));
+    const wrapKey = Buffer.from(hkdfSync('sha256', secret, Buffer.from(nonce, 'base64'), WRAP_INFO, 32));
+    const iv = randomBytes(IV_LENGTH);
+    const cipher = createCipheriv('aes-256-gcm', wrapKey, iv);
+    cipher.setAAD(Buffer.from(fp));
+    const wrapped = Buffer.concat([iv, cipher.update(channelKey), cipher.final(), cipher.getAuthTag()]);
+    return { type: MSG.E2E_KEY, payload: { to: fp, nonce, wrapped: wrapped.toString('base64') } };
+  },
+
+  /**
+   * Encrypt an outbound message's sensitive payload. Returns the
+   * [type, payload, extra] to send; messages not covered by e2e pass through.
+   */
+  seal(type, payload, extra = {}) {
+    if (!this.enabled || !SEALED_OUTBOUND.has(type)) return [type, payload, extra];
+    switch (type) {
+      case MSG.TERMINAL_OUTPUT:
+        return [type, { ...payload, data: seal(type, payload.terminalId, payload.data) }, extra];
+      case MSG.TERMINAL_HISTORY:
+        return [type, { ...payload, data: seal(type, payload.terminalId, Buffer.from(payload.data || '', 'base64')).toString('base64') }, extra];
+      case MSG.CLAUDE_STATES:
+        return [type, { e2e: seal(type, extra.id, Buffer.from(JSON.stringify(payload))).toString('base64'), states: bareStates(payload) }, extra];
+      default:
+        return [type, { e2e: seal(type, extra.id, Buffer.from(JSON.stringify(payload))).toString('base64') }, extra];
+    }
+  },
+
+  /**
+   * Decrypt an inbound message. Returns the message with its plaintext
+   * payload, the message unchanged if e2e does not cover it, or null if it
+   * must be dropped (plaintext where ciphertext is required, or a bad blob).
+   */
+  open(msg) {
+    if (!this.enabled) return msg;
+    if (msg.type === MSG.REQUEST) {
+      if (typeof msg.payload?.e2e !== 'string') return null;
+      const plaintext = unseal(msg.type, msg.id, Buffer.from(msg.payload.e2e, 'base64'));
+      if (!plaintext) return null;
+      let payload;
+      try {
+        payload = JSON.parse(plaintext.toString());
+      } catch {
+        return null;
+      }
+      // The relay enforces pane limits from the plaintext createPath label;
+      // refuse requests whose label does not match what they actually create
+      const path = String(payload.path || '').split('?')[0];
+      const creates = payload.method === 'POST' && /^\/api\/[a-z-]+$/.test(path) ? path : undefined;
+      if (msg.payload.createPath !== creates) return null;
+      return { ...msg, payload };
+    }
+    if (msg.type === MSG.TERMINAL_INPUT) {
+      const { terminalId, data } = msg.payload || {};
+      const blob = Buffer.isBuffer(data) ? data : Buffer.from(String(data || ''), 'base64');
+      const plaintext = unseal(msg.type, terminalId, blob);
+      return plaintext ? { ...msg, payload: { terminalId, data: plaintext } } : null;
+    }
+    return msg;
+  },
+};
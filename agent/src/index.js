@@ -2,10 +2,16 @@ import { RelayClient } from './relayClient.js';
 import { createMessageRouter } from './messageRouter.js';
 import { terminalManager } from './terminalManager.js';
 import { tmuxService } from '../services/tmux.js';
+import { claudeHooksService } from '../services/claudeHooks.js';
+import { rulesService } from '../services/rules.js';
+import { conversationSearchService } from '../services/conversationSearch.js';
+import { previewProxyService } from '../services/previewProxy.js';
 import { getLocalMetrics } from '../services/metrics.js';
 import { MSG } from './protocol.js';
 import { config } from './config.js';
 import { loadToken } from './auth.js';
+import { e2eService } from './e2e.js';
+import { directServer } from './directServer.js';
 
 let relayClient = null;
 let statePollingInterval = null;
@@ -23,20 +29,26 @@ function hasStateChanged(newStates) {
     if (!o) return true;
     if (n?.isClaude !== o?.isClaude) return true;
     if (n?.state !== o?.state) return true;
+    if (n?.source !== o?.source) return true;
+    if (n?.permission?.command !== o?.permission?.command) return true;
     if (n?.location?.name !== o?.location?.name) return true;
+    if (n?.worktree?.path !== o?.worktree?.path || n?.worktree?.branch !== o?.worktree?.branch) return true;
   }
   return false;
 }
 
 /**
  * Immediately push current Claude states to the relay if changed.
- * Scrapes tmux panes to detect Claude state via screen content.
+ * Uses Claude Code hook signals when available, otherwise scrapes tmux panes.
+ * Auto-answer rules are evaluated on every poll — even while the relay is
+ * disconnected, so unattended sessions keep moving.
  * Skips overlapping calls — if a previous poll is still running, the new one
  * is dropped to avoid piling up concurrent file/process inspections.
  */
 let statePollingInFlight = false;
 async function pushStatesNow() {
-  if (!relayClient || !relayClient.isConnected) return;
+  const connected = relayClient && relayClient.isConnected;
+  if (!connected && !rulesService.hasActiveRules()) return;
   if (statePollingInFlight) return; // Prevent overlapping calls
   statePollingInFlight = true;
   try {
@@ -44,9 +56,14 @@ async function pushStatesNow() {
     const states = await tmuxService.getAllClaudeStates();
     const dt = Date.now() - t0;
     if (dt > 500) console.warn(`[Agent] getAllClaudeStates took ${dt}ms`);
+    const fired = await rulesService.processStates(states);
+    if (!relayClient || !relayClient.isConnected) return;
+    for (const entry of fired) {
+      relayClient.send(MSG.RULES_FIRED, entry);
+    }
     if (!hasStateChanged(states)) return;
     lastPushedStates = states;
-    relayClient.send(MSG.CLAUDE_STATES, states);
+    relayClient.send(...e2eService.seal(MSG.CLAUDE_STATES, states));
   } catch {
     // Silently ignore push errors
   } finally {
@@ -56,7 +73,8 @@ async function pushStatesNow() {
 
 /**
  * Start polling for Claude states (2s interval).
- * Uses tmux screen scraping — no hooks or user configuration required.
+ * Works without hooks (screen scraping); hooks installed via
+ * "49-agent install-hooks" make the reported states exact.
  */
 function startStatePolling() {
   if (statePollingInterval) return;
@@ -137,22 +155,70 @@ export async function startAgent(options = {}) {
   const terminals = await tmuxService.discoverExistingTerminals();
   console.log(`[Agent] Discovered ${terminals.length} existing terminal(s)`);
 
+  // Local listener for Claude Code hook events (state detection without scraping)
+  claudeHooksService.start();
+
+  // Warm the conversation search index so the first search doesn't index everything
+  conversationSearchService.refreshIndex().catch((err) => {
+    console.error('[Agent] Conversation index warm-up failed:', err.message);
+  });
+
   // Create relay client
   relayClient = new RelayClient(cloudUrl, token);
 
+  // Poll states from the start so auto-answer rules run before the relay connects
+  startStatePolling();
+
+  if (e2eService.enabled) {
+    console.log(`[Agent] End-to-end encryption on — agent fingerprint ${e2eService.identity().fingerprint}`);
+  }
+
   // Create message router that sends responses back through relay
+  // (sealing the payloads end-to-end encryption covers, if enabled).
+  // Replies to requests made over a direct link go back on that link only;
+  // everything else also goes to direct links for lower latency, except
+  // replies to requests and to share link viewers (`observer`) via the relay.
   const handleMessage = createMessageRouter((type, payload, extra) => {
-    relayClient.send(type, payload, extra);
+    const sealed = e2eService.seal(type, payload, extra);
+    if (directServer.reply(...sealed)) return;
+    relayClient.send(...sealed);
+    if (type !== MSG.RESPONSE && type !== MSG.SCAN_PARTIAL && !extra?.observer) directServer.broadcast(...sealed);
   });
 
-  // Wire relay messages to the router with timing
-  relayClient.on('message', async (msg) => {
+  // Wire relay (and direct link) messages to the router with timing.
+  // `reply` answers on the link the message came in on.
+  const handleInbound = async (raw, reply, viaDirect) => {
+    if (raw.type === MSG.E2E_HELLO) {
+      const answer = e2eService.handleHello(raw.payload);
+      if (answer) reply(answer.type, answer.payload);
+      return;
+    }
+    const msg = e2eService.open(raw);
+    if (!msg) {
+      // Plaintext or undecryptable input while e2e is on: never act on it
+      if (raw.type === MSG.REQUEST && raw.id) {
+        reply(MSG.RESPONSE, { status: 403, body: { error: 'This agent requires end-to-end encryption' } }, { id: raw.id });
+      }
+      console.warn(`[Agent] Dropped ${raw.type} that was not end-to-end encrypted`);
+      return;
+    }
+    // Pane creation stays on the relay, which enforces the plan's pane limits
+    if (viaDirect && msg.type === MSG.REQUEST && msg.payload?.method === 'POST'
+      && /^\/api\/[a-z-]+$/.test(String(msg.payload.path || '').split('?')[0])) {
+      reply(MSG.RESPONSE, { status: 403, body: { error: 'Create panes through the cloud relay' } }, { id: msg.id });
+      return;
+    }
     const t0 = Date.now();
     const detail = msg.type === 'request' ? `${msg.payload?.method} ${msg.payload?.path}` : msg.type;
     await handleMessage(msg);
     const dt = Date.now() - t0;
     if (dt > 500) console.warn(`[Agent] handleMessage(${detail}) took ${dt}ms`);
-  });
+  };
+
+  relayClient.on('message', (raw) => handleInbound(raw, (...args) => relayClient.send(...args), false));
+  directServer.on('message', (raw, ws) => handleInbound(raw, (...args) => {
+    if (!directServer.reply(...args)) directServer.sendOn(ws, ...args);
+  }, true));
 
   relayClient.on('authenticated', async (payload) => {
     console.log('[Agent] Connected and authenticated to cloud relay');
@@ -172,8 +238,12 @@ export async function startAgent(options = {}) {
 
   relayClient.on('disconnected', () => {
     console.log('[Agent] Disconnected from cloud relay');
+    previewProxyService.closeAll();
   });
 
+  // Optional LAN listener; started first so agent:auth can advertise it
+  directServer.start();
+
   // Connect to cloud
   relayClient.connect();
 
@@ -182,7 +252,9 @@ export async function startAgent(options = {}) {
     console.log('[Agent] Shutting down...');
     stopStatePolling();
     stopMetricsPolling();
+    claudeHooksService.stop();
     terminalManager.stopAll();
+    directServer.stop();
     if (relayClient) {
       relayClient.disconnect();
     }
@@ -7,10 +7,16 @@ import { gitGraphService } from '../services/gitGraph.js';
 import { iframeService } from '../services/iframes.js';
 import { beadsService } from '../services/beads.js';
 import { conversationsService } from '../services/conversations.js';
+import { conversationSearchService } from '../services/conversationSearch.js';
+import { usageService } from '../services/usage.js';
 import { folderPaneService } from '../services/folderPanes.js';
+import { recordingService } from '../services/recordings.js';
+import { rulesService } from '../services/rules.js';
+import { previewProxyService } from '../services/previewProxy.js';
 import { getLocalMetrics } from '../services/metrics.js';
 import { performUpdate } from './updater.js';
-import { validateWorkingDirectory } from '../services/sanitize.js';
+import { directServer } from './directServer.js';
+import { validateWorkingDirectory, escapeShellArg } from '../services/sanitize.js';
 import { exec, execSync } from 'child_process';
 import { promisify } from 'util';
 import { readdirSync, statSync, readFileSync, writeFileSync, existsSync, unlinkSync, renameSync, rmdirSync, mkdirSync } from 'fs';
@@ -88,6 +94,10 @@ export function createMessageRouter(sendToRelay, options = {}) {
 
   // Usage API cache (5-minute TTL to avoid rate limiting)
   const USAGE_CACHE_TTL = 5 * 60 * 1000;
+
+  // Raw bytes per terminal:output when replaying missed output on reconnect
+  // (base64 JSON fallback must stay under the relay's 1 MB cap)
+  const RESUME_CHUNK_SIZE = 256 * 1024;
   let usageCache = null;
   let usageCacheTime = 0;
 
@@ -98,17 +108,37 @@ export function createMessageRouter(sendToRelay, options = {}) {
   // Buffer live output while history capture is in-flight.
   // Without this, ttyd output reaches the browser before terminal:history,
   // causing garbled/out-of-order content on page load.
-  const pendingHistoryCapture = new Map(); // terminalId -> base64Data[]
+  const pendingHistoryCapture = new Map(); // terminalId -> { data, seq }[]
 
   // Capture tmux history, send it, then flush any buffered output.
+  // The history message carries the stream position it corresponds to, so
+  // browsers can number the output that follows it.
   async function captureHistoryAndFlush(terminalId, cols, rows) {
     pendingHistoryCapture.set(terminalId, []);
+    const position = terminalManager.getOutputPosition(terminalId);
     try {
       // Resize tmux pane to match browser BEFORE capturing. ttyd sends the
       // resize via pty ioctl which races with our capture — by calling
       // tmux resize-pane directly we guarantee the correct width.
       await tmuxService.resizeTerminal(terminalId, cols, rows);
     } catch {}
+    const base64History = await captureHistoryBase64(terminalId);
+    // Sent even when empty: it announces the stream the buffered output belongs to
+    sendToRelay(MSG.TERMINAL_HISTORY, { terminalId, data: base64History, ...position });
+    // Flush buffered output that arrived during capture
+    const buffered = pendingHistoryCapture.get(terminalId);
+    pendingHistoryCapture.delete(terminalId);
+    if (buffered) {
+      for (const { data, seq } of buffered) {
+        sendToRelay(MSG.TERMINAL_OUTPUT, { terminalId, data, seq });
+      }
+    }
+    sendToRelay(MSG.TERMINAL_ATTACHED, { terminalId, cols, rows, ...terminalManager.getOutputPosition(terminalId) });
+  }
+
+  // Scrollback and screen of a terminal, cleaned up for xterm, as base64
+  // ('' if it could not be captured)
+  async function captureHistoryBase64(terminalId) {
     try {
       const history = await tmuxService.captureHistory(terminalId);
       if (history) {
@@ -128,68 +158,107 @@ export function createMessageRouter(sendToRelay, options = {}) {
           .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, ''); // OSC sequences
         // Only convert bare \n (not already \r\n) to \r\n for xterm.
         const normalized = stripped.replace(/(?<!\r)\n/g, '\r\n');
-        const base64History = Buffer.from(normalized).toString('base64');
-        sendToRelay(MSG.TERMINAL_HISTORY, { terminalId, data: base64History });
+        return Buffer.from(normalized).toString('base64');
       }
     } catch (err) {
       console.error(`[Terminal] Failed to capture history for ${terminalId.slice(0,8)}:`, err.message);
     }
-    // Flush buffered output that arrived during capture
-    const buffered = pendingHistoryCapture.get(terminalId);
-    pendingHistoryCapture.delete(terminalId);
-    if (buffered) {
-      for (const data of buffered) {
-        sendToRelay(MSG.TERMINAL_OUTPUT, { terminalId, data });
-      }
+    return '';
+  }
+
+  // Share link viewers (attached by the cloud with `observer`, the viewer's
+  // id) watch at the terminal's current size. They get the history and
+  // attach confirmation to themselves: no resize, no redraw nudge and no
+  // history broadcast, so the owner's browsers are not repainted.
+  async function observeTerminal(terminalId, observer) {
+    const size = await tmuxService.getPaneSize(terminalId);
+    if (!size) {
+      sendToRelay(MSG.TERMINAL_ERROR, { terminalId, message: 'Terminal is not running' }, { observer });
+      return;
     }
-    sendToRelay(MSG.TERMINAL_ATTACHED, { terminalId, cols, rows });
+    wireTerminal(terminalId, await terminalManager.attachTerminal(terminalId, size.cols, size.rows));
+    const position = terminalManager.getOutputPosition(terminalId);
+    const data = await captureHistoryBase64(terminalId);
+    sendToRelay(MSG.TERMINAL_HISTORY, { terminalId, data, ...position }, { observer });
+    sendToRelay(MSG.TERMINAL_ATTACHED, { terminalId, ...size, ...terminalManager.getOutputPosition(terminalId) }, { observer });
+  }
+
+  // Resend only the output a reconnecting browser missed (still in the agent's
+  // ring buffer), in chunks that fit the relay's message cap. No history
+  // capture and no redraw nudge, so the screen is not repainted or duplicated.
+  function resumeOutput(terminalId, cols, rows, seq, missed) {
+    for (let offset = 0; offset < missed.length; offset += RESUME_CHUNK_SIZE) {
+      sendToRelay(MSG.TERMINAL_OUTPUT, {
+        terminalId,
+        data: missed.subarray(offset, offset + RESUME_CHUNK_SIZE),
+        seq: seq + offset,
+      });
+    }
+    // Apply any resize the browser made while disconnected
+    terminalManager.resizeTerminal(terminalId, cols, rows);
+    sendToRelay(MSG.TERMINAL_ATTACHED, { terminalId, cols, rows, resumed: true, ...terminalManager.getOutputPosition(terminalId) });
+  }
+
+  // Relay a terminal's output, errors and closing (once per terminal connection)
+  function wireTerminal(terminalId, emitter) {
+    if (wiredTerminals.has(terminalId)) return;
+    wiredTerminals.add(terminalId);
+
+    // Wire error handler once to prevent crash on ttyd failures
+    emitter.on('error', (message) => {
+      console.error(`[Terminal] Error for ${terminalId.slice(0,8)}:`, message);
+      sendToRelay(MSG.TERMINAL_ERROR, { terminalId, message });
+    });
+
+    // data is a raw Buffer; the relay client frames it as binary or base64
+    emitter.on('output', (data, seq) => {
+      // Buffer output while history capture is in-flight
+      const pending = pendingHistoryCapture.get(terminalId);
+      if (pending) {
+        pending.push({ data, seq });
+        return;
+      }
+      sendToRelay(MSG.TERMINAL_OUTPUT, { terminalId, data, seq });
+    });
+
+    emitter.on('closed', () => {
+      wiredTerminals.delete(terminalId);
+      pendingHistoryCapture.delete(terminalId);
+      sendToRelay(MSG.TERMINAL_CLOSED, { terminalId });
+    });
   }
 
   const terminalHandlers = {
     [MSG.TERMINAL_ATTACH]: async (payload) => {
-      const { terminalId, cols, rows } = payload;
-      const alreadyWired = wiredTerminals.has(terminalId);
-      const emitter = await terminalManager.attachTerminal(terminalId, cols, rows);
-
-      if (!alreadyWired) {
-        wiredTerminals.add(terminalId);
-
-        // Wire error handler once to prevent crash on ttyd failures
-        emitter.on('error', (message) => {
-          console.error(`[Terminal] Error for ${terminalId.slice(0,8)}:`, message);
-          sendToRelay(MSG.TERMINAL_ERROR, { terminalId, message });
-        });
-
-        emitter.on('output', (base64Data) => {
-          // Buffer output while history capture is in-flight
-          const pending = pendingHistoryCapture.get(terminalId);
-          if (pending) {
-            pending.push(base64Data);
-            return;
-          }
-          sendToRelay(MSG.TERMINAL_OUTPUT, { terminalId, data: base64Data });
-        });
-
-        emitter.on('closed', () => {
-          wiredTerminals.delete(terminalId);
-          pendingHistoryCapture.delete(terminalId);
-          sendToRelay(MSG.TERMINAL_CLOSED, { terminalId });
-        });
-
-        // Capture history directly instead of relying on the 'attached' event.
-        // terminalManager emits 'attached' via process.nextTick, which fires
-        // BEFORE promise microtasks in Node.js — so the handler wired above
-        // would never catch it (the event fires before this code runs).
-        await captureHistoryAndFlush(terminalId, cols, rows);
-      } else {
-        // Already attached — buffer output during history recapture
-        await captureHistoryAndFlush(terminalId, cols, rows);
+      const { terminalId, streamId, seq: renderedSeq, cols, rows } = payload;
+      if (payload.observe) {
+        await observeTerminal(terminalId, payload.observer);
+        return;
       }
+      wireTerminal(terminalId, await terminalManager.attachTerminal(terminalId, cols, rows));
+
+      // Reconnecting browser: if everything after the last offset it rendered
+      // is still buffered, send just that. Skipped while another capture is in
+      // flight so its history and buffered output stay in order.
+      const missed = streamId && !pendingHistoryCapture.has(terminalId)
+        ? terminalManager.getOutputSince(terminalId, streamId, renderedSeq)
+        : null;
+      if (missed) {
+        resumeOutput(terminalId, cols, rows, renderedSeq, missed);
+        return;
+      }
+
+      // Capture history directly instead of relying on the 'attached' event.
+      // terminalManager emits 'attached' via process.nextTick, which fires
+      // BEFORE promise microtasks in Node.js — so the handler wired above
+      // would never catch it (the event fires before this code runs).
+      // Output arriving meanwhile is buffered until the history is sent.
+      await captureHistoryAndFlush(terminalId, cols, rows);
       // Force tmux to resend screen content by nudging the pane size.
       // Without this, terminals reconnected after relay drops (or resumed
       // after being killed) may show stale/blank visible area.
       setTimeout(() => {
-        tmuxService.forceRedraw(terminalId, cols, rows).catch(() => {});
+        terminalManager.forceRedraw(terminalId, cols, rows).catch(() => {});
       }, 200);
     },
 
@@ -254,11 +323,11 @@ export function createMessageRouter(sendToRelay, options = {}) {
         // === Terminals ===
         case 'GET /api/terminals': {
           const terminals = await tmuxService.listTerminals();
-          return respond(200, terminals);
+          return respond(200, terminals.map(t => ({ ...t, recording: recordingService.isEnabled(t.id) })));
         }
         case 'POST /api/terminals': {
-          const { workingDir = '~', position, device, size } = body;
-          const terminal = await tmuxService.createTerminal(workingDir, position, device, size);
+          const { workingDir = '~', position, device, size, command = null } = body;
+          const terminal = await tmuxService.createTerminal(workingDir, position, device, size, command);
           return respond(200, terminal);
         }
         case 'POST /api/terminals/resume': {
@@ -355,6 +424,23 @@ export function createMessageRouter(sendToRelay, options = {}) {
         }
         case 'POST /api/file-panes': {
           const { fileName, filePath, content, position, device, size } = body;
+          // File at a git revision (from the commit inspector): read-only snapshot
+          if (body.gitGraphId && body.revision) {
+            const gitGraph = gitGraphService.getGitGraph(body.gitGraphId);
+            if (!gitGraph) return respond(404, { error: 'Git graph pane not found' });
+            expandAndValidatePath(gitGraph.repoPath);
+            const file = await gitGraphService.readFileAtRevision(gitGraph.repoPath, body.revision, body.revisionPath);
+            if (file.missing) return respond(404, { error: `${body.revisionPath} does not exist at ${body.revision}` });
+            if (file.binary) return respond(400, { error: 'Binary files cannot be opened' });
+            const filePane = filePaneService.createFilePane({
+              fileName: body.revisionPath.split('/').pop(),
+              content: file.content,
+              revision: { hash: body.revision, path: body.revisionPath, repoPath: gitGraph.repoPath },
+              position,
+              size,
+            });
+            return respond(200, filePane);
+          }
           const filePane = filePaneService.createFilePane({ fileName, filePath, content, position, device, size });
           return respond(200, filePane);
         }
@@ -410,6 +496,42 @@ export function createMessageRouter(sendToRelay, options = {}) {
           return respond(200, iframe);
         }
 
+        // === Recordings ===
+        case 'GET /api/recordings': {
+          const recordings = recordingService.listRecordings();
+          return respond(200, recordings);
+        }
+        case 'GET /api/replay-panes': {
+          const replayPanes = recordingService.listReplayPanes();
+          return respond(200, replayPanes);
+        }
+        case 'POST /api/replay-panes': {
+          const { recordingId, position, size, device } = body;
+          if (!recordingId) return respond(400, { error: 'recordingId required' });
+          const replayPane = recordingService.createReplayPane({ recordingId, position, size, device });
+          return respond(200, replayPane);
+        }
+
+        // === Rules ===
+        case 'GET /api/rules': {
+          return respond(200, rulesService.listRules());
+        }
+        case 'POST /api/rules': {
+          try {
+            const rule = rulesService.createRule(body);
+            return respond(200, rule);
+          } catch (err) {
+            return respond(400, { error: err.message });
+          }
+        }
+        case 'GET /api/rules/log': {
+          return respond(200, rulesService.getLog());
+        }
+        case 'DELETE /api/rules/log': {
+          rulesService.clearLog();
+          return respond(200, { success: true });
+        }
+
         // === Beads ===
         case 'GET /api/beads-projects/in-folder': {
           const rawPath = query.path;
@@ -446,6 +568,32 @@ export function createMessageRouter(sendToRelay, options = {}) {
           const convosPane = conversationsService.createConversationsPane({ dirPath, position, size, device });
           return respond(200, convosPane);
         }
+        case 'GET /api/conversations/search': {
+          const q = (query.q || '').trim();
+          if (!q) return respond(400, { error: 'q required' });
+          const { results, total } = await conversationSearchService.search(q, { limit: query.limit });
+          return respond(200, { query: q, hostname: localHostname, results, total, index: conversationSearchService.getIndexStats() });
+        }
+        case 'POST /api/conversations/fork': {
+          // New terminal in the conversation's cwd running a fresh claude session
+          // seeded with the exported transcript
+          const { sessionId, dirPath, position, size } = body || {};
+          if (!sessionId || !/^[\w-]+$/.test(sessionId)) return respond(400, { error: 'Valid sessionId required' });
+          const fork = await conversationsService.prepareFork(dirPath || homedir(), sessionId);
+          if (fork.error) return respond(404, fork);
+          const terminal = await tmuxService.createTerminal(fork.cwd || '~', position, undefined, size, `claude ${escapeShellArg(fork.prompt)}`);
+          return respond(200, { terminal, transcriptPath: fork.transcriptPath });
+        }
+
+        // === Usage Panes ===
+        case 'GET /api/usage-panes': {
+          return respond(200, usageService.listUsagePanes());
+        }
+        case 'POST /api/usage-panes': {
+          const { position, size, device, days } = body;
+          const usagePane = usageService.createUsagePane({ position, size, device, days });
+          return respond(200, usagePane);
+        }
 
         // === Folder Panes ===
         case 'GET /api/folder-panes': {
@@ -549,6 +697,14 @@ export function createMessageRouter(sendToRelay, options = {}) {
           }]);
         }
 
+        // === Direct LAN link (ticket for the browser to connect with) ===
+        case 'POST /api/direct/ticket': {
+          if (!directServer.enabled) return respond(404, { error: 'Direct mode is not enabled on this agent' });
+          const ticket = directServer.issueTicket(message.sender);
+          if (!ticket) return respond(403, { error: 'Your role on this canvas does not allow a direct link' });
+          return respond(200, ticket);
+        }
+
         default:
           break;
       }
@@ -564,6 +720,77 @@ export function createMessageRouter(sendToRelay, options = {}) {
         }
       }
 
+      // Terminal automation (cloud public API): POST /api/terminals/:id/input,
+      // GET /api/terminals/:id/screen. Input goes through tmux, so it works
+      // whether or not a browser has the terminal attached.
+      const terminalInputMatch = path.match(/^\/api\/terminals\/([^/]+)\/input$/);
+      if (terminalInputMatch && method === 'POST') {
+        const { text, key, enter = false } = body;
+        if (text === undefined && !key && !enter) return respond(400, { error: 'text, key or enter required' });
+        if (!tmuxService.getTerminal(terminalInputMatch[1])) return respond(404, { error: 'Terminal not found' });
+        await tmuxService.sendKeys(terminalInputMatch[1], { text, key, enter: !!enter });
+        return respond(200, { success: true });
+      }
+      const terminalScreenMatch = path.match(/^\/api\/terminals\/([^/]+)\/screen$/);
+      if (terminalScreenMatch && method === 'GET') {
+        if (!tmuxService.getTerminal(terminalScreenMatch[1])) return respond(404, { error: 'Terminal not found' });
+        const lines = Math.min(Math.max(parseInt(query.lines, 10) || 40, 1), 500);
+        return respond(200, { text: await tmuxService.capturePrompt(terminalScreenMatch[1], lines) });
+      }
+
+      // Terminal recording routes: GET/PUT /api/terminals/:id/recording
+      const terminalRecordingMatch = path.match(/^\/api\/terminals\/([^/]+)\/recording$/);
+      if (terminalRecordingMatch) {
+        const id = terminalRecordingMatch[1];
+        if (method === 'GET') {
+          return respond(200, recordingService.getStatus(id));
+        }
+        if (method === 'PUT') {
+          if (!tmuxService.getTerminal(id)) return respond(404, { error: 'Terminal not found' });
+          return respond(200, recordingService.setEnabled(id, !!body.enabled));
+        }
+      }
+
+      // Recording routes: GET/DELETE /api/recordings/:id
+      const recordingMatch = path.match(/^\/api\/recordings\/([^/]+)$/);
+      if (recordingMatch) {
+        const id = recordingMatch[1];
+        if (method === 'GET') {
+          const chunk = recordingService.readRecording(id, parseInt(query.offset, 10) || 0);
+          if (!chunk) return respond(404, { error: 'Recording not found' });
+          return respond(200, chunk);
+        }
+        if (method === 'DELETE') {
+          recordingService.deleteRecording(id);
+          return respond(200, { success: true });
+        }
+      }
+
+      // Replay pane routes: DELETE /api/replay-panes/:id
+      const replayPaneMatch = path.match(/^\/api\/replay-panes\/([^/]+)$/);
+      if (replayPaneMatch && method === 'DELETE') {
+        recordingService.deleteReplayPane(replayPaneMatch[1]);
+        return respond(200, { success: true });
+      }
+
+      // Rule routes: PATCH/DELETE /api/rules/:id
+      const ruleMatch = path.match(/^\/api\/rules\/([^/]+)$/);
+      if (ruleMatch) {
+        const id = ruleMatch[1];
+        if (method === 'PATCH') {
+          try {
+            const rule = rulesService.updateRule(id, body);
+            return respond(200, rule);
+          } catch (err) {
+            return respond(400, { error: err.message });
+          }
+        }
+        if (method === 'DELETE') {
+          rulesService.deleteRule(id);
+          return respond(200, { success: true });
+        }
+      }
+
       // File pane routes: GET/PATCH/DELETE /api/file-panes/:id
       const filePaneMatch = path.match(/^\/api\/file-panes\/([^/]+)$/);
       if (filePaneMatch) {
@@ -645,6 +872,117 @@ export function createMessageRouter(sendToRelay, options = {}) {
         }
       }
 
+      // Commit inspector: GET /api/git-graphs/:id/commit/:hash, GET /api/git-graphs/:id/commit/:hash/diff?path=&origPath=
+      const gitCommitMatch = path.match(/^\/api\/git-graphs\/([^/]+)\/commit\/([0-9a-fA-F]+)(\/diff)?$/);
+      if (gitCommitMatch && method === 'GET') {
+        const [, id, hash, isDiff] = gitCommitMatch;
+        const gitGraph = gitGraphService.getGitGraph(id);
+        if (!gitGraph) return respond(404, { error: 'Git graph pane not found' });
+        expandAndValidatePath(gitGraph.repoPath);
+        try {
+          if (isDiff) {
+            if (!query.path) return respond(400, { error: 'path required' });
+            return respond(200, await gitGraphService.getCommitFileDiff(gitGraph.repoPath, hash, query.path, query.origPath || null));
+          }
+          return respond(200, await gitGraphService.getCommitDetail(gitGraph.repoPath, hash));
+        } catch (error) {
+          return respond(500, { error: error.message });
+        }
+      }
+
+      // Worktrees: GET/POST/DELETE /api/git-graphs/:id/worktrees, POST /api/git-graphs/:id/worktrees/terminal
+      const gitWorktreeMatch = path.match(/^\/api\/git-graphs\/([^/]+)\/worktrees(\/terminal)?$/);
+      if (gitWorktreeMatch) {
+        const [, id, isTerminal] = gitWorktreeMatch;
+        const gitGraph = gitGraphService.getGitGraph(id);
+        if (!gitGraph) return respond(404, { error: 'Git graph pane not found' });
+        expandAndValidatePath(gitGraph.repoPath);
+        const repoPath = gitGraph.repoPath;
+
+        // Open a terminal in a worktree, optionally starting claude there
+        const spawnTerminal = async (worktreePath) => {
+          const terminal = await tmuxService.createTerminal(worktreePath, body.position, body.device, body.size);
+          if (body.launchClaude) {
+            await tmuxService.sendKeys(terminal.id, { text: 'claude', enter: true });
+          }
+          return terminal;
+        };
+
+        try {
+          if (isTerminal && method === 'POST') {
+            const worktrees = await gitGraphService.listWorktrees(repoPath);
+            const worktree = worktrees.find(wt => wt.path === body.path);
+            if (!worktree) return respond(404, { error: 'Worktree not found' });
+            return respond(200, { worktree, terminal: await spawnTerminal(worktree.path) });
+          }
+          if (!isTerminal && method === 'GET') {
+            return respond(200, await gitGraphService.listWorktrees(repoPath));
+          }
+          if (!isTerminal && method === 'POST') {
+            const worktree = await gitGraphService.createWorktree(repoPath, body.branch, { startPoint: body.startPoint || null });
+            const terminal = body.openTerminal === false ? null : await spawnTerminal(worktree.path);
+            return respond(200, { worktree, terminal });
+          }
+          if (!isTerminal && method === 'DELETE') {
+            const worktree = await gitGraphService.removeWorktree(repoPath, query.path, {
+              force: query.force === 'true',
+              deleteBranch: query.deleteBranch === 'true',
+            });
+            return respond(200, { success: true, worktree });
+          }
+        } catch (error) {
+          return respond(500, { error: error.message });
+        }
+      }
+
+      // Git operations: GET status/diff/branches, POST stage/unstage/commit/checkout/fetch/pull
+      const gitGraphOpMatch = path.match(/^\/api\/git-graphs\/([^/]+)\/(status|diff|branches|stage|unstage|commit|checkout|fetch|pull)$/);
+      if (gitGraphOpMatch) {
+        const [, id, action] = gitGraphOpMatch;
+        const gitGraph = gitGraphService.getGitGraph(id);
+        if (!gitGraph) return respond(404, { error: 'Git graph pane not found' });
+        expandAndValidatePath(gitGraph.repoPath);
+        const repoPath = gitGraph.repoPath;
+        try {
+          switch (`${method} ${action}`) {
+            case 'GET status':
+              return respond(200, await gitGraphService.getStatus(repoPath));
+            case 'GET diff':
+              return respond(200, await gitGraphService.getFileDiff(repoPath, query.path, {
+                staged: query.staged === 'true',
+                untracked: query.untracked === 'true',
+              }));
+            case 'POST branches':
+              return respond(200, {
+                success: true,
+                output: await gitGraphService.createBranch(repoPath, body.name, { checkout: body.checkout !== false, startPoint: body.startPoint || null }),
+              });
+            case 'POST stage':
+            case 'POST unstage': {
+              const unstage = action === 'unstage';
+              if (body.hunkIndex !== undefined) {
+                await gitGraphService.applyHunk(repoPath, body.path, parseInt(body.hunkIndex), { unstage });
+              } else if (unstage) {
+                await gitGraphService.unstagePaths(repoPath, body.paths);
+              } else {
+                await gitGraphService.stagePaths(repoPath, body.paths);
+              }
+              return respond(200, { success: true });
+            }
+            case 'POST commit':
+              return respond(200, { success: true, output: await gitGraphService.commit(repoPath, body.message, { amend: !!body.amend }) });
+            case 'POST checkout':
+              return respond(200, { success: true, output: await gitGraphService.checkoutBranch(repoPath, body.branch) });
+            case 'POST fetch':
+              return respond(200, { success: true, output: await gitGraphService.fetchRemotes(repoPath) });
+            case 'POST pull':
+              return respond(200, { success: true, output: await gitGraphService.pull(repoPath) });
+          }
+        } catch (error) {
+          return respond(500, { error: error.message });
+        }
+      }
+
       const gitGraphMatch = path.match(/^\/api\/git-graphs\/([^/]+)$/);
       if (gitGraphMatch) {
         const id = gitGraphMatch[1];
@@ -777,6 +1115,34 @@ export function createMessageRouter(sendToRelay, options = {}) {
         return respond(200, result);
       }
 
+      // Usage pane routes: GET /api/usage-panes/:id/data?days=N, GET /api/usage-panes/:id/export?days=N&groupBy=X
+      const usageDataMatch = path.match(/^\/api\/usage-panes\/([^/]+)\/(data|export)$/);
+      if (usageDataMatch && method === 'GET') {
+        const [, id, action] = usageDataMatch;
+        const usagePane = usageService.getUsagePane(id);
+        if (!usagePane) return respond(404, { error: 'Usage pane not found' });
+        const days = query.days !== undefined ? Math.max(0, parseInt(query.days) || 0) : usagePane.days;
+        if (action === 'data') {
+          return respond(200, { ...await usageService.getReport(days), timestamp: Date.now() });
+        }
+        const groupBy = query.groupBy || 'session';
+        if (!usageService.GROUP_BY.includes(groupBy)) return respond(400, { error: `groupBy must be one of ${usageService.GROUP_BY.join(', ')}` });
+        return respond(200, await usageService.exportCsv(days, groupBy));
+      }
+
+      // PATCH/DELETE /api/usage-panes/:id
+      const usagePaneMatch = path.match(/^\/api\/usage-panes\/([^/]+)$/);
+      if (usagePaneMatch) {
+        const id = usagePaneMatch[1];
+        if (method === 'PATCH') {
+          return respond(200, usageService.updateUsagePane(id, body));
+        }
+        if (method === 'DELETE') {
+          usageService.deleteUsagePane(id);
+          return respond(200, { success: true });
+        }
+      }
+
       const convosPaneMatch = path.match(/^\/api\/conversations-panes\/([^/]+)$/);
       if (convosPaneMatch) {
         const id = convosPaneMatch[1];
@@ -839,6 +1205,18 @@ export function createMessageRouter(sendToRelay, options = {}) {
       return;
     }
 
+    // A canvas member's role changed; their direct links follow it
+    if (type === MSG.DIRECT_ROLE) {
+      directServer.setMemberRole(message.payload?.userId, message.payload?.role);
+      return;
+    }
+
+    // Localhost preview proxy (HTTP + WebSocket tunnelled by the cloud)
+    if (type?.startsWith('preview:')) {
+      previewProxyService.handleMessage(message, sendToRelay);
+      return;
+    }
+
     // Update notifications
     if (type === 'update:available') {
       console.log(`[Agent] Update available: ${message.payload?.currentVersion} → ${message.payload?.latestVersion}`);
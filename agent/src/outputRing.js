@@ -0,0 +1,68 @@
+import { randomUUID } from 'crypto';
+
+// Bytes of recent output kept per terminal connection for gap-free reconnects
+const DEFAULT_CAPACITY = 512 * 1024;
+
+/**
+ * Bounded buffer of one terminal stream's most recent output, addressed by
+ * byte offset. Every byte emitted on the stream gets a sequence number (its
+ * offset since the stream started), so a browser that remembers the offset
+ * it rendered up to can be sent exactly the bytes it missed.
+ *
+ * streamId changes whenever a new stream starts (a new ttyd connection), so
+ * offsets from an earlier stream are never mistaken for this one's.
+ */
+export class OutputRing {
+  constructor(capacity = DEFAULT_CAPACITY) {
+    this.streamId = randomUUID();
+    this.capacity = capacity;
+    this.chunks = [];
+    this.size = 0;
+    this.startSeq = 0; // offset of the oldest retained byte
+    this.endSeq = 0;   // offset just past the newest byte
+  }
+
+  /** Append a chunk and return the offset of its first byte. */
+  append(data) {
+    const seq = this.endSeq;
+    this.chunks.push(data);
+    this.size += data.length;
+    this.endSeq += data.length;
+
+    while (this.size > this.capacity) {
+      const excess = this.size - this.capacity;
+      const oldest = this.chunks[0];
+      if (oldest.length <= excess) {
+        this.chunks.shift();
+        this.size -= oldest.length;
+        this.startSeq += oldest.length;
+      } else {
+        this.chunks[0] = oldest.subarray(excess);
+        this.size -= excess;
+        this.startSeq += excess;
+      }
+    }
+    return seq;
+  }
+
+  /**
+   * Everything from `seq` to the end of the stream, or null if `seq` belongs
+   * to another stream or has already fallen out of the buffer.
+   */
+  since(streamId, seq) {
+    if (streamId !== this.streamId || !Number.isInteger(seq)) return null;
+    if (seq < this.startSeq || seq > this.endSeq) return null;
+
+    let skip = seq - this.startSeq;
+    const parts = [];
+    for (const chunk of this.chunks) {
+      if (skip >= chunk.length) {
+        skip -= chunk.length;
+        continue;
+      }
+      parts.push(skip > 0 ? chunk.subarray(skip) : chunk);
+      skip = 0;
+    }
+    return Buffer.concat(parts);
+  }
+}
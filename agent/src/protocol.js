@@ -28,6 +28,9 @@ export const MSG = {
   // Claude states
   CLAUDE_STATES: 'claude:states',
 
+  // Rules engine (agent auto-answered or flagged a prompt)
+  RULES_FIRED: 'rules:fired',
+
   // Metrics
   METRICS: 'metrics',
 
@@ -36,6 +39,25 @@ export const MSG = {
   RESPONSE: 'response',
   SCAN_PARTIAL: 'scan:partial',
 
+  // Localhost preview proxy (cloud <-> agent only, never sent to browsers)
+  PREVIEW_HTTP_REQUEST: 'preview:http:request',
+  PREVIEW_HTTP_ABORT: 'preview:http:abort',
+  PREVIEW_HTTP_RESPONSE: 'preview:http:response',
+  PREVIEW_HTTP_DATA: 'preview:http:data',
+  PREVIEW_HTTP_END: 'preview:http:end',
+  PREVIEW_WS_OPEN: 'preview:ws:open',
+  PREVIEW_WS_OPENED: 'preview:ws:opened',
+  PREVIEW_WS_MESSAGE: 'preview:ws:message',
+  PREVIEW_WS_CLOSE: 'preview:ws:close',
+
+  // End-to-end encryption handshake (browser <-> agent, see e2e.js)
+  E2E_HELLO: 'e2e:hello',
+  E2E_KEY: 'e2e:key',
+  E2E_ERROR: 'e2e:error',
+
+  // Canvas member's role changed (cloud -> agent, see directServer.js)
+  DIRECT_ROLE: 'direct:role',
+
   // Agent <-> Cloud
   AGENT_AUTH: 'agent:auth',
   AGENT_AUTH_OK: 'agent:auth:ok',
@@ -48,3 +70,49 @@ export const MSG = {
   UPDATE_INSTALL: 'update:install',
   UPDATE_PROGRESS: 'update:progress',
 };
+
+/**
+ * Binary relay frames for terminal I/O. Used only on links that negotiated
+ * them (agent:auth / browser ?frames=binary); JSON stays the fallback and is
+ * used for every other message.
+ *
+ *   [kind:u8][terminalIdLen:u8][terminalId][agentIdLen:u8][agentId][seq:f64][data...]
+ *
+ * agentId is empty on the agent link: the cloud fills it in for browsers and
+ * strips it from browser input before forwarding to the agent. seq is the
+ * output stream offset of the first data byte (0 for input).
+ */
+export const FRAME = {
+  TERMINAL_OUTPUT: 1,
+  TERMINAL_INPUT: 2,
+};
+
+export function encodeFrame(kind, terminalId, agentId, data, seq = 0) {
+  const id = Buffer.from(terminalId);
+  const agent = Buffer.from(agentId || '');
+  if (id.length > 255 || agent.length > 255) throw new Error('Frame id too long');
+  const header = Buffer.alloc(11 + id.length + agent.length);
+  header[0] = kind;
+  header[1] = id.length;
+  id.copy(header, 2);
+  header[2 + id.length] = agent.length;
+  agent.copy(header, 3 + id.length);
+  header.writeDoubleBE(seq, 3 + id.length + agent.length);
+  return Buffer.concat([header, data]);
+}
+
+/** Returns { kind, terminalId, agentId, seq, data } or null if malformed. */
+export function decodeFrame(buf) {
+  if (buf.length < 3) return null;
+  const idEnd = 2 + buf[1];
+  if (buf.length < idEnd + 1) return null;
+  const agentEnd = idEnd + 1 + buf[idEnd];
+  if (buf.length < agentEnd + 8) return null;
+  return {
+    kind: buf[0],
+    terminalId: buf.toString('utf8', 2, idEnd),
+    agentId: buf.toString('utf8', idEnd + 1, agentEnd),
+    seq: buf.readDoubleBE(agentEnd),
+    data: buf.subarray(agentEnd + 8),
+  };
+}
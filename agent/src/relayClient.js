@@ -1,7 +1,9 @@
 import { EventEmitter } from 'events';
 import WebSocket from 'ws';
 import os from 'os';
-import { MSG } from './protocol.js';
+import { MSG, FRAME, encodeFrame, decodeFrame } from './protocol.js';
+import { e2eService } from './e2e.js';
+import { directServer } from './directServer.js';
 import { config } from './config.js';
 
 const INITIAL_RECONNECT_DELAY = 1000;
@@ -19,6 +21,8 @@ export class RelayClient extends EventEmitter {
     this.pingTimer = null;
     this.authenticated = false;
     this.intentionalClose = false;
+    // Set when the cloud accepts binary terminal frames (agent:auth:ok)
+    this.binaryFrames = false;
   }
 
   connect() {
@@ -35,12 +39,17 @@ export class RelayClient extends EventEmitter {
 
     this.ws.on('open', () => {
       console.log('[RelayClient] Connected to cloud relay');
+      this.binaryFrames = false;
       this.reconnectDelay = INITIAL_RECONNECT_DELAY;
       this.authenticate();
       this.resetPingTimer();
     });
 
-    this.ws.on('message', (data) => {
+    this.ws.on('message', (data, isBinary) => {
+      if (isBinary) {
+        this.handleFrame(data);
+        return;
+      }
       try {
         const message = JSON.parse(data.toString());
         this.handleMessage(message);
@@ -72,9 +81,24 @@ export class RelayClient extends EventEmitter {
       hostname: os.hostname(),
       os: process.platform,
       version: config.version,
+      binaryFrames: true,
+      // Identity key browsers pin and verify; null when e2e is off
+      e2e: e2eService.enabled ? { publicKey: e2eService.identity().publicKey } : null,
+      // LAN listener browsers may connect to directly; null when off
+      direct: directServer.info(),
     });
   }
 
+  /**
+   * Binary frame from the cloud (terminal input). Re-emitted as the same
+   * message shape as JSON input, with data as a Buffer instead of base64.
+   */
+  handleFrame(data) {
+    const frame = decodeFrame(data);
+    if (!frame || frame.kind !== FRAME.TERMINAL_INPUT) return;
+    this.emit('message', { type: MSG.TERMINAL_INPUT, payload: { terminalId: frame.terminalId, data: frame.data } });
+  }
+
   handleMessage(message) {
     const { type, payload } = message;
 
@@ -82,6 +106,8 @@ export class RelayClient extends EventEmitter {
       case MSG.AGENT_AUTH_OK:
         console.log(`[RelayClient] Authentication successful — agent registered as "${os.hostname()}" (${payload?.agentId || 'unknown'})`);
         this.authenticated = true;
+        // Older clouds don't echo binaryFrames and keep getting JSON
+        this.binaryFrames = !!payload?.binaryFrames;
         this.emit('authenticated', payload);
         break;
 
@@ -142,6 +168,14 @@ export class RelayClient extends EventEmitter {
     }
 
     try {
+      // Terminal output carries a raw Buffer: binary frame if negotiated, else base64 JSON
+      if (type === MSG.TERMINAL_OUTPUT && Buffer.isBuffer(payload.data)) {
+        if (this.binaryFrames) {
+          this.ws.send(encodeFrame(FRAME.TERMINAL_OUTPUT, payload.terminalId, '', payload.data, payload.seq), { binary: true });
+          return true;
+        }
+        payload = { ...payload, data: payload.data.toString('base64') };
+      }
       this.ws.send(JSON.stringify({ type, payload, ...extra }));
       return true;
     } catch (err) {
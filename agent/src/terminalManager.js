@@ -1,15 +1,18 @@
 import { EventEmitter } from 'events';
-import { spawn, execSync } from 'child_process';
-import WebSocket from 'ws';
 import { tmuxService } from '../services/tmux.js';
-
-// Track ttyd processes by tmux session
-const ttydProcesses = new Map();
-const usedPorts = new Set();
-const BASE_PORT = 7700;
-const MAX_PORT = 7799;
-
-// Track active terminal connections: terminalId -> { ttydWs, emitter }
+import { recordingService } from '../services/recordings.js';
+import { config } from './config.js';
+import { OutputRing } from './outputRing.js';
+import { ttydBackend } from './ttydBackend.js';
+import { tmuxControlBackend } from './tmuxControlBackend.js';
+
+// How terminals reach tmux: a ttyd process per session (default), or an
+// in-process tmux control-mode client. Both hand out links with the same
+// interface (data/close/error events; write, resize, repaint, close, isOpen).
+const backend = config.terminalBackend === 'tmux' ? tmuxControlBackend : ttydBackend;
+
+// Track active terminal connections: terminalId -> { link, emitter, output }
+// output is the connection's OutputRing (sequence-numbered recent output)
 const activeTerminals = new Map();
 
 // Guard against concurrent attachTerminal() calls for the same terminalId.
@@ -31,7 +34,7 @@ function flushOutput(terminalId) {
   if (!chunks || chunks.length === 0) return;
   const merged = Buffer.concat(chunks);
   const c = activeTerminals.get(terminalId);
-  if (c) c.emitter.emit('output', merged.toString('base64'));
+  if (c) c.emitter.emit('output', merged, c.output.append(merged));
 }
 
 function emitOutput(terminalId, data) {
@@ -43,181 +46,19 @@ function emitOutput(terminalId, data) {
   buf.push(data);
 
   if (!outputTimers.has(terminalId)) {
-    outputTimers.set(terminalId, setTimeout(() => {
-      outputTimers.delete(terminalId);
-      const chunks = outputBuffers.get(terminalId);
-      outputBuffers.delete(terminalId);
-      if (!chunks || chunks.length === 0) return;
-      const merged = Buffer.concat(chunks);
-      const c = activeTerminals.get(terminalId);
-      if (c) c.emitter.emit('output', merged.toString('base64'));
-    }, 10));
-  }
-}
-
-// Serialize ttyd spawns to avoid tmux server lock contention.
-// When multiple terminals are created back-to-back, concurrent ttyd processes
-// each call `tmux attach-session`, which contends for tmux's internal lock.
-// This queue ensures only one ttyd spawn runs at a time.
-let spawnQueue = Promise.resolve();
-
-// Clean up stale ttyd processes on our port range at startup
-try {
-  for (let port = BASE_PORT; port <= MAX_PORT; port++) {
-    try {
-      if (process.platform === 'darwin') {
-        // macOS: lsof returns PIDs directly, may return multiple lines
-        const output = execSync(`lsof -ti :${port}`, { encoding: 'utf-8' }).trim();
-        if (output) {
-          for (const line of output.split('\n')) {
-            const pid = parseInt(line.trim());
-            if (pid) process.kill(pid, 9);
-          }
-        }
-      } else {
-        // Linux: use ss
-        const pid = execSync(`ss -tlnp | grep ":${port} " | grep -o 'pid=[0-9]*' | cut -d= -f2`, { encoding: 'utf-8' }).trim();
-        if (pid) {
-          process.kill(parseInt(pid), 9);
-        }
-      }
-    } catch { /* port not in use */ }
-  }
-} catch {
-  // Ignore errors
-}
-
-function getAvailablePort() {
-  for (let port = BASE_PORT; port <= MAX_PORT; port++) {
-    if (!usedPorts.has(port)) {
-      usedPorts.add(port);
-      return port;
-    }
-  }
-  throw new Error('No available ports for ttyd');
-}
-
-function releasePort(port) {
-  usedPorts.delete(port);
-}
-
-async function startTtyd(tmuxSession) {
-  const existing = ttydProcesses.get(tmuxSession);
-  if (existing) {
-    return existing.port;
-  }
-
-  const port = getAvailablePort();
-
-  return new Promise((resolve, reject) => {
-    const ttyd = spawn('ttyd', [
-      '-p', String(port),
-      '-W',
-      'tmux', 'attach-session', '-t', tmuxSession,
-    ], {
-      stdio: ['ignore', 'pipe', 'pipe'],
-    });
-
-    ttyd.stderr?.on('data', (data) => {
-      const msg = data.toString();
-      if (msg.includes('Listening on')) {
-        ttydProcesses.set(tmuxSession, { process: ttyd, port });
-        resolve(port);
-      }
-    });
-
-    ttyd.on('error', (err) => {
-      console.error(`[ttyd:${tmuxSession}] Error:`, err);
-      releasePort(port);
-      reject(err);
-    });
-
-    ttyd.on('exit', () => {
-      const info = ttydProcesses.get(tmuxSession);
-      if (info) {
-        releasePort(info.port);
-      }
-      ttydProcesses.delete(tmuxSession);
-    });
-
-    setTimeout(() => {
-      if (!ttydProcesses.has(tmuxSession)) {
-        ttyd.kill();
-        releasePort(port);
-        reject(new Error('ttyd startup timeout'));
-      }
-    }, 5000);
-  });
-}
-
-function startTtydSerialized(tmuxSession) {
-  const task = spawnQueue.then(() => startTtyd(tmuxSession));
-  // Update queue — swallow errors so a failed spawn doesn't block future spawns
-  spawnQueue = task.catch(() => {});
-  return task;
-}
-
-function stopTtyd(tmuxSession) {
-  const info = ttydProcesses.get(tmuxSession);
-  if (info) {
-    info.process.kill();
-    releasePort(info.port);
-    ttydProcesses.delete(tmuxSession);
-  }
-}
-
-function stopAllTtyd() {
-  for (const [session] of ttydProcesses) {
-    stopTtyd(session);
+    outputTimers.set(terminalId, setTimeout(() => flushOutput(terminalId), 10));
   }
 }
 
 /**
- * Connect to a ttyd WebSocket with retry logic
- */
-function connectToTtyd(port, cols, rows, attempt = 1) {
-  return new Promise((resolve, reject) => {
-    const ttydUrl = `ws://localhost:${port}/ws`;
-    const ttydWs = new WebSocket(ttydUrl, ['tty']);
-    ttydWs.binaryType = 'arraybuffer';
-
-    const timeout = setTimeout(() => {
-      ttydWs.close();
-      if (attempt < 5) {
-        connectToTtyd(port, cols, rows, attempt + 1).then(resolve).catch(reject);
-      } else {
-        reject(new Error('Failed to connect to ttyd'));
-      }
-    }, 1000);
-
-    ttydWs.on('open', () => {
-      clearTimeout(timeout);
-      ttydWs.send(JSON.stringify({ columns: cols || 80, rows: rows || 24 }));
-      resolve(ttydWs);
-    });
-
-    ttydWs.on('error', (err) => {
-      clearTimeout(timeout);
-      if (attempt < 5) {
-        setTimeout(() => {
-          connectToTtyd(port, cols, rows, attempt + 1).then(resolve).catch(reject);
-        }, 200);
-      } else {
-        reject(err);
-      }
-    });
-  });
-}
-
-/**
- * Exported terminal manager — wraps ttyd spawn/proxy and terminal lifecycle.
+ * Exported terminal manager — wraps the terminal backend and terminal lifecycle.
  * Returns EventEmitters for each attached terminal that emit 'output' and 'closed'.
  */
 export const terminalManager = {
   /**
-   * Attach to a terminal. Spawns ttyd if needed and proxies data.
+   * Attach to a terminal. Opens a backend link (spawning ttyd if needed) and proxies data.
    * Returns an EventEmitter that emits:
-   *   'output' (base64Data) — terminal output
+   *   'output' (Buffer, seq) — raw terminal output and the stream offset of its first byte
    *   'closed' () — terminal connection closed
    *   'error' (message) — error occurred
    */
@@ -259,53 +100,32 @@ export const terminalManager = {
     const emitter = new EventEmitter();
 
     try {
-      const port = await startTtydSerialized(terminal.tmuxSession);
-      let ttydWs;
-
-      try {
-        ttydWs = await connectToTtyd(port, cols, rows);
-      } catch (err) {
-        // If ttyd exists but connection failed, restart it and retry once
-        if (ttydProcesses.has(terminal.tmuxSession)) {
-          stopTtyd(terminal.tmuxSession);
-          const retryPort = await startTtydSerialized(terminal.tmuxSession);
-          ttydWs = await connectToTtyd(retryPort, cols, rows);
-        } else {
-          throw err;
-        }
-      }
+      const link = await backend.open(terminal.tmuxSession, cols, rows, terminalId.slice(0,8));
 
-      activeTerminals.set(terminalId, { ttydWs, emitter });
-      console.log(`[TerminalManager] ttyd WS connected for ${terminalId.slice(0,8)} on port ${port}, readyState=${ttydWs.readyState}`);
+      activeTerminals.set(terminalId, { link, emitter, output: new OutputRing() });
+      recordingService.setSize(terminalId, cols, rows);
 
-      ttydWs.on('ping', () => {
-        console.log(`[TerminalManager] ttyd ping for ${terminalId.slice(0,8)} at ${Date.now()} buffered=${ttydWs.bufferedAmount} readyState=${ttydWs.readyState}`);
+      link.on('data', (output) => {
+        recordingService.recordOutput(terminalId, output);
+        emitOutput(terminalId, output);
       });
 
-      ttydWs.on('message', (data) => {
-        const buffer = Buffer.from(data);
-        const msgType = String.fromCharCode(buffer[0]);
-        if (msgType === '0') {
-          emitOutput(terminalId, buffer.slice(1));
-        }
-      });
-
-      ttydWs.on('close', (code, reason) => {
-        console.warn(`[TerminalManager] ttyd WS closed for ${terminalId.slice(0,8)}: code=${code} reason=${reason || ''}`);
-        // Only delete if this WS is still the current one for this terminal.
+      link.on('close', (code, reason) => {
+        console.warn(`[TerminalManager] ${backend.name} link closed for ${terminalId.slice(0,8)}: code=${code} reason=${reason || ''}`);
+        // Only delete if this link is still the current one for this terminal.
         // Prevents a stale connection's close from nuking a newer connection.
         const current = activeTerminals.get(terminalId);
-        if (current && current.ttydWs === ttydWs) {
+        if (current && current.link === link) {
           flushOutput(terminalId);
           activeTerminals.delete(terminalId);
           emitter.emit('closed');
         } else {
-          console.warn(`[TerminalManager] ttyd WS close ignored for ${terminalId.slice(0,8)} (stale connection)`);
+          console.warn(`[TerminalManager] ${backend.name} link close ignored for ${terminalId.slice(0,8)} (stale connection)`);
         }
       });
 
-      ttydWs.on('error', (error) => {
-        console.error(`[TerminalManager] ttyd error for ${terminalId.slice(0,8)}:`, error.message);
+      link.on('error', (error) => {
+        console.error(`[TerminalManager] ${backend.name} error for ${terminalId.slice(0,8)}:`, error.message);
         emitter.emit('error', 'Terminal connection error');
       });
 
@@ -321,20 +141,35 @@ export const terminalManager = {
   },
 
   /**
-   * Send input data to a terminal
+   * Send input data (raw Buffer, or base64 from JSON relay messages) to a terminal
    */
-  sendInput(terminalId, base64Data) {
+  sendInput(terminalId, data) {
     const conn = activeTerminals.get(terminalId);
-    if (!conn || !conn.ttydWs || conn.ttydWs.readyState !== WebSocket.OPEN) {
-      console.warn(`[TerminalManager] sendInput dropped for ${terminalId.slice(0,8)}: conn=${!!conn} ws=${conn?.ttydWs ? conn.ttydWs.readyState : 'none'}`);
+    if (!conn || !conn.link.isOpen()) {
+      console.warn(`[TerminalManager] sendInput dropped for ${terminalId.slice(0,8)}: conn=${!!conn} open=${conn ? conn.link.isOpen() : 'none'}`);
       return;
     }
 
-    const inputData = Buffer.from(base64Data, 'base64');
-    const msg = Buffer.alloc(inputData.length + 1);
-    msg[0] = 0x30; // '0' — ttyd input prefix
-    inputData.copy(msg, 1);
-    conn.ttydWs.send(msg);
+    conn.link.write(Buffer.isBuffer(data) ? data : Buffer.from(data, 'base64'));
+  },
+
+  /**
+   * Current output stream position: { streamId, seq } where seq is the offset
+   * the next output byte will get. Null if the terminal is not attached.
+   */
+  getOutputPosition(terminalId) {
+    const conn = activeTerminals.get(terminalId);
+    return conn ? { streamId: conn.output.streamId, seq: conn.output.endSeq } : null;
+  },
+
+  /**
+   * Output emitted since `seq` on stream `streamId`, or null if that position
+   * is no longer buffered (other stream, or too far back) and the caller has
+   * to fall back to a full history capture.
+   */
+  getOutputSince(terminalId, streamId, seq) {
+    const conn = activeTerminals.get(terminalId);
+    return conn ? conn.output.since(streamId, seq) : null;
   },
 
   /**
@@ -342,18 +177,25 @@ export const terminalManager = {
    */
   resizeTerminal(terminalId, cols, rows, pixelWidth, pixelHeight) {
     const conn = activeTerminals.get(terminalId);
-    if (conn && conn.ttydWs && conn.ttydWs.readyState === WebSocket.OPEN) {
-      const resizeData = JSON.stringify({ columns: cols, rows });
-      const msg = Buffer.alloc(1 + resizeData.length);
-      msg[0] = 0x31; // '1' — ttyd resize prefix
-      msg.write(resizeData, 1);
-      conn.ttydWs.send(msg);
+    if (conn && conn.link.isOpen()) {
+      conn.link.resize(cols, rows);
     }
+    recordingService.setSize(terminalId, cols, rows);
 
     // Also resize the tmux pane (and persist pixel size if provided)
     tmuxService.resizeTerminal(terminalId, cols, rows, pixelWidth, pixelHeight);
   },
 
+  /**
+   * Nudge the tmux pane size so the running app redraws, then have the
+   * backend repaint the screen (ttyd's tmux client does that by itself).
+   */
+  async forceRedraw(terminalId, cols, rows) {
+    await tmuxService.forceRedraw(terminalId, cols, rows);
+    const conn = activeTerminals.get(terminalId);
+    if (conn && conn.link.isOpen()) await conn.link.repaint();
+  },
+
   /**
    * Scroll a terminal via tmux copy-mode
    */
@@ -362,33 +204,33 @@ export const terminalManager = {
   },
 
   /**
-   * Close a terminal (kill tmux session + stop ttyd)
+   * Close a terminal (kill tmux session + release its backend resources)
    */
   async closeTerminal(terminalId) {
     const terminal = tmuxService.getTerminal(terminalId);
 
-    // Close ttyd connection
+    // Close backend connection
     const conn = activeTerminals.get(terminalId);
-    if (conn && conn.ttydWs) {
+    if (conn) {
       flushOutput(terminalId);
-      conn.ttydWs.close();
+      conn.link.close();
       activeTerminals.delete(terminalId);
     }
 
     if (terminal) {
-      stopTtyd(terminal.tmuxSession);
+      backend.release(terminal.tmuxSession);
       await tmuxService.closeTerminal(terminalId);
     }
   },
 
   /**
-   * Detach from a terminal (close ttyd WS but keep tmux session alive)
+   * Detach from a terminal (close the backend link but keep tmux session alive)
    */
   detachTerminal(terminalId) {
     const conn = activeTerminals.get(terminalId);
-    if (conn && conn.ttydWs) {
+    if (conn) {
       flushOutput(terminalId);
-      conn.ttydWs.close();
+      conn.link.close();
       activeTerminals.delete(terminalId);
     }
   },
@@ -403,23 +245,21 @@ export const terminalManager = {
       list.push({
         id: terminalId,
         tmuxSession: terminal?.tmuxSession,
-        connected: conn.ttydWs?.readyState === WebSocket.OPEN,
+        connected: conn.link.isOpen(),
       });
     }
     return list;
   },
 
   /**
-   * Stop all ttyd processes (for shutdown)
+   * Close every terminal link and stop backend processes (for shutdown)
    */
   stopAll() {
-    // Close all active connections
-    for (const [terminalId, conn] of activeTerminals) {
-      if (conn.ttydWs) {
-        conn.ttydWs.close();
-      }
+    for (const conn of activeTerminals.values()) {
+      conn.link.close();
     }
     activeTerminals.clear();
-    stopAllTtyd();
+    recordingService.stopAll();
+    backend.stopAll();
   },
 };
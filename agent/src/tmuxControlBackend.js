@@ -0,0 +1,225 @@
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+
+// Terminal backend that attaches to tmux in control mode (`tmux -C`) from
+// inside the agent: no ttyd binary, no ports, no cap on attached terminals.
+// Selected with TC_TERMINAL_BACKEND=tmux.
+//
+// Control mode delivers the pane's raw output as %output notifications and
+// takes input as send-keys commands. tmux does not draw a screen for control
+// clients, so repaint() paints the visible pane from capture-pane instead.
+
+// Input bytes per send-keys command
+const INPUT_CHUNK_SIZE = 512;
+const OPEN_TIMEOUT_MS = 5000;
+const CLOSE_TIMEOUT_MS = 2000;
+
+const openLinks = new Set();
+
+/** Quote an argument for tmux's command parser. */
+function quote(arg) {
+  return `'${String(arg).replace(/'/g, `'\\''`)}'`;
+}
+
+/** %output payloads escape bytes below 0x20 and backslash as \ooo (octal). */
+function unescapeOutput(buf) {
+  const out = Buffer.alloc(buf.length);
+  let n = 0;
+  for (let i = 0; i < buf.length; i++) {
+    if (buf[i] === 0x5c && i + 3 < buf.length) {
+      out[n++] = parseInt(buf.toString('latin1', i + 1, i + 4), 8);
+      i += 3;
+    } else {
+      out[n++] = buf[i];
+    }
+  }
+  return out.subarray(0, n);
+}
+
+/**
+ * Control-mode client for one tmux session. Emits 'data' (Buffer),
+ * 'close' (code, reason) and 'error' (Error), like every terminal backend link.
+ */
+class TmuxControlLink extends EventEmitter {
+  constructor(tmuxSession) {
+    super();
+    this.paneId = null;
+    this.closed = false;
+    this.pending = [];  // commands awaiting replies: { blocks, outputs, error, resolve, reject }
+    this.reply = null;  // reply block being read: { tag, ours, lines, error }
+    this.partial = Buffer.alloc(0);
+
+    this.proc = spawn('tmux', ['-C', 'attach-session', '-t', tmuxSession], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    this.proc.stdout.on('data', (chunk) => this.handleData(chunk));
+    this.proc.stderr.on('data', (data) => {
+      console.warn(`[TmuxControl:${tmuxSession}] ${data.toString().trim()}`);
+    });
+    // Writes racing the client's exit fail with EPIPE; 'exit' reports the close
+    this.proc.stdin.on('error', () => {});
+    this.proc.on('error', (err) => this.finish(err));
+    this.proc.on('exit', (code, signal) => this.finish(null, code, signal));
+  }
+
+  finish(err, code = 1, signal = null) {
+    if (this.closed) return;
+    this.closed = true;
+    openLinks.delete(this);
+    for (const cmd of this.pending) cmd.reject(err || new Error('tmux control client exited'));
+    this.pending = [];
+    if (err && this.listenerCount('error') > 0) this.emit('error', err);
+    this.emit('close', code ?? 0, signal || '');
+  }
+
+  handleData(chunk) {
+    const buf = this.partial.length > 0 ? Buffer.concat([this.partial, chunk]) : chunk;
+    let start = 0;
+    let newline;
+    while ((newline = buf.indexOf(0x0a, start)) !== -1) {
+      this.handleLine(buf.subarray(start, newline));
+      start = newline + 1;
+    }
+    this.partial = Buffer.from(buf.subarray(start));
+  }
+
+  handleLine(line) {
+    if (this.reply) {
+      const text = line.toString();
+      const [marker, ...tag] = text.split(' ');
+      if ((marker === '%end' || marker === '%error') && tag.join(' ') === this.reply.tag) {
+        if (this.reply.ours) this.handleReply(this.reply.lines, marker === '%error');
+        this.reply = null;
+      } else {
+        this.reply.lines.push(text);
+      }
+      return;
+    }
+
+    if (line.subarray(0, 8).toString() === '%output ') {
+      const space = line.indexOf(0x20, 8);
+      if (space === -1 || line.toString('latin1', 8, space) !== this.paneId) return;
+      this.emit('data', unescapeOutput(line.subarray(space + 1)));
+      return;
+    }
+
+    const text = line.toString();
+    if (text.startsWith('%begin ')) {
+      // %begin <time> <number> <flags>; flags is 1 for commands this client sent
+      const tag = text.slice(7);
+      this.reply = { tag, ours: tag.split(' ')[2] === '1', lines: [] };
+    }
+    // Other notifications (%layout-change, %session-changed, %exit...) are not needed
+  }
+
+  handleReply(lines, isError) {
+    const cmd = this.pending[0];
+    if (!cmd) return;
+    if (isError && !cmd.error) cmd.error = new Error(lines.join(' ') || 'tmux command failed');
+    cmd.outputs.push(lines);
+    if (cmd.outputs.length < cmd.blocks) return;
+    this.pending.shift();
+    if (cmd.error) cmd.reject(cmd.error);
+    else cmd.resolve(cmd.outputs);
+  }
+
+  /**
+   * Run a control-mode command line; resolves with one array of output lines
+   * per command in it (`blocks` for a `;`-separated list).
+   */
+  command(line, blocks = 1) {
+    return new Promise((resolve, reject) => {
+      if (this.closed) {
+        reject(new Error('tmux control client is closed'));
+        return;
+      }
+      this.pending.push({ blocks, outputs: [], error: null, resolve, reject });
+      this.proc.stdin.write(line + '\n');
+    });
+  }
+
+  isOpen() {
+    return !this.closed && this.paneId !== null;
+  }
+
+  write(data) {
+    for (let offset = 0; offset < data.length; offset += INPUT_CHUNK_SIZE) {
+      const hex = Array.from(data.subarray(offset, offset + INPUT_CHUNK_SIZE), b => b.toString(16).padStart(2, '0'));
+      this.command(`send-keys -t ${this.paneId} -H ${hex.join(' ')}`).catch(() => {});
+    }
+  }
+
+  resize(cols, rows) {
+    if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols < 1 || rows < 1) return;
+    this.command(`refresh-client -C ${cols}x${rows}`).catch(() => {});
+  }
+
+  /**
+   * Emit a full paint of the visible pane (alternate screen, contents, cursor).
+   * Display and capture run as one command list, so no pane output can land
+   * between them; output already sent is covered by the snapshot and output
+   * after it follows the paint.
+   */
+  async repaint() {
+    const format = '#{cursor_x} #{cursor_y} #{alternate_on} #{cursor_flag}';
+    try {
+      const [[state], screen] = await this.command(
+        `display-message -p -t ${this.paneId} ${quote(format)} ; capture-pane -p -e -t ${this.paneId}`, 2);
+      const [x, y, alternate, cursorOn] = state.split(' ').map(Number);
+      const paint = (alternate ? '\x1b[?1049h' : '\x1b[?1049l')
+        + '\x1b[H\x1b[2J' + screen.join('\r\n') + '\x1b[0m'
+        + `\x1b[${y + 1};${x + 1}H` + (cursorOn ? '\x1b[?25h' : '\x1b[?25l');
+      this.emit('data', Buffer.from(paint));
+    } catch (err) {
+      console.warn(`[TmuxControl] Repaint of ${this.paneId} failed:`, err.message);
+    }
+  }
+
+  close() {
+    if (this.closed) return;
+    // EOF detaches the control client; kill it if tmux does not exit promptly
+    this.proc.stdin.end();
+    setTimeout(() => {
+      if (!this.closed) this.proc.kill();
+    }, CLOSE_TIMEOUT_MS).unref();
+  }
+}
+
+export const tmuxControlBackend = {
+  name: 'tmux',
+
+  /**
+   * Attach a control-mode client to a tmux session. Resolves with a
+   * TmuxControlLink once tmux has answered with the session's pane.
+   */
+  async open(tmuxSession, cols, rows, label) {
+    const link = new TmuxControlLink(tmuxSession);
+    let timer;
+    try {
+      const [[paneId]] = await Promise.race([
+        link.command(`display-message -p -t ${quote(tmuxSession)} '#{pane_id}'`),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('tmux control client did not respond')), OPEN_TIMEOUT_MS);
+        }),
+      ]);
+      link.paneId = paneId;
+    } catch (err) {
+      link.close();
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+    link.resize(cols || 80, rows || 24);
+    openLinks.add(link);
+    console.log(`[TerminalManager] tmux control client attached for ${label} (pane ${link.paneId})`);
+    return link;
+  },
+
+  /** Control clients exit on their own when their session is killed. */
+  release() {},
+
+  stopAll() {
+    for (const link of openLinks) link.close();
+    openLinks.clear();
+  },
+};
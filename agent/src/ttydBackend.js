@@ -0,0 +1,258 @@
+import { EventEmitter } from 'events';
+import { spawn, execSync } from 'child_process';
+import WebSocket from 'ws';
+
+// Terminal backend that runs one ttyd process per tmux session (ports
+// 7700–7799) and proxies its WebSocket. Selected with TC_TERMINAL_BACKEND=ttyd
+// (the default); see tmuxControlBackend.js for the in-process alternative.
+
+// Track ttyd processes by tmux session
+const ttydProcesses = new Map();
+const usedPorts = new Set();
+const BASE_PORT = 7700;
+const MAX_PORT = 7799;
+
+// Serialize ttyd spawns to avoid tmux server lock contention.
+// When multiple terminals are created back-to-back, concurrent ttyd processes
+// each call `tmux attach-session`, which contends for tmux's internal lock.
+// This queue ensures only one ttyd spawn runs at a time.
+let spawnQueue = Promise.resolve();
+
+// Kill stale ttyd processes left on our port range by a previous agent.
+// Runs once, on the first attach, so the tmux backend never touches these ports.
+let staleCleanupDone = false;
+function cleanupStaleTtyd() {
+  if (staleCleanupDone) return;
+  staleCleanupDone = true;
+  for (let port = BASE_PORT; port <= MAX_PORT; port++) {
+    try {
+      if (process.platform === 'darwin') {
+        // macOS: lsof returns PIDs directly, may return multiple lines
+        const output = execSync(`lsof -ti :${port}`, { encoding: 'utf-8' }).trim();
+        if (output) {
+          for (const line of output.split('\n')) {
+            const pid = parseInt(line.trim());
+            if (pid) process.kill(pid, 9);
+          }
+        }
+      } else {
+        // Linux: use ss
+        const pid = execSync(`ss -tlnp | grep ":${port} " | grep -o 'pid=[0-9]*' | cut -d= -f2`, { encoding: 'utf-8' }).trim();
+        if (pid) {
+          process.kill(parseInt(pid), 9);
+        }
+      }
+    } catch { /* port not in use */ }
+  }
+}
+
+function getAvailablePort() {
+  for (let port = BASE_PORT; port <= MAX_PORT; port++) {
+    if (!usedPorts.has(port)) {
+      usedPorts.add(port);
+      return port;
+    }
+  }
+  throw new Error('No available ports for ttyd');
+}
+
+function releasePort(port) {
+  usedPorts.delete(port);
+}
+
+async function startTtyd(tmuxSession) {
+  const existing = ttydProcesses.get(tmuxSession);
+  if (existing) {
+    return existing.port;
+  }
+
+  const port = getAvailablePort();
+
+  return new Promise((resolve, reject) => {
+    const ttyd = spawn('ttyd', [
+      '-p', String(port),
+      '-W',
+      'tmux', 'attach-session', '-t', tmuxSession,
+    ], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    ttyd.stderr?.on('data', (data) => {
+      const msg = data.toString();
+      if (msg.includes('Listening on')) {
+        ttydProcesses.set(tmuxSession, { process: ttyd, port });
+        resolve(port);
+      }
+    });
+
+    ttyd.on('error', (err) => {
+      console.error(`[ttyd:${tmuxSession}] Error:`, err);
+      releasePort(port);
+      reject(err);
+    });
+
+    ttyd.on('exit', () => {
+      const info = ttydProcesses.get(tmuxSession);
+      if (info) {
+        releasePort(info.port);
+      }
+      ttydProcesses.delete(tmuxSession);
+    });
+
+    setTimeout(() => {
+      if (!ttydProcesses.has(tmuxSession)) {
+        ttyd.kill();
+        releasePort(port);
+        reject(new Error('ttyd startup timeout'));
+      }
+    }, 5000);
+  });
+}
+
+function startTtydSerialized(tmuxSession) {
+  const task = spawnQueue.then(() => startTtyd(tmuxSession));
+  // Update queue — swallow errors so a failed spawn doesn't block future spawns
+  spawnQueue = task.catch(() => {});
+  return task;
+}
+
+function stopTtyd(tmuxSession) {
+  const info = ttydProcesses.get(tmuxSession);
+  if (info) {
+    info.process.kill();
+    releasePort(info.port);
+    ttydProcesses.delete(tmuxSession);
+  }
+}
+
+function stopAllTtyd() {
+  for (const [session] of ttydProcesses) {
+    stopTtyd(session);
+  }
+}
+
+/**
+ * Connect to a ttyd WebSocket with retry logic
+ */
+function connectToTtyd(port, cols, rows, attempt = 1) {
+  return new Promise((resolve, reject) => {
+    const ttydUrl = `ws://localhost:${port}/ws`;
+    const ttydWs = new WebSocket(ttydUrl, ['tty']);
+    ttydWs.binaryType = 'arraybuffer';
+
+    const timeout = setTimeout(() => {
+      ttydWs.close();
+      if (attempt < 5) {
+        connectToTtyd(port, cols, rows, attempt + 1).then(resolve).catch(reject);
+      } else {
+        reject(new Error('Failed to connect to ttyd'));
+      }
+    }, 1000);
+
+    ttydWs.on('open', () => {
+      clearTimeout(timeout);
+      ttydWs.send(JSON.stringify({ columns: cols || 80, rows: rows || 24 }));
+      resolve(ttydWs);
+    });
+
+    ttydWs.on('error', (err) => {
+      clearTimeout(timeout);
+      if (attempt < 5) {
+        setTimeout(() => {
+          connectToTtyd(port, cols, rows, attempt + 1).then(resolve).catch(reject);
+        }, 200);
+      } else {
+        reject(err);
+      }
+    });
+  });
+}
+
+/**
+ * Link to one ttyd WebSocket. Emits 'data' (Buffer), 'close' (code, reason)
+ * and 'error' (Error), like every terminal backend link.
+ */
+class TtydLink extends EventEmitter {
+  constructor(ttydWs, label) {
+    super();
+    this.ttydWs = ttydWs;
+
+    ttydWs.on('ping', () => {
+      console.log(`[TerminalManager] ttyd ping for ${label} at ${Date.now()} buffered=${ttydWs.bufferedAmount} readyState=${ttydWs.readyState}`);
+    });
+    ttydWs.on('message', (data) => {
+      const buffer = Buffer.from(data);
+      const msgType = String.fromCharCode(buffer[0]);
+      if (msgType === '0') {
+        this.emit('data', buffer.slice(1));
+      }
+    });
+    ttydWs.on('close', (code, reason) => this.emit('close', code, reason));
+    ttydWs.on('error', (error) => this.emit('error', error));
+  }
+
+  isOpen() {
+    return this.ttydWs.readyState === WebSocket.OPEN;
+  }
+
+  write(data) {
+    const msg = Buffer.alloc(data.length + 1);
+    msg[0] = 0x30; // '0' — ttyd input prefix
+    data.copy(msg, 1);
+    this.ttydWs.send(msg);
+  }
+
+  resize(cols, rows) {
+    const resizeData = JSON.stringify({ columns: cols, rows });
+    const msg = Buffer.alloc(1 + resizeData.length);
+    msg[0] = 0x31; // '1' — ttyd resize prefix
+    msg.write(resizeData, 1);
+    this.ttydWs.send(msg);
+  }
+
+  /** ttyd's tmux client repaints the whole screen itself after a resize nudge. */
+  repaint() {}
+
+  close() {
+    this.ttydWs.close();
+  }
+}
+
+export const ttydBackend = {
+  name: 'ttyd',
+
+  /**
+   * Attach to a tmux session through ttyd, spawning it if needed.
+   * Resolves with a TtydLink once the WebSocket is open.
+   */
+  async open(tmuxSession, cols, rows, label) {
+    cleanupStaleTtyd();
+    const port = await startTtydSerialized(tmuxSession);
+    let ttydWs;
+
+    try {
+      ttydWs = await connectToTtyd(port, cols, rows);
+    } catch (err) {
+      // If ttyd exists but connection failed, restart it and retry once
+      if (ttydProcesses.has(tmuxSession)) {
+        stopTtyd(tmuxSession);
+        const retryPort = await startTtydSerialized(tmuxSession);
+        ttydWs = await connectToTtyd(retryPort, cols, rows);
+      } else {
+        throw err;
+      }
+    }
+
+    console.log(`[TerminalManager] ttyd WS connected for ${label} on port ${port}, readyState=${ttydWs.readyState}`);
+    return new TtydLink(ttydWs, label);
+  },
+
+  /** The tmux session is going away: stop its ttyd. */
+  release(tmuxSession) {
+    stopTtyd(tmuxSession);
+  },
+
+  stopAll() {
+    stopAllTtyd();
+  },
+};
@@ -0,0 +1,229 @@
+/**
+ * End-to-end encryption tests (src/e2e.js): the key handshake a browser
+ * goes through, and sealing, counters and replay protection afterwards.
+ *
+ * Run: npm test
+ */
+
+import { test, after } from 'node:test';
+import assert from 'assert/strict';
+import { createECDH, createCipheriv, createDecipheriv, hkdfSync, randomBytes } from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// e2e.json lives in the config dir, which config.js reads at import time
+const configDir = mkdtempSync(join(tmpdir(), '49agents-e2e-test-'));
+process.env.TC_CONFIG_DIR = configDir;
+const { e2eService, fingerprint } = await import('../src/e2e.js');
+const { MSG } = await import('../src/protocol.js');
+
+after(() => rmSync(configDir, { recursive: true, force: true }));
+
+// ── A browser, as modules/e2e.js does it ──────────────────────────────────
+
+function makeBrowser() {
+  const ecdh = createECDH('prime256v1');
+  ecdh.generateKeys();
+  return { ecdh, publicKey: ecdh.getPublicKey('base64'), senderId: randomBytes(4), counter: 0n };
+}
+
+function handshake(browser) {
+  const nonce = randomBytes(16).toString('base64');
+  const answer = e2eService.handleHello({ publicKey: browser.publicKey, nonce });
+  if (answer.type !== MSG.E2E_KEY) return answer;
+  const secret = browser.ecdh.computeSecret(Buffer.from(e2eService.identity().publicKey, 'base64'));
+  const wrapKey = Buffer.from(hkdfSync('sha256', secret, Buffer.from(nonce, 'base64'), '49agents-e2e-wrap-v1', 32));
+  const wrapped = Buffer.from(answer.payload.wrapped, 'base64');
+  const decipher = createDecipheriv('aes-256-gcm', wrapKey, wrapped.subarray(0, 12));
+  decipher.setAAD(Buffer.from(fingerprint(browser.publicKey)));
+  decipher.setAuthTag(wrapped.subarray(wrapped.length - 16));
+  browser.channelKey = Buffer.concat([decipher.update(wrapped.subarray(12, wrapped.length - 16)), decipher.final()]);
+  return answer;
+}
+
+function sealAt(browser, count, type, ref, plaintext) {
+  const iv = Buffer.alloc(12);
+  browser.senderId.copy(iv, 0);
+  iv.writeBigUInt64BE(count, 4);
+  const cipher = createCipheriv('aes-256-gcm', browser.channelKey, iv);
+  cipher.setAAD(Buffer.from(`${type}\0${ref || ''}`));
+  return Buffer.concat([iv, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function browserSeal(browser, type, ref, plaintext) {
+  browser.counter += 1n;
+  return sealAt(browser, browser.counter, type, ref, plaintext);
+}
+
+function browserOpen(browser, type, ref, blob) {
+  const decipher = createDecipheriv('aes-256-gcm', browser.channelKey, blob.subarray(0, 12));
+  decipher.setAAD(Buffer.from(`${type}\0${ref || ''}`));
+  decipher.setAuthTag(blob.subarray(blob.length - 16));
+  return Buffer.concat([decipher.update(blob.subarray(12, blob.length - 16)), decipher.final()]);
+}
+
+function request(blob, id = 'req-1', createPath) {
+  return { type: MSG.REQUEST, id, payload: { e2e: blob.toString('base64'), createPath } };
+}
+
+function terminalInput(blob, terminalId = 't1') {
+  return { type: MSG.TERMINAL_INPUT, payload: { terminalId, data: blob } };
+}
+
+e2eService.setEnabled(true);
+const browser = makeBrowser();
+
+// ── Handshake ──────────────────────────────────────────────────────────────
+
+test('an untrusted browser is refused and listed as pending', () => {
+  const stranger = makeBrowser();
+  const answer = handshake(stranger);
+  assert.equal(answer.type, MSG.E2E_ERROR);
+  assert.equal(answer.payload.reason, 'untrusted');
+  assert.equal(answer.payload.to, fingerprint(stranger.publicKey));
+  assert.ok(e2eService.listBrowsers().pending.some(b => b.publicKey === stranger.publicKey));
+});
+
+test('hello with a malformed key or nonce gets no answer', () => {
+  assert.equal(e2eService.handleHello({ publicKey: 'AAAA', nonce: 'x' }), null);
+  assert.equal(e2eService.handleHello({ publicKey: browser.publicKey }), null);
+  assert.equal(e2eService.handleHello(null), null);
+});
+
+test('a pending browser trusted by fingerprint receives the channel key', () => {
+  const first = handshake(browser);
+  assert.equal(first.type, MSG.E2E_ERROR);
+  const entry = e2eService.trustBrowser({ fingerprint: fingerprint(browser.publicKey).toUpperCase() });
+  assert.equal(entry.publicKey, browser.publicKey);
+  const answer = handshake(browser);
+  assert.equal(answer.type, MSG.E2E_KEY);
+  assert.equal(browser.channelKey.length, 32);
+});
+
+test('every trusted browser gets the same channel key', () => {
+  const other = makeBrowser();
+  e2eService.trustBrowser({ publicKey: other.publicKey });
+  handshake(other);
+  assert.deepEqual(other.channelKey, browser.channelKey);
+});
+
+// ── Sealing and opening ────────────────────────────────────────────────────
+
+test('requests are opened and plaintext requests dropped', () => {
+  const payload = { method: 'GET', path: '/api/terminals' };
+  const opened = e2eService.open(request(browserSeal(browser, MSG.REQUEST, 'req-1', Buffer.from(JSON.stringify(payload)))));
+  assert.deepEqual(opened.payload, payload);
+  assert.equal(e2eService.open({ type: MSG.REQUEST, id: 'req-2', payload }), null);
+});
+
+test('a request bound to another id or type does not open', () => {
+  const blob = browserSeal(browser, MSG.REQUEST, 'req-3', Buffer.from('{}'));
+  assert.equal(e2eService.open(request(blob, 'req-4')), null);
+  const input = browserSeal(browser, MSG.TERMINAL_INPUT, 't1', Buffer.from('ls\r'));
+  assert.equal(e2eService.open(request(input, 't1')), null);
+});
+
+test('a request whose createPath label does not match what it creates is dropped', () => {
+  const payload = Buffer.from(JSON.stringify({ method: 'POST', path: '/api/terminals' }));
+  assert.equal(e2eService.open(request(browserSeal(browser, MSG.REQUEST, 'req-5', payload), 'req-5')), null);
+  const labelled = e2eService.open(request(browserSeal(browser, MSG.REQUEST, 'req-6', payload), 'req-6', '/api/terminals'));
+  assert.equal(labelled.payload.path, '/api/terminals');
+});
+
+test('terminal input opens from a Buffer or base64', () => {
+  const opened = e2eService.open(terminalInput(browserSeal(browser, MSG.TERMINAL_INPUT, 't1', Buffer.from('ls\r'))));
+  assert.equal(opened.payload.data.toString(), 'ls\r');
+  const b64 = browserSeal(browser, MSG.TERMINAL_INPUT, 't1', Buffer.from('pwd\r')).toString('base64');
+  assert.equal(e2eService.open(terminalInput(b64)).payload.data.toString(), 'pwd\r');
+});
+
+test('a tampered blob does not open', () => {
+  const blob = browserSeal(browser, MSG.TERMINAL_INPUT, 't1', Buffer.from('rm -rf /\r'));
+  blob[14] ^= 1;
+  assert.equal(e2eService.open(terminalInput(blob)), null);
+  assert.equal(e2eService.open(terminalInput(Buffer.alloc(20))), null);
+});
+
+test('messages e2e does not cover pass through', () => {
+  const msg = { type: MSG.TERMINAL_RESIZE, payload: { terminalId: 't1', cols: 80, rows: 24 } };
+  assert.equal(e2eService.open(msg), msg);
+  assert.deepEqual(e2eService.seal(MSG.TERMINAL_CLOSED, { terminalId: 't1' }), [MSG.TERMINAL_CLOSED, { terminalId: 't1' }, {}]);
+});
+
+test('responses are sealed to their request id', () => {
+  const [type, payload, extra] = e2eService.seal(MSG.RESPONSE, { status: 200, body: { ok: true } }, { id: 'req-9' });
+  assert.equal(type, MSG.RESPONSE);
+  assert.deepEqual(extra, { id: 'req-9' });
+  assert.deepEqual(Object.keys(payload), ['e2e']);
+  const blob = Buffer.from(payload.e2e, 'base64');
+  assert.deepEqual(JSON.parse(browserOpen(browser, MSG.RESPONSE, 'req-9', blob)), { status: 200, body: { ok: true } });
+  assert.throws(() => browserOpen(browser, MSG.RESPONSE, 'req-10', blob));
+});
+
+test('terminal output and history are sealed to their terminal', () => {
+  const [, output] = e2eService.seal(MSG.TERMINAL_OUTPUT, { terminalId: 't1', data: Buffer.from('hello') });
+  assert.equal(browserOpen(browser, MSG.TERMINAL_OUTPUT, 't1', output.data).toString(), 'hello');
+  const [, history] = e2eService.seal(MSG.TERMINAL_HISTORY, { terminalId: 't2', data: Buffer.from('past').toString('base64') });
+  assert.equal(browserOpen(browser, MSG.TERMINAL_HISTORY, 't2', Buffer.from(history.data, 'base64')).toString(), 'past');
+});
+
+test('claude states are sealed, leaving only each bare state in the clear', () => {
+  const states = {
+    t1: { isClaude: true, state: 'permission', cwd: '/home/me/secret-project', claudeSessionName: 'fix auth' },
+    t2: { isClaude: false, state: null, cwd: '/tmp' },
+  };
+  const [, payload] = e2eService.seal(MSG.CLAUDE_STATES, states);
+  assert.deepEqual(payload.states, { t1: { isClaude: true, state: 'permission' }, t2: { isClaude: false, state: null } });
+  assert.doesNotMatch(JSON.stringify(payload.states), /secret-project|fix auth/);
+  assert.deepEqual(JSON.parse(browserOpen(browser, MSG.CLAUDE_STATES, '', Buffer.from(payload.e2e, 'base64'))), states);
+});
+
+test('agent counters increase with every sealed message', () => {
+  const counterOf = (blob) => blob.readBigUInt64BE(4);
+  const [, a] = e2eService.seal(MSG.TERMINAL_OUTPUT, { terminalId: 't1', data: Buffer.from('a') });
+  const [, b] = e2eService.seal(MSG.TERMINAL_OUTPUT, { terminalId: 't1', data: Buffer.from('b') });
+  assert.equal(counterOf(b.data), counterOf(a.data) + 1n);
+  assert.deepEqual(a.data.subarray(0, 4), b.data.subarray(0, 4));
+});
+
+// ── Replay protection ──────────────────────────────────────────────────────
+
+test('a blob is accepted once', () => {
+  const blob = browserSeal(browser, MSG.TERMINAL_INPUT, 't1', Buffer.from('y'));
+  assert.notEqual(e2eService.open(terminalInput(blob)), null);
+  assert.equal(e2eService.open(terminalInput(blob)), null);
+});
+
+test('counters may arrive out of order within the replay window', () => {
+  const sender = makeBrowser();
+  sender.channelKey = browser.channelKey;
+  const early = sealAt(sender, 10n, MSG.TERMINAL_INPUT, 't1', Buffer.from('1'));
+  const late = sealAt(sender, 11n, MSG.TERMINAL_INPUT, 't1', Buffer.from('2'));
+  assert.notEqual(e2eService.open(terminalInput(late)), null);
+  assert.notEqual(e2eService.open(terminalInput(early)), null);
+  assert.equal(e2eService.open(terminalInput(early)), null);
+});
+
+test('counters older than the replay window are refused', () => {
+  const sender = makeBrowser();
+  sender.channelKey = browser.channelKey;
+  assert.notEqual(e2eService.open(terminalInput(sealAt(sender, 5000n, MSG.TERMINAL_INPUT, 't1', Buffer.from('a')))), null);
+  assert.notEqual(e2eService.open(terminalInput(sealAt(sender, 5000n - 4095n, MSG.TERMINAL_INPUT, 't1', Buffer.from('b')))), null);
+  assert.equal(e2eService.open(terminalInput(sealAt(sender, 5000n - 4096n, MSG.TERMINAL_INPUT, 't1', Buffer.from('c')))), null);
+  assert.equal(e2eService.open(terminalInput(sealAt(sender, 1n, MSG.TERMINAL_INPUT, 't1', Buffer.from('d')))), null);
+});
+
+test('each sender has its own counters', () => {
+  const a = makeBrowser();
+  const b = makeBrowser();
+  a.channelKey = b.channelKey = browser.channelKey;
+  assert.notEqual(e2eService.open(terminalInput(sealAt(a, 1n, MSG.TERMINAL_INPUT, 't1', Buffer.from('a')))), null);
+  assert.notEqual(e2eService.open(terminalInput(sealAt(b, 1n, MSG.TERMINAL_INPUT, 't1', Buffer.from('b')))), null);
+});
+
+test('revoking a browser removes it from the trusted list', () => {
+  assert.equal(e2eService.revokeBrowser(fingerprint(browser.publicKey)), true);
+  assert.equal(e2eService.revokeBrowser(fingerprint(browser.publicKey)), false);
+  assert.equal(handshake(browser).type, MSG.E2E_ERROR);
+});
@@ -0,0 +1,85 @@
+/**
+ * Output ring tests (src/outputRing.js): sequence numbering and what a
+ * reconnecting browser is sent to resume.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { OutputRing } from '../src/outputRing.js';
+
+const text = (buf) => buf && buf.toString();
+
+test('append returns the offset of each chunk', () => {
+  const ring = new OutputRing(1024);
+  assert.equal(ring.append(Buffer.from('abc')), 0);
+  assert.equal(ring.append(Buffer.from('de')), 3);
+  assert.equal(ring.append(Buffer.alloc(0)), 5);
+  assert.equal(ring.endSeq, 5);
+  assert.equal(ring.startSeq, 0);
+});
+
+test('since returns exactly the bytes after the rendered offset', () => {
+  const ring = new OutputRing(1024);
+  ring.append(Buffer.from('hello '));
+  ring.append(Buffer.from('world'));
+  assert.equal(text(ring.since(ring.streamId, 0)), 'hello world');
+  assert.equal(text(ring.since(ring.streamId, 3)), 'lo world');
+  assert.equal(text(ring.since(ring.streamId, 6)), 'world');
+  assert.equal(text(ring.since(ring.streamId, 8)), 'rld');
+});
+
+test('since at the end of the stream is empty, not null', () => {
+  const ring = new OutputRing(1024);
+  ring.append(Buffer.from('abc'));
+  const missed = ring.since(ring.streamId, 3);
+  assert.notEqual(missed, null);
+  assert.equal(missed.length, 0);
+});
+
+test('since refuses offsets past the end, from another stream or not integers', () => {
+  const ring = new OutputRing(1024);
+  ring.append(Buffer.from('abc'));
+  assert.equal(ring.since(ring.streamId, 4), null);
+  assert.equal(ring.since(new OutputRing().streamId, 0), null);
+  assert.equal(ring.since(ring.streamId, 1.5), null);
+  assert.equal(ring.since(ring.streamId, '1'), null);
+  assert.equal(ring.since(undefined, 0), null);
+});
+
+test('each ring starts a new stream', () => {
+  assert.notEqual(new OutputRing().streamId, new OutputRing().streamId);
+});
+
+test('old output is dropped past capacity, splitting a chunk if needed', () => {
+  const ring = new OutputRing(8);
+  ring.append(Buffer.from('abcdef'));
+  ring.append(Buffer.from('ghij'));
+  assert.equal(ring.startSeq, 2);
+  assert.equal(ring.endSeq, 10);
+  assert.equal(ring.size, 8);
+  assert.equal(text(ring.since(ring.streamId, 2)), 'cdefghij');
+  assert.equal(text(ring.since(ring.streamId, 7)), 'hij');
+  // Offsets that fell out of the buffer can't be resumed
+  assert.equal(ring.since(ring.streamId, 1), null);
+});
+
+test('whole chunks are dropped once they fall out', () => {
+  const ring = new OutputRing(4);
+  ring.append(Buffer.from('ab'));
+  ring.append(Buffer.from('cd'));
+  ring.append(Buffer.from('ef'));
+  assert.equal(ring.chunks.length, 2);
+  assert.equal(ring.startSeq, 2);
+  assert.equal(text(ring.since(ring.streamId, 2)), 'cdef');
+});
+
+test('a single chunk larger than capacity keeps only its tail', () => {
+  const ring = new OutputRing(4);
+  assert.equal(ring.append(Buffer.from('0123456789')), 0);
+  assert.equal(ring.startSeq, 6);
+  assert.equal(text(ring.since(ring.streamId, 6)), '6789');
+  assert.equal(ring.append(Buffer.from('x')), 10);
+  assert.equal(text(ring.since(ring.streamId, 7)), '789x');
+});
@@ -0,0 +1,53 @@
+/**
+ * Binary relay frame tests (src/protocol.js).
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { FRAME, encodeFrame, decodeFrame } from '../src/protocol.js';
+
+test('encodeFrame/decodeFrame round-trip output with a seq', () => {
+  const data = Buffer.from('hello \x1b[1mworld\x1b[0m');
+  const frame = encodeFrame(FRAME.TERMINAL_OUTPUT, 'term-1', '', data, 123456789);
+  const decoded = decodeFrame(frame);
+  assert.equal(decoded.kind, FRAME.TERMINAL_OUTPUT);
+  assert.equal(decoded.terminalId, 'term-1');
+  assert.equal(decoded.agentId, '');
+  assert.equal(decoded.seq, 123456789);
+  assert.deepEqual(Buffer.from(decoded.data), data);
+});
+
+test('input frames default seq to 0 and keep the agent id', () => {
+  const decoded = decodeFrame(encodeFrame(FRAME.TERMINAL_INPUT, 't', 'agent-9', Buffer.from('ls\r')));
+  assert.equal(decoded.kind, FRAME.TERMINAL_INPUT);
+  assert.equal(decoded.agentId, 'agent-9');
+  assert.equal(decoded.seq, 0);
+  assert.equal(decoded.data.toString(), 'ls\r');
+});
+
+test('ids are length-prefixed in UTF-8 bytes', () => {
+  const decoded = decodeFrame(encodeFrame(FRAME.TERMINAL_OUTPUT, 'tërm-é', 'ägent', Buffer.alloc(0)));
+  assert.equal(decoded.terminalId, 'tërm-é');
+  assert.equal(decoded.agentId, 'ägent');
+  assert.equal(decoded.data.length, 0);
+});
+
+test('binary data survives untouched', () => {
+  const data = Buffer.from([0, 255, 0xc3, 0x28, 10, 13]);
+  assert.deepEqual(Buffer.from(decodeFrame(encodeFrame(FRAME.TERMINAL_OUTPUT, 't', '', data, 7)).data), data);
+});
+
+test('encodeFrame rejects ids longer than 255 bytes', () => {
+  assert.throws(() => encodeFrame(FRAME.TERMINAL_INPUT, 'x'.repeat(256), '', Buffer.alloc(0)), /too long/);
+  assert.throws(() => encodeFrame(FRAME.TERMINAL_INPUT, 't', 'é'.repeat(128), Buffer.alloc(0)), /too long/);
+});
+
+test('decodeFrame returns null for truncated frames', () => {
+  const frame = encodeFrame(FRAME.TERMINAL_OUTPUT, 'term-1', 'agent', Buffer.alloc(0), 1);
+  for (let length = 0; length < frame.length; length++) {
+    assert.equal(decodeFrame(frame.subarray(0, length)), null, `length ${length}`);
+  }
+  assert.notEqual(decodeFrame(frame), null);
+});
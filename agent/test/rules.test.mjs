@@ -0,0 +1,80 @@
+/**
+ * Auto-response rule tests (services/rules.js): which keys a rule sends to
+ * a permission prompt, and that an allow rule sends nothing when the
+ * prompt's choices do not include a matching "Yes".
+ *
+ * Run: npm test
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// rules.json lives in the config dir, which config.js reads at import time
+const configDir = mkdtempSync(join(tmpdir(), '49agents-rules-test-'));
+process.env.TC_CONFIG_DIR = configDir;
+const { rulesService } = await import('../services/rules.js');
+const { tmuxService } = await import('../services/tmux.js');
+
+// No tmux here: record the keys instead of sending them
+const sent = [];
+tmuxService.capturePrompt = async () => 'Do you want to proceed?';
+tmuxService.sendKeys = async (terminalId, keys) => { sent.push({ terminalId, keys }); };
+
+after(() => {
+  rmSync(configDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  for (const rule of rulesService.listRules().slice()) rulesService.deleteRule(rule.id);
+  sent.length = 0;
+});
+
+let promptCount = 0;
+function permission(choices) {
+  // A new command each time, so every call is a fresh prompt
+  return {
+    t1: {
+      isClaude: true,
+      state: 'permission',
+      cwd: '/home/me/app',
+      permission: { toolName: 'Bash', command: `npm test ${++promptCount}`, choices },
+    },
+  };
+}
+
+const CHOICES = [
+  { key: '1', label: 'Yes' },
+  { key: '2', label: "Yes, and don't ask again for npm test" },
+  { key: '3', label: 'No, and tell Claude what to do differently' },
+];
+
+test('allow, allowAlways and deny press the matching choice', async () => {
+  for (const [action, key] of [['allow', '1'], ['allowAlways', '2'], ['deny', '3']]) {
+    const rule = rulesService.createRule({ name: action, action });
+    const [entry] = await rulesService.processStates(permission(CHOICES));
+    assert.equal(entry.sent, key, action);
+    assert.equal(entry.error, null);
+    rulesService.deleteRule(rule.id);
+  }
+  assert.deepEqual(sent.map(s => s.keys.key), ['1', '2', '3']);
+});
+
+test('allow rules send nothing when no choice matches', async () => {
+  rulesService.createRule({ name: 'allow', action: 'allow' });
+  for (const choices of [undefined, [], [{ key: '1', label: 'Proceed' }, { key: '2', label: 'Cancel' }]]) {
+    const [entry] = await rulesService.processStates(permission(choices));
+    assert.equal(entry.sent, null);
+    assert.match(entry.error, /No matching choice/);
+  }
+  assert.equal(sent.length, 0);
+  assert.match(rulesService.getLog()[0].error, /No matching choice/);
+});
+
+test('deny falls back to Escape without a matching choice', async () => {
+  rulesService.createRule({ name: 'deny', action: 'deny' });
+  const [entry] = await rulesService.processStates(permission([]));
+  assert.equal(entry.sent, 'Escape');
+});
@@ -0,0 +1,198 @@
+// 49Agents service worker.
+// Caches the app shell (the canvas page, app.min.js, xterm) and CDN assets
+// (Monaco, marked, fonts) so the installed app opens instantly and offline;
+// the canvas then draws the last known layout from IndexedDB
+// (src-client/modules/offline-cache.js). Also shows Web Push notifications
+// for Claude terminals that need a human (sent by
+// cloud/src/notifications/push.js) and opens the canvas on the pane when
+// one is clicked.
+
+// Bump when SHELL changes; old caches are deleted on activate
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `49agents-shell-${CACHE_VERSION}`;
+const CDN_CACHE = `49agents-cdn-${CACHE_VERSION}`;
+
+const SHELL = [
+  '/',
+  '/styles.css',
+  '/app.min.js',
+  '/themes.min.js',
+  '/tutorial.min.js',
+  '/analytics.min.js',
+  '/dev-panel.min.js',
+  '/lib/xterm.mjs',
+  '/lib/xterm.css',
+  '/lib/addon-fit.mjs',
+  '/lib/addon-web-links.mjs',
+  '/manifest.webmanifest',
+  '/icon.svg',
+  '/favicon.svg',
+  '/favicon.png',
+  '/favicon-48.png',
+];
+
+// Versioned URLs (Monaco 0.52.2, marked@15, ...) and fonts: cache-first
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  // One missing asset (e.g. a signed-out '/') must not fail the install
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await Promise.all(SHELL.map(url => cacheResponse(cache, url).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, CDN_CACHE];
+    for (const key of await caches.keys()) {
+      if (key.startsWith('49agents-') && !keep.includes(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// ── Caching ──
+
+// Fetch and store under `cacheKey` (default: the request itself)
+async function cacheResponse(cache, request, cacheKey = request) {
+  const res = await fetch(request);
+  // Never cache the login redirect as the canvas
+  if (res.ok && !res.redirected) await cache.put(cacheKey, res.clone());
+  return res;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    // The canvas page: network first so sign-in and deploys apply, cache when offline
+    if (request.mode === 'navigate' && url.pathname === '/') {
+      event.respondWith(networkFirst(request));
+      return;
+    }
+    if (SHELL.includes(url.pathname) || url.pathname.startsWith('/lib/')) {
+      event.respondWith(staleWhileRevalidate(request));
+    }
+    // API calls, auth and WebSockets go straight to the network
+    return;
+  }
+
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// The page is the same for /?pane=... and /?join=..., so it is cached once as '/'
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    return await cacheResponse(cache, request, '/');
+  } catch {
+    return (await cache.match('/')) || Response.error();
+  }
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const network = cacheResponse(cache, request).catch(() => null);
+  return cached || (await network) || Response.error();
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CDN_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  // Script tags load CDN files no-cors, so their responses are opaque (status 0)
+  if (res.ok || res.type === 'opaque') await cache.put(request, res.clone());
+  return res;
+}
+
+// ── Push ──
+
+self.addEventListener('push', (event) => {
+  let data;
+  try {
+    data = event.data.json();
+  } catch {
+    return;
+  }
+  event.waitUntil(showPush(data));
+});
+
+async function showPush(data) {
+  // A focused 49Agents tab already shows a toast for this
+  if (data.type === 'claude:state') {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.some(w => w.focused && w.visibilityState === 'visible')) return;
+  }
+
+  await self.registration.showNotification(data.title, {
+    body: data.body || '',
+    tag: data.tag,
+    renotify: true,
+    requireInteraction: data.escalation === 'critical',
+    icon: '/favicon.png',
+    badge: '/favicon-48.png',
+    data,
+    actions: data.type === 'claude:state'
+      ? [{ action: 'open', title: 'Open' }, { action: 'snooze', title: 'Snooze' }]
+      : [],
+  });
+}
+
+// ── Clicks ──
+
+self.addEventListener('notificationclick', (event) => {
+  const data = event.notification.data || {};
+  event.notification.close();
+  event.waitUntil(event.action === 'snooze' ? snooze(data) : openPane(data));
+});
+
+// The subscription endpoint and the notification's snooze token identify
+// this device and alert to the cloud, so snoozing works without a session
+// cookie
+async function snooze(data) {
+  const subscription = await self.registration.pushManager.getSubscription();
+  if (!subscription) return;
+  await fetch('/api/push/snooze', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ endpoint: subscription.endpoint, agentId: data.agentId, terminalId: data.terminalId, token: data.snoozeToken }),
+  }).catch(() => {});
+}
+
+// Focus an open canvas and let it jump to the pane, or open one at /?pane=<id>
+async function openPane(data) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const canvas = windows.find(w => new URL(w.url).pathname === '/');
+  if (canvas) {
+    await canvas.focus();
+    if (data.terminalId) canvas.postMessage({ type: 'push:open', terminalId: data.terminalId });
+    return;
+  }
+  await self.clients.openWindow(data.url || '/');
+}
+
+// ── Subscription renewal ──
+
+// The push service rotated the subscription: subscribe again with the same
+// key and tell the cloud (uses the session cookie, as the page would)
+self.addEventListener('pushsubscriptionchange', (event) => {
+  const options = event.oldSubscription?.options;
+  if (!options?.applicationServerKey) return;
+  event.waitUntil((async () => {
+    const subscription = await self.registration.pushManager.subscribe(options);
+    await fetch('/api/push/subscriptions', {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ subscription: subscription.toJSON(), deviceName: null }),
+    }).catch(() => {});
+  })());
+});
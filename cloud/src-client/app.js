@@ -2,11 +2,30 @@ import { Terminal } from './lib/xterm.mjs';
 import { FitAddon } from './lib/addon-fit.mjs';
 import { WebLinksAddon } from './lib/addon-web-links.mjs';
 import { playDismissSound, playNotificationSound, setSoundEnabled as _setSoundEnabled } from './modules/sounds.js';
-import { escapeHtml, formatBytes, metricColorClass, formatLocationPath, isExternalInputFocused, truncateUrl, isAgentVersionOutdated, getTerminalFontFamily } from './modules/utils.js';
-import { APP_VERSION, PANE_DEFAULTS, PANE_ENDPOINT_MAP, ICON_BEADS, ICON_GIT_GRAPH, ICON_FOLDER, ICON_CONVERSATIONS, CLAUDE_STATE_SVGS, CLAUDE_LOGO_SVG, RESET_ICON_SVG, WIFI_OFF_SVG, DEVICE_COLORS, TERMINAL_FONTS, CANVAS_BACKGROUNDS, osIcon } from './modules/constants.js';
+import { escapeHtml, formatBytes, metricColorClass, formatLocationPath, isExternalInputFocused, truncateUrl, localPreviewTarget, isAgentVersionOutdated, getTerminalFontFamily } from './modules/utils.js';
+import { APP_VERSION, PANE_DEFAULTS, PANE_ENDPOINT_MAP, ICON_BEADS, ICON_GIT_GRAPH, ICON_FOLDER, ICON_CONVERSATIONS, ICON_REPLAY, ICON_USAGE, CLAUDE_STATE_SVGS, CLAUDE_LOGO_SVG, RESET_ICON_SVG, WIFI_OFF_SVG, DEVICE_COLORS, TERMINAL_FONTS, CANVAS_BACKGROUNDS, osIcon } from './modules/constants.js';
 import { initMinimap, startMinimapLoop, hideMinimap, renderMinimap, getCanvasBounds, calcPlacementPos, setMinimapEnabled, getMinimapEnabled } from './modules/minimap.js';
-import { initNotificationDeps, initNotifications, showPromoToasts, showToast, dismissToast, snoozeNotification, sendBrowserNotification, updateTabTitleBadge, handleStateTransition, previousClaudeStates, notifiedStates, activeToasts, snoozedNotifications, snoozeCount, getIsFirstClaudeStateUpdate, setIsFirstClaudeStateUpdate, getNotificationContainer, showAdminToast, dismissAdminToast } from './modules/notifications.js';
+import { initNotificationDeps, initNotifications, showPromoToasts, showToast, dismissToast, snoozeNotification, sendBrowserNotification, showRuleToast, updateTabTitleBadge, handleStateTransition, previousClaudeStates, notifiedStates, activeToasts, snoozedNotifications, snoozeCount, getIsFirstClaudeStateUpdate, setIsFirstClaudeStateUpdate, getNotificationContainer, showAdminToast, dismissAdminToast } from './modules/notifications.js';
 import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modules/git-graph.js';
+import { initGitChangesDeps } from './modules/git-changes.js';
+import { initCommitInspectorDeps } from './modules/commit-inspector.js';
+import { initGitWorktreesDeps } from './modules/git-worktrees.js';
+import { initReplayDeps, renderReplayPane, formatRecordingLabel } from './modules/replay.js';
+import { initUsageDeps, renderUsagePane } from './modules/usage.js';
+import { initRulesDeps, showRulesPanel } from './modules/rules.js';
+import { initShareLinksDeps, showShareDialog, showShareLinksPanel } from './modules/share-links.js';
+import { initApiTokensDeps, showApiTokensPanel } from './modules/api-tokens.js';
+import { initWebhooksDeps, showWebhooksPanel } from './modules/webhooks.js';
+import { initPushDeps, initPush, showPushPanel } from './modules/push.js';
+import { initOfflineCacheDeps, registerServiceWorker, restoreCachedCanvas, discardCachedPanes, saveCanvasSnapshot, clearCanvasSnapshot } from './modules/offline-cache.js';
+import { initWorkspacesDeps, workspaceHeaders, workspaceWsParams, getWorkspaceId, getWorkspaceName, loadWorkspaces, switchWorkspace, handleWorkspacesChanged, refreshWorkspaceSwitcher, onCanvasLoaded } from './modules/workspaces.js';
+import { initCanvasFileDeps, showCanvasFilePanel, exportCanvasFile, resumePendingImport } from './modules/canvas-file.js';
+import { initHistoryDeps, resetHistoryBaseline, layoutChanged, paneDeleted, paneChangedRemotely, beforeBulkChange, undo as undoLayout, redo as redoLayout, showLayoutHistoryPanel } from './modules/history.js';
+import { initConversationSearchDeps, showConversationSearch } from './modules/conversation-search.js';
+import { FRAME_TERMINAL_OUTPUT, FRAME_TERMINAL_INPUT, encodeFrame, decodeFrame } from './modules/relay-frames.js';
+import { initE2EDeps, isE2EAgent, startE2E, trustCurrentAgentKey, handleE2EMessage, sealAndSend, openFromAgent, getE2EStatus, getDeviceFingerprint, encodeJson, decodeJson, toBase64, fromBase64 } from './modules/e2e.js';
+import { initDirectLinkDeps, connectDirect, closeDirect, sendDirect, getDirectStatus } from './modules/direct-link.js';
+import { initCollabDeps, canvasWsParams, canvasHeaders, isSharedView, getCanvasRole, canEditCanvas, canSendToAgent, handleCanvasMessage, reportPointer, reportFocus, refreshCursors, renderAvatars, showSharingPanel, handleJoinLink } from './modules/collab.js';
 
 // 49Agents - Mobile-first terminal pane management
 (function() {
@@ -50,6 +69,12 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
   // Folder panes map (paneId -> { refreshInterval })
   const folderPanes = new Map();
 
+  // Replay panes map (paneId -> player with dispose())
+  const replayPanes = new Map();
+
+  // Usage panes map (paneId -> { refreshInterval })
+  const usagePanes = new Map();
+
   // Tab groups: panes sharing a tabGroupId appear as tabs in one window.
   // Only the active tab's DOM element is visible; siblings are display:none.
   let nextTabGroupId = 1;
@@ -393,10 +418,26 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     }
   }
 
+  // Trim output this xterm has already rendered. Agents number output by
+  // stream offset (seq); on reconnect they replay from the offset we send with
+  // terminal:attach, and every open browser receives that replay.
+  function unrenderedOutput(termInfo, data, seq) {
+    if (typeof seq !== 'number') return data; // older agent: no numbering
+    const end = seq + data.length;
+    if (termInfo.outputSeq != null && seq < termInfo.outputSeq) {
+      if (end <= termInfo.outputSeq) return null;
+      data = data.subarray(termInfo.outputSeq - seq);
+    }
+    termInfo.outputSeq = end;
+    return data;
+  }
+
   // Write terminal output immediately, unless selection is active
-  function writeTermOutput(terminalId, data) {
+  function writeTermOutput(terminalId, data, seq) {
     const termInfo = terminals.get(terminalId);
     if (!termInfo) return;
+    data = unrenderedOutput(termInfo, data, seq);
+    if (!data) return;
 
     // If selecting, defer writes to avoid clearing selection
     if (terminalMouseDown || termInfo.xterm.hasSelection()) {
@@ -490,6 +531,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
   let wsReconnectDelay = 2000;
   const WS_RECONNECT_MAX = 30000;
   let pendingAttachments = new Set();
+  let relayBinaryFrames = false; // relay confirmed binary terminal frames (relay:hello)
 
   // Agent/relay state
   let agents = [];          // populated from agents:list message
@@ -499,44 +541,55 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
   // === Cloud-Direct Persistence (Phase 4) ===
   // These are direct fetch() calls to the cloud server, NOT relayed through agent.
 
-  function cloudFetch(method, path, body) {
+  function cloudFetch(method, path, body, headers) {
     const opts = {
       method,
       credentials: 'include',
-      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' }
+      // Layouts belong to the canvas and workspace being viewed (modules/collab.js, modules/workspaces.js)
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...canvasHeaders(), ...workspaceHeaders(), ...headers }
     };
     if (body && method !== 'GET') opts.body = JSON.stringify(body);
-    return fetch(path, opts).then(r => r.ok ? r.json() : Promise.reject(new Error(`Cloud ${method} ${path}: ${r.status}`)));
+    return fetch(path, opts).then(r => r.ok ? r.json() : r.json().catch(() => ({})).then(data =>
+      Promise.reject(new Error(data.error || `Cloud ${method} ${path}: ${r.status}`))));
+  }
+
+  // Canvas-side pane settings saved with its layout (also written to canvas files)
+  function paneLayoutMetadata(pane) {
+    const metadata = {};
+    if (pane.zoomLevel && pane.zoomLevel !== 100) metadata.zoomLevel = pane.zoomLevel;
+    if (pane.textOnly) metadata.textOnly = true;
+    if (pane.type === 'folder' && pane.folderPath) metadata.folderPath = pane.folderPath;
+    if (pane.beadsTag) metadata.beadsTag = pane.beadsTag;
+    if (pane.device) metadata.device = pane.device;
+    if (pane.filePath) metadata.filePath = pane.filePath;
+    if (pane.fileName) metadata.fileName = pane.fileName;
+    if (pane.url) metadata.url = pane.url;
+    if (pane.repoPath) metadata.repoPath = pane.repoPath;
+    if (pane.repoName) metadata.repoName = pane.repoName;
+    if (pane.graphMode && pane.graphMode !== 'svg') metadata.graphMode = pane.graphMode;
+    if (pane.projectPath) metadata.projectPath = pane.projectPath;
+    if (pane.dirPath) metadata.dirPath = pane.dirPath;
+    if (pane.recordingId) metadata.recordingId = pane.recordingId;
+    if (pane.claudeSessionId) metadata.claudeSessionId = pane.claudeSessionId;
+    if (pane.claudeSessionName) metadata.claudeSessionName = pane.claudeSessionName;
+    if (pane.workingDir) metadata.workingDir = pane.workingDir;
+    if (pane.shortcutNumber) metadata.shortcutNumber = pane.shortcutNumber;
+    if (pane.paneName) metadata.paneName = pane.paneName;
+    if (pane.checkpointName) metadata.checkpointName = pane.checkpointName;
+    if (pane.tabGroupId) metadata.tabGroupId = pane.tabGroupId;
+    if (pane.tabGroupActive) metadata.tabGroupActive = true;
+    return metadata;
   }
 
   // Cloud layout persistence (debounced per-pane, 500ms)
   const cloudLayoutTimers = new Map();
   function cloudSaveLayout(pane) {
+    if (!canEditCanvas()) return;
+    layoutChanged();
     if (cloudLayoutTimers.has(pane.id)) clearTimeout(cloudLayoutTimers.get(pane.id));
     cloudLayoutTimers.set(pane.id, setTimeout(() => {
       cloudLayoutTimers.delete(pane.id);
-      const metadata = {};
-      if (pane.zoomLevel && pane.zoomLevel !== 100) metadata.zoomLevel = pane.zoomLevel;
-      if (pane.textOnly) metadata.textOnly = true;
-      if (pane.type === 'folder' && pane.folderPath) metadata.folderPath = pane.folderPath;
-      if (pane.beadsTag) metadata.beadsTag = pane.beadsTag;
-      if (pane.device) metadata.device = pane.device;
-      if (pane.filePath) metadata.filePath = pane.filePath;
-      if (pane.fileName) metadata.fileName = pane.fileName;
-      if (pane.url) metadata.url = pane.url;
-      if (pane.repoPath) metadata.repoPath = pane.repoPath;
-      if (pane.repoName) metadata.repoName = pane.repoName;
-      if (pane.graphMode && pane.graphMode !== 'svg') metadata.graphMode = pane.graphMode;
-      if (pane.projectPath) metadata.projectPath = pane.projectPath;
-      if (pane.dirPath) metadata.dirPath = pane.dirPath;
-      if (pane.claudeSessionId) metadata.claudeSessionId = pane.claudeSessionId;
-      if (pane.claudeSessionName) metadata.claudeSessionName = pane.claudeSessionName;
-      if (pane.workingDir) metadata.workingDir = pane.workingDir;
-      if (pane.shortcutNumber) metadata.shortcutNumber = pane.shortcutNumber;
-      if (pane.paneName) metadata.paneName = pane.paneName;
-      if (pane.checkpointName) metadata.checkpointName = pane.checkpointName;
-      if (pane.tabGroupId) metadata.tabGroupId = pane.tabGroupId;
-      if (pane.tabGroupActive) metadata.tabGroupActive = true;
+      const metadata = paneLayoutMetadata(pane);
       cloudFetch('PUT', `/api/layouts/${pane.id}`, {
         paneType: pane.type,
         positionX: pane.x,
@@ -663,6 +716,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
   }
 
   function cloudDeleteLayout(paneId) {
+    if (!canEditCanvas()) return;
     if (cloudLayoutTimers.has(paneId)) {
       clearTimeout(cloudLayoutTimers.get(paneId));
       cloudLayoutTimers.delete(paneId);
@@ -687,6 +741,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
   // Cloud note sync (debounced per-note, 500ms)
   const cloudNoteTimers = new Map();
   function cloudSaveNote(noteId, content, fontSize, images) {
+    if (!canEditCanvas()) return;
     if (cloudNoteTimers.has(noteId)) clearTimeout(cloudNoteTimers.get(noteId));
     cloudNoteTimers.set(noteId, setTimeout(() => {
       cloudNoteTimers.delete(noteId);
@@ -808,6 +863,8 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
 
   // Track which terminals are Claude Code (updated from WS push)
   const claudeTerminalIds = new Set();
+  const hookedClaudeTerminalIds = new Set(); // Claude terminals whose state comes from hooks, not scraping
+  const previousPermissionCommands = new Map(); // terminalId → command of the permission prompt last seen
   // Cache last received claude:states so we can re-apply after panes render
   let lastReceivedClaudeStates = null;
 
@@ -989,18 +1046,22 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
   }
 
   function getDevicePaneCounts(deviceName) {
-    let terms = 0, claudes = 0, files = 0;
+    let terms = 0, claudes = 0, hooked = 0, files = 0;
     for (const p of state.panes) {
       const pDevice = p.device || hudData.devices.find(d => d.isLocal)?.name;
       if (pDevice !== deviceName) continue;
       if (p.type === 'terminal') {
-        if (claudeTerminalIds.has(p.id)) claudes++;
-        else terms++;
+        if (claudeTerminalIds.has(p.id)) {
+          claudes++;
+          if (hookedClaudeTerminalIds.has(p.id)) hooked++;
+        } else {
+          terms++;
+        }
       } else if (p.type === 'file') {
         files++;
       }
     }
-    return { terms, claudes, files };
+    return { terms, claudes, hooked, files };
   }
 
   function renderHud() {
@@ -1049,6 +1110,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     const termSvg = '<svg class="hud-count-icon" viewBox="0 0 24 24" fill="currentColor"><path d="M4 4h16a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2zm0 2v12h16V6H4zm2 2l4 4-4 4 1.5 1.5L9 12l-5.5-5.5L2 8zm6 8h6v2h-6v-2z"/></svg>';
     const claudeSvg = CLAUDE_LOGO_SVG.replace('class="claude-logo"', 'class="hud-count-icon hud-claude-icon"');
     const fileSvg = '<svg class="hud-count-icon" viewBox="0 0 24 24" fill="currentColor"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8l-6-6zm4 18H6V4h7v5h5v11z"/></svg>';
+    const lockSvg = '<svg viewBox="0 0 16 16" width="11" height="11" fill="none" stroke="currentColor" stroke-width="1.6" stroke-linecap="round"><rect x="3" y="7" width="10" height="7" rx="1.5"/><path d="M5.5 7V5a2.5 2.5 0 0 1 5 0v2"/></svg>';
 
     function renderDeviceCard(device, showMetrics) {
       const online = device.online;
@@ -1058,11 +1120,17 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       if (deviceColor) {
         icon = icon.replace('class="hud-os-icon"', `class="hud-os-icon" style="color:${deviceColor.text}"`);
       }
-      const { terms, claudes, files } = getDevicePaneCounts(device.name);
+      const { terms, claudes, hooked, files } = getDevicePaneCounts(device.name);
 
       let countsHtml = '';
       const counts = [];
-      if (claudes > 0) counts.push(`<span class="hud-count" data-tooltip="Claude Code">${claudeSvg}${claudes}</span>`);
+      if (claudes > 0) {
+        // State source: hooks are exact, screen detection is the fallback
+        const sourceText = hooked === claudes ? 'state via hooks'
+          : hooked === 0 ? 'state via screen detection'
+          : `${hooked} via hooks, ${claudes - hooked} via screen detection`;
+        counts.push(`<span class="hud-count" data-tooltip="Claude Code — ${sourceText}">${claudeSvg}${claudes}</span>`);
+      }
       if (terms > 0) counts.push(`<span class="hud-count" data-tooltip="Terminals">${termSvg}${terms}</span>`);
       if (files > 0) counts.push(`<span class="hud-count" data-tooltip="Files">${fileSvg}${files}</span>`);
       if (counts.length) countsHtml = `<span class="hud-counts">${counts.join('')}</span>`;
@@ -1079,6 +1147,40 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
         versionDotHtml = `<span class="${dotClass2}" data-tooltip="${escapeHtml(tooltipText)}"></span>`;
       }
 
+      // End-to-end encryption: lock with both fingerprints, or what to do next
+      let e2eHtml = '';
+      let e2eNoticeHtml = '';
+      const e2e = agentEntry && online ? getE2EStatus(agentEntry.agentId) : null;
+      if (e2e) {
+        const browserFp = getDeviceFingerprint() || '…';
+        const e2eTips = {
+          ready: `End-to-end encrypted · machine ${e2e.fingerprint} · this browser ${browserFp}`,
+          connecting: `Setting up end-to-end encryption · machine ${e2e.fingerprint}`,
+          untrusted: 'This browser is not trusted by this machine',
+          mismatch: 'Machine key changed — traffic blocked',
+          error: 'End-to-end encryption failed — traffic blocked',
+        };
+        e2eHtml = `<span class="hud-e2e-lock ${e2e.status}" data-tooltip="${escapeHtml(e2eTips[e2e.status])}">${lockSvg}</span>`;
+        const agentIdAttr = escapeHtml(agentEntry.agentId);
+        if (e2e.status === 'untrusted') {
+          e2eNoticeHtml = `<div class="hud-e2e-notice">Not trusted yet. On this machine run <code>49-agent e2e trust ${escapeHtml(browserFp)}</code>
+            <button class="hud-e2e-action" data-action="retry" data-agent-id="${agentIdAttr}">Retry</button></div>`;
+        } else if (e2e.status === 'mismatch') {
+          e2eNoticeHtml = `<div class="hud-e2e-notice warn">Machine key changed: pinned <code>${escapeHtml(e2e.pinnedFingerprint)}</code>, now <code>${escapeHtml(e2e.fingerprint)}</code>. Trust it only if you reset this machine's keys (<code>49-agent e2e status</code> shows its fingerprint).
+            <button class="hud-e2e-action" data-action="trust" data-agent-id="${agentIdAttr}">Trust new key</button></div>`;
+        } else if (e2e.status === 'error') {
+          e2eNoticeHtml = `<div class="hud-e2e-notice warn">Could not open the encrypted channel.
+            <button class="hud-e2e-action" data-action="retry" data-agent-id="${agentIdAttr}">Retry</button></div>`;
+        }
+      }
+
+      // Direct LAN link: badge while terminal I/O bypasses the relay
+      let directHtml = '';
+      const direct = agentEntry && online ? getDirectStatus(agentEntry.agentId) : null;
+      if (direct?.status === 'open') {
+        directHtml = `<span class="hud-direct-badge" data-tooltip="${escapeHtml(`Direct LAN link to ${direct.address} · bypassing the cloud relay`)}">LAN</span>`;
+      }
+
       let metricsHtml = '';
       if (showMetrics && device.metrics) {
         const m = device.metrics;
@@ -1110,11 +1212,14 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
             ${icon}
             <span class="hud-device-name">${escapeHtml(device.name)}</span>
             ${versionDotHtml}
+            ${e2eHtml}
+            ${directHtml}
             ${countsHtml}
             <button class="hud-device-delete" data-agent-id="${escapeHtml(device.ip)}" data-tooltip="Remove machine">
               <svg viewBox="0 0 16 16" width="12" height="12" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M2 4h12"/><path d="M5.5 4V2.5a1 1 0 0 1 1-1h3a1 1 0 0 1 1 1V4"/><path d="M12.5 4v9a1.5 1.5 0 0 1-1.5 1.5H5A1.5 1.5 0 0 1 3.5 13V4"/></svg>
             </button>
           </div>
+          ${e2eNoticeHtml}
           ${metricsHtml}
         </div>
       `;
@@ -1200,6 +1305,17 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       card.appendChild(row);
     }
 
+    // End-to-end encryption actions (retry after trusting, accept a new machine key)
+    content.querySelectorAll('.hud-e2e-action').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const agentEntry = agents.find(a => a.agentId === btn.dataset.agentId);
+        if (!agentEntry) return;
+        if (btn.dataset.action === 'trust') trustCurrentAgentKey(agentEntry);
+        else startE2E(agentEntry);
+      });
+    });
+
     // Delete machine buttons
     content.querySelectorAll('.hud-device-delete').forEach(btn => {
       btn.addEventListener('click', async (e) => {
@@ -1250,6 +1366,12 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
             const fpInfo = folderPanes.get(pane.id);
             if (fpInfo?.refreshInterval) clearInterval(fpInfo.refreshInterval);
             folderPanes.delete(pane.id);
+            const rpInfo = replayPanes.get(pane.id);
+            if (rpInfo) rpInfo.dispose();
+            replayPanes.delete(pane.id);
+            const uInfo = usagePanes.get(pane.id);
+            if (uInfo?.refreshInterval) clearInterval(uInfo.refreshInterval);
+            usagePanes.delete(pane.id);
           }
           state.panes = state.panes.filter(p => p.agentId !== agentEntry.agentId);
 
@@ -2032,8 +2154,6 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       if (prefs.teleportAnimation !== undefined) {
         teleportAnimation = prefs.teleportAnimation;
       }
-      // Load projects
-      loadProjectsFromPrefs(prefs);
     } catch (e) {
       console.error('[App] Preferences load failed:', e.message);
     }
@@ -2053,12 +2173,155 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       panToPane: (id) => panToPane(id),
       getSnoozeDurationMs: () => snoozeDurationMs,
       getAutoRemoveDoneNotifs: () => autoRemoveDoneNotifs,
+      sendTerminalInput: (terminalId, text) => sendWs('terminal:input', { terminalId, data: btoa(text) }, getPaneAgentId(terminalId)),
     });
     initGitGraphDeps({
       getNextShortcutNumber, deviceLabelHtml, paneNameHtml, shortcutBadgeHtml,
       setupPaneListeners, agentRequest, gitGraphPanes, cloudSaveLayout,
       getCanvas: () => canvas,
     });
+    initGitChangesDeps({
+      agentRequest, gitGraphPanes,
+      onRepoChanged: fetchGitGraphData,
+    });
+    initCommitInspectorDeps({
+      agentRequest, getLanguageFromFileName, openFileAtRevision,
+    });
+    initGitWorktreesDeps({
+      agentRequest, gitGraphPanes, addWorktreeTerminalPane,
+      onRepoChanged: fetchGitGraphData,
+    });
+    initRulesDeps({
+      agentRequest,
+      getDevices: () => getDevicesFromAgents(),
+    });
+    initE2EDeps({
+      sendRaw: (type, payload, agentId) => sendWs(type, payload, agentId),
+      onStatusChange: () => updateAgentsHud(),
+    });
+    initDirectLinkDeps({
+      requestTicket: (agentId) => agentRequest('POST', '/api/direct/ticket', null, agentId),
+      onMessage: receiveMessage,
+      onFrame: receiveFrame,
+      onStatusChange: (agentId, status) => {
+        if (status !== 'open') failDirectRequests(agentId);
+        updateAgentsHud();
+      },
+    });
+    initCollabDeps({
+      getState: () => state,
+      getCanvas: () => canvas,
+      cloudFetch,
+      sendPresence: (payload) => {
+        if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'presence:update', payload }));
+      },
+      notify: (message, type, duration) => showRelayNotification(message, type, duration),
+      // Direct links need a ticket, which viewers cannot request
+      onRoleChange: () => {
+        agents.forEach(a => (canEditCanvas() ? connectDirect(a) : closeDirect(a.agentId)));
+        refreshWorkspaceSwitcher();
+      },
+    });
+    initShareLinksDeps({
+      cloudFetch,
+      isEncryptedPane: (pane) => isE2EAgent(agents.find(a => a.agentId === pane.agentId)),
+      // Note and file links share the editor's current content
+      getPaneSnapshot: (pane) => {
+        const editor = (pane.type === 'note' ? noteEditors : fileEditors).get(pane.id)?.monacoEditor;
+        return {
+          content: editor ? editor.getValue() : (pane.content || ''),
+          fileName: pane.fileName || null,
+          language: editor?.getModel()?.getLanguageId() || null,
+        };
+      },
+    });
+    initApiTokensDeps({ cloudFetch });
+    initWebhooksDeps({ cloudFetch, getAgents: () => agents });
+    initPushDeps({
+      cloudFetch,
+      openPane: (paneId) => {
+        const paneData = state.panes.find(p => p.id === paneId);
+        if (paneData) jumpToPane(paneData);
+        return !!paneData;
+      },
+    });
+    const getNoteContent = (pane) => noteEditors.get(pane.id)?.monacoEditor?.getValue() ?? pane.content;
+    initOfflineCacheDeps({
+      getState: () => state,
+      getNoteContent,
+      renderPlaceholder: (pane) => renderOfflinePlaceholder(pane),
+      renderProjects: () => renderProjectRectangles(),
+      updateCanvasTransform: () => updateCanvasTransform(),
+      isSharedView,
+      getWorkspaceId,
+    });
+    initWorkspacesDeps({
+      cloudFetch,
+      recreatePanes,
+      isSharedView,
+      canEditCanvas,
+      getCanvasRole,
+      showUpgradePrompt,
+    });
+    initCanvasFileDeps({
+      getState: () => state,
+      getAgents: () => agents,
+      getNoteContent,
+      paneLayoutMetadata,
+      cloudFetch,
+      recreatePanes,
+      addProjects,
+      canEditCanvas,
+      getWorkspaceId,
+      getWorkspaceName,
+      switchWorkspace,
+    });
+    initHistoryDeps({
+      getState: () => state,
+      getNoteContent,
+      paneLayoutMetadata,
+      cloudFetch,
+      cloudSaveLayout,
+      applyPaneLayout,
+      setProjects,
+      recreatePanes,
+      restoreTabGroups,
+      deletePane,
+      canEditCanvas,
+      showNotification: showRelayNotification,
+    });
+
+    // Projects belong to the workspace being viewed; offline they come from
+    // the cached canvas instead
+    const workspace = await loadWorkspaces();
+    if (workspace) state.projects = workspace.projects;
+    initConversationSearchDeps({
+      agentRequest,
+      getDevices: () => getDevicesFromAgents(),
+      openConversationsPane: (dirPath, agentId, device) => createConversationsPane(dirPath || undefined, null, agentId, device),
+      openConversationInClaude,
+    });
+    initUsageDeps({
+      getNextShortcutNumber, deviceLabelHtml, paneNameHtml, shortcutBadgeHtml,
+      setupPaneListeners, agentRequest, usagePanes, openConversationInClaude,
+      getCanvas: () => canvas,
+    });
+    initReplayDeps({
+      getNextShortcutNumber, deviceLabelHtml, paneNameHtml, shortcutBadgeHtml,
+      setupPaneListeners, agentRequest, replayPanes,
+      getCanvas: () => canvas,
+      createReplayTerminal: ({ cols, rows }) => new Terminal({
+        allowTransparency: true,
+        theme: { ...TERMINAL_THEMES[currentTerminalTheme] },
+        fontFamily: getTerminalFontFamily(currentTerminalFont),
+        fontSize: 13,
+        cols,
+        rows,
+        cursorBlink: false,
+        disableStdin: true,
+        scrollback: 1000,
+      }),
+    });
 
     canvas = document.getElementById('canvas');
     canvasContainer = document.getElementById('canvas-container');
@@ -2084,8 +2347,15 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     updateCanvasTransform();
     setupEventListeners();
     initNotifications();
+    registerServiceWorker();
+    initPush();
     showPromoToasts();
+    // Draw the last known canvas while the WebSocket connects
+    restoreCachedCanvas();
     connectWebSocket();
+    // Shared canvases: pointer presence and /?join=<token> invite links
+    document.addEventListener('pointermove', (e) => reportPointer(e.clientX, e.clientY), { passive: true });
+    handleJoinLink();
     _telemetry.init();
     // loadTerminalsFromServer is called after agents:list arrives via WS
 
@@ -2152,6 +2422,11 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
           // Treat newly-seen terminals as transitioning from 'working'
           // so sounds fire when a terminal first appears in a notifiable state
           handleStateTransition(terminalId, prevState || 'working', newState, info);
+        } else if (newState === 'permission' && info.permission?.command &&
+                   info.permission.command !== previousPermissionCommands.get(terminalId)) {
+          // A new permission prompt replaced the previous one — re-notify with its details
+          notifiedStates.delete(terminalId);
+          handleStateTransition(terminalId, prevState, newState, info);
         }
 
         // If state changed away from a notified state, clear dedup + auto-dismiss toast
@@ -2167,6 +2442,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     for (const [terminalId, info] of Object.entries(states)) {
       if (info.isClaude) {
         previousClaudeStates.set(terminalId, info.state);
+        previousPermissionCommands.set(terminalId, info.permission?.command || null);
       }
     }
 
@@ -2183,6 +2459,8 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       // Track claude terminals for HUD counts
       if (info && info.isClaude) claudeTerminalIds.add(terminalId);
       else claudeTerminalIds.delete(terminalId);
+      if (info && info.isClaude && info.source === 'hook') hookedClaudeTerminalIds.add(terminalId);
+      else hookedClaudeTerminalIds.delete(terminalId);
       const paneEl = document.getElementById(`pane-${terminalId}`);
       const titleEl = paneEl?.querySelector('.pane-title');
       const paneData = state.panes.find(p => p.id === terminalId);
@@ -2205,6 +2483,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
 
         const deviceLabel = paneData?.device ? deviceLabelHtml(paneData.device) : '';
         const beadsTag = beadsTagHtml(paneData?.beadsTag);
+        const worktreeBadge = worktreeBadgeHtml(info.worktree);
 
         // Skip title update if user is editing a beads tag
         const isEditingBeadsTag = paneEl.querySelector('.beads-tag-input');
@@ -2235,12 +2514,13 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
                 ${sessionBadge ? '' : CLAUDE_LOGO_SVG}
                 ${stateHtml}
                 <span class="claude-location">${locationHtml}</span>
+                ${worktreeBadge}
               </span>
             `;
           }
         } else {
           if (!isEditingBeadsTag) {
-            titleEl.innerHTML = `${deviceLabel}${beadsTag}<span style="opacity:0.7;">Terminal</span>`;
+            titleEl.innerHTML = `${deviceLabel}${beadsTag}<span style="opacity:0.7;">Terminal</span>${worktreeBadge}`;
           }
         }
       }
@@ -2258,10 +2538,13 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     if (ws && ws.readyState === WebSocket.OPEN) return;
 
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${window.location.host}/ws`;
+    // Ask for binary terminal frames; older relays ignore the parameter
+    const wsUrl = `${protocol}//${window.location.host}/ws?frames=binary${canvasWsParams()}${workspaceWsParams()}`;
 
 
+    relayBinaryFrames = false;
     ws = new WebSocket(wsUrl);
+    ws.binaryType = 'arraybuffer';
 
     let heartbeatInterval = null;
 
@@ -2287,16 +2570,21 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     };
 
     ws.onmessage = (event) => {
+      if (event.data instanceof ArrayBuffer) {
+        const frame = decodeFrame(event.data);
+        if (frame) receiveFrame(frame);
+        return;
+      }
       try {
         const message = JSON.parse(event.data);
         if (message.type === 'pong') return; // ignore heartbeat replies
-        handleWsMessage(message);
+        receiveMessage(message);
       } catch (e) {
         console.error('[WS] Error parsing message:', e);
       }
     };
 
-    ws.onclose = () => {
+    ws.onclose = (event) => {
       clearInterval(heartbeatInterval);
 
       // Reject all pending REST-over-WS requests immediately
@@ -2307,6 +2595,13 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       pendingRequests.clear();
       pendingScanCallbacks.clear();
 
+      // Removed from a shared canvas by its owner
+      if (event.code === 4403) {
+        showRelayNotification('You no longer have access to this canvas', 'warning', 4000);
+        setTimeout(() => { window.location.href = '/'; }, 2000);
+        return;
+      }
+
       console.log(`[WS] Reconnecting in ${wsReconnectDelay}ms...`);
       wsReconnectTimer = setTimeout(connectWebSocket, wsReconnectDelay);
       wsReconnectDelay = Math.min(wsReconnectDelay * 2, WS_RECONNECT_MAX);
@@ -2317,16 +2612,88 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     };
   }
 
+  // Messages and frames from the relay or an agent's direct LAN link
+  // (modules/direct-link.js). Agents with a direct link send most messages on
+  // both; the second copy is dropped by output seq / e2e counter / request id.
+  function receiveFrame(frame) {
+    if (frame.kind !== FRAME_TERMINAL_OUTPUT || frame.data.length === 0) return;
+    const sealed = isE2EAgent(agents.find(a => a.agentId === frame.agentId));
+    receiveInOrder(frame, sealed ? openSealedFrame : null,
+      (f) => writeTermOutput(f.terminalId, f.data, f.seq));
+  }
+
+  function receiveMessage(message) {
+    const sealed = E2E_SEALED_TYPES.has(message.type) && isE2EAgent(agents.find(a => a.agentId === message.agentId));
+    receiveInOrder(message, sealed ? openSealedMessage : null, handleWsMessage);
+  }
+
+  // Messages whose payload an end-to-end encrypted agent seals (agent/src/e2e.js)
+  const E2E_SEALED_TYPES = new Set(['terminal:output', 'terminal:history', 'response', 'scan:partial', 'claude:states']);
+  let inboundChain = Promise.resolve();
+  let inboundPending = 0;
+
+  // Relay messages are handled in arrival order. Decryption is async, so
+  // while one is pending, every later message queues behind it.
+  function receiveInOrder(message, open, handle) {
+    if (!open && inboundPending === 0) {
+      handle(message);
+      return;
+    }
+    inboundPending++;
+    inboundChain = inboundChain
+      .then(() => (open ? open(message) : message))
+      .then((opened) => { if (opened) handle(opened); })
+      .catch((err) => console.warn(`[E2E] Dropped ${message.type || 'terminal output'} from ${message.agentId?.slice(0, 8)}:`, err.message))
+      .finally(() => { inboundPending--; });
+  }
+
+  // Both return null for a copy already received (relay + direct link)
+  async function openSealedFrame(frame) {
+    const data = await openFromAgent(frame.agentId, 'terminal:output', frame.terminalId, frame.data);
+    return data && { ...frame, data };
+  }
+
+  async function openSealedMessage(message) {
+    const { type, payload, agentId, id } = message;
+    if (type === 'terminal:output' || type === 'terminal:history') {
+      const data = await openFromAgent(agentId, type, payload.terminalId, fromBase64(payload.data || ''));
+      return data && { ...message, payload: { ...payload, data: toBase64(data) } };
+    }
+    // response / scan:partial / claude:states. Plaintext is only accepted for refusals
+    // (relay tier limits, the agent rejecting a plaintext request).
+    if (typeof payload?.e2e !== 'string') {
+      if (type === 'response' && payload?.status >= 400) return message;
+      throw new Error('not encrypted');
+    }
+    try {
+      const plaintext = await openFromAgent(agentId, type, id, fromBase64(payload.e2e));
+      return plaintext && { ...message, payload: decodeJson(plaintext) };
+    } catch (err) {
+      if (type !== 'response') throw err;
+      // Fail the request now rather than at its timeout
+      return { ...message, payload: { status: 502, body: { error: 'Could not decrypt the agent\'s response' } } };
+    }
+  }
+
   // Handle WebSocket messages
   function handleWsMessage(message) {
     const { type, payload } = message;
 
 
     switch (type) {
+      case 'relay:hello':
+        relayBinaryFrames = !!payload?.binaryFrames;
+        break;
+
+      case 'e2e:key':
+      case 'e2e:error':
+        handleE2EMessage(type, payload, message.agentId);
+        break;
+
       case 'terminal:attached':
 
         updateConnectionStatus(payload.terminalId, 'connected');
-        console.log(`[DBG-ATTACH] terminal:attached for ${payload.terminalId.slice(0,8)} at ${Date.now()}`);
+        console.log(`[DBG-ATTACH] terminal:attached for ${payload.terminalId.slice(0,8)} at ${Date.now()}${payload.resumed ? ` (resumed at seq ${payload.seq})` : ''}`);
         // Fade out loading overlay
         {
           const paneEl = document.getElementById(`pane-${payload.terminalId}`);
@@ -2353,9 +2720,20 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
         }
         break;
 
-      case 'terminal:history':
+      case 'terminal:history': {
+        const termInfo = terminals.get(payload.terminalId);
+        // Output after the history is numbered from payload.seq. Adopt that
+        // position unless this xterm already follows the same stream (then
+        // its own position dedupes the output flushed after the history).
+        if (termInfo && payload.streamId && termInfo.outputStreamId !== payload.streamId) {
+          termInfo.outputStreamId = payload.streamId;
+          termInfo.outputSeq = payload.seq;
+        } else if (termInfo && payload.streamId && !termInfo._historyLoaded) {
+          // Same stream: never move backwards (with a direct link, this
+          // history's second copy can arrive after output that followed it)
+          termInfo.outputSeq = Math.max(termInfo.outputSeq ?? 0, payload.seq);
+        }
         if (payload.data) {
-          const termInfo = terminals.get(payload.terminalId);
           // Only inject history once per xterm instance. On WebSocket
           // reconnect the agent re-sends history, but the xterm buffer
           // already has it — writing it again causes duplicate content.
@@ -2379,12 +2757,13 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
           }
         }
         break;
+      }
 
       case 'terminal:output':
 
         if (payload.data) {
           const decoded = Uint8Array.from(atob(payload.data), c => c.charCodeAt(0));
-          writeTermOutput(payload.terminalId, decoded);
+          writeTermOutput(payload.terminalId, decoded, payload.seq);
         }
         break;
 
@@ -2434,9 +2813,17 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
         updateClaudeStates(payload);
         break;
 
+      case 'rules:fired': {
+        // An agent-side auto-answer rule handled (or flagged) a prompt
+        const ruleAgent = agents.find(a => a.agentId === message.agentId);
+        showRuleToast(payload, ruleAgent?.displayName || ruleAgent?.hostname || null);
+        break;
+      }
+
       case 'agents:list':
         // Initial agent list from cloud on connect
         agents = payload;
+        agents.forEach(a => { startE2E(a); if (canEditCanvas()) connectDirect(a); });
         if (agents.length === 1) {
           activeAgentId = agents[0].agentId;
         } else if (agents.length > 1 && !activeAgentId) {
@@ -2481,6 +2868,8 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
           agentUpdates.delete(newAgentId);
           showUpdateCompleteToast(newAgentId, payload.hostname || newAgentId.slice(0, 8), payload.version);
         }
+        startE2E(newAgent);
+        if (canEditCanvas()) connectDirect(newAgent);
         if (!activeAgentId) {
           activeAgentId = newAgentId;
         }
@@ -2504,6 +2893,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
               if (cloudData?.layouts?.length > 0) {
                 cloudLayoutMap = new Map(cloudData.layouts.map(l => [l.id, l]));
               }
+              if (cloudData) otherWorkspacePaneIds = new Set(cloudData.otherPaneIds || []);
               await loadPanesFromAgent(newAgentId, cloudLayoutMap);
             } catch (e) {
               console.error('Failed to load panes from new agent:', e);
@@ -2530,6 +2920,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
         // Agent disconnected
         console.warn(`[DBG-AGENT] agent:offline ${payload.agentId?.slice(0,8)} at ${Date.now()} — panes will dim to 40% opacity!`);
         const offlineAgentId = payload.agentId;
+        closeDirect(offlineAgentId);
         agents = agents.map(a =>
           a.agentId === offlineAgentId ? { ...a, online: false } : a
         );
@@ -2633,6 +3024,34 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
         }
         break;
 
+      case 'canvas:info':
+      case 'presence:list':
+      case 'presence:update':
+      case 'presence:leave':
+        handleCanvasMessage(type, payload);
+        break;
+
+      case 'layout:pane':
+        applyRemoteLayout(payload);
+        break;
+
+      case 'layout:removed':
+        if (state.panes.some(p => p.id === payload.paneId)) deletePane(payload.paneId, { remote: true });
+        break;
+
+      case 'layout:reload':
+        cloudFetch('GET', '/api/layouts')
+          .then(data => {
+            otherWorkspacePaneIds = new Set(data.otherPaneIds || []);
+            (data.layouts || []).forEach(applyRemoteLayout);
+          })
+          .catch(e => console.warn('[Cloud] Layout reload failed:', e.message));
+        break;
+
+      case 'workspaces:changed':
+        handleWorkspacesChanged();
+        break;
+
       case 'chat:message':
         if (window._chatHud) {
           const chatEl = document.getElementById('feedback-hud');
@@ -2654,6 +3073,74 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     }
   }
 
+  // Redraw a pane after its geometry, z-order, tab group or shortcut changed
+  // in state (undo and redo, modules/history.js). `wasGrouped`: it was in a
+  // tab group before the change.
+  function applyPaneLayout(pane, wasGrouped) {
+    const el = document.getElementById(`pane-${pane.id}`);
+    if (!el) return;
+    el.style.left = `${pane.x}px`;
+    el.style.top = `${pane.y}px`;
+    el.style.width = `${pane.width}px`;
+    el.style.height = `${pane.height}px`;
+    el.style.zIndex = pane.zIndex;
+    if (wasGrouped && !pane.tabGroupId) {
+      el.querySelector('.tab-bar')?.remove();
+      el.style.display = '';
+    }
+    if (pane.zIndex >= state.nextZIndex) state.nextZIndex = pane.zIndex + 1;
+    updateShortcutBadge(pane);
+
+    const termInfo = terminals.get(pane.id);
+    if (termInfo) {
+      try {
+        if (termInfo.safeFitAndSync) termInfo.safeFitAndSync();
+        else termInfo.fitAddon.fit();
+      } catch (_) {}
+    }
+    fileEditors.get(pane.id)?.monacoEditor?.layout();
+    noteEditors.get(pane.id)?.monacoEditor?.layout();
+  }
+
+  // Replace the workspace's projects (undo and redo, modules/history.js)
+  function setProjects(projects) {
+    state.projects = projects;
+    saveProjectsToCloud();
+    renderProjectRectangles();
+    renderProjectsSidebar();
+  }
+
+  // A layout saved by another tab or member on this canvas (routes/layouts.js
+  // broadcasts every save). New panes are loaded from their agent.
+  function applyRemoteLayout(cl) {
+    const pane = state.panes.find(p => p.id === cl.id);
+    if (!pane) {
+      if (cl.agent_id && agents.some(a => a.agentId === cl.agent_id && a.online)) {
+        loadPanesFromAgent(cl.agent_id, new Map([[cl.id, cl]]), cl.id)
+          .then(renderAvatars)
+          .catch(e => console.error('[Cloud] Failed to load shared pane:', e));
+      }
+      return;
+    }
+    // A local move or resize not yet saved wins
+    if (cloudLayoutTimers.has(pane.id)) return;
+    pane.x = cl.position_x;
+    pane.y = cl.position_y;
+    pane.width = cl.width;
+    pane.height = cl.height;
+    pane.zIndex = cl.z_index || pane.zIndex;
+    if (pane.zIndex >= state.nextZIndex) state.nextZIndex = pane.zIndex + 1;
+    paneChangedRemotely(pane);
+    const el = document.getElementById(`pane-${pane.id}`);
+    if (el) {
+      el.style.left = `${pane.x}px`;
+      el.style.top = `${pane.y}px`;
+      el.style.width = `${pane.width}px`;
+      el.style.height = `${pane.height}px`;
+      el.style.zIndex = pane.zIndex;
+    }
+  }
+
   // Show upgrade prompt with checkout button
   function showUpgradePrompt(message) {
     // Remove any existing prompt
@@ -2917,6 +3404,70 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
         </div>
       </div>
 
+      <div style="display:flex;align-items:center;justify-content:space-between;padding:12px 0;border-bottom:1px solid rgba(255,255,255,0.06);">
+        <div>
+          <div style="font-size:13px;">Auto-Answer Rules</div>
+          <div style="font-size:11px;color:#6a6a8a;">Answer Claude prompts automatically, per machine</div>
+        </div>
+        <button id="settings-rules-btn" style="padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;">Manage</button>
+      </div>
+
+      <div style="display:flex;align-items:center;justify-content:space-between;padding:12px 0;border-bottom:1px solid rgba(255,255,255,0.06);">
+        <div>
+          <div style="font-size:13px;">Sharing</div>
+          <div style="font-size:11px;color:#6a6a8a;">Invite teammates to watch or work on this canvas</div>
+        </div>
+        <button id="settings-sharing-btn" style="padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;">Manage</button>
+      </div>
+
+      <div style="display:flex;align-items:center;justify-content:space-between;padding:12px 0;border-bottom:1px solid rgba(255,255,255,0.06);">
+        <div>
+          <div style="font-size:13px;">Share Links</div>
+          <div style="font-size:11px;color:#6a6a8a;">Read-only links to single panes</div>
+        </div>
+        <button id="settings-share-links-btn" style="padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;">Manage</button>
+      </div>
+
+      <div style="display:flex;align-items:center;justify-content:space-between;padding:12px 0;border-bottom:1px solid rgba(255,255,255,0.06);">
+        <div>
+          <div style="font-size:13px;">API Tokens</div>
+          <div style="font-size:11px;color:#6a6a8a;">Let scripts and CI drive your machines</div>
+        </div>
+        <button id="settings-api-tokens-btn" style="padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;">Manage</button>
+      </div>
+
+      <div style="display:flex;align-items:center;justify-content:space-between;padding:12px 0;border-bottom:1px solid rgba(255,255,255,0.06);">
+        <div>
+          <div style="font-size:13px;">Webhooks</div>
+          <div style="font-size:11px;color:#6a6a8a;">Post to Slack, Discord or a URL when Claude needs you</div>
+        </div>
+        <button id="settings-webhooks-btn" style="padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;">Manage</button>
+      </div>
+
+      <div style="display:flex;align-items:center;justify-content:space-between;padding:12px 0;border-bottom:1px solid rgba(255,255,255,0.06);">
+        <div>
+          <div style="font-size:13px;">Push Notifications</div>
+          <div style="font-size:11px;color:#6a6a8a;">Notify your phone when Claude needs you</div>
+        </div>
+        <button id="settings-push-btn" style="padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;">Manage</button>
+      </div>
+
+      <div style="display:flex;align-items:center;justify-content:space-between;padding:12px 0;border-bottom:1px solid rgba(255,255,255,0.06);">
+        <div>
+          <div style="font-size:13px;">Export / Import</div>
+          <div style="font-size:11px;color:#6a6a8a;">Save this workspace as a file, or load a teammate's setup</div>
+        </div>
+        <button id="settings-canvas-file-btn" style="padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;">Manage</button>
+      </div>
+
+      <div style="display:flex;align-items:center;justify-content:space-between;padding:12px 0;border-bottom:1px solid rgba(255,255,255,0.06);">
+        <div>
+          <div style="font-size:13px;">Layout history</div>
+          <div style="font-size:11px;color:#6a6a8a;">Undo layout changes, or restore an earlier layout</div>
+        </div>
+        <button id="settings-layout-history-btn" style="padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;">Manage</button>
+      </div>
+
       <div style="display:flex;align-items:center;justify-content:space-between;padding:12px 0;border-bottom:1px solid rgba(255,255,255,0.06);">
         <div>
           <div style="font-size:13px;">Snooze Duration</div>
@@ -3013,8 +3564,65 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     const escHandler = (e) => { if (e.key === 'Escape') { close(); document.removeEventListener('keydown', escHandler); } };
     document.addEventListener('keydown', escHandler);
 
+    // Auto-answer rules (separate panel)
+    document.getElementById('settings-rules-btn').addEventListener('click', () => {
+      close();
+      document.removeEventListener('keydown', escHandler);
+      showRulesPanel();
+    });
+
+    // Shared canvases (separate panel)
+    document.getElementById('settings-sharing-btn').addEventListener('click', () => {
+      close();
+      document.removeEventListener('keydown', escHandler);
+      showSharingPanel();
+    });
+
+    // Share links (separate panel)
+    document.getElementById('settings-share-links-btn').addEventListener('click', () => {
+      close();
+      document.removeEventListener('keydown', escHandler);
+      showShareLinksPanel();
+    });
+
+    // API tokens (separate panel)
+    document.getElementById('settings-api-tokens-btn').addEventListener('click', () => {
+      close();
+      document.removeEventListener('keydown', escHandler);
+      showApiTokensPanel();
+    });
+
+    // Webhooks (separate panel)
+    document.getElementById('settings-webhooks-btn').addEventListener('click', () => {
+      close();
+      document.removeEventListener('keydown', escHandler);
+      showWebhooksPanel();
+    });
+
+    // Push notifications (separate panel)
+    document.getElementById('settings-push-btn').addEventListener('click', () => {
+      close();
+      document.removeEventListener('keydown', escHandler);
+      showPushPanel();
+    });
+
+    // Canvas files (separate panel)
+    document.getElementById('settings-canvas-file-btn').addEventListener('click', () => {
+      close();
+      document.removeEventListener('keydown', escHandler);
+      showCanvasFilePanel();
+    });
+
+    // Layout history (separate panel)
+    document.getElementById('settings-layout-history-btn').addEventListener('click', () => {
+      close();
+      document.removeEventListener('keydown', escHandler);
+      showLayoutHistoryPanel();
+    });
+
     // Logout
     document.getElementById('settings-logout-btn').addEventListener('click', async () => {
+      await clearCanvasSnapshot();
       try { await fetch('/auth/logout', { method: 'POST', credentials: 'include' }); } catch(e) {}
       window.location.href = '/login';
     });
@@ -3268,13 +3876,47 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
   // ============================================================================
 
   // Send WebSocket message (agentId defaults to activeAgentId for backward compat)
+  // Goes over the agent's direct LAN link when one is open, else the relay
   function sendWs(type, payload, agentId) {
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({ type, payload, agentId: agentId || activeAgentId }));
-      if (type === 'terminal:input') _telemetry._terminalInputCount++;
+    agentId = agentId || activeAgentId;
+    // Viewers on a shared canvas only attach (the relay enforces this too)
+    if (!canSendToAgent(type)) return;
+    // Either link will do: the agent's direct link keeps working while the relay reconnects
+    if (!(ws && ws.readyState === WebSocket.OPEN) && getDirectStatus(agentId)?.status !== 'open') return;
+    if (type === 'terminal:input' && isE2EAgent(agents.find(a => a.agentId === agentId))) {
+      sendSealedInput(payload, agentId);
+    } else if (type === 'terminal:input') {
+      sendInputBytes(agentId, payload.terminalId, fromBase64(payload.data));
+    } else {
+      sendToAgentLink(agentId, { type, payload });
+    }
+    if (type === 'terminal:input') _telemetry._terminalInputCount++;
+  }
+
+  function sendToAgentLink(agentId, message) {
+    if (sendDirect(agentId, JSON.stringify(message))) return;
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ ...message, agentId }));
+  }
+
+  // Terminal input goes out as a binary frame on direct links, and on the
+  // relay once it has confirmed support
+  function sendInputBytes(agentId, terminalId, bytes) {
+    if (sendDirect(agentId, encodeFrame(FRAME_TERMINAL_INPUT, terminalId, '', bytes))) return;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    if (relayBinaryFrames) {
+      ws.send(encodeFrame(FRAME_TERMINAL_INPUT, terminalId, agentId, bytes));
+    } else {
+      ws.send(JSON.stringify({ type: 'terminal:input', payload: { terminalId, data: toBase64(bytes) }, agentId }));
     }
   }
 
+  // Terminal input to an end-to-end encrypted agent: the relay sees only the terminal id
+  function sendSealedInput(payload, agentId) {
+    sealAndSend(agentId, 'terminal:input', payload.terminalId, fromBase64(payload.data), (blob) => {
+      sendInputBytes(agentId, payload.terminalId, blob);
+    }).catch((err) => console.warn(`[E2E] Input for ${payload.terminalId.slice(0, 8)} not sent:`, err.message));
+  }
+
   // Simple notification for relay messages (tier limits, etc.)
   function showRelayNotification(message, type, duration) {
     const el = document.createElement('div');
@@ -3511,6 +4153,9 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
         <label style="display:block;margin-bottom:4px;opacity:0.6;font-size:12px;">Install Command</label>
         <code id="add-machine-cmd" style="display:block;padding:12px;background:#0a0a1a;border-radius:6px;word-break:break-all;font-size:11px;cursor:pointer;user-select:all;border:1px solid #333;opacity:0.5;">Generating...</code>
       </div>
+      <div id="add-machine-pair" style="margin-bottom:16px;font-size:11px;opacity:0.7;">
+        Want end-to-end encryption? <a href="#" id="add-machine-pair-link" style="color:#4ec9b0;">Pair with a code</a> once the agent is installed.
+      </div>
       <div style="display:flex;gap:12px;">
         <button id="add-machine-copy" style="background:transparent;color:#4ec9b0;border:1px solid #4ec9b0;padding:10px 24px;border-radius:6px;cursor:pointer;font-family:monospace;display:none;">Copy</button>
         <button id="add-machine-close" style="background:transparent;color:#6a6a8a;border:1px solid #6a6a8a;padding:10px 24px;border-radius:6px;cursor:pointer;font-family:monospace;margin-left:auto;">Close</button>
@@ -3573,6 +4218,20 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     // Auto-generate immediately
     dialogGenerateCmd();
 
+    // Pairing exchanges e2e keys: the agent sends its key with the code,
+    // the pair page shows its fingerprint and approves with this browser's key
+    document.getElementById('add-machine-pair-link').addEventListener('click', async (e) => {
+      e.preventDefault();
+      const pairEl = document.getElementById('add-machine-pair');
+      try {
+        const { code, pairUrl } = await cloudFetch('POST', '/api/agents/pair', { hostname: 'machine-' + Date.now().toString(36) });
+        pairEl.innerHTML = `On the machine, run <code style="user-select:all;color:#e0e0e0;">49-agent pair ${escapeHtml(code)}</code>,
+          then <a href="${escapeHtml(pairUrl)}" target="_blank" rel="noopener" style="color:#4ec9b0;">open the pair page</a> to compare fingerprints and approve.`;
+      } catch (err) {
+        pairEl.textContent = 'Could not create a pairing code: ' + err.message;
+      }
+    });
+
     copyBtn.addEventListener('click', () => {
       const cmd = document.getElementById('add-machine-cmd').textContent;
       navigator.clipboard.writeText(cmd).then(() => {
@@ -3681,18 +4340,51 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
         reject(new Error('Agent request timeout'));
       }, 15000);
 
-      pendingRequests.set(id, { resolve, reject, timeout });
+      const pending = { resolve, reject, timeout, directAgentId: null };
+      pendingRequests.set(id, pending);
       if (onPartial) pendingScanCallbacks.set(id, onPartial);
 
-      ws.send(JSON.stringify({
-        type: 'request',
-        id,
-        agentId: resolvedAgentId,
-        payload: { method, path, body }
-      }));
+      // Pane-creating POSTs always go through the relay, which enforces plan
+      // limits; anything else may take the agent's direct LAN link
+      const cleanPath = path.split('?')[0];
+      const createPath = method === 'POST' && /^\/api\/[a-z-]+$/.test(cleanPath) ? cleanPath : undefined;
+      const send = (message) => {
+        if (!createPath && sendDirect(resolvedAgentId, JSON.stringify(message))) {
+          pending.directAgentId = resolvedAgentId;
+        } else if (ws && ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ ...message, agentId: resolvedAgentId }));
+        }
+      };
+
+      if (isE2EAgent(agents.find(a => a.agentId === resolvedAgentId))) {
+        // End-to-end encrypted: the relay sees the id, plus which pane type a
+        // POST creates (for plan limits; the agent checks the label matches)
+        sealAndSend(resolvedAgentId, 'request', id, encodeJson({ method, path, body }), (blob) => {
+          send({ type: 'request', id, payload: { e2e: toBase64(blob), createPath } });
+        }).catch((err) => {
+          clearTimeout(timeout);
+          pendingRequests.delete(id);
+          pendingScanCallbacks.delete(id);
+          reject(err);
+        });
+        return;
+      }
+
+      send({ type: 'request', id, payload: { method, path, body } });
     });
   }
 
+  // A direct link dropped: its requests will never be answered, so fail them now
+  function failDirectRequests(agentId) {
+    for (const [id, pending] of pendingRequests) {
+      if (pending.directAgentId !== agentId) continue;
+      clearTimeout(pending.timeout);
+      pendingRequests.delete(id);
+      pendingScanCallbacks.delete(id);
+      pending.reject(new Error('Direct link closed'));
+    }
+  }
+
   // Update connection status indicator
   function updateConnectionStatus(paneId, status) {
     const indicator = document.querySelector(`#pane-${paneId} .connection-status`);
@@ -3768,7 +4460,8 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     const pane = document.createElement('div');
     const typeClass = {
       file: 'file-pane', note: 'note-pane', 'git-graph': 'git-graph-pane',
-      iframe: 'iframe-pane', beads: 'beads-pane', folder: 'folder-pane'
+      iframe: 'iframe-pane', beads: 'beads-pane', folder: 'folder-pane',
+      replay: 'replay-pane', usage: 'usage-pane'
     }[paneData.type] || '';
     pane.className = `pane ${typeClass} agent-offline`.trim();
     pane.id = `pane-${paneData.id}`;
@@ -3810,6 +4503,12 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       case 'iframe':
         titleHtml = `🌐 ${escapeHtml(paneData.url ? truncateUrl(paneData.url) : 'Web')}`;
         break;
+      case 'replay':
+        titleHtml = `${deviceTag}<svg viewBox="0 0 24 24" width="14" height="14" style="vertical-align: middle; margin-right: 4px;">${ICON_REPLAY}</svg> Replay`;
+        break;
+      case 'usage':
+        titleHtml = `${deviceTag}<svg viewBox="0 0 24 24" width="14" height="14" style="vertical-align: middle; margin-right: 4px;">${ICON_USAGE}</svg> Claude Usage`;
+        break;
       case 'note':
         titleHtml = `${deviceTag}📝 Note`;
         break;
@@ -3856,11 +4555,11 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
   const PANE_TYPES = [
     { type: 'terminal', endpoint: '/api/terminals',
       defPos: { x: 50, y: 50 }, defSize: PANE_DEFAULTS['terminal'],
-      extraFields: (t) => ({ tmuxSession: t.tmuxSession, device: t.device || null }),
+      extraFields: (t) => ({ tmuxSession: t.tmuxSession, device: t.device || null, recording: !!t.recording }),
       render: renderPane },
     { type: 'file', endpoint: '/api/file-panes',
       defPos: { x: 100, y: 100 }, defSize: PANE_DEFAULTS['file'],
-      extraFields: (f) => ({ fileName: f.fileName, filePath: f.filePath, content: f.content, device: f.device || null }),
+      extraFields: (f) => ({ fileName: f.fileName, filePath: f.filePath, content: f.content, device: f.device || null, readOnly: !!f.readOnly, revision: f.revision || null }),
       render: renderFilePane },
     { type: 'note', endpoint: '/api/notes',
       defPos: { x: 100, y: 100 }, defSize: PANE_DEFAULTS['note'],
@@ -3886,9 +4585,21 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       defPos: { x: 100, y: 100 }, defSize: PANE_DEFAULTS['conversations'],
       extraFields: (c) => ({ dirPath: c.dirPath, device: c.device || null }),
       render: renderConversationsPane },
+    { type: 'replay', endpoint: '/api/replay-panes',
+      defPos: { x: 100, y: 100 }, defSize: PANE_DEFAULTS['replay'],
+      extraFields: (r) => ({ recordingId: r.recordingId, device: r.device || null }),
+      render: renderReplayPane },
+    { type: 'usage', endpoint: '/api/usage-panes',
+      defPos: { x: 100, y: 100 }, defSize: PANE_DEFAULTS['usage'],
+      extraFields: (u) => ({ days: u.days ?? 30, device: u.device || null }),
+      render: renderUsagePane },
   ];
 
-  async function loadPanesFromAgent(agentId, cloudLayoutMap) {
+  // Panes the agents list that belong to another workspace of this canvas
+  // (GET /api/layouts otherPaneIds); they stay off this one
+  let otherWorkspacePaneIds = new Set();
+
+  async function loadPanesFromAgent(agentId, cloudLayoutMap, onlyPaneId) {
     const agent = agents.find(a => a.agentId === agentId);
     const agentHostname = agent && agent.hostname ? agent.hostname : null;
 
@@ -3899,6 +4610,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     PANE_TYPES.forEach((cfg, i) => {
       for (const item of results[i]) {
         if (state.panes.some(p => p.id === item.id)) continue;
+        if (otherWorkspacePaneIds.has(item.id) || (onlyPaneId && item.id !== onlyPaneId)) continue;
         // Prefer cloud-saved layout, then agent-provided, then defaults
         const cl = cloudLayoutMap && cloudLayoutMap.get(item.id);
         const position = cl ? { x: cl.position_x, y: cl.position_y } : (item.position || cfg.defPos);
@@ -3938,6 +4650,95 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     });
   }
 
+  // Create fields for re-creating a saved pane of each type on its agent
+  const RECREATE_FIELDS = {
+    terminal: (d) => ({ workingDir: d.workingDir || '~', device: d.device }),
+    file: (d) => ({ filePath: d.filePath, device: d.device }),
+    note: () => ({}),
+    'git-graph': (d) => ({ repoPath: d.repoPath, device: d.device }),
+    iframe: (d) => ({ url: d.url }),
+    beads: (d) => ({ projectPath: d.projectPath }),
+    folder: (d) => ({ folderPath: d.folderPath }),
+    conversations: (d) => ({ dirPath: d.dirPath }),
+    replay: (d) => ({ recordingId: d.recordingId }),
+    usage: (d) => ({ device: d.device }),
+  };
+  // Canvas-side settings carried over to the new pane
+  const RECREATE_KEPT_FIELDS = ['paneName', 'shortcutNumber', 'zoomLevel', 'textOnly', 'beadsTag', 'graphMode', 'workingDir', 'checkpointName', 'tabGroupId', 'tabGroupActive'];
+
+  // Re-create saved panes (layout fields plus metadata, notes with their
+  // content) as new panes on their agents, in the same place. Used to
+  // duplicate a workspace (modules/workspaces.js) and to import canvas files
+  // (modules/canvas-file.js). Panes whose agent is offline are skipped.
+  // `keepTabGroups`: the panes go back into their groups (undoing a delete,
+  // modules/history.js). Returns { created, skipped, idMap } — idMap maps
+  // each desc's id, where it had one, to the new pane's.
+  async function recreatePanes(descs, { keepTabGroups = false } = {}) {
+    const usedShortcuts = new Set([...state.panes, ...state.projects].map(p => p.shortcutNumber).filter(Boolean));
+    const tabGroupIds = new Map();
+    const idMap = new Map();
+    let created = 0;
+    let skipped = 0;
+
+    for (const d of descs) {
+      const cfg = PANE_TYPES.find(c => c.type === d.type);
+      const agent = agents.find(a => a.agentId === d.agentId && a.online);
+      if (d.type !== 'checkpoint' && (!cfg || !RECREATE_FIELDS[d.type] || !agent)) {
+        skipped++;
+        continue;
+      }
+
+      const pane = { type: d.type, x: d.x, y: d.y, width: d.width, height: d.height, zIndex: state.nextZIndex++ };
+      try {
+        if (d.type === 'checkpoint') {
+          pane.id = 'ckpt-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+        } else {
+          const body = { ...RECREATE_FIELDS[d.type](d), position: { x: d.x, y: d.y }, size: { width: d.width, height: d.height } };
+          const item = await agentRequest('POST', cfg.endpoint, body, agent.agentId);
+          Object.assign(pane, { id: item.id, ...cfg.extraFields(item), agentId: agent.agentId });
+          if (!pane.device) pane.device = d.device || agent.hostname || null;
+        }
+      } catch (e) {
+        console.error(`[App] Failed to re-create ${d.type} pane:`, e);
+        skipped++;
+        continue;
+      }
+
+      for (const key of RECREATE_KEPT_FIELDS) {
+        if (d[key] !== undefined && d[key] !== null) pane[key] = d[key];
+      }
+      // Keep shortcut numbers unique and tab groups separate from existing ones
+      if (pane.shortcutNumber) {
+        if (usedShortcuts.has(pane.shortcutNumber)) delete pane.shortcutNumber;
+        else usedShortcuts.add(pane.shortcutNumber);
+      }
+      if (pane.tabGroupId && !keepTabGroups) {
+        if (!tabGroupIds.has(pane.tabGroupId)) tabGroupIds.set(pane.tabGroupId, `tg-${nextTabGroupId++}`);
+        pane.tabGroupId = tabGroupIds.get(pane.tabGroupId);
+      }
+
+      if (pane.type === 'note' && (d.content || d.images?.length)) {
+        pane.content = d.content || '';
+        pane.images = d.images || [];
+        if (d.fontSize) pane.fontSize = d.fontSize;
+        agentRequest('PATCH', `/api/notes/${pane.id}`, { content: pane.content, images: pane.images, fontSize: pane.fontSize }, pane.agentId)
+          .catch(e => console.error('Failed to save copied note content:', e));
+        cloudSaveNote(pane.id, pane.content, pane.fontSize, pane.images);
+      }
+
+      state.panes.push(pane); _telemetry.trackPaneOpen(pane);
+      if (pane.type === 'checkpoint') renderCheckpointPane(pane);
+      else cfg.render(pane);
+      cloudSaveLayout(pane);
+      if (d.id) idMap.set(d.id, pane.id);
+      created++;
+    }
+
+    restoreTabGroups();
+    renderProjectsSidebar();
+    return { created, skipped, idMap };
+  }
+
 
   async function loadTerminalsFromServer() {
     try {
@@ -3950,9 +4751,12 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
           cloudLayouts = cloudData.layouts;
           cloudLayoutMap = new Map(cloudLayouts.map(l => [l.id, l]));
         }
+        otherWorkspacePaneIds = new Set(cloudData.otherPaneIds || []);
       } catch (e) {
         console.warn('[Cloud] Failed to pre-fetch cloud layouts:', e.message);
       }
+      // Replace the panes drawn from the offline cache with the real ones
+      discardCachedPanes();
 
       // Load panes from all online agents, passing cloud layout data for correct positioning
       const onlineAgents = agents.filter(a => a.online);
@@ -4001,6 +4805,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
             if (meta.graphMode) pane.graphMode = meta.graphMode;
             if (meta.projectPath) pane.projectPath = meta.projectPath;
             if (meta.dirPath) pane.dirPath = meta.dirPath;
+            if (meta.recordingId) pane.recordingId = meta.recordingId;
             if (meta.beadsTag) pane.beadsTag = meta.beadsTag;
             if (meta.workingDir) pane.workingDir = meta.workingDir;
             if (meta.claudeSessionId) pane.claudeSessionId = meta.claudeSessionId;
@@ -4049,35 +4854,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       console.error('[App] Failed to load panes:', e);
     }
 
-    // Ensure nextTabGroupId is ahead of any restored groups
-    for (const p of state.panes) {
-      if (p.tabGroupId) {
-        const match = p.tabGroupId.match(/^tg-(\d+)$/);
-        if (match) nextTabGroupId = Math.max(nextTabGroupId, parseInt(match[1], 10) + 1);
-      }
-    }
-
-    // Restore tab group UI for all panes that belong to a group.
-    // renderOfflinePlaceholder and loadPanesFromAgent render panes individually
-    // and never call refreshTabBars — so tab groups appear as separate panes
-    // until we do this pass. We also ensure exactly one pane per group is active.
-    {
-      const seenGroups = new Set();
-      for (const p of state.panes) {
-        if (!p.tabGroupId || seenGroups.has(p.tabGroupId)) continue;
-        seenGroups.add(p.tabGroupId);
-        const groupPanes = state.panes.filter(g => g.tabGroupId === p.tabGroupId);
-        // Guarantee exactly one active pane per group — pick the first if none is set
-        const hasActive = groupPanes.some(g => g.tabGroupActive);
-        if (!hasActive && groupPanes.length > 0) groupPanes[0].tabGroupActive = true;
-        // Hide non-active panes, show active one
-        for (const gp of groupPanes) {
-          const el = document.getElementById(`pane-${gp.id}`);
-          if (el) el.style.display = gp.tabGroupActive ? '' : 'none';
-        }
-        refreshTabBars(p.tabGroupId);
-      }
-    }
+    restoreTabGroups();
 
     // Re-apply cached claude states now that panes are rendered
     // (states may have arrived before DOM elements existed)
@@ -4088,6 +4865,41 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     // Render project rectangles on canvas
     renderProjectRectangles();
     startProjectsSidebarRefresh();
+    saveCanvasSnapshot();
+    resetHistoryBaseline();
+    // Finish a workspace duplication or import started on the previous page
+    onCanvasLoaded();
+    resumePendingImport();
+  }
+
+  // Restore tab group UI for all panes that belong to a group.
+  // renderOfflinePlaceholder and loadPanesFromAgent render panes individually
+  // and never call refreshTabBars — so tab groups appear as separate panes
+  // until we do this pass. We also ensure exactly one pane per group is active.
+  function restoreTabGroups() {
+    // Ensure nextTabGroupId is ahead of any restored groups
+    for (const p of state.panes) {
+      if (p.tabGroupId) {
+        const match = p.tabGroupId.match(/^tg-(\d+)$/);
+        if (match) nextTabGroupId = Math.max(nextTabGroupId, parseInt(match[1], 10) + 1);
+      }
+    }
+
+    const seenGroups = new Set();
+    for (const p of state.panes) {
+      if (!p.tabGroupId || seenGroups.has(p.tabGroupId)) continue;
+      seenGroups.add(p.tabGroupId);
+      const groupPanes = state.panes.filter(g => g.tabGroupId === p.tabGroupId);
+      // Guarantee exactly one active pane per group — pick the first if none is set
+      const hasActive = groupPanes.some(g => g.tabGroupActive);
+      if (!hasActive && groupPanes.length > 0) groupPanes[0].tabGroupActive = true;
+      // Hide non-active panes, show active one
+      for (const gp of groupPanes) {
+        const el = document.getElementById(`pane-${gp.id}`);
+        if (el) el.style.display = gp.tabGroupActive ? '' : 'none';
+      }
+      refreshTabBars(p.tabGroupId);
+    }
   }
 
   /**
@@ -5127,11 +5939,70 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     }
   }
 
+  // Open a read-only file pane showing a file as of a commit (from the commit inspector)
+  async function openFileAtRevision(gitGraphPane, hash, filePath) {
+    try {
+      const reqBody = {
+        gitGraphId: gitGraphPane.id,
+        revision: hash,
+        revisionPath: filePath,
+        position: { x: gitGraphPane.x + gitGraphPane.width + 20, y: gitGraphPane.y },
+        size: PANE_DEFAULTS['file'],
+      };
+      const fp = await agentRequest('POST', '/api/file-panes', reqBody, gitGraphPane.agentId);
+      const pane = {
+        id: fp.id,
+        type: 'file',
+        x: fp.position.x,
+        y: fp.position.y,
+        width: fp.size.width,
+        height: fp.size.height,
+        zIndex: state.nextZIndex++,
+        fileName: fp.fileName,
+        filePath: fp.filePath,
+        content: fp.content,
+        readOnly: true,
+        revision: fp.revision,
+        device: fp.device || gitGraphPane.device || null,
+        agentId: gitGraphPane.agentId,
+      };
+      state.panes.push(pane); _telemetry.trackPaneOpen(pane);
+      renderFilePane(pane);
+      cloudSaveLayout(pane);
+      focusPane(pane);
+    } catch (e) {
+      console.error('[App] Failed to open file at revision:', e);
+      alert('Failed to open file at revision: ' + e.message);
+    }
+  }
+
+  // Add a pane for a terminal the agent spawned inside a worktree, beside the git graph pane
+  function addWorktreeTerminalPane(gitGraphPane, terminal) {
+    const pane = {
+      id: terminal.id,
+      type: 'terminal',
+      x: gitGraphPane.x + gitGraphPane.width + 20,
+      y: gitGraphPane.y,
+      width: PANE_DEFAULTS['terminal'].width,
+      height: PANE_DEFAULTS['terminal'].height,
+      zIndex: state.nextZIndex++,
+      tmuxSession: terminal.tmuxSession,
+      workingDir: terminal.workingDir,
+      device: terminal.device || gitGraphPane.device || null,
+      agentId: gitGraphPane.agentId,
+    };
+    state.panes.push(pane); _telemetry.trackPaneOpen(pane);
+    renderPane(pane);
+    cloudSaveLayout(pane);
+    focusPane(pane);
+  }
+
   // renderGitGraphPane, setupGitGraphListeners, assignLanes, gitRelativeTime,
   // renderSvgGitGraph, fetchGitGraphData — imported from modules/git-graph.js
 
-    // Delete a pane (terminal or file)
-  async function deletePane(paneId) {
+    // Delete a pane (terminal or file). `remote`: another tab or member on this
+    // canvas already deleted it, so only tear down what this page holds.
+  async function deletePane(paneId, { remote = false } = {}) {
 
     // Remove from broadcast selection if present
     if (selectedPaneIds.delete(paneId)) {
@@ -5146,11 +6017,15 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     try {
       const pane = state.panes.find(p => p.id === paneId);
       const paneType = pane?.type || 'terminal';
+      if (pane && !remote) paneDeleted(pane);
+      const deleteOnAgent = (path) => {
+        if (!remote) agentRequest('DELETE', path, null, pane?.agentId).catch(() => {});
+      };
       _telemetry.trackPaneClose(paneId, paneType);
 
       if (paneType === 'terminal') {
         // Close terminal via WebSocket
-        sendWs('terminal:close', { terminalId: paneId }, getPaneAgentId(paneId));
+        if (!remote) sendWs('terminal:close', { terminalId: paneId }, getPaneAgentId(paneId));
 
         // Clean up xterm instance
         const termInfo = terminals.get(paneId);
@@ -5162,7 +6037,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       } else if (paneType === 'file') {
         // Check for unsaved changes
         const editorInfo = fileEditors.get(paneId);
-        if (editorInfo?.hasChanges) {
+        if (editorInfo?.hasChanges && !remote) {
           if (!confirm('You have unsaved changes. Close anyway?')) {
             return;
           }
@@ -5185,7 +6060,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
         fileHandles.delete(paneId); // Clean up file handle
 
         // Delete from server (best-effort — agent may be offline)
-        agentRequest('DELETE', `/api/file-panes/${paneId}`, null, pane?.agentId).catch(() => {});
+        deleteOnAgent(`/api/file-panes/${paneId}`);
       } else if (paneType === 'note') {
         // Dispose Monaco editor if this is a note pane
         const noteInfo = noteEditors.get(paneId);
@@ -5195,7 +6070,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
           noteEditors.delete(paneId);
         }
         // Delete from server (best-effort — agent may be offline)
-        agentRequest('DELETE', `/api/notes/${paneId}`, null, pane?.agentId).catch(() => {});
+        deleteOnAgent(`/api/notes/${paneId}`);
       } else if (paneType === 'git-graph') {
         // Stop auto-refresh
         const ggInfo = gitGraphPanes.get(paneId);
@@ -5204,9 +6079,9 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
         }
         gitGraphPanes.delete(paneId);
         // Delete from server (best-effort — agent may be offline)
-        agentRequest('DELETE', `/api/git-graphs/${paneId}`, null, pane?.agentId).catch(() => {});
+        deleteOnAgent(`/api/git-graphs/${paneId}`);
       } else if (paneType === 'iframe') {
-        agentRequest('DELETE', `/api/iframes/${paneId}`, null, pane?.agentId).catch(() => {});
+        deleteOnAgent(`/api/iframes/${paneId}`);
       } else if (paneType === 'beads') {
         // Stop auto-refresh
         const bInfo = beadsPanes.get(paneId);
@@ -5214,14 +6089,24 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
           clearInterval(bInfo.refreshInterval);
         }
         beadsPanes.delete(paneId);
-        agentRequest('DELETE', `/api/beads-panes/${paneId}`, null, pane?.agentId).catch(() => {});
+        deleteOnAgent(`/api/beads-panes/${paneId}`);
       } else if (paneType === 'folder') {
         const fpInfo = folderPanes.get(paneId);
         if (fpInfo?.refreshInterval) clearInterval(fpInfo.refreshInterval);
         folderPanes.delete(paneId);
-        agentRequest('DELETE', `/api/folder-panes/${paneId}`, null, pane?.agentId).catch(() => {});
+        deleteOnAgent(`/api/folder-panes/${paneId}`);
       } else if (paneType === 'conversations') {
-        agentRequest('DELETE', `/api/conversations-panes/${paneId}`, null, pane?.agentId).catch(() => {});
+        deleteOnAgent(`/api/conversations-panes/${paneId}`);
+      } else if (paneType === 'replay') {
+        const rpInfo = replayPanes.get(paneId);
+        if (rpInfo) rpInfo.dispose();
+        replayPanes.delete(paneId);
+        deleteOnAgent(`/api/replay-panes/${paneId}`);
+      } else if (paneType === 'usage') {
+        const uInfo = usagePanes.get(paneId);
+        if (uInfo?.refreshInterval) clearInterval(uInfo.refreshInterval);
+        usagePanes.delete(paneId);
+        deleteOnAgent(`/api/usage-panes/${paneId}`);
       } else if (paneType === 'checkpoint') {
         // Checkpoint panes are local-only, just remove from state
       }
@@ -5240,7 +6125,10 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       if (lastFocusedPaneId === paneId) lastFocusedPaneId = null;
 
       // Remove from cloud layout
-      cloudDeleteLayout(paneId);
+      if (!remote) {
+        cloudDeleteLayout(paneId);
+        layoutChanged();
+      }
 
     } catch (e) {
       console.error('[App] Error deleting pane:', e);
@@ -5534,7 +6422,10 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
         terminalId: pane.id,
         tmuxSession: pane.tmuxSession,
         cols: termInfo.xterm.cols,
-        rows: termInfo.xterm.rows
+        rows: termInfo.xterm.rows,
+        // Last rendered output position — lets the agent send only what we missed
+        streamId: termInfo.outputStreamId,
+        seq: termInfo.outputSeq
       }, pane.agentId);
     } else {
       pendingAttachments.add(pane.id);
@@ -5555,6 +6446,9 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     // Reset flags so history injection runs again
     termInfo._historyLoaded = false;
     termInfo._initialAttachDone = false;
+    // Forget the output position so the agent does a full capture, not a resume
+    termInfo.outputStreamId = null;
+    termInfo.outputSeq = null;
 
     // Re-attach — agent will re-capture history, send it, then force redraw.
     // Agent skips history capture when a TUI app is in alternate screen mode,
@@ -5590,11 +6484,13 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
           ${shortcutBadgeHtml(paneData)}
           <button class="beads-tag-btn" aria-label="Set beads issue" data-tooltip="Set beads issue"><svg viewBox="0 0 24 24" width="12" height="12" fill="none" stroke="currentColor" stroke-width="0">${ICON_BEADS}</svg></button>
           <button class="term-refresh-history" aria-label="Reload history" data-tooltip="Reload history"><svg viewBox="0 0 16 16" width="14" height="14" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M13 3a7 7 0 1 0 1 5"/><polyline points="14 1 14 5 10 5"/></svg></button>
+          <button class="term-record${paneData.recording ? ' recording' : ''}" aria-label="Record session" data-tooltip="${paneData.recording ? 'Stop recording' : 'Record session'}"><svg viewBox="0 0 16 16" width="12" height="12"><circle cx="8" cy="8" r="5" fill="currentColor"/></svg></button>
           <div class="pane-zoom-controls">
             <button class="pane-zoom-btn zoom-out" data-tooltip="Zoom out">−</button>
             <button class="pane-zoom-btn zoom-in" data-tooltip="Zoom in">+</button>
           </div>
           <span class="connection-status connecting" data-tooltip="Connecting"></span>
+          <button class="pane-share-btn" aria-label="Share read-only link" data-tooltip="Share read-only link"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/><line x1="8.6" y1="13.5" x2="15.4" y2="17.5"/><line x1="15.4" y1="6.5" x2="8.6" y2="10.5"/></svg></button>
           <button class="pane-new-tab" aria-label="New tab" data-tooltip="New tab (Tab+=)"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg></button>
           <button class="pane-expand" aria-label="Expand pane" data-tooltip="Expand">⛶</button>
           <button class="pane-close" aria-label="Close pane"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button>
@@ -5654,7 +6550,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
 
     pane.innerHTML = `
       <div class="pane-header">
-        <span class="pane-title">${deviceTag}📄 ${escapeHtml(paneData.fileName || 'Untitled')}</span>
+        <span class="pane-title">${deviceTag}📄 ${escapeHtml(paneData.fileName || 'Untitled')}${paneData.revision ? ` <span class="file-revision-tag" title="${escapeHtml(paneData.revision.path)} at ${escapeHtml(paneData.revision.hash)}">@ ${escapeHtml(paneData.revision.hash.slice(0, 7))}</span>` : ''}</span>
         ${paneNameHtml(paneData)}
         <div class="pane-header-right">
           ${shortcutBadgeHtml(paneData)}
@@ -5663,6 +6559,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
             <button class="pane-zoom-btn zoom-out" data-tooltip="Zoom out">−</button>
             <button class="pane-zoom-btn zoom-in" data-tooltip="Zoom in">+</button>
           </div>
+          <button class="pane-share-btn" aria-label="Share read-only link" data-tooltip="Share read-only link"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/><line x1="8.6" y1="13.5" x2="15.4" y2="17.5"/><line x1="15.4" y1="6.5" x2="8.6" y2="10.5"/></svg></button>
           <button class="pane-expand" aria-label="Expand pane" data-tooltip="Expand">⛶</button>
           <button class="pane-close" aria-label="Close pane"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button>
         </div>
@@ -5670,11 +6567,15 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       <div class="pane-content">
         <div class="file-container">
           <div class="file-toolbar">
+            ${paneData.readOnly ? `
+            <span class="file-status">Read-only${paneData.revision ? ` — ${escapeHtml(paneData.revision.path)} at ${escapeHtml(paneData.revision.hash.slice(0, 7))}` : ''}</span>
+            ` : `
             <button class="file-toolbar-btn save-btn" data-tooltip="Save file">Save</button>
             <button class="file-toolbar-btn discard-btn" data-tooltip="Discard changes">Discard</button>
             <button class="file-toolbar-btn reload-btn" data-tooltip="Reload file">Reload</button>
             <span class="file-status"></span>
             <span class="file-refreshed"></span>
+            `}
           </div>
           <div class="file-editor"></div>
         </div>
@@ -5756,6 +6657,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       value: content,
       language: language,
       theme: '49agents-dark',
+      readOnly: !!paneData.readOnly,
       fontFamily: '"JetBrains Mono", "Fira Code", "SF Mono", Menlo, Monaco, monospace',
       fontSize: 13,
       lineHeight: 1.5,
@@ -5846,6 +6748,13 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     return `<span class="claude-session-badge" data-tooltip="${escapeHtml(sessionId)}">${CLAUDE_LOGO_SVG.replace('class="claude-logo"', 'class="claude-session-logo"')}<span class="claude-session-id">${shortId}</span>${nameHtml}</span>`;
   }
 
+  // Linked git worktree a terminal is working in (from claude:states)
+  function worktreeBadgeHtml(worktree) {
+    if (!worktree) return '';
+    const label = worktree.branch || worktree.name;
+    return `<span class="worktree-badge" data-tooltip="Worktree ${escapeHtml(worktree.path)} of ${escapeHtml(worktree.mainRepo)}"><svg viewBox="0 0 24 24" width="10" height="10" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><circle cx="6" cy="5" r="2"/><circle cx="6" cy="19" r="2"/><circle cx="18" cy="8" r="2"/><path d="M6 7v10M18 10c0 4-6 3-12 7"/></svg>${escapeHtml(label)}</span>`;
+  }
+
   function beadsTagHtml(beadsTag) {
     if (!beadsTag) return '';
     const shortId = beadsTag.id.replace(/^.*-/, '');
@@ -6123,6 +7032,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
             <button class="pane-zoom-btn zoom-in" data-tooltip="Zoom in">+</button>
           </div>
           <button class="note-text-only-btn" aria-label="Preview markdown" data-tooltip="Preview markdown">\u{1F441}</button>
+          <button class="pane-share-btn" aria-label="Share read-only link" data-tooltip="Share read-only link"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/><line x1="8.6" y1="13.5" x2="15.4" y2="17.5"/><line x1="15.4" y1="6.5" x2="8.6" y2="10.5"/></svg></button>
           <button class="pane-close" aria-label="Close pane"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button>
         </div>
       </div>
@@ -6292,6 +7202,34 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
   // Truncate URL for display in pane header
   // truncateUrl — imported from modules/utils.js
 
+  // Localhost URLs load through the cloud's preview proxy from the pane's
+  // machine, under a token for that machine and port (ws/previewProxy.js)
+  async function iframeSrc(paneData) {
+    const target = localPreviewTarget(paneData.url, paneData.agentId);
+    if (!target) return paneData.url;
+    const { path } = await cloudFetch('POST', '/api/preview-tokens', { agentId: paneData.agentId, port: target.port });
+    return path.replace(/\/$/, '') + target.path;
+  }
+
+  // Pages on the app's own origin (previews included) must not get it: with
+  // allow-scripts they could remove their own sandbox and act as the user
+  function iframeSandbox(url) {
+    let sameOrigin = true;
+    try { sameOrigin = new URL(url, location.href).origin === location.origin; } catch {}
+    return `allow-scripts${sameOrigin ? '' : ' allow-same-origin'} allow-forms allow-popups allow-downloads`;
+  }
+
+  async function loadIframe(iframe, paneData) {
+    try {
+      const src = await iframeSrc(paneData);
+      iframe.setAttribute('sandbox', iframeSandbox(src));
+      iframe.src = src;
+    } catch (err) {
+      console.error('[App] Failed to open preview:', err.message);
+      iframe.src = 'about:blank';
+    }
+  }
+
   // Render an iframe pane
   function renderIframePane(paneData) {
 
@@ -6312,6 +7250,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     pane.innerHTML = `
       <div class="pane-header">
         <span class="pane-title">🌐 ${escapeHtml(truncateUrl(paneData.url))}</span>
+        <span class="iframe-preview-tag" data-tooltip="Proxied from localhost on this machine through the relay"${localPreviewTarget(paneData.url, paneData.agentId) ? '' : ' hidden'}>preview</span>
         ${paneNameHtml(paneData)}
         <div class="pane-header-right">
           ${shortcutBadgeHtml(paneData)}
@@ -6324,8 +7263,8 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
         </div>
       </div>
       <div class="pane-content">
-        <iframe class="iframe-embed" src="${escapeHtml(paneData.url)}"
-                sandbox="allow-scripts allow-same-origin allow-forms allow-popups allow-downloads"
+        <iframe class="iframe-embed" src="about:blank"
+                sandbox="${iframeSandbox('about:blank')}"
                 allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
                 loading="lazy"></iframe>
         <div class="iframe-overlay"></div>
@@ -6336,6 +7275,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     setupPaneListeners(pane, paneData);
     setupIframeListeners(pane, paneData);
     canvas.appendChild(pane);
+    loadIframe(pane.querySelector('.iframe-embed'), paneData);
   }
 
   // Setup iframe-specific event listeners
@@ -6360,13 +7300,17 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     // Refresh button
     paneEl.querySelector('.iframe-refresh').addEventListener('click', (e) => {
       e.stopPropagation();
-      iframe.src = paneData.url;
+      loadIframe(iframe, paneData);
     });
 
     // Open in browser button
-    paneEl.querySelector('.iframe-open-external').addEventListener('click', (e) => {
+    paneEl.querySelector('.iframe-open-external').addEventListener('click', async (e) => {
       e.stopPropagation();
-      window.open(paneData.url, '_blank');
+      try {
+        window.open(await iframeSrc(paneData), '_blank', 'noopener');
+      } catch (err) {
+        console.error('[App] Failed to open preview:', err.message);
+      }
     });
 
     editUrlBtn.addEventListener('click', async (e) => {
@@ -6386,9 +7330,10 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       try {
         await agentRequest('PATCH', `/api/iframes/${paneData.id}`, { url: newUrl }, paneData.agentId);
         paneData.url = newUrl;
-        iframe.src = newUrl;
+        loadIframe(iframe, paneData);
         const title = paneEl.querySelector('.pane-title');
         if (title) title.textContent = `🌐 ${truncateUrl(newUrl)}`;
+        paneEl.querySelector('.iframe-preview-tag').hidden = !localPreviewTarget(newUrl, paneData.agentId);
       } catch (err) {
         console.error('Failed to update iframe URL:', err);
       }
@@ -7597,6 +8542,9 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       });
     }
 
+    // Revision snapshots can't be saved and never change — skip save/reload wiring
+    if (paneData.readOnly) return;
+
     // Track changes via Monaco's content change event
     monacoEditor.onDidChangeModelContent(() => {
       if (editorInfo) {
@@ -8227,6 +9175,34 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       });
     }
 
+    // Record button (terminal panes only) — toggles asciinema recording on the agent.
+    // Recordings are replayed in a replay pane (add menu → Replay).
+    const recordBtn = paneEl.querySelector('.term-record');
+    if (recordBtn) {
+      recordBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const enabled = !paneData.recording;
+        try {
+          const status = await agentRequest('PUT', `/api/terminals/${paneData.id}/recording`, { enabled }, paneData.agentId);
+          paneData.recording = !!status.enabled;
+          recordBtn.classList.toggle('recording', paneData.recording);
+          recordBtn.setAttribute('data-tooltip', paneData.recording ? 'Stop recording' : 'Record session');
+        } catch (err) {
+          console.error('[App] Failed to toggle recording:', err);
+        }
+      });
+    }
+
+    // Share button (terminal, note and file panes) — read-only link for one pane
+    const shareBtn = paneEl.querySelector('.pane-share-btn');
+    if (shareBtn) {
+      shareBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showShareDialog(paneData);
+      });
+      shareBtn.addEventListener('mousedown', (e) => e.stopPropagation());
+    }
+
     // Beads tag removal via X button
     paneEl.addEventListener('click', (e) => {
       const removeBtn = e.target.closest('.beads-tag-remove');
@@ -9092,6 +10068,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       });
       paneEl.classList.add('focused');
       lastFocusedPaneId = paneData.id;
+      reportFocus(paneData.id);
 
       // Quick View: overlays stay on all panes (no interaction in this mode)
     }
@@ -9125,6 +10102,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
   // Update canvas transform
   function updateCanvasTransform() {
     canvas.style.transform = `translate(${state.panX}px, ${state.panY}px) scale(${state.zoom})`;
+    refreshCursors();
   }
 
   // Quick View: overlay showing pane type, device, path, claude state
@@ -9593,7 +10571,9 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     'git-graph': 'Git Graph',
     'iframe': 'Web Page',
     'beads': 'Beads Issues',
-    'folder': 'Folder'
+    'folder': 'Folder',
+    'replay': 'Replay',
+    'usage': 'Claude Usage'
   };
 
   // Enter placement mode with all picker data already resolved
@@ -9949,6 +10929,47 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     }
   }
 
+  // Open a terminal pane running claude for a recorded conversation, in the
+  // conversation's cwd. Resume continues the session with `claude --resume`;
+  // fork starts a new session seeded with the exported transcript.
+  // `near` is a pane to place the terminal next to (viewport center otherwise).
+  async function openConversationInClaude({ sessionId, cwd, agentId, device }, { fork = false, near = null } = {}) {
+    if (!/^[\w-]+$/.test(sessionId)) return;
+    try {
+      let terminal;
+      if (fork) {
+        ({ terminal } = await agentRequest('POST', '/api/conversations/fork', { sessionId, dirPath: cwd }, agentId));
+      } else {
+        terminal = await agentRequest('POST', '/api/terminals', {
+          workingDir: cwd || '~',
+          command: `claude --resume ${sessionId}`,
+        }, agentId);
+      }
+
+      const width = PANE_DEFAULTS['terminal'].width;
+      const height = PANE_DEFAULTS['terminal'].height;
+      const pos = near ? { x: near.x + near.width + 20, y: near.y } : calcPlacementPos(null, width / 2, height / 2);
+      const tPane = {
+        id: terminal.id,
+        type: 'terminal',
+        x: pos.x,
+        y: pos.y,
+        width,
+        height,
+        zIndex: state.nextZIndex++,
+        tmuxSession: terminal.tmuxSession,
+        device: device || null,
+        agentId,
+      };
+      state.panes.push(tPane); _telemetry.trackPaneOpen(tPane);
+      renderPane(tPane);
+      cloudSaveLayout(tPane);
+    } catch (e) {
+      console.error(`[Conversations] Failed to ${fork ? 'fork' : 'resume'} conversation:`, e);
+      alert(`Failed to ${fork ? 'fork' : 'resume'} conversation: ` + e.message);
+    }
+  }
+
   async function showConversationDetail(pane, paneData, convo, isActive, claudeState) {
     // Hide toolbar and list, show detail view
     const toolbar = pane.querySelector('.convos-toolbar');
@@ -9983,6 +11004,10 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
             <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 4h16a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2z"/><path d="M6 8l4 4-4 4"/><line x1="12" y1="16" x2="18" y2="16"/></svg>
             Resume
           </button>
+          <button class="convos-action-btn convos-btn-fork" title="Fork (new Claude session seeded with this transcript)">
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><circle cx="6" cy="5" r="2"/><circle cx="18" cy="5" r="2"/><circle cx="12" cy="19" r="2"/><path d="M6 7v2a3 3 0 0 0 3 3h6a3 3 0 0 0 3-3V7"/><line x1="12" y1="12" x2="12" y2="17"/></svg>
+            Fork
+          </button>
           <button class="convos-action-btn convos-btn-extract" title="Extract conversation">
             <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
             Extract
@@ -10023,39 +11048,13 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       if (listEl) listEl.style.display = '';
     });
 
-    // Open in Claude button
-    detail.querySelector('.convos-btn-open-claude').addEventListener('click', async () => {
-      try {
-        const terminal = await agentRequest('POST', '/api/terminals', {
-          workingDir: convo.cwd || '~',
-        }, paneData.agentId);
-
-        // Create the terminal pane
-        const tPane = {
-          id: terminal.id,
-          type: 'terminal',
-          x: paneData.x + paneData.width + 20,
-          y: paneData.y,
-          width: PANE_DEFAULTS['terminal'].width,
-          height: PANE_DEFAULTS['terminal'].height,
-          zIndex: state.nextZIndex++,
-          tmuxSession: terminal.tmuxSession,
-          device: paneData.device || null,
-          agentId: paneData.agentId,
-        };
-        state.panes.push(tPane); _telemetry.trackPaneOpen(tPane);
-        renderPane(tPane);
-        cloudSaveLayout(tPane);
-
-        // Send the resume command after a short delay to let the terminal initialize
-        setTimeout(() => {
-          const cmd = `claude --resume ${convo.sessionId}\n`;
-          sendWs('terminal:input', { terminalId: terminal.id, data: btoa(cmd) }, paneData.agentId);
-        }, 800);
-      } catch (e) {
-        console.error('[Conversations] Failed to open in Claude:', e);
-        alert('Failed to open terminal: ' + e.message);
-      }
+    // Resume / Fork buttons
+    const convoTarget = { sessionId: convo.sessionId, cwd: convo.cwd, agentId: paneData.agentId, device: paneData.device };
+    detail.querySelector('.convos-btn-open-claude').addEventListener('click', () => {
+      openConversationInClaude(convoTarget, { near: paneData });
+    });
+    detail.querySelector('.convos-btn-fork').addEventListener('click', () => {
+      openConversationInClaude(convoTarget, { fork: true, near: paneData });
     });
 
     // Extract button
@@ -10216,6 +11215,142 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     });
   }
 
+  // ── Replay Pane ──
+
+  async function createReplayPane(recordingId, placementPos, targetAgentId, device) {
+    const resolvedAgentId = targetAgentId || activeAgentId;
+    const position = calcPlacementPos(placementPos, 360, 240);
+
+    try {
+      const reqBody = { recordingId, position, size: PANE_DEFAULTS['replay'] };
+      if (device) reqBody.device = device;
+      const rpData = await agentRequest('POST', '/api/replay-panes', reqBody, resolvedAgentId);
+
+      const pane = {
+        id: rpData.id,
+        type: 'replay',
+        x: rpData.position.x,
+        y: rpData.position.y,
+        width: rpData.size.width,
+        height: rpData.size.height,
+        zIndex: state.nextZIndex++,
+        recordingId: rpData.recordingId,
+        device: device || rpData.device || null,
+        agentId: resolvedAgentId,
+      };
+
+      state.panes.push(pane); _telemetry.trackPaneOpen(pane);
+      renderReplayPane(pane);
+      cloudSaveLayout(pane);
+    } catch (e) {
+      console.error('[App] Failed to create replay pane:', e);
+      alert('Failed to create replay pane: ' + e.message);
+    }
+  }
+
+  // ── Usage Pane ──
+
+  async function createUsagePane(placementPos, targetAgentId, device) {
+    const resolvedAgentId = targetAgentId || activeAgentId;
+    const position = calcPlacementPos(placementPos, 360, 280);
+
+    try {
+      const reqBody = { position, size: PANE_DEFAULTS['usage'] };
+      if (device) reqBody.device = device;
+      const upData = await agentRequest('POST', '/api/usage-panes', reqBody, resolvedAgentId);
+
+      const pane = {
+        id: upData.id,
+        type: 'usage',
+        x: upData.position.x,
+        y: upData.position.y,
+        width: upData.size.width,
+        height: upData.size.height,
+        zIndex: state.nextZIndex++,
+        days: upData.days,
+        device: device || upData.device || null,
+        agentId: resolvedAgentId,
+      };
+
+      state.panes.push(pane); _telemetry.trackPaneOpen(pane);
+      renderUsagePane(pane);
+      cloudSaveLayout(pane);
+    } catch (e) {
+      console.error('[App] Failed to create usage pane:', e);
+      alert('Failed to create usage pane: ' + e.message);
+    }
+  }
+
+  function showUsageDevicePickerThenPlace() {
+    showDevicePickerGeneric(
+      (d) => enterPlacementMode('usage', (pos) => createUsagePane(pos, d.ip, d.name)),
+      () => enterPlacementMode('usage', (pos) => createUsagePane(pos))
+    );
+  }
+
+  function showRecordingPickerWithDeviceThenPlace() {
+    showDevicePickerGeneric(
+      (d) => showRecordingPicker(d.ip, d.name),
+      () => showRecordingPicker(activeAgentId)
+    );
+  }
+
+  // List the agent's recordings (newest first) and place a replay pane for the chosen one
+  async function showRecordingPicker(targetAgentId, device) {
+    let recordings;
+    try {
+      recordings = await agentRequest('GET', '/api/recordings', null, targetAgentId);
+    } catch (e) {
+      console.error('[App] Failed to list recordings:', e);
+      alert('Failed to list recordings: ' + e.message);
+      return;
+    }
+
+    const existing = document.getElementById('recording-picker');
+    if (existing) existing.remove();
+
+    const picker = document.createElement('div');
+    picker.id = 'recording-picker';
+    picker.className = 'pane-menu';
+    picker.style.cssText = 'min-width:260px; max-height:60vh; overflow-y:auto;';
+
+    const close = () => {
+      nav.cleanup();
+      document.removeEventListener('click', closeHandler);
+      picker.remove();
+    };
+
+    if (recordings.length === 0) {
+      picker.innerHTML = `<div class="recording-picker-empty">No recordings yet — use the record button in a terminal header to start one.</div>`;
+    }
+
+    for (const recording of recordings) {
+      const btn = document.createElement('button');
+      btn.className = 'menu-item';
+      btn.setAttribute('data-nav-item', '');
+      const activeBadge = recording.active ? '<span class="recording-picker-live">REC</span>' : '';
+      btn.innerHTML = `<svg viewBox="0 0 24 24" width="14" height="14" style="flex-shrink:0;">${ICON_REPLAY}</svg><span style="flex:1;">${escapeHtml(formatRecordingLabel(recording))}</span>${activeBadge}<span style="opacity:0.5; font-size:11px;">${formatBytes(recording.size)}</span>`;
+      btn.addEventListener('click', () => {
+        close();
+        enterPlacementMode('replay', (pos) => createReplayPane(recording.id, pos, targetAgentId, device));
+      });
+      picker.appendChild(btn);
+    }
+
+    const closeHandler = (e) => {
+      if (!picker.contains(e.target)) close();
+    };
+    setTimeout(() => document.addEventListener('click', closeHandler), 0);
+    document.body.appendChild(picker);
+
+    const nav = attachPickerKeyboardNav(picker, {
+      onEscape: () => {
+        document.removeEventListener('click', closeHandler);
+        picker.remove();
+      },
+    });
+  }
+
   async function showFolderPaneDevicePickerThenPlace() {
     showDevicePickerGeneric(
       (d) => showRecentsOrBrowse('folder', d.ip,
@@ -10376,6 +11511,23 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
     return 'proj-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
   }
 
+  // Add project rectangles from elsewhere (canvas import) with fresh ids,
+  // keeping their shortcut numbers where still free
+  function addProjects(projects) {
+    const usedShortcuts = new Set([...state.panes, ...state.projects].map(p => p.shortcutNumber).filter(Boolean));
+    for (const p of projects) {
+      const project = { id: generateProjectId(), name: p.name, color: p.color, x: p.x, y: p.y, width: p.width, height: p.height };
+      if (p.shortcutNumber && !usedShortcuts.has(p.shortcutNumber)) {
+        project.shortcutNumber = p.shortcutNumber;
+        usedShortcuts.add(p.shortcutNumber);
+      }
+      state.projects.push(project);
+    }
+    saveProjectsToCloud();
+    renderProjectRectangles();
+    renderProjectsSidebar();
+  }
+
   // Get panes that fall within a project's bounding rectangle (excludes checkpoint panes)
   function getPanesInProject(project) {
     return state.panes.filter(p => {
@@ -10680,12 +11832,20 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       if (labelEl) showProjectEditPopup(project, labelEl);
     });
 
+    const exportBtn = document.createElement('button');
+    exportBtn.textContent = 'Export Project';
+    exportBtn.addEventListener('click', () => {
+      menu.remove();
+      exportCanvasFile(project).catch(err => alert('Failed to export project: ' + err.message));
+    });
+
     const deleteBtn = document.createElement('button');
     deleteBtn.textContent = 'Delete Project';
     deleteBtn.addEventListener('click', () => { deleteProject(project.id); menu.remove(); });
 
     menu.appendChild(goToBtn);
     menu.appendChild(renameBtn);
+    menu.appendChild(exportBtn);
     menu.appendChild(deleteBtn);
     document.body.appendChild(menu);
 
@@ -11128,20 +12288,16 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
   // Persistence: save/load projects via cloud API
   let projectsSaveTimer = null;
   function saveProjectsToCloud() {
+    layoutChanged();
     if (projectsSaveTimer) clearTimeout(projectsSaveTimer);
     projectsSaveTimer = setTimeout(() => {
-      cloudFetch('PUT', '/api/preferences', getAllPrefs({
-        projects: state.projects,
-      })).catch(e => console.error('[Projects] Save failed:', e.message));
+      const workspaceId = getWorkspaceId();
+      if (!workspaceId) return;
+      cloudFetch('PATCH', `/api/workspaces/${encodeURIComponent(workspaceId)}`, { projects: state.projects })
+        .catch(e => console.error('[Projects] Save failed:', e.message));
     }, 500);
   }
 
-  function loadProjectsFromPrefs(prefs) {
-    if (prefs.projects && Array.isArray(prefs.projects)) {
-      state.projects = prefs.projects;
-    }
-  }
-
   // Periodically refresh sidebar pane counts (every 5s when visible)
   let projectsSidebarRefreshTimer = null;
   function startProjectsSidebarRefresh() {
@@ -11196,6 +12352,12 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
         showFolderPaneDevicePickerThenPlace();
       } else if (type === 'conversations') {
         showConversationsDirPickerThenPlace();
+      } else if (type === 'replay') {
+        showRecordingPickerWithDeviceThenPlace();
+      } else if (type === 'usage') {
+        showUsageDevicePickerThenPlace();
+      } else if (type === 'search') {
+        showConversationSearch();
       } else if (type === 'project') {
         startProjectCreation();
       } else if (type === 'checkpoint') {
@@ -11283,6 +12445,7 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
 
   // Auto-arrange panes in a single column for mobile viewports
   function autoArrangePanes() {
+    beforeBulkChange('Auto-arrange');
     const margin = 16;
     const paneWidth = (window.innerWidth / state.zoom) - margin * 2;
     const paneHeight = 300;
@@ -12346,6 +13509,26 @@ import { initGitGraphDeps, renderGitGraphPane, fetchGitGraphData } from './modul
       }
     });
 
+    // Ctrl/Cmd+Shift+F → search Claude conversations on all machines
+    document.addEventListener('keydown', (e) => {
+      if (!((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'f')) return;
+      e.preventDefault();
+      showConversationSearch();
+    });
+
+    // Ctrl/Cmd+Z → undo a layout change, Ctrl/Cmd+Shift+Z or Ctrl+Y → redo.
+    // Inside a pane the keys are the pane's (Ctrl+Z suspends in a terminal).
+    document.addEventListener('keydown', (e) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      const key = e.key.toLowerCase();
+      const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && e.ctrlKey && !e.shiftKey);
+      if (key !== 'z' && !isRedo) return;
+      if (isExternalInputFocused() || document.activeElement?.closest('.pane')) return;
+      e.preventDefault();
+      if (isRedo) redoLayout();
+      else undoLayout();
+    });
+
     // Non-Shift click outside broadcast panes clears selection
     document.addEventListener('mousedown', (e) => {
       if (e.shiftKey) return;
@@ -0,0 +1,146 @@
+// ─── API Tokens ───────────────────────────────────────────────────────────
+// Personal tokens for the public REST API (/api/v1, see cloud/API.md), so
+// scripts and CI can list machines, drive terminals and open panes. A token
+// is shown once when created; the cloud keeps only its hash.
+
+import { escapeHtml } from './utils.js';
+
+let _ctx = null;
+
+export function initApiTokensDeps(ctx) { _ctx = ctx; }
+
+const EXPIRY_OPTIONS = [[30, '30 days'], [90, '90 days'], [365, '1 year'], [null, 'Never']];
+
+const INPUT_STYLE = 'padding:5px 8px;background:rgba(255,255,255,0.05);border:1px solid rgba(255,255,255,0.08);border-radius:6px;color:#e0e0e0;font-size:12px;font-family:inherit;outline:none;box-sizing:border-box;';
+const BUTTON_STYLE = 'padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;';
+const PRIMARY_BUTTON_STYLE = 'padding:5px 12px;border-radius:6px;border:1px solid rgba(var(--accent-rgb),0.4);background:rgba(var(--accent-rgb),0.2);color:#fff;font-size:12px;cursor:pointer;font-family:inherit;';
+
+function formatDate(value) {
+  return value ? new Date(value.endsWith('Z') || value.includes('T') ? value : `${value}Z`).toLocaleDateString() : null;
+}
+
+/** Settings → API tokens: create, list and revoke personal API tokens. */
+export function showApiTokensPanel() {
+  const existing = document.getElementById('api-tokens-modal');
+  if (existing) { existing.remove(); return; }
+
+  const overlay = document.createElement('div');
+  overlay.id = 'api-tokens-modal';
+  overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.7);display:flex;align-items:center;justify-content:center;z-index:100000;';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'tc-scrollbar';
+  dialog.style.cssText = 'background:#1a1a2e;border:1px solid rgba(var(--accent-rgb),0.3);border-radius:12px;padding:24px;max-width:560px;width:90%;color:#e0e0e0;font-family:Montserrat,sans-serif;max-height:80vh;overflow-y:auto;';
+  dialog.innerHTML = `
+    <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:8px;">
+      <h3 style="margin:0;font-size:16px;font-weight:400;color:#8b8bb0;">API tokens</h3>
+      <button id="api-tokens-close-btn" style="background:none;border:none;color:#6a6a8a;font-size:20px;cursor:pointer;padding:4px 8px;border-radius:4px;line-height:1;">&times;</button>
+    </div>
+    <div style="font-size:11px;color:#6a6a8a;margin-bottom:14px;">Tokens let scripts and CI use the REST API at <code>${escapeHtml(location.origin)}/api/v1</code> with <code>Authorization: Bearer &lt;token&gt;</code>. Give each token only the scopes it needs.</div>
+    <div style="font-size:13px;margin-bottom:8px;">New token</div>
+    <div style="display:flex;align-items:center;gap:8px;margin-bottom:8px;">
+      <input id="api-token-name" placeholder="Name, e.g. CI build box" maxlength="100" style="${INPUT_STYLE}flex:1;">
+      <select id="api-token-expiry" style="${INPUT_STYLE}">
+        ${EXPIRY_OPTIONS.map(([days, label]) => `<option value="${days ?? ''}"${days === 90 ? ' selected' : ''}>${label}</option>`).join('')}
+      </select>
+    </div>
+    <div id="api-token-scopes" style="display:flex;flex-direction:column;gap:4px;margin-bottom:10px;"></div>
+    <button id="api-token-create-btn" style="${PRIMARY_BUTTON_STYLE}">Create token</button>
+    <div id="api-token-result" style="display:none;margin-top:10px;"></div>
+    <div id="api-token-error" style="color:#ef4444;font-size:11px;display:none;margin-top:8px;"></div>
+    <div style="font-size:13px;margin:14px 0 8px;padding-top:12px;border-top:1px solid rgba(255,255,255,0.06);">Your tokens</div>
+    <div id="api-token-list"><div style="font-size:12px;color:#6a6a8a;">Loading…</div></div>
+  `;
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', escHandler);
+  };
+  const escHandler = (e) => { if (e.key === 'Escape') close(); };
+  document.addEventListener('keydown', escHandler);
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+  dialog.querySelector('#api-tokens-close-btn').addEventListener('click', close);
+
+  const errorEl = dialog.querySelector('#api-token-error');
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.style.display = message ? '' : 'none';
+  };
+
+  async function load() {
+    const listEl = dialog.querySelector('#api-token-list');
+    let data;
+    try {
+      data = await _ctx.cloudFetch('GET', '/api/tokens');
+    } catch (err) {
+      listEl.innerHTML = `<div style="font-size:12px;color:#ef4444;">${escapeHtml(err.message)}</div>`;
+      return;
+    }
+
+    const scopesEl = dialog.querySelector('#api-token-scopes');
+    if (!scopesEl.children.length) {
+      scopesEl.innerHTML = data.scopes.map(s => `
+        <label style="display:flex;align-items:center;gap:8px;font-size:12px;cursor:pointer;">
+          <input type="checkbox" value="${escapeHtml(s.name)}"${s.name.endsWith(':read') ? ' checked' : ''}>
+          <code style="color:#4ec9b0;">${escapeHtml(s.name)}</code>
+          <span style="color:#6a6a8a;">${escapeHtml(s.description)}</span>
+        </label>`).join('');
+    }
+
+    listEl.innerHTML = data.tokens.length === 0
+      ? '<div style="font-size:12px;color:#6a6a8a;padding:4px 0;">No API tokens yet.</div>'
+      : data.tokens.map(t => `
+        <div class="api-token-row" data-token-id="${escapeHtml(t.id)}" style="display:flex;align-items:center;gap:10px;padding:6px 10px;border-radius:6px;background:rgba(255,255,255,0.03);border:1px solid rgba(255,255,255,0.06);margin-bottom:6px;">
+          <div style="flex:1;min-width:0;">
+            <div style="font-size:13px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${escapeHtml(t.name)} <code style="font-size:11px;color:#6a6a8a;">${escapeHtml(t.prefix)}…</code></div>
+            <div style="font-size:11px;color:#6a6a8a;">${t.scopes.map(escapeHtml).join(', ')}</div>
+            <div style="font-size:11px;color:#6a6a8a;">${t.lastUsedAt ? `Last used ${escapeHtml(formatDate(t.lastUsedAt))}` : 'Never used'} · ${t.expiresAt ? `expires ${escapeHtml(formatDate(t.expiresAt))}` : 'no expiry'}</div>
+          </div>
+          <button data-revoke style="${BUTTON_STYLE}color:#ef4444;">Revoke</button>
+        </div>`).join('');
+  }
+
+  dialog.querySelector('#api-token-create-btn').addEventListener('click', async (e) => {
+    showError('');
+    const name = dialog.querySelector('#api-token-name').value.trim();
+    const scopes = [...dialog.querySelectorAll('#api-token-scopes input:checked')].map(i => i.value);
+    const expiry = dialog.querySelector('#api-token-expiry').value;
+    if (!name) return showError('Give the token a name');
+    if (scopes.length === 0) return showError('Choose at least one scope');
+
+    e.target.disabled = true;
+    try {
+      const created = await _ctx.cloudFetch('POST', '/api/tokens', { name, scopes, expiresInDays: expiry ? Number(expiry) : null });
+      const resultEl = dialog.querySelector('#api-token-result');
+      resultEl.innerHTML = `
+        <div style="display:flex;gap:6px;">
+          <input readonly value="${escapeHtml(created.token)}" style="${INPUT_STYLE}flex:1;font-family:monospace;">
+          <button data-copy style="${BUTTON_STYLE}">Copy</button>
+        </div>
+        <div style="font-size:11px;color:#d7ba7d;margin-top:4px;">Copy this token now — it will not be shown again.</div>`;
+      resultEl.style.display = '';
+      resultEl.querySelector('[data-copy]').addEventListener('click', (ev) => {
+        navigator.clipboard?.writeText(created.token).then(() => { ev.target.textContent = 'Copied'; }).catch(() => {});
+      });
+      dialog.querySelector('#api-token-name').value = '';
+      await load();
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      e.target.disabled = false;
+    }
+  });
+
+  dialog.querySelector('#api-token-list').addEventListener('click', async (e) => {
+    const row = e.target.closest('.api-token-row');
+    if (!row || !e.target.closest('[data-revoke]')) return;
+    if (!confirm('Revoke this token? Scripts using it stop working immediately.')) return;
+    await _ctx.cloudFetch('DELETE', `/api/tokens/${encodeURIComponent(row.dataset.tokenId)}`).catch(() => {});
+    await load();
+  });
+
+  load();
+}
@@ -0,0 +1,481 @@
+// ─── Canvas Files ─────────────────────────────────────────────────────────
+// Export a workspace, or one project rectangle, to a portable JSON file:
+// pane geometry, types and settings, note text, projects and checkpoints.
+// Importing re-creates the panes on your own machines — each machine in the
+// file is matched to an agent by hostname, or to one you pick — in this
+// workspace or a new one. Used to share standard setups with teammates and
+// to move between self-hosted and hosted instances.
+// Files come from other people, so an import only reads the settings each
+// pane type is re-created from (METADATA_KEYS), and the preview lists every
+// path and URL the panes will open before anything is created.
+
+import { escapeHtml } from './utils.js';
+
+let _ctx = null;
+
+export function initCanvasFileDeps(ctx) { _ctx = ctx; }
+
+const FILE_FORMAT = '49agents-canvas';
+const FILE_VERSION = 1;
+// A new workspace is loaded by a fresh page, which picks the import up here
+const PENDING_IMPORT_KEY = '49agents-pending-import';
+// Gap between the existing panes and ones imported next to them
+const IMPORT_GAP = 200;
+
+// Settings read from a file for each pane type (RECREATE_FIELDS and
+// RECREATE_KEPT_FIELDS in app.js); anything else in a pane is ignored
+const COMMON_METADATA_KEYS = ['device', 'paneName', 'shortcutNumber', 'zoomLevel', 'textOnly', 'tabGroupId', 'tabGroupActive'];
+const METADATA_KEYS = {
+  terminal: ['workingDir'],
+  file: ['filePath', 'fileName'],
+  note: [],
+  'git-graph': ['repoPath', 'repoName', 'graphMode'],
+  iframe: ['url'],
+  beads: ['projectPath', 'beadsTag'],
+  folder: ['folderPath'],
+  conversations: ['dirPath'],
+  replay: ['recordingId'],
+  usage: [],
+  checkpoint: ['checkpointName'],
+};
+const NUMBER_KEYS = new Set(['shortcutNumber', 'zoomLevel']);
+const BOOLEAN_KEYS = new Set(['textOnly', 'tabGroupActive']);
+const MAX_VALUE_LENGTH = 4096;
+// The directory, file or URL a pane opens, shown in the import preview
+const TARGET_KEYS = ['url', 'workingDir', 'filePath', 'repoPath', 'projectPath', 'folderPath', 'dirPath'];
+// Project colors are "r, g, b", as in PROJECT_COLORS in app.js
+const PROJECT_COLOR_RE = /^\d{1,3}, ?\d{1,3}, ?\d{1,3}$/;
+const DEFAULT_PROJECT_COLOR = '59, 130, 246';
+// Note images as pasted: base64 data URLs only
+const NOTE_IMAGE_RE = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+const BUTTON_STYLE = 'padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;';
+const PRIMARY_BUTTON_STYLE = 'padding:5px 12px;border-radius:6px;border:1px solid rgba(var(--accent-rgb),0.4);background:rgba(var(--accent-rgb),0.2);color:#fff;font-size:12px;cursor:pointer;font-family:inherit;';
+const INPUT_STYLE = 'padding:5px 8px;background:rgba(255,255,255,0.05);border:1px solid rgba(255,255,255,0.08);border-radius:6px;color:#e0e0e0;font-size:12px;font-family:inherit;outline:none;box-sizing:border-box;';
+
+// ── Export ──
+
+function insideProject(pane, project) {
+  const cx = pane.x + pane.width / 2;
+  const cy = pane.y + pane.height / 2;
+  return cx >= project.x && cx <= project.x + project.width && cy >= project.y && cy <= project.y + project.height;
+}
+
+async function serializePane(pane) {
+  const agent = _ctx.getAgents().find(a => a.agentId === pane.agentId);
+  const metadata = _ctx.paneLayoutMetadata(pane);
+  // Claude sessions only exist on the machine they ran on
+  delete metadata.claudeSessionId;
+  delete metadata.claudeSessionName;
+  const data = {
+    type: pane.type,
+    host: agent?.hostname || pane.device || null,
+    x: pane.x,
+    y: pane.y,
+    width: pane.width,
+    height: pane.height,
+    zIndex: pane.zIndex || 0,
+    metadata,
+  };
+  if (pane.type === 'note') {
+    let content = _ctx.getNoteContent(pane);
+    let { fontSize, images } = pane;
+    // Offline placeholders have no text loaded; use the cloud copy
+    if (content === undefined) {
+      const note = await _ctx.cloudFetch('GET', `/api/cloud-notes/${encodeURIComponent(pane.id)}`).catch(() => null);
+      content = note?.content;
+      fontSize = note?.font_size;
+      images = note?.images;
+    }
+    data.note = { content: content || '', fontSize: fontSize || null, images: images || [] };
+  }
+  return data;
+}
+
+/** The current workspace, or only `project` and the panes inside it, as a canvas file. */
+async function buildCanvasFile(project) {
+  const state = _ctx.getState();
+  const panes = project ? state.panes.filter(p => insideProject(p, project)) : state.panes;
+  const projects = project ? [project] : state.projects;
+  return {
+    format: FILE_FORMAT,
+    version: FILE_VERSION,
+    name: project ? project.name : (_ctx.getWorkspaceName() || 'Canvas'),
+    exportedAt: new Date().toISOString(),
+    projects: projects.map(p => ({ name: p.name, color: p.color, x: p.x, y: p.y, width: p.width, height: p.height, shortcutNumber: p.shortcutNumber || null })),
+    panes: await Promise.all(panes.filter(p => !p._cached).map(serializePane)),
+  };
+}
+
+/** Download the current workspace, or one project, as a canvas file. */
+export async function exportCanvasFile(project) {
+  const file = await buildCanvasFile(project);
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `${file.name.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'canvas'}.49agents.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// ── Import ──
+
+function isRect(r) {
+  return r && ['x', 'y', 'width', 'height'].every(k => Number.isFinite(r[k]));
+}
+
+function isWebUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/** Only the settings this pane type is re-created from, with the expected types. */
+function pickMetadata(type, metadata) {
+  const picked = {};
+  if (!metadata || typeof metadata !== 'object') return picked;
+  for (const key of [...COMMON_METADATA_KEYS, ...METADATA_KEYS[type]]) {
+    const value = metadata[key];
+    if (NUMBER_KEYS.has(key) ? Number.isFinite(value)
+      : BOOLEAN_KEYS.has(key) ? value === true
+      : typeof value === 'string' && value.length > 0 && value.length <= MAX_VALUE_LENGTH) {
+      picked[key] = value;
+    }
+  }
+  return picked;
+}
+
+/**
+ * A pane from a file, reduced to what an import uses, or null if it cannot
+ * be imported (unknown type, or a web page that is not http(s)).
+ */
+function sanitizePane(p) {
+  if (!isRect(p) || !Object.hasOwn(METADATA_KEYS, p.type)) return null;
+  const metadata = pickMetadata(p.type, p.metadata);
+  if (p.type === 'iframe' && !isWebUrl(metadata.url)) return null;
+  const pane = {
+    type: p.type,
+    host: typeof p.host === 'string' ? p.host : null,
+    x: p.x,
+    y: p.y,
+    width: p.width,
+    height: p.height,
+    metadata,
+  };
+  if (p.type === 'note' && p.note && typeof p.note === 'object') {
+    pane.note = {
+      content: typeof p.note.content === 'string' ? p.note.content : '',
+      fontSize: Number.isFinite(p.note.fontSize) ? p.note.fontSize : null,
+      images: Array.isArray(p.note.images) ? p.note.images.filter(src => typeof src === 'string' && NOTE_IMAGE_RE.test(src)) : [],
+    };
+  }
+  return pane;
+}
+
+function sanitizeProject(p) {
+  return {
+    name: typeof p.name === 'string' && p.name ? p.name.slice(0, 200) : 'Project',
+    color: typeof p.color === 'string' && PROJECT_COLOR_RE.test(p.color) ? p.color : DEFAULT_PROJECT_COLOR,
+    x: p.x,
+    y: p.y,
+    width: p.width,
+    height: p.height,
+    shortcutNumber: Number.isInteger(p.shortcutNumber) ? p.shortcutNumber : null,
+  };
+}
+
+/**
+ * Parse and check a canvas file. Throws with a readable message.
+ * `dropped` counts panes left out as unknown or unsafe.
+ */
+function parseCanvasFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not valid JSON');
+  }
+  if (data?.format !== FILE_FORMAT || !Number.isInteger(data.version)) throw new Error('This is not a 49Agents canvas file');
+  if (data.version > FILE_VERSION) throw new Error('This canvas file was made by a newer version of 49Agents');
+  if (!Array.isArray(data.panes)) throw new Error('The canvas file has no panes list');
+  const panes = data.panes.map(sanitizePane).filter(Boolean);
+  return {
+    name: typeof data.name === 'string' ? data.name : 'Imported canvas',
+    exportedAt: typeof data.exportedAt === 'string' ? data.exportedAt : null,
+    projects: (Array.isArray(data.projects) ? data.projects : []).filter(isRect).map(sanitizeProject),
+    panes,
+    dropped: data.panes.length - panes.length,
+  };
+}
+
+/** The path or URL each pane opens, with its host, for the preview. */
+function targetsOf(file) {
+  return file.panes.flatMap(p => {
+    const key = TARGET_KEYS.find(k => p.metadata[k]);
+    return key ? [{ type: p.type, host: p.host || '', target: p.metadata[key] }] : [];
+  });
+}
+
+function hostsOf(file) {
+  return [...new Set(file.panes.filter(p => p.type !== 'checkpoint').map(p => p.host || ''))];
+}
+
+/**
+ * Panes in the form recreatePanes takes, on the agents picked for each host.
+ * Panes of a skipped host get no agent, so recreatePanes counts them skipped.
+ */
+function toPaneDescs(file, agentByHost, offset) {
+  return file.panes.map(p => {
+    const agent = agentByHost.get(p.host || '') || null;
+    const { metadata } = p;
+    const desc = {
+      ...metadata,
+      type: p.type,
+      agentId: agent?.agentId || null,
+      x: p.x + offset.x,
+      y: p.y + offset.y,
+      width: p.width,
+      height: p.height,
+    };
+    // A pane on the machine itself moves to the new machine; one on a device
+    // reached through it keeps that device
+    if (agent && (!metadata.device || metadata.device === p.host)) desc.device = agent.hostname;
+    if (p.type === 'note' && p.note) {
+      desc.content = p.note.content;
+      desc.fontSize = p.note.fontSize || undefined;
+      desc.images = p.note.images;
+    }
+    return desc;
+  });
+}
+
+// Imported next to what is already on the canvas, never on top of it
+function importOffset(file) {
+  const state = _ctx.getState();
+  const existing = [...state.panes, ...state.projects];
+  const incoming = [...file.panes, ...file.projects];
+  if (existing.length === 0 || incoming.length === 0) return { x: 0, y: 0 };
+  const existingRight = Math.max(...existing.map(r => r.x + r.width));
+  const existingTop = Math.min(...existing.map(r => r.y));
+  const incomingLeft = Math.min(...incoming.map(r => r.x));
+  const incomingTop = Math.min(...incoming.map(r => r.y));
+  return { x: existingRight + IMPORT_GAP - incomingLeft, y: existingTop - incomingTop };
+}
+
+async function addToCanvas(panes, projects) {
+  if (projects.length > 0) _ctx.addProjects(projects);
+  return _ctx.recreatePanes(panes);
+}
+
+function offsetProjects(projects, offset) {
+  return projects.map(p => ({ ...p, x: p.x + offset.x, y: p.y + offset.y }));
+}
+
+async function importIntoNewWorkspace(file, agentByHost, name) {
+  const pending = {
+    panes: toPaneDescs(file, agentByHost, { x: 0, y: 0 }),
+    projects: file.projects,
+  };
+  try {
+    sessionStorage.setItem(PENDING_IMPORT_KEY, JSON.stringify(pending));
+  } catch {
+    throw new Error('This file is too large to import into a new workspace. Import it into this workspace instead.');
+  }
+  try {
+    const workspace = await _ctx.cloudFetch('POST', '/api/workspaces', { name });
+    sessionStorage.setItem(PENDING_IMPORT_KEY, JSON.stringify({ ...pending, workspaceId: workspace.id }));
+    _ctx.switchWorkspace(workspace.id);
+  } catch (err) {
+    sessionStorage.removeItem(PENDING_IMPORT_KEY);
+    throw err;
+  }
+}
+
+function reportSkipped(skipped) {
+  if (skipped > 0) {
+    alert(`${skipped} pane${skipped === 1 ? ' was' : 's were'} not imported because ${skipped === 1 ? 'its machine was' : 'their machines were'} skipped or offline.`);
+  }
+}
+
+/**
+ * Called by loadTerminalsFromServer once the canvas is loaded: finishes an
+ * import into a new workspace started on the previous page.
+ */
+export async function resumePendingImport() {
+  let pending;
+  try {
+    pending = JSON.parse(sessionStorage.getItem(PENDING_IMPORT_KEY));
+  } catch {}
+  if (!pending || pending.workspaceId !== _ctx.getWorkspaceId()) return;
+  sessionStorage.removeItem(PENDING_IMPORT_KEY);
+  if (!_ctx.canEditCanvas()) return;
+  try {
+    const { skipped } = await addToCanvas(pending.panes, pending.projects);
+    reportSkipped(skipped);
+  } catch (err) {
+    console.error('[CanvasFile] Import failed:', err);
+    alert('Failed to import canvas: ' + err.message);
+  }
+}
+
+// ── Panel ──
+
+/** Settings → Export / Import: download this workspace or a project, or load a file. */
+export function showCanvasFilePanel() {
+  const existing = document.getElementById('canvas-file-modal');
+  if (existing) { existing.remove(); return; }
+
+  const state = _ctx.getState();
+  const canEdit = _ctx.canEditCanvas();
+
+  const overlay = document.createElement('div');
+  overlay.id = 'canvas-file-modal';
+  overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.7);display:flex;align-items:center;justify-content:center;z-index:100000;';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'tc-scrollbar';
+  dialog.style.cssText = 'background:#1a1a2e;border:1px solid rgba(var(--accent-rgb),0.3);border-radius:12px;padding:24px;max-width:480px;width:90%;color:#e0e0e0;font-family:Montserrat,sans-serif;max-height:80vh;overflow-y:auto;';
+  dialog.innerHTML = `
+    <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:8px;">
+      <h3 style="margin:0;font-size:16px;font-weight:400;color:#8b8bb0;">Export / Import</h3>
+      <button id="canvas-file-close-btn" style="background:none;border:none;color:#6a6a8a;font-size:20px;cursor:pointer;padding:4px 8px;border-radius:4px;line-height:1;">&times;</button>
+    </div>
+    <div style="font-size:11px;color:#6a6a8a;margin-bottom:14px;">A canvas file holds pane positions and settings, note text, projects and checkpoints. Terminals are not saved; importing opens fresh ones in the same directories.</div>
+    <div style="font-size:13px;margin-bottom:8px;">Export</div>
+    <div style="display:flex;gap:8px;align-items:center;">
+      <select id="canvas-file-scope" style="${INPUT_STYLE}flex:1;">
+        <option value="">This workspace (${state.panes.length} panes)</option>
+        ${state.projects.map(p => `<option value="${escapeHtml(p.id)}">Project: ${escapeHtml(p.name)}</option>`).join('')}
+      </select>
+      <button id="canvas-file-export-btn" style="${PRIMARY_BUTTON_STYLE}">Download</button>
+    </div>
+    <div style="font-size:13px;margin:16px 0 8px;padding-top:12px;border-top:1px solid rgba(255,255,255,0.06);">Import</div>
+    ${canEdit
+      ? `<button id="canvas-file-choose-btn" style="${BUTTON_STYLE}">Choose file…</button>
+         <input id="canvas-file-input" type="file" accept=".json,application/json" style="display:none;">
+         <div id="canvas-file-preview"></div>`
+      : '<div style="font-size:12px;color:#6a6a8a;">Viewers cannot import onto this canvas.</div>'}
+    <div id="canvas-file-error" style="color:#ef4444;font-size:11px;display:none;margin-top:8px;"></div>
+  `;
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', escHandler);
+  };
+  const escHandler = (e) => { if (e.key === 'Escape') close(); };
+  document.addEventListener('keydown', escHandler);
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+  dialog.querySelector('#canvas-file-close-btn').addEventListener('click', close);
+
+  const errorEl = dialog.querySelector('#canvas-file-error');
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.style.display = message ? '' : 'none';
+  };
+
+  dialog.querySelector('#canvas-file-export-btn').addEventListener('click', async (e) => {
+    showError('');
+    const projectId = dialog.querySelector('#canvas-file-scope').value;
+    e.target.disabled = true;
+    try {
+      await exportCanvasFile(projectId ? state.projects.find(p => p.id === projectId) : null);
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      e.target.disabled = false;
+    }
+  });
+
+  if (!canEdit) return;
+
+  const input = dialog.querySelector('#canvas-file-input');
+  dialog.querySelector('#canvas-file-choose-btn').addEventListener('click', () => input.click());
+  input.addEventListener('change', async () => {
+    showError('');
+    const selected = input.files[0];
+    input.value = '';
+    if (!selected) return;
+    try {
+      renderPreview(parseCanvasFile(await selected.text()));
+    } catch (err) {
+      dialog.querySelector('#canvas-file-preview').innerHTML = '';
+      showError(err.message);
+    }
+  });
+
+  function renderPreview(file) {
+    const onlineAgents = _ctx.getAgents().filter(a => a.online);
+    const hosts = hostsOf(file);
+    const targets = targetsOf(file);
+    const defaultAgentFor = (host) =>
+      onlineAgents.find(a => (a.hostname || '').toLowerCase() === host.toLowerCase()) || onlineAgents[0] || null;
+    const previewEl = dialog.querySelector('#canvas-file-preview');
+    previewEl.innerHTML = `
+      <div style="margin-top:10px;padding:10px;border-radius:6px;background:rgba(255,255,255,0.03);border:1px solid rgba(255,255,255,0.06);">
+        <div style="font-size:13px;">${escapeHtml(file.name)}</div>
+        <div style="font-size:11px;color:#6a6a8a;margin-bottom:10px;">${file.panes.length} panes · ${file.projects.length} projects${file.exportedAt ? ` · exported ${escapeHtml(new Date(file.exportedAt).toLocaleDateString())}` : ''}</div>
+        ${file.dropped > 0 ? `<div style="font-size:11px;color:#f59e0b;margin-bottom:10px;">${file.dropped} pane${file.dropped === 1 ? ' is' : 's are'} left out: unknown pane types or web pages that are not http(s).</div>` : ''}
+        ${hosts.map((host, i) => {
+          const match = defaultAgentFor(host);
+          return `
+          <div style="display:flex;align-items:center;gap:8px;margin-bottom:6px;">
+            <div style="flex:1;min-width:0;font-size:12px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${escapeHtml(host || 'Unknown machine')}</div>
+            <span style="color:#6a6a8a;font-size:11px;">→</span>
+            <select data-host-index="${i}" style="${INPUT_STYLE}width:180px;">
+              ${onlineAgents.map(a => `<option value="${escapeHtml(a.agentId)}"${a === match ? ' selected' : ''}>${escapeHtml(a.hostname || a.agentId)}</option>`).join('')}
+              <option value=""${match ? '' : ' selected'}>Skip</option>
+            </select>
+          </div>`;
+        }).join('')}
+        ${targets.length > 0 ? `
+          <div style="font-size:11px;color:#8b8bb0;margin:10px 0 4px;">Opens these paths and URLs — check them before importing</div>
+          <div class="tc-scrollbar" style="max-height:140px;overflow-y:auto;padding:6px 8px;border-radius:4px;background:rgba(0,0,0,0.2);font-size:11px;font-family:monospace;">
+            ${targets.map(t => `
+              <div title="${escapeHtml(t.target)}" style="white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">
+                <span style="color:#6a6a8a;">${escapeHtml(t.type)}${hosts.length > 1 ? ` · ${escapeHtml(t.host || 'Unknown machine')}` : ''}</span> ${escapeHtml(t.target)}
+              </div>`).join('')}
+          </div>` : ''}
+        <div style="display:flex;align-items:center;gap:12px;margin-top:10px;font-size:12px;">
+          <label style="display:flex;align-items:center;gap:4px;cursor:pointer;"><input type="radio" name="canvas-file-target" value="current" checked> This workspace</label>
+          <label style="display:flex;align-items:center;gap:4px;cursor:pointer;"><input type="radio" name="canvas-file-target" value="new"> New workspace</label>
+          <div style="flex:1;"></div>
+          <button id="canvas-file-import-btn" style="${PRIMARY_BUTTON_STYLE}">Import</button>
+        </div>
+      </div>
+    `;
+
+    previewEl.querySelector('#canvas-file-import-btn').addEventListener('click', async (e) => {
+      showError('');
+      const agentByHost = new Map();
+      previewEl.querySelectorAll('select[data-host-index]').forEach(select => {
+        const agent = onlineAgents.find(a => a.agentId === select.value);
+        if (agent) agentByHost.set(hosts[Number(select.dataset.hostIndex)], agent);
+      });
+      const target = previewEl.querySelector('input[name="canvas-file-target"]:checked').value;
+      e.target.disabled = true;
+      try {
+        if (target === 'new') {
+          const name = prompt('Workspace name:', file.name);
+          if (!name || !name.trim()) return;
+          await importIntoNewWorkspace(file, agentByHost, name.trim());
+          return;
+        }
+        const offset = importOffset(file);
+        close();
+        const { skipped } = await addToCanvas(toPaneDescs(file, agentByHost, offset), offsetProjects(file.projects, offset));
+        reportSkipped(skipped);
+      } catch (err) {
+        showError(err.message);
+      } finally {
+        e.target.disabled = false;
+      }
+    });
+  }
+}
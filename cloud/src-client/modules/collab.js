@@ -0,0 +1,467 @@
+// ─── Shared Canvases ──────────────────────────────────────────────────────
+// A canvas can be shared with teammates as viewer (watch only), operator
+// (type, create and rearrange panes) or owner (also manage members). Members
+// open it at /?canvas=<ownerId>; the relay routes their socket to the owner's
+// agents and enforces the role (cloud/src/ws/canvas.js).
+//
+// This module holds the page's side of that: which canvas and role we are on,
+// presence (everyone's pointer and focused pane), the sharing panel, and the
+// /?join=<token> invite flow. Layout changes arrive as layout:* messages and
+// are applied by app.js.
+
+import { escapeHtml } from './utils.js';
+
+let _ctx = null;
+
+export function initCollabDeps(ctx) { _ctx = ctx; }
+
+const pageParams = new URLSearchParams(location.search);
+const canvasOwnerId = pageParams.get('canvas') || null; // null: my own canvas
+const clientId = crypto.randomUUID();
+
+const ROLES = ['viewer', 'operator', 'owner'];
+const ROLE_LABELS = { viewer: 'Viewer', operator: 'Operator', owner: 'Owner' };
+// Mirrors VIEWER_MESSAGE_TYPES on the relay
+const VIEWER_MESSAGE_TYPES = new Set(['terminal:attach', 'terminal:detach', 'e2e:hello']);
+
+const POINTER_INTERVAL_MS = 50;
+
+let canvasInfo = null;   // canvas:info payload
+const peers = new Map(); // clientId -> presence
+let lastPointerSent = 0;
+let pointerTimer = null;
+let pendingPointer = null;
+let focusedPaneId = null;
+
+const INPUT_STYLE = 'padding:5px 8px;background:rgba(255,255,255,0.05);border:1px solid rgba(255,255,255,0.08);border-radius:6px;color:#e0e0e0;font-size:12px;font-family:inherit;outline:none;box-sizing:border-box;';
+const BUTTON_STYLE = 'padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;';
+const PRIMARY_BUTTON_STYLE = 'padding:5px 12px;border-radius:6px;border:1px solid rgba(var(--accent-rgb),0.4);background:rgba(var(--accent-rgb),0.2);color:#fff;font-size:12px;cursor:pointer;font-family:inherit;';
+
+/** Query string for /ws: which canvas to join and this page's client id. */
+export function canvasWsParams() {
+  return `&client=${encodeURIComponent(clientId)}${canvasOwnerId ? `&canvas=${encodeURIComponent(canvasOwnerId)}` : ''}`;
+}
+
+/** Headers for cloud layout requests: the canvas, and who to skip when broadcasting. */
+export function canvasHeaders() {
+  return canvasOwnerId ? { 'X-Canvas': canvasOwnerId, 'X-Client-Id': clientId } : { 'X-Client-Id': clientId };
+}
+
+export function isSharedView() {
+  return !!canvasOwnerId;
+}
+
+// Until canvas:info arrives, a shared canvas is treated as read-only
+export function getCanvasRole() {
+  return canvasInfo?.role || (canvasOwnerId ? 'viewer' : 'owner');
+}
+
+export function canEditCanvas() {
+  return getCanvasRole() !== 'viewer';
+}
+
+/** True if this page's role lets a message through to an agent. */
+export function canSendToAgent(type) {
+  return canEditCanvas() || VIEWER_MESSAGE_TYPES.has(type);
+}
+
+/** canvas:info and presence:* from the relay. Returns false for other types. */
+export function handleCanvasMessage(type, payload) {
+  switch (type) {
+    case 'canvas:info': {
+      const previousRole = canvasInfo?.role;
+      canvasInfo = payload;
+      document.body.classList.toggle('canvas-viewer', payload.role === 'viewer');
+      document.body.classList.toggle('canvas-not-owner', payload.role !== 'owner');
+      renderBanner();
+      if (previousRole !== payload.role) _ctx?.onRoleChange?.(payload.role);
+      return true;
+    }
+    case 'presence:list':
+      for (const peer of peers.values()) removePeerUi(peer.clientId);
+      peers.clear();
+      for (const peer of payload || []) {
+        peers.set(peer.clientId, peer);
+        renderPeer(peer);
+      }
+      renderAvatars();
+      return true;
+    case 'presence:update':
+      peers.set(payload.clientId, payload);
+      renderPeer(payload);
+      renderAvatars();
+      return true;
+    case 'presence:leave':
+      peers.delete(payload.clientId);
+      removePeerUi(payload.clientId);
+      renderAvatars();
+      return true;
+    default:
+      return false;
+  }
+}
+
+// ── Presence ──
+
+function sendPresence(x, y) {
+  _ctx.sendPresence({ x, y, paneId: focusedPaneId });
+}
+
+/** Pointer moved (screen coordinates); sent in canvas coordinates, throttled. */
+export function reportPointer(clientX, clientY) {
+  if (peers.size === 0) return;
+  const { panX, panY, zoom } = _ctx.getState();
+  pendingPointer = { x: Math.round((clientX - panX) / zoom), y: Math.round((clientY - panY) / zoom) };
+  const wait = POINTER_INTERVAL_MS - (Date.now() - lastPointerSent);
+  if (wait > 0) {
+    if (!pointerTimer) pointerTimer = setTimeout(flushPointer, wait);
+    return;
+  }
+  flushPointer();
+}
+
+function flushPointer() {
+  clearTimeout(pointerTimer);
+  pointerTimer = null;
+  if (!pendingPointer) return;
+  lastPointerSent = Date.now();
+  sendPresence(pendingPointer.x, pendingPointer.y);
+}
+
+/** The focused pane changed; others see our avatar on it. */
+export function reportFocus(paneId) {
+  if (focusedPaneId === paneId) return;
+  focusedPaneId = paneId;
+  if (peers.size === 0) return;
+  sendPresence(pendingPointer?.x ?? null, pendingPointer?.y ?? null);
+}
+
+function renderPeer(peer) {
+  const canvas = _ctx.getCanvas();
+  if (!canvas) return;
+  let el = document.getElementById(`collab-cursor-${peer.clientId}`);
+  if (peer.x === null || peer.y === null) {
+    el?.remove();
+    return;
+  }
+  if (!el) {
+    el = document.createElement('div');
+    el.id = `collab-cursor-${peer.clientId}`;
+    el.className = 'collab-cursor';
+    el.innerHTML = `<svg width="16" height="16" viewBox="0 0 16 16"><path d="M1 1l5.5 13 2-5.5L14 6.5z" stroke="#0a0a1a" stroke-width="1"/></svg><span class="collab-cursor-name"></span>`;
+    canvas.appendChild(el);
+  }
+  el.style.left = `${peer.x}px`;
+  el.style.top = `${peer.y}px`;
+  el.style.transform = `scale(${1 / _ctx.getState().zoom})`;
+  el.querySelector('path').setAttribute('fill', peer.color);
+  const nameEl = el.querySelector('.collab-cursor-name');
+  nameEl.textContent = peer.name;
+  nameEl.style.background = peer.color;
+}
+
+function removePeerUi(peerClientId) {
+  document.getElementById(`collab-cursor-${peerClientId}`)?.remove();
+}
+
+/** Keep cursors a constant size on screen after the canvas zooms. */
+export function refreshCursors() {
+  const scale = `scale(${1 / _ctx.getState().zoom})`;
+  document.querySelectorAll('.collab-cursor').forEach(el => { el.style.transform = scale; });
+}
+
+function avatarHtml(peer) {
+  const initial = escapeHtml((peer.name || '?').charAt(0).toUpperCase());
+  const title = escapeHtml(`${peer.name} (${ROLE_LABELS[peer.role] || peer.role})`);
+  return peer.avatarUrl
+    ? `<img class="collab-avatar" src="${escapeHtml(peer.avatarUrl)}" alt="${initial}" data-tooltip="${title}" style="border-color:${peer.color};">`
+    : `<span class="collab-avatar" data-tooltip="${title}" style="background:${peer.color};border-color:${peer.color};">${initial}</span>`;
+}
+
+/** Avatars of the people focused on each pane, in its header. */
+export function renderAvatars() {
+  const byPane = new Map();
+  for (const peer of peers.values()) {
+    if (!peer.paneId) continue;
+    // One avatar per person, however many tabs they have open
+    const list = byPane.get(peer.paneId) || [];
+    if (!list.some(p => p.userId === peer.userId)) list.push(peer);
+    byPane.set(peer.paneId, list);
+  }
+  document.querySelectorAll('.collab-avatars').forEach(el => {
+    if (!byPane.has(el.dataset.paneId)) el.remove();
+  });
+  for (const [paneId, list] of byPane) {
+    const header = document.querySelector(`#pane-${CSS.escape(paneId)} .pane-header`);
+    if (!header) continue;
+    let el = header.querySelector('.collab-avatars');
+    if (!el) {
+      el = document.createElement('div');
+      el.className = 'collab-avatars';
+      el.dataset.paneId = paneId;
+      header.appendChild(el);
+    }
+    el.innerHTML = list.map(avatarHtml).join('');
+  }
+}
+
+// ── Shared canvas banner ──
+
+function renderBanner() {
+  let banner = document.getElementById('collab-banner');
+  if (!canvasOwnerId || !canvasInfo) {
+    banner?.remove();
+    return;
+  }
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = 'collab-banner';
+    document.body.appendChild(banner);
+  }
+  banner.innerHTML = `
+    <span class="collab-banner-dot" style="background:${canvasInfo.color};"></span>
+    <span>${escapeHtml(canvasInfo.ownerName)}'s canvas · ${ROLE_LABELS[canvasInfo.role] || escapeHtml(canvasInfo.role)}</span>
+    <a href="/">Back to my canvas</a>
+  `;
+}
+
+// ── Sharing panel ──
+
+export function showSharingPanel() {
+  const existing = document.getElementById('sharing-modal');
+  if (existing) { existing.remove(); return; }
+
+  const overlay = document.createElement('div');
+  overlay.id = 'sharing-modal';
+  overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.7);display:flex;align-items:center;justify-content:center;z-index:100000;';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'tc-scrollbar';
+  dialog.style.cssText = 'background:#1a1a2e;border:1px solid rgba(var(--accent-rgb),0.3);border-radius:12px;padding:24px;max-width:520px;width:90%;color:#e0e0e0;font-family:Montserrat,sans-serif;max-height:80vh;overflow-y:auto;';
+
+  const isOwner = getCanvasRole() === 'owner';
+  dialog.innerHTML = `
+    <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:8px;">
+      <h3 style="margin:0;font-size:16px;font-weight:400;color:#8b8bb0;">Sharing</h3>
+      <button id="sharing-close-btn" style="background:none;border:none;color:#6a6a8a;font-size:20px;cursor:pointer;padding:4px 8px;border-radius:4px;line-height:1;">&times;</button>
+    </div>
+    <div style="font-size:11px;color:#6a6a8a;margin-bottom:14px;">Viewers watch terminals live. Operators can also type and arrange panes. Owners can also manage who has access.</div>
+    <div id="sharing-current"></div>
+    ${isOwner ? `
+    <div style="font-size:13px;margin-bottom:8px;">Invite someone</div>
+    <div style="display:flex;align-items:center;gap:8px;margin-bottom:8px;">
+      <select id="sharing-invite-role" style="${INPUT_STYLE}flex:1;">
+        ${ROLES.map(r => `<option value="${r}"${r === 'operator' ? ' selected' : ''}>${ROLE_LABELS[r]}</option>`).join('')}
+      </select>
+      <button id="sharing-invite-btn" style="${PRIMARY_BUTTON_STYLE}">Create invite link</button>
+    </div>
+    <div id="sharing-invite-result" style="display:none;margin-bottom:8px;"></div>
+    <div id="sharing-error" style="color:#ef4444;font-size:11px;display:none;margin-bottom:8px;"></div>
+    <div style="font-size:13px;margin:14px 0 8px;padding-top:12px;border-top:1px solid rgba(255,255,255,0.06);">Members</div>
+    <div id="sharing-members"></div>
+    <div id="sharing-invites"></div>` : ''}
+    <div style="font-size:13px;margin:14px 0 8px;padding-top:12px;border-top:1px solid rgba(255,255,255,0.06);">Shared with you</div>
+    <div id="sharing-shared"></div>
+  `;
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', escHandler);
+  };
+  const escHandler = (e) => { if (e.key === 'Escape') close(); };
+  document.addEventListener('keydown', escHandler);
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+  dialog.querySelector('#sharing-close-btn').addEventListener('click', close);
+
+  const currentEl = dialog.querySelector('#sharing-current');
+  if (canvasOwnerId && canvasInfo) {
+    currentEl.innerHTML = `
+      <div style="display:flex;align-items:center;gap:10px;padding:8px 10px;border-radius:6px;background:rgba(255,255,255,0.03);border:1px solid rgba(255,255,255,0.06);margin-bottom:14px;">
+        <div style="flex:1;font-size:12px;">You are on <b>${escapeHtml(canvasInfo.ownerName)}</b>'s canvas as ${ROLE_LABELS[canvasInfo.role] || escapeHtml(canvasInfo.role)}.</div>
+        <button id="sharing-leave-btn" style="${BUTTON_STYLE}color:#ef4444;">Leave</button>
+      </div>`;
+    currentEl.querySelector('#sharing-leave-btn').addEventListener('click', async () => {
+      if (!confirm(`Leave ${canvasInfo.ownerName}'s canvas? You will need a new invite to rejoin.`)) return;
+      await _ctx.cloudFetch('DELETE', `/api/canvas/members/${encodeURIComponent(canvasInfo.userId)}`).catch(() => {});
+      location.href = '/';
+    });
+  }
+
+  const showError = (message) => {
+    const errorEl = dialog.querySelector('#sharing-error');
+    if (!errorEl) return;
+    errorEl.textContent = message;
+    errorEl.style.display = message ? '' : 'none';
+  };
+
+  async function loadMembers() {
+    const membersEl = dialog.querySelector('#sharing-members');
+    const invitesEl = dialog.querySelector('#sharing-invites');
+    let data;
+    try {
+      data = await _ctx.cloudFetch('GET', '/api/canvas/members');
+    } catch (err) {
+      membersEl.innerHTML = `<div style="font-size:12px;color:#ef4444;">${escapeHtml(err.message)}</div>`;
+      return;
+    }
+    if (!data.sharingEnabled) {
+      dialog.querySelector('#sharing-invite-btn').disabled = true;
+      showError('Shared canvases are included in the Pro and Power User plans.');
+    }
+    membersEl.innerHTML = data.members.length === 0
+      ? '<div style="font-size:12px;color:#6a6a8a;padding:4px 0;">Nobody else has access yet.</div>'
+      : data.members.map(m => `
+        <div class="sharing-member" data-user-id="${escapeHtml(m.userId)}" style="display:flex;align-items:center;gap:10px;padding:6px 10px;border-radius:6px;background:rgba(255,255,255,0.03);border:1px solid rgba(255,255,255,0.06);margin-bottom:6px;">
+          ${m.avatarUrl ? `<img src="${escapeHtml(m.avatarUrl)}" style="width:22px;height:22px;border-radius:50%;">` : ''}
+          <div style="flex:1;min-width:0;font-size:13px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${escapeHtml(m.name)}</div>
+          <select data-role style="${INPUT_STYLE}">
+            ${ROLES.map(r => `<option value="${r}"${r === m.role ? ' selected' : ''}>${ROLE_LABELS[r]}</option>`).join('')}
+          </select>
+          <button data-remove style="${BUTTON_STYLE}color:#ef4444;">Remove</button>
+        </div>`).join('');
+    invitesEl.innerHTML = data.invites.length === 0 ? '' : `
+      <div style="font-size:11px;color:#6a6a8a;margin:10px 0 6px;">Unused invite links</div>
+      ${data.invites.map(i => `
+        <div class="sharing-invite" data-invite-id="${escapeHtml(i.id)}" style="display:flex;align-items:center;gap:10px;padding:4px 10px;font-size:12px;color:#8b8bb0;">
+          <div style="flex:1;">${ROLE_LABELS[i.role] || escapeHtml(i.role)} · expires ${escapeHtml(new Date(i.expiresAt).toLocaleDateString())}</div>
+          <button data-revoke style="${BUTTON_STYLE}">Revoke</button>
+        </div>`).join('')}`;
+  }
+
+  async function loadShared() {
+    const sharedEl = dialog.querySelector('#sharing-shared');
+    let canvases = [];
+    try {
+      ({ canvases } = await _ctx.cloudFetch('GET', '/api/canvas/shared'));
+    } catch {}
+    const rows = canvases.map(c => `
+      <div style="display:flex;align-items:center;gap:10px;padding:6px 10px;border-radius:6px;background:rgba(255,255,255,0.03);border:1px solid rgba(255,255,255,0.06);margin-bottom:6px;">
+        ${c.avatarUrl ? `<img src="${escapeHtml(c.avatarUrl)}" style="width:22px;height:22px;border-radius:50%;">` : ''}
+        <div style="flex:1;min-width:0;font-size:13px;">${escapeHtml(c.ownerName)} <span style="color:#6a6a8a;font-size:11px;">${ROLE_LABELS[c.role] || escapeHtml(c.role)}</span></div>
+        ${c.ownerId === canvasOwnerId
+          ? '<span style="font-size:11px;color:#6a6a8a;">Open</span>'
+          : `<a href="/?canvas=${encodeURIComponent(c.ownerId)}" style="${BUTTON_STYLE}text-decoration:none;">Open</a>`}
+      </div>`);
+    if (canvasOwnerId) {
+      rows.unshift(`<div style="padding:0 10px 6px;"><a href="/" style="font-size:12px;color:#4ec9b0;">Back to my canvas</a></div>`);
+    }
+    sharedEl.innerHTML = rows.length > 0 ? rows.join('') : '<div style="font-size:12px;color:#6a6a8a;padding:4px 0;">No shared canvases yet.</div>';
+  }
+
+  if (isOwner) {
+    dialog.querySelector('#sharing-invite-btn').addEventListener('click', async () => {
+      showError('');
+      const role = dialog.querySelector('#sharing-invite-role').value;
+      const resultEl = dialog.querySelector('#sharing-invite-result');
+      try {
+        const invite = await _ctx.cloudFetch('POST', '/api/canvas/invites', { role });
+        const url = `${location.origin}${invite.url}`;
+        resultEl.innerHTML = `
+          <div style="display:flex;gap:6px;">
+            <input readonly value="${escapeHtml(url)}" style="${INPUT_STYLE}flex:1;">
+            <button data-copy style="${BUTTON_STYLE}">Copy</button>
+          </div>
+          <div style="font-size:11px;color:#6a6a8a;margin-top:4px;">One-time link for a ${ROLE_LABELS[role].toLowerCase()}; expires ${escapeHtml(new Date(invite.expiresAt).toLocaleDateString())}.</div>`;
+        resultEl.style.display = '';
+        resultEl.querySelector('[data-copy]').addEventListener('click', (e) => {
+          navigator.clipboard?.writeText(url).then(() => { e.target.textContent = 'Copied'; }).catch(() => {});
+        });
+        await loadMembers();
+      } catch (err) {
+        showError(err.message);
+      }
+    });
+
+    dialog.querySelector('#sharing-members').addEventListener('change', async (e) => {
+      const select = e.target.closest('[data-role]');
+      const row = e.target.closest('.sharing-member');
+      if (!select || !row) return;
+      showError('');
+      try {
+        await _ctx.cloudFetch('PATCH', `/api/canvas/members/${encodeURIComponent(row.dataset.userId)}`, { role: select.value });
+      } catch (err) {
+        showError(err.message);
+        await loadMembers();
+      }
+    });
+
+    dialog.querySelector('#sharing-members').addEventListener('click', async (e) => {
+      const row = e.target.closest('.sharing-member');
+      if (!row || !e.target.closest('[data-remove]')) return;
+      if (!confirm('Remove this person from the canvas? They are disconnected immediately.')) return;
+      await _ctx.cloudFetch('DELETE', `/api/canvas/members/${encodeURIComponent(row.dataset.userId)}`).catch(() => {});
+      await loadMembers();
+    });
+
+    dialog.querySelector('#sharing-invites').addEventListener('click', async (e) => {
+      const row = e.target.closest('.sharing-invite');
+      if (!row || !e.target.closest('[data-revoke]')) return;
+      await _ctx.cloudFetch('DELETE', `/api/canvas/invites/${encodeURIComponent(row.dataset.inviteId)}`).catch(() => {});
+      await loadMembers();
+    });
+
+    loadMembers();
+  }
+  loadShared();
+}
+
+// ── Invite links ──
+
+/** Handle /?join=<token>: show the invite and, if accepted, open the canvas. */
+export async function handleJoinLink() {
+  const token = pageParams.get('join');
+  if (!token) return;
+  const clearParam = () => {
+    const url = new URL(location.href);
+    url.searchParams.delete('join');
+    history.replaceState(null, '', url);
+  };
+
+  let invite;
+  try {
+    invite = await _ctx.cloudFetch('GET', `/api/canvas/invites/${encodeURIComponent(token)}`);
+  } catch {
+    clearParam();
+    _ctx.notify('This invite link is invalid or has expired', 'warning', 4000);
+    return;
+  }
+  if (invite.own) {
+    clearParam();
+    _ctx.notify('That is an invite to your own canvas', 'warning', 4000);
+    return;
+  }
+
+  const overlay = document.createElement('div');
+  overlay.id = 'join-canvas-modal';
+  overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.7);display:flex;align-items:center;justify-content:center;z-index:100000;';
+  overlay.innerHTML = `
+    <div style="background:#1a1a2e;border:1px solid rgba(var(--accent-rgb),0.3);border-radius:12px;padding:24px;max-width:380px;width:90%;color:#e0e0e0;font-family:Montserrat,sans-serif;text-align:center;">
+      ${invite.avatarUrl ? `<img src="${escapeHtml(invite.avatarUrl)}" style="width:40px;height:40px;border-radius:50%;margin-bottom:10px;">` : ''}
+      <div style="font-size:14px;margin-bottom:6px;"><b>${escapeHtml(invite.ownerName)}</b> invited you to their canvas</div>
+      <div style="font-size:12px;color:#8b8bb0;margin-bottom:18px;">as ${ROLE_LABELS[invite.role] || escapeHtml(invite.role)}</div>
+      <div id="join-canvas-error" style="color:#ef4444;font-size:11px;display:none;margin-bottom:10px;"></div>
+      <div style="display:flex;gap:10px;justify-content:center;">
+        <button id="join-canvas-accept" style="${PRIMARY_BUTTON_STYLE}">Join canvas</button>
+        <button id="join-canvas-cancel" style="${BUTTON_STYLE}">Not now</button>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  overlay.querySelector('#join-canvas-cancel').addEventListener('click', () => {
+    overlay.remove();
+    clearParam();
+  });
+  overlay.querySelector('#join-canvas-accept').addEventListener('click', async () => {
+    try {
+      const joined = await _ctx.cloudFetch('POST', `/api/canvas/invites/${encodeURIComponent(token)}/accept`);
+      location.href = `/?canvas=${encodeURIComponent(joined.ownerId)}`;
+    } catch (err) {
+      const errorEl = overlay.querySelector('#join-canvas-error');
+      errorEl.textContent = err.message;
+      errorEl.style.display = '';
+    }
+  });
+}
@@ -0,0 +1,219 @@
+// ─── Commit Inspector ─────────────────────────────────────────────────────
+// Opened from a git graph row: commit metadata, changed files with stats and
+// a side-by-side Monaco diff per file.
+
+import { escapeHtml } from './utils.js';
+
+let _ctx = null;
+
+export function initCommitInspectorDeps(ctx) { _ctx = ctx; }
+
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toLocaleString() : '';
+}
+
+function personHtml(label, person) {
+  return `<div class="commit-inspector-person">
+    <span class="commit-inspector-label">${label}</span>
+    <span class="commit-inspector-name">${escapeHtml(person.name)}</span>
+    <span class="commit-inspector-email">&lt;${escapeHtml(person.email)}&gt;</span>
+    <span class="commit-inspector-date">${escapeHtml(formatDate(person.timestamp))}</span>
+  </div>`;
+}
+
+function sideNote(side, label) {
+  if (side.binary) return `${label}: binary file`;
+  if (side.truncated) return `${label}: truncated to the first ${Math.round(side.content.length / 1024)} KB`;
+  return '';
+}
+
+export function showCommitInspector(gitGraphPane, hash) {
+  const existing = document.getElementById('commit-inspector');
+  if (existing) existing.remove();
+
+  const overlay = document.createElement('div');
+  overlay.id = 'commit-inspector';
+  overlay.className = 'commit-inspector-overlay';
+  overlay.innerHTML = `
+    <div class="commit-inspector">
+      <div class="commit-inspector-header">
+        <span class="commit-inspector-hash">${escapeHtml(hash.slice(0, 7))}</span>
+        <span class="commit-inspector-subject">Loading commit…</span>
+        <button class="commit-inspector-close" aria-label="Close">&times;</button>
+      </div>
+      <div class="commit-inspector-meta"></div>
+      <div class="commit-inspector-main">
+        <div class="commit-inspector-files tc-scrollbar"></div>
+        <div class="commit-inspector-diff">
+          <div class="commit-inspector-diff-toolbar">
+            <span class="commit-inspector-diff-path"></span>
+            <span class="commit-inspector-diff-note"></span>
+            <button class="commit-inspector-btn commit-inspector-open-btn" disabled data-tooltip="Open a read-only file pane with this file as of the commit">Open at this revision</button>
+          </div>
+          <div class="commit-inspector-diff-editor"><span class="commit-inspector-empty">Select a file to view its diff</span></div>
+        </div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+
+  const subjectEl = overlay.querySelector('.commit-inspector-subject');
+  const metaEl = overlay.querySelector('.commit-inspector-meta');
+  const filesEl = overlay.querySelector('.commit-inspector-files');
+  const diffPathEl = overlay.querySelector('.commit-inspector-diff-path');
+  const diffNoteEl = overlay.querySelector('.commit-inspector-diff-note');
+  const editorEl = overlay.querySelector('.commit-inspector-diff-editor');
+  const openBtn = overlay.querySelector('.commit-inspector-open-btn');
+
+  let commit = null;
+  let selected = null;
+  let diffEditor = null;
+  let models = [];
+  let resizeObserver = null;
+
+  function disposeModels() {
+    for (const model of models) model.dispose();
+    models = [];
+  }
+
+  function close() {
+    document.removeEventListener('keydown', onKeyDown, true);
+    if (resizeObserver) resizeObserver.disconnect();
+    if (diffEditor) diffEditor.dispose();
+    disposeModels();
+    overlay.remove();
+  }
+
+  function onKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  }
+  document.addEventListener('keydown', onKeyDown, true);
+
+  overlay.addEventListener('mousedown', (e) => {
+    if (e.target === overlay) close();
+  });
+  overlay.querySelector('.commit-inspector-close').addEventListener('click', close);
+
+  filesEl.addEventListener('click', (e) => {
+    const row = e.target.closest('.commit-inspector-file');
+    if (!row || !commit) return;
+    const file = commit.files[parseInt(row.dataset.index, 10)];
+    if (!file) return;
+    selected = file;
+    filesEl.querySelectorAll('.commit-inspector-file').forEach(r => r.classList.toggle('selected', r === row));
+    loadFileDiff(file);
+  });
+
+  openBtn.addEventListener('click', () => {
+    if (!selected || !commit) return;
+    _ctx.openFileAtRevision(gitGraphPane, commit.hash, selected.path);
+    close();
+  });
+
+  async function loadFileDiff(file) {
+    diffPathEl.textContent = file.origPath ? `${file.origPath} → ${file.path}` : file.path;
+    diffPathEl.title = diffPathEl.textContent;
+    diffNoteEl.textContent = '';
+    openBtn.disabled = file.status === 'D' || file.binary;
+
+    if (file.binary) {
+      showEditorMessage('Binary file — no diff available');
+      return;
+    }
+
+    const params = new URLSearchParams({ path: file.path });
+    if (file.origPath) params.set('origPath', file.origPath);
+    let data;
+    try {
+      data = await _ctx.agentRequest('GET', `/api/git-graphs/${gitGraphPane.id}/commit/${commit.hash}/diff?${params}`, null, gitGraphPane.agentId);
+    } catch (err) {
+      showEditorMessage(`Failed to load diff: ${err.message || err}`);
+      return;
+    }
+    if (selected !== file || !overlay.isConnected) return;
+
+    diffNoteEl.textContent = [sideNote(data.original, 'Before'), sideNote(data.modified, 'After')].filter(Boolean).join(' · ');
+
+    const monaco = await window.monacoReady;
+    if (selected !== file || !overlay.isConnected) return;
+
+    if (!diffEditor) {
+      editorEl.innerHTML = '';
+      diffEditor = monaco.editor.createDiffEditor(editorEl, {
+        theme: '49agents-dark',
+        readOnly: true,
+        renderSideBySide: true,
+        automaticLayout: false,
+        fontFamily: '"JetBrains Mono", "Fira Code", "SF Mono", Menlo, Monaco, monospace',
+        fontSize: 12,
+        minimap: { enabled: false },
+        scrollBeyondLastLine: false,
+        renderOverviewRuler: false,
+        scrollbar: { verticalScrollbarSize: 8, horizontalScrollbarSize: 8, useShadows: false },
+      });
+      resizeObserver = new ResizeObserver(() => diffEditor.layout());
+      resizeObserver.observe(editorEl);
+    }
+
+    const language = _ctx.getLanguageFromFileName(file.path);
+    const previous = models;
+    models = [
+      monaco.editor.createModel(data.original.content, language),
+      monaco.editor.createModel(data.modified.content, language),
+    ];
+    diffEditor.setModel({ original: models[0], modified: models[1] });
+    for (const model of previous) model.dispose();
+  }
+
+  function showEditorMessage(text) {
+    if (diffEditor) {
+      resizeObserver.disconnect();
+      resizeObserver = null;
+      diffEditor.dispose();
+      diffEditor = null;
+      disposeModels();
+    }
+    editorEl.innerHTML = `<span class="commit-inspector-empty">${escapeHtml(text)}</span>`;
+  }
+
+  _ctx.agentRequest('GET', `/api/git-graphs/${gitGraphPane.id}/commit/${hash}`, null, gitGraphPane.agentId).then((data) => {
+    if (!overlay.isConnected) return;
+    commit = data;
+    overlay.querySelector('.commit-inspector-hash').textContent = data.shortHash;
+    overlay.querySelector('.commit-inspector-hash').title = data.hash;
+    subjectEl.textContent = data.subject;
+
+    const sameCommitter = data.committer.name === data.author.name && data.committer.email === data.author.email;
+    const body = data.message.split('\n').slice(1).join('\n').trim();
+    const totals = data.files.reduce((t, f) => ({ add: t.add + f.additions, del: t.del + f.deletions }), { add: 0, del: 0 });
+    metaEl.innerHTML = `
+      ${personHtml('Author', data.author)}
+      ${sameCommitter ? '' : personHtml('Committer', data.committer)}
+      <div class="commit-inspector-person">
+        <span class="commit-inspector-label">Parents</span>
+        ${data.parents.length ? data.parents.map(p => `<span class="commit-inspector-parent" title="${escapeHtml(p)}">${escapeHtml(p.slice(0, 7))}</span>`).join(' ') : '<span class="commit-inspector-email">none (root commit)</span>'}
+        ${data.refs ? `<span class="commit-inspector-refs">${escapeHtml(data.refs)}</span>` : ''}
+      </div>
+      ${body ? `<pre class="commit-inspector-body">${escapeHtml(body)}</pre>` : ''}
+      <div class="commit-inspector-totals">${data.files.length} file${data.files.length === 1 ? '' : 's'} changed · <span class="add">+${totals.add}</span> <span class="del">−${totals.del}</span>${data.parents.length > 1 ? ' · compared with first parent' : ''}</div>
+    `;
+
+    filesEl.innerHTML = data.files.length ? data.files.map((f, i) => `
+      <div class="commit-inspector-file" data-index="${i}" title="${escapeHtml(f.origPath ? `${f.origPath} → ${f.path}` : f.path)}">
+        <span class="commit-inspector-file-status status-${escapeHtml(f.status)}">${escapeHtml(f.status)}</span>
+        <span class="commit-inspector-file-path">${escapeHtml(f.path)}</span>
+        <span class="commit-inspector-file-stats">${f.binary ? 'bin' : `<span class="add">+${f.additions}</span> <span class="del">−${f.deletions}</span>`}</span>
+      </div>
+    `).join('') : '<span class="commit-inspector-empty">No file changes</span>';
+
+    const first = filesEl.querySelector('.commit-inspector-file');
+    if (first) first.click();
+  }).catch((err) => {
+    if (!overlay.isConnected) return;
+    subjectEl.textContent = `Failed to load commit: ${err.message || err}`;
+  });
+}
@@ -15,6 +15,8 @@ export const PANE_DEFAULTS = {
   'beads':          { width: 520, height: 500 },
   'folder':         { width: 400, height: 500 },
   'conversations':  { width: 520, height: 500 },
+  'replay':         { width: 720, height: 480 },
+  'usage':          { width: 720, height: 560 },
 };
 
 export const PANE_ENDPOINT_MAP = {
@@ -22,6 +24,8 @@ export const PANE_ENDPOINT_MAP = {
   'git-graph': 'git-graphs', iframe: 'iframes',
   beads: 'beads-panes', folder: 'folder-panes',
   conversations: 'conversations-panes',
+  replay: 'replay-panes',
+  usage: 'usage-panes',
 };
 
 // ── SVG icons (inner content, without <svg> wrapper) ──
@@ -32,6 +36,10 @@ export const ICON_GIT_GRAPH = '<circle cx="7" cy="6" r="2.5" fill="currentColor"
 
 export const ICON_FOLDER = '<path d="M10 4H4a2 2 0 0 0-2 2v12a2 2 0 0 0 2 2h16a2 2 0 0 0 2-2V8a2 2 0 0 0-2-2h-8l-2-2z" fill="none" stroke="currentColor" stroke-width="2"/>';
 
+export const ICON_REPLAY = '<circle cx="12" cy="12" r="9" fill="none" stroke="currentColor" stroke-width="2"/><path d="M10 8.5v7l5.5-3.5z" fill="currentColor"/>';
+
+export const ICON_USAGE = '<line x1="4" y1="20" x2="20" y2="20" stroke="currentColor" stroke-width="2" stroke-linecap="round"/><rect x="5" y="11" width="3" height="7" fill="currentColor" opacity="0.7"/><rect x="10.5" y="6" width="3" height="12" fill="currentColor"/><rect x="16" y="9" width="3" height="9" fill="currentColor" opacity="0.7"/>';
+
 export const ICON_CONVERSATIONS = '<path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z" fill="none" stroke="currentColor" stroke-width="2"/><circle cx="9" cy="10" r="1" fill="currentColor"/><circle cx="12" cy="10" r="1" fill="currentColor"/><circle cx="15" cy="10" r="1" fill="currentColor"/>';
 
 // ── Claude state indicators ──
@@ -0,0 +1,194 @@
+// ─── Conversation Search ──────────────────────────────────────────────────
+// Full-text search over Claude transcripts on every online machine. The query
+// is sent to each agent's index and the hits are merged into one list.
+
+import { escapeHtml } from './utils.js';
+
+let _ctx = null;
+
+const SEARCH_DEBOUNCE_MS = 300;
+const RESULTS_PER_AGENT = 50;
+
+export function initConversationSearchDeps(ctx) { _ctx = ctx; }
+
+function shortPath(path) {
+  return (path || '').replace(/^\/home\/[^/]+/, '~').replace(/^\/Users\/[^/]+/, '~');
+}
+
+function highlightSnippet(snippet) {
+  const { text, matchStart, matchLength } = snippet;
+  return escapeHtml(text.slice(0, matchStart))
+    + `<mark>${escapeHtml(text.slice(matchStart, matchStart + matchLength))}</mark>`
+    + escapeHtml(text.slice(matchStart + matchLength));
+}
+
+function contextHtml(message) {
+  if (!message) return '';
+  return `<div class="convo-search-context"><span class="convo-search-role">${message.role === 'user' ? 'User' : 'Claude'}</span>${escapeHtml(message.text)}</div>`;
+}
+
+export function showConversationSearch() {
+  const existing = document.getElementById('convo-search');
+  if (existing) {
+    existing.querySelector('.convo-search-input').focus();
+    return;
+  }
+
+  const overlay = document.createElement('div');
+  overlay.id = 'convo-search';
+  overlay.className = 'convo-search-overlay';
+  overlay.innerHTML = `
+    <div class="convo-search">
+      <div class="convo-search-header">
+        <input class="convo-search-input" type="text" placeholder="Search Claude conversations on all machines…" spellcheck="false">
+        <button class="convo-search-close" aria-label="Close">&times;</button>
+      </div>
+      <div class="convo-search-status"></div>
+      <div class="convo-search-results tc-scrollbar"></div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+
+  const input = overlay.querySelector('.convo-search-input');
+  const statusEl = overlay.querySelector('.convo-search-status');
+  const resultsEl = overlay.querySelector('.convo-search-results');
+
+  let results = [];
+  let selectedIndex = -1;
+  let debounceTimer = null;
+  let searchSeq = 0;
+
+  function close() {
+    clearTimeout(debounceTimer);
+    document.removeEventListener('keydown', onKeyDown, true);
+    overlay.remove();
+  }
+
+  function select(index) {
+    const rows = resultsEl.querySelectorAll('.convo-search-result');
+    if (rows.length === 0) return;
+    selectedIndex = Math.max(0, Math.min(rows.length - 1, index));
+    rows.forEach((row, i) => row.classList.toggle('selected', i === selectedIndex));
+    rows[selectedIndex].scrollIntoView({ block: 'nearest' });
+  }
+
+  function openResult(result) {
+    if (!result) return;
+    _ctx.openConversationsPane(result.cwd, result.agentId, result.device);
+    close();
+  }
+
+  function onKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      e.stopPropagation();
+      select(selectedIndex + (e.key === 'ArrowDown' ? 1 : -1));
+    } else if (e.key === 'Enter' && selectedIndex >= 0) {
+      e.preventDefault();
+      e.stopPropagation();
+      openResult(results[selectedIndex]);
+    }
+  }
+  document.addEventListener('keydown', onKeyDown, true);
+
+  overlay.addEventListener('mousedown', (e) => {
+    if (e.target === overlay) close();
+  });
+  overlay.querySelector('.convo-search-close').addEventListener('click', close);
+
+  resultsEl.addEventListener('click', (e) => {
+    const row = e.target.closest('.convo-search-result');
+    if (!row) return;
+    const result = results[parseInt(row.dataset.index, 10)];
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (action === 'resume' || action === 'fork') {
+      _ctx.openConversationInClaude(result, { fork: action === 'fork' });
+      close();
+      return;
+    }
+    openResult(result);
+  });
+
+  function render(failures, total) {
+    const parts = [`${total} match${total === 1 ? '' : 'es'}`];
+    if (results.length < total) parts.push(`showing newest ${results.length}`);
+    for (const f of failures) parts.push(`${f.device}: ${f.error}`);
+    statusEl.textContent = parts.join(' · ');
+    statusEl.classList.toggle('error', failures.length > 0);
+
+    selectedIndex = -1;
+    if (results.length === 0) {
+      resultsEl.innerHTML = '<div class="convo-search-empty">No matching messages</div>';
+      return;
+    }
+    resultsEl.innerHTML = results.map((r, i) => `
+      <div class="convo-search-result" data-index="${i}">
+        <div class="convo-search-meta">
+          <span class="convo-search-device">${escapeHtml(r.device)}</span>
+          <span class="convo-search-title">${escapeHtml(r.customTitle || r.sessionId.slice(0, 8))}</span>
+          ${r.gitBranch ? `<span class="convos-meta-tag convos-tag-branch">${escapeHtml(r.gitBranch)}</span>` : ''}
+          <span class="convo-search-cwd" title="${escapeHtml(r.cwd || '')}">${escapeHtml(shortPath(r.cwd))}</span>
+          <span class="convo-search-time">${r.timestamp ? escapeHtml(new Date(r.timestamp).toLocaleString()) : ''}</span>
+          <button class="convo-search-action" data-action="resume" title="Resume this session in a new terminal">Resume</button>
+          <button class="convo-search-action" data-action="fork" title="New Claude session seeded with this transcript">Fork</button>
+        </div>
+        ${contextHtml(r.before)}
+        <div class="convo-search-match"><span class="convo-search-role">${r.role === 'user' ? 'User' : 'Claude'}</span>${highlightSnippet(r.snippet)}</div>
+        ${contextHtml(r.after)}
+      </div>
+    `).join('');
+  }
+
+  async function runSearch(q) {
+    const seq = ++searchSeq;
+    const devices = _ctx.getDevices();
+    if (devices.length === 0) {
+      statusEl.textContent = 'No machines online';
+      resultsEl.innerHTML = '';
+      return;
+    }
+    statusEl.textContent = `Searching ${devices.length} machine${devices.length === 1 ? '' : 's'}…`;
+    statusEl.classList.remove('error');
+
+    const params = new URLSearchParams({ q, limit: String(RESULTS_PER_AGENT) });
+    const responses = await Promise.allSettled(devices.map(d =>
+      _ctx.agentRequest('GET', `/api/conversations/search?${params}`, null, d.ip)
+    ));
+    if (seq !== searchSeq || !overlay.isConnected) return;
+
+    const merged = [];
+    const failures = [];
+    let total = 0;
+    responses.forEach((res, i) => {
+      const device = devices[i];
+      if (res.status === 'rejected') {
+        failures.push({ device: device.name, error: res.reason?.message || String(res.reason) });
+        return;
+      }
+      total += res.value.total;
+      for (const r of res.value.results) merged.push({ ...r, agentId: device.ip, device: device.name });
+    });
+    merged.sort((a, b) => String(b.timestamp || '').localeCompare(String(a.timestamp || '')));
+    results = merged;
+    render(failures, total);
+  }
+
+  input.addEventListener('input', () => {
+    clearTimeout(debounceTimer);
+    const q = input.value.trim();
+    if (!q) {
+      searchSeq++;
+      results = [];
+      statusEl.textContent = '';
+      resultsEl.innerHTML = '';
+      return;
+    }
+    debounceTimer = setTimeout(() => runSearch(q), SEARCH_DEBOUNCE_MS);
+  });
+
+  input.focus();
+}
@@ -0,0 +1,162 @@
+// ─── Direct LAN Links ─────────────────────────────────────────────────────
+// Agents started with TC_DIRECT_PORT listen for browsers on their own network
+// (agent/src/directServer.js) and advertise { port, addresses, tls } in
+// agent:online. We ask the agent for a one-time ticket over the relay, then
+// try each address; when one answers, terminal I/O and agent requests use the
+// direct link and the relay stays connected as the fallback.
+//
+// A direct link carries the relay's browser protocol without agentId; it is
+// filled in here so messages look the same as relay ones to the app.
+
+import { decodeFrame } from './relay-frames.js';
+
+let _ctx = null;
+
+export function initDirectLinkDeps(ctx) { _ctx = ctx; }
+
+const ADDRESS_TIMEOUT_MS = 1500;
+const RETRY_MIN_MS = 5000;
+const RETRY_MAX_MS = 60000;
+
+// agentId -> { direct, ws, status, address, retryDelay, retryTimer }
+// status: connecting | open | retrying
+const links = new Map();
+
+function setStatus(agentId, link, status) {
+  if (link.status === status) return;
+  link.status = status;
+  _ctx?.onStatusChange?.(agentId, status);
+}
+
+/** Pages served over https can only open wss:// links. */
+function canReach(direct) {
+  return !!direct && (direct.tls || location.protocol !== 'https:');
+}
+
+function linkUrl(direct, address, ticket) {
+  const host = address.includes(':') ? `[${address}]` : address;
+  return `${direct.tls ? 'wss' : 'ws'}://${host}:${direct.port}/?ticket=${encodeURIComponent(ticket)}`;
+}
+
+/** Open a socket to one address, resolving once it is open (null on failure). */
+function tryAddress(url) {
+  return new Promise((resolve) => {
+    let done = false;
+    const socket = new WebSocket(url);
+    socket.binaryType = 'arraybuffer';
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      if (!result) socket.close();
+      resolve(result);
+    };
+    const timer = setTimeout(() => finish(null), ADDRESS_TIMEOUT_MS);
+    socket.onopen = () => finish(socket);
+    socket.onerror = () => finish(null);
+    socket.onclose = () => finish(null);
+  });
+}
+
+async function open(agentId, link) {
+  setStatus(agentId, link, 'connecting');
+  for (const address of link.direct.addresses) {
+    // Tickets are single-use, so each address gets its own
+    let ticket;
+    try {
+      ({ ticket } = await _ctx.requestTicket(agentId));
+    } catch (err) {
+      console.warn(`[Direct] No ticket from ${agentId.slice(0, 8)}:`, err.message);
+      break;
+    }
+    if (links.get(agentId) !== link) return;
+    const socket = await tryAddress(linkUrl(link.direct, address, ticket));
+    if (links.get(agentId) !== link) {
+      socket?.close();
+      return;
+    }
+    if (socket) {
+      attach(agentId, link, socket, address);
+      return;
+    }
+  }
+  scheduleRetry(agentId, link);
+}
+
+function attach(agentId, link, socket, address) {
+  link.ws = socket;
+  link.address = address;
+  link.retryDelay = RETRY_MIN_MS;
+  console.log(`[Direct] Linked to ${agentId.slice(0, 8)} at ${address}:${link.direct.port}`);
+
+  socket.onmessage = (event) => {
+    if (event.data instanceof ArrayBuffer) {
+      const frame = decodeFrame(event.data);
+      if (frame) _ctx.onFrame({ ...frame, agentId });
+      return;
+    }
+    try {
+      const message = JSON.parse(event.data);
+      if (message.type === 'pong') return;
+      _ctx.onMessage({ ...message, agentId });
+    } catch (e) {
+      console.error('[Direct] Error parsing message:', e);
+    }
+  };
+  socket.onclose = () => {
+    if (links.get(agentId) !== link) return;
+    console.log(`[Direct] Link to ${agentId.slice(0, 8)} closed — using the relay`);
+    link.ws = null;
+    scheduleRetry(agentId, link);
+  };
+  socket.onerror = () => {};
+  setStatus(agentId, link, 'open');
+}
+
+function scheduleRetry(agentId, link) {
+  setStatus(agentId, link, 'retrying');
+  clearTimeout(link.retryTimer);
+  link.retryTimer = setTimeout(() => {
+    if (links.get(agentId) === link) open(agentId, link);
+  }, link.retryDelay);
+  link.retryDelay = Math.min(link.retryDelay * 2, RETRY_MAX_MS);
+}
+
+/**
+ * Start (or restart) the direct link for an agent from its agents:list /
+ * agent:online entry. Agents without a reachable listener use the relay only.
+ */
+export function connectDirect(agent) {
+  const { agentId } = agent;
+  const existing = links.get(agentId);
+  // agents:list repeats on every relay reconnect; keep a link that still works
+  if (existing?.status === 'open' && JSON.stringify(existing.direct) === JSON.stringify(agent.direct)) return;
+  closeDirect(agentId);
+  if (!canReach(agent.direct) || agent.direct.addresses.length === 0) return;
+  const link = { direct: agent.direct, ws: null, status: null, address: null, retryDelay: RETRY_MIN_MS, retryTimer: null };
+  links.set(agentId, link);
+  open(agentId, link);
+}
+
+export function closeDirect(agentId) {
+  const link = links.get(agentId);
+  if (!link) return;
+  links.delete(agentId);
+  clearTimeout(link.retryTimer);
+  link.ws?.close();
+  _ctx?.onStatusChange?.(agentId, null);
+}
+
+/** Send a string or frame over the agent's direct link. False if it is not open. */
+export function sendDirect(agentId, data) {
+  const socket = links.get(agentId)?.ws;
+  if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+  socket.send(data);
+  return true;
+}
+
+/** { status, address } for an agent with a direct listener, else null. */
+export function getDirectStatus(agentId) {
+  const link = links.get(agentId);
+  return link ? { status: link.status, address: link.address } : null;
+}
@@ -0,0 +1,299 @@
+// ─── End-to-End Encryption ────────────────────────────────────────────────
+// Browser half of the opt-in e2e channel (agent half: agent/src/e2e.js).
+//
+// Each browser has a P-256 device key, generated non-extractable and kept in
+// IndexedDB. Agents that have e2e on advertise their identity key in
+// agent:online; it is pinned here on first sight (or when pairing) and a
+// changed key is refused until the user trusts it. (pair.html pins keys too.) The browser sends
+// e2e:hello, and a trusted browser gets the agent's channel key back, wrapped
+// with ECDH(device key, pinned agent key) — a relay that swapped keys cannot
+// unwrap or forge it.
+//
+// Sealed blob: [iv: senderId(4) | counter(u64 BE)][ciphertext + tag], with
+// AAD `${type}\0${terminalId || requestId}` — the same layout as the agent.
+
+let _ctx = null;
+
+export function initE2EDeps(ctx) { _ctx = ctx; }
+
+const DB_NAME = '49agents-e2e';
+const PINS_KEY = 'e2e-agent-pins';
+const WRAP_INFO = '49agents-e2e-wrap-v1';
+const READY_TIMEOUT_MS = 10000;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// agentId -> { status, agentKey, fingerprint, key, senderId, counter, lastSeen, nonce, ready, settle }
+// status: connecting | ready | untrusted | mismatch | error
+const channels = new Map();
+const outboundChains = new Map(); // agentId -> Promise (keeps sealed sends in counter order)
+// agentId -> Map(sender -> { max, recent } counters seen); outlives channel
+// resets so a relay cannot replay an agent's earlier messages after a reconnect
+const lastSeenByAgent = new Map();
+let devicePromise = null;
+let deviceFingerprint = null;
+
+export function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function fromBase64(str) {
+  return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+}
+
+/** First 16 bytes of SHA-256 over a raw public key, hex in groups of four. */
+export async function fingerprint(publicKeyBase64) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', fromBase64(publicKeyBase64)));
+  const hex = Array.from(digest.subarray(0, 16), b => b.toString(16).padStart(2, '0')).join('');
+  return hex.match(/.{4}/g).join(':');
+}
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore('keys');
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idb(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const req = fn(db.transaction('keys', mode).objectStore('keys'));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * This browser's device key: { privateKey (CryptoKey), publicKey (base64 raw),
+ * fingerprint }. The private key never leaves WebCrypto. Same record as the
+ * pair page (public/pair.html) creates.
+ */
+export function getDeviceKey() {
+  devicePromise ??= (async () => {
+    const db = await openDb();
+    let record = await idb(db, 'readonly', s => s.get('device'));
+    if (!record) {
+      const pair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+      const raw = new Uint8Array(await crypto.subtle.exportKey('raw', pair.publicKey));
+      record = { privateKey: pair.privateKey, publicKey: toBase64(raw) };
+      await idb(db, 'readwrite', s => s.put(record, 'device'));
+    }
+    deviceFingerprint = await fingerprint(record.publicKey);
+    return { ...record, fingerprint: deviceFingerprint };
+  })();
+  return devicePromise;
+}
+
+/** This browser's fingerprint once the device key has loaded, else null. */
+export function getDeviceFingerprint() {
+  return deviceFingerprint;
+}
+
+function loadPins() {
+  try { return JSON.parse(localStorage.getItem(PINS_KEY)) || {}; } catch { return {}; }
+}
+
+function savePin(agentId, publicKey) {
+  const pins = loadPins();
+  pins[agentId] = publicKey;
+  localStorage.setItem(PINS_KEY, JSON.stringify(pins));
+}
+
+function setStatus(agentId, channel, status, error) {
+  channel.status = status;
+  if (status === 'ready') channel.settle(true);
+  else if (status !== 'connecting') channel.settle(false, error || status);
+  _ctx?.onStatusChange?.(agentId);
+}
+
+/** True if this agent requires end-to-end encryption. */
+export function isE2EAgent(agent) {
+  return !!agent?.e2e?.publicKey;
+}
+
+/**
+ * Set up (or reset) the channel for an agent from its agents:list /
+ * agent:online entry, and send e2e:hello if its key matches the pin.
+ */
+export async function startE2E(agent) {
+  const { agentId } = agent;
+  if (!isE2EAgent(agent)) {
+    channels.delete(agentId);
+    return;
+  }
+
+  let settle;
+  const ready = new Promise((resolve, reject) => {
+    settle = (ok, reason) => (ok ? resolve() : reject(new Error(`End-to-end channel ${reason}`)));
+  });
+  ready.catch(() => {});
+  if (!lastSeenByAgent.has(agentId)) lastSeenByAgent.set(agentId, new Map());
+  const channel = {
+    status: 'connecting', agentKey: agent.e2e.publicKey, fingerprint: null, pinnedFingerprint: null,
+    key: null, senderId: crypto.getRandomValues(new Uint8Array(4)), counter: 0n,
+    lastSeen: lastSeenByAgent.get(agentId), nonce: null, ready, settle,
+  };
+  channels.set(agentId, channel);
+  channel.fingerprint = await fingerprint(channel.agentKey);
+
+  const pinned = loadPins()[agentId];
+  if (!pinned) {
+    // Trust on first use; pairing pins the key up front instead
+    savePin(agentId, channel.agentKey);
+  } else if (pinned !== channel.agentKey) {
+    channel.pinnedFingerprint = await fingerprint(pinned);
+    console.warn(`[E2E] Agent ${agentId.slice(0, 8)} presented a different key (${channel.fingerprint}, pinned ${channel.pinnedFingerprint})`);
+    setStatus(agentId, channel, 'mismatch');
+    return;
+  }
+
+  try {
+    const device = await getDeviceKey();
+    channel.nonce = crypto.getRandomValues(new Uint8Array(16));
+    _ctx.sendRaw('e2e:hello', { publicKey: device.publicKey, nonce: toBase64(channel.nonce) }, agentId);
+  } catch (err) {
+    console.error('[E2E] Could not load device key:', err);
+    setStatus(agentId, channel, 'error', err.message);
+  }
+  _ctx?.onStatusChange?.(agentId);
+}
+
+/** Replace an agent's pinned key with the one it now presents. */
+export function trustCurrentAgentKey(agent) {
+  savePin(agent.agentId, agent.e2e.publicKey);
+  return startE2E(agent);
+}
+
+/** e2e:key / e2e:error from an agent — both are broadcast, so check `to`. */
+export async function handleE2EMessage(type, payload, agentId) {
+  const channel = channels.get(agentId);
+  if (!channel || channel.status !== 'connecting' || !channel.nonce) return;
+  const device = await getDeviceKey();
+  // Replies to an earlier hello (before a channel reset) carry its nonce
+  if (payload?.to !== device.fingerprint || payload.nonce !== toBase64(channel.nonce)) return;
+
+  if (type === 'e2e:error') {
+    setStatus(agentId, channel, payload.reason === 'untrusted' ? 'untrusted' : 'error', payload.reason);
+    return;
+  }
+
+  try {
+    const agentKey = await crypto.subtle.importKey('raw', fromBase64(channel.agentKey), { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+    const secret = await crypto.subtle.deriveBits({ name: 'ECDH', public: agentKey }, device.privateKey, 256);
+    const hkdfKey = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+    const wrapKey = await crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: channel.nonce, info: textEncoder.encode(WRAP_INFO) },
+      hkdfKey, { name: 'AES-GCM', length: 256 }, false, ['decrypt']);
+    const wrapped = fromBase64(payload.wrapped);
+    const raw = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: wrapped.subarray(0, 12), additionalData: textEncoder.encode(device.fingerprint) },
+      wrapKey, wrapped.subarray(12));
+    channel.key = await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+    setStatus(agentId, channel, 'ready');
+  } catch (err) {
+    // Wrong agent key (or tampered reply): never fall back to plaintext
+    console.error(`[E2E] Could not unwrap channel key from ${agentId.slice(0, 8)}:`, err);
+    setStatus(agentId, channel, 'error', 'key unwrap failed');
+  }
+}
+
+async function readyChannel(agentId) {
+  const channel = channels.get(agentId);
+  if (!channel) throw new Error('No end-to-end channel for this agent');
+  if (channel.status !== 'ready') {
+    let timer;
+    await Promise.race([
+      channel.ready,
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('End-to-end channel not ready')), READY_TIMEOUT_MS); }),
+    ]).finally(() => clearTimeout(timer));
+  }
+  return channel;
+}
+
+function aad(type, ref) {
+  return textEncoder.encode(`${type}\0${ref || ''}`);
+}
+
+/**
+ * Encrypt bytes for an agent and hand the blob to send(). Sends to the same
+ * agent happen in call order, so the agent sees increasing counters.
+ */
+export function sealAndSend(agentId, type, ref, bytes, send) {
+  const prev = outboundChains.get(agentId) || Promise.resolve();
+  const next = prev.then(async () => {
+    const channel = await readyChannel(agentId);
+    channel.counter += 1n;
+    const iv = new Uint8Array(12);
+    iv.set(channel.senderId, 0);
+    new DataView(iv.buffer).setBigUint64(4, channel.counter);
+    const sealed = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: aad(type, ref) }, channel.key, bytes));
+    const blob = new Uint8Array(12 + sealed.length);
+    blob.set(iv, 0);
+    blob.set(sealed, 12);
+    send(blob);
+  });
+  const settled = next.catch(() => {});
+  outboundChains.set(agentId, settled);
+  settled.then(() => { if (outboundChains.get(agentId) === settled) outboundChains.delete(agentId); });
+  return next;
+}
+
+/**
+ * Counters accepted out of order per sender. An agent with a direct LAN link
+ * sends most messages on both links, so copies can overtake each other.
+ */
+const REPLAY_WINDOW = 4096n;
+
+function acceptCounter(lastSeen, sender, count) {
+  let seen = lastSeen.get(sender);
+  if (!seen) lastSeen.set(sender, seen = { max: 0n, recent: new Set() });
+  if (count + REPLAY_WINDOW <= seen.max || seen.recent.has(count)) return false;
+  seen.recent.add(count);
+  if (count > seen.max) seen.max = count;
+  if (seen.recent.size > REPLAY_WINDOW) {
+    for (const c of seen.recent) if (c + REPLAY_WINDOW <= seen.max) seen.recent.delete(c);
+  }
+  return true;
+}
+
+/**
+ * Decrypt a blob from an agent. Null if it was already received (a replay,
+ * or the second copy of a message the agent sent on two links); throws if it
+ * is forged or for another channel.
+ */
+export async function openFromAgent(agentId, type, ref, blob) {
+  const channel = await readyChannel(agentId);
+  if (blob.length < 28) throw new Error('malformed blob');
+  const iv = blob.subarray(0, 12);
+  const sender = toBase64(iv.subarray(0, 4));
+  const count = new DataView(iv.buffer, iv.byteOffset).getBigUint64(4);
+  let plaintext;
+  try {
+    plaintext = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: aad(type, ref) }, channel.key, blob.subarray(12)));
+  } catch {
+    throw new Error('decryption failed');
+  }
+  return acceptCounter(channel.lastSeen, sender, count) ? plaintext : null;
+}
+
+export function encodeJson(value) {
+  return textEncoder.encode(JSON.stringify(value));
+}
+
+export function decodeJson(bytes) {
+  return JSON.parse(textDecoder.decode(bytes));
+}
+
+/** { status, fingerprint, pinnedFingerprint } for an e2e agent, else null. */
+export function getE2EStatus(agentId) {
+  const channel = channels.get(agentId);
+  if (!channel) return null;
+  return { status: channel.status, fingerprint: channel.fingerprint, pinnedFingerprint: channel.pinnedFingerprint };
+}
@@ -0,0 +1,300 @@
+// ─── Git Changes Panel ────────────────────────────────────────────────────
+// Working-tree view inside a git graph pane: changed files with per-file
+// diffs, file/hunk staging, commit, branch checkout/create and fetch/pull.
+
+import { escapeHtml } from './utils.js';
+
+let _ctx = null;
+
+export function initGitChangesDeps(ctx) { _ctx = ctx; }
+
+const NEW_BRANCH_VALUE = '__new_branch__';
+
+// Porcelain status letter → label shown next to the file
+const STATUS_LABELS = { M: 'M', A: 'A', D: 'D', R: 'R', C: 'C', U: 'U', T: 'T', '?': 'U' };
+
+function statusLetter(file, staged) {
+  if (file.untracked) return '?';
+  return staged ? file.index : file.worktree;
+}
+
+export function createGitChangesPanel(paneEl, paneData) {
+  const container = paneEl.querySelector('.git-graph-container');
+  const panel = document.createElement('div');
+  panel.className = 'git-changes-panel';
+  panel.style.display = 'none';
+  panel.innerHTML = `
+    <div class="git-changes-toolbar">
+      <select class="git-changes-branch-select" data-tooltip="Check out branch"></select>
+      <button class="git-changes-btn git-changes-fetch-btn" data-tooltip="git fetch --all --prune">Fetch</button>
+      <button class="git-changes-btn git-changes-pull-btn" data-tooltip="git pull --ff-only">Pull</button>
+      <span class="git-changes-message"></span>
+    </div>
+    <div class="git-changes-body">
+      <div class="git-changes-files"></div>
+      <div class="git-changes-diff"><span class="git-changes-empty">Select a file to view its diff</span></div>
+    </div>
+    <div class="git-changes-commit">
+      <textarea class="git-changes-commit-msg" placeholder="Commit message" rows="2" spellcheck="false"></textarea>
+      <div class="git-changes-commit-row">
+        <label class="git-changes-amend"><input type="checkbox" class="git-changes-amend-cb"> Amend</label>
+        <button class="git-changes-btn git-changes-commit-btn">Commit</button>
+      </div>
+    </div>
+  `;
+  container.appendChild(panel);
+
+  const state = {
+    panel,
+    status: null,
+    selected: null,   // { path, staged, untracked }
+    busy: false,
+  };
+
+  const filesEl = panel.querySelector('.git-changes-files');
+  const diffEl = panel.querySelector('.git-changes-diff');
+  const branchSelect = panel.querySelector('.git-changes-branch-select');
+  const messageEl = panel.querySelector('.git-changes-message');
+  const commitMsg = panel.querySelector('.git-changes-commit-msg');
+  const amendCb = panel.querySelector('.git-changes-amend-cb');
+  const commitBtn = panel.querySelector('.git-changes-commit-btn');
+
+  function showMessage(text, isError = false) {
+    messageEl.textContent = text;
+    messageEl.classList.toggle('error', isError);
+    messageEl.title = text;
+  }
+
+  // Run a git action, surface its output/error, then refresh
+  async function run(label, fn) {
+    if (state.busy) return;
+    state.busy = true;
+    panel.classList.add('busy');
+    showMessage(`${label}…`);
+    try {
+      const result = await fn();
+      const output = result?.output ? result.output.split('\n').filter(Boolean).pop() : '';
+      showMessage(output || `${label} done`);
+    } catch (err) {
+      showMessage(err.message || String(err), true);
+      console.error(`[GitChanges] ${label} failed:`, err);
+    }
+    state.busy = false;
+    panel.classList.remove('busy');
+    await refreshGitChanges(paneEl, paneData);
+    _ctx.onRepoChanged(paneEl, paneData);
+  }
+
+  const api = (method, action, body) =>
+    _ctx.agentRequest(method, `/api/git-graphs/${paneData.id}/${action}`, body, paneData.agentId);
+
+  branchSelect.addEventListener('change', () => {
+    const value = branchSelect.value;
+    if (value === NEW_BRANCH_VALUE) {
+      branchSelect.value = state.status?.branch || '';
+      const name = prompt('New branch name:');
+      if (!name || !name.trim()) return;
+      run('Create branch', () => api('POST', 'branches', { name: name.trim(), checkout: true }));
+      return;
+    }
+    if (!value || value === state.status?.branch) return;
+    run(`Checkout ${value}`, () => api('POST', 'checkout', { branch: value }));
+  });
+
+  panel.querySelector('.git-changes-fetch-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    run('Fetch', () => api('POST', 'fetch'));
+  });
+
+  panel.querySelector('.git-changes-pull-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    run('Pull', () => api('POST', 'pull'));
+  });
+
+  commitBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const message = commitMsg.value;
+    if (!message.trim()) {
+      showMessage('Commit message required', true);
+      commitMsg.focus();
+      return;
+    }
+    run('Commit', async () => {
+      const result = await api('POST', 'commit', { message, amend: amendCb.checked });
+      commitMsg.value = '';
+      amendCb.checked = false;
+      return result;
+    });
+  });
+
+  commitMsg.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      commitBtn.click();
+    }
+  });
+
+  filesEl.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const actionBtn = e.target.closest('[data-action]');
+    if (actionBtn) {
+      const { action } = actionBtn.dataset;
+      if (action === 'stage-all' || action === 'unstage-all') {
+        const staged = action === 'unstage-all';
+        const paths = (state.status?.files || []).filter(f => staged ? f.staged : f.unstaged).map(f => f.path);
+        if (paths.length === 0) return;
+        run(staged ? 'Unstage all' : 'Stage all', () => api('POST', staged ? 'unstage' : 'stage', { paths }));
+      } else {
+        const path = actionBtn.closest('.git-changes-file').dataset.path;
+        run(action === 'unstage' ? 'Unstage' : 'Stage', () => api('POST', action, { paths: [path] }));
+      }
+      return;
+    }
+    const row = e.target.closest('.git-changes-file');
+    if (!row) return;
+    state.selected = {
+      path: row.dataset.path,
+      staged: row.dataset.staged === 'true',
+      untracked: row.dataset.untracked === 'true',
+    };
+    renderFileList(state);
+    loadDiff(paneData, state);
+  });
+
+  diffEl.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const hunkBtn = e.target.closest('.git-changes-hunk-btn');
+    if (!hunkBtn || !state.selected) return;
+    const { path, staged } = state.selected;
+    const hunkIndex = parseInt(hunkBtn.dataset.hunk, 10);
+    run(staged ? 'Unstage hunk' : 'Stage hunk', () => api('POST', staged ? 'unstage' : 'stage', { path, hunkIndex }));
+  });
+
+  for (const el of [filesEl, diffEl, commitMsg, panel.querySelector('.git-changes-toolbar')]) {
+    el.addEventListener('mousedown', (e) => e.stopPropagation());
+    el.addEventListener('wheel', (e) => e.stopPropagation(), { passive: true });
+  }
+
+  return state;
+}
+
+function renderFileList(state) {
+  const filesEl = state.panel.querySelector('.git-changes-files');
+  const files = state.status?.files || [];
+  const staged = files.filter(f => f.staged);
+  const unstaged = files.filter(f => f.unstaged);
+
+  const fileRow = (file, isStaged) => {
+    const letter = statusLetter(file, isStaged);
+    const selected = state.selected && state.selected.path === file.path && state.selected.staged === isStaged;
+    const slash = file.path.lastIndexOf('/');
+    const name = file.path.slice(slash + 1);
+    const dir = slash >= 0 ? file.path.slice(0, slash) : '';
+    return `
+      <div class="git-changes-file${selected ? ' selected' : ''}" data-path="${escapeHtml(file.path)}" data-staged="${isStaged}" data-untracked="${!isStaged && file.untracked}" title="${escapeHtml(file.origPath ? `${file.origPath} → ${file.path}` : file.path)}">
+        <span class="git-changes-file-status status-${letter === '?' ? 'untracked' : letter}">${STATUS_LABELS[letter] || letter}</span>
+        <span class="git-changes-file-name">${escapeHtml(name)}</span>
+        <span class="git-changes-file-dir">${escapeHtml(dir)}</span>
+        <button class="git-changes-file-btn" data-action="${isStaged ? 'unstage' : 'stage'}" data-tooltip="${isStaged ? 'Unstage' : 'Stage'}">${isStaged ? '−' : '+'}</button>
+      </div>`;
+  };
+
+  const section = (title, list, isStaged) => `
+    <div class="git-changes-section-header">
+      <span>${title} <span class="git-changes-count">${list.length}</span></span>
+      ${list.length ? `<button class="git-changes-file-btn" data-action="${isStaged ? 'unstage-all' : 'stage-all'}" data-tooltip="${isStaged ? 'Unstage all' : 'Stage all'}">${isStaged ? '−' : '+'}</button>` : ''}
+    </div>
+    ${list.map(f => fileRow(f, isStaged)).join('')}`;
+
+  filesEl.innerHTML = files.length
+    ? section('Staged', staged, true) + section('Changes', unstaged, false)
+    : '<span class="git-changes-empty">Working tree clean</span>';
+}
+
+function renderBranchSelect(state) {
+  const select = state.panel.querySelector('.git-changes-branch-select');
+  if (document.activeElement === select) return;
+  const { branch, branches = [], remoteBranches = [] } = state.status || {};
+  // Remote branches that already have a local counterpart are redundant
+  const remoteOnly = remoteBranches.filter(r => !branches.includes(r.slice(r.indexOf('/') + 1)));
+  const option = (b) => `<option value="${escapeHtml(b)}"${b === branch ? ' selected' : ''}>${escapeHtml(b)}</option>`;
+  select.innerHTML = `
+    ${branch ? '' : '<option value="" selected>(detached HEAD)</option>'}
+    ${branches.map(option).join('')}
+    ${remoteOnly.length ? `<optgroup label="Remote">${remoteOnly.map(option).join('')}</optgroup>` : ''}
+    <option value="${NEW_BRANCH_VALUE}">New branch…</option>
+  `;
+}
+
+function renderDiff(state, data) {
+  const diffEl = state.panel.querySelector('.git-changes-diff');
+  if (data.binary) {
+    diffEl.innerHTML = '<span class="git-changes-empty">Binary file</span>';
+    return;
+  }
+  if (!data.hunks.length) {
+    diffEl.innerHTML = '<span class="git-changes-empty">No changes</span>';
+    return;
+  }
+  // Untracked files can't be applied hunk-by-hunk — stage the whole file instead
+  const canStageHunks = !state.selected.untracked;
+  const btnLabel = state.selected.staged ? 'Unstage hunk' : 'Stage hunk';
+  diffEl.innerHTML = data.hunks.map((hunk, i) => {
+    const lines = hunk.split('\n');
+    const body = lines.slice(1).map(line => {
+      const cls = line.startsWith('+') ? 'add' : line.startsWith('-') ? 'del' : line.startsWith('\\') ? 'meta' : 'ctx';
+      return `<div class="git-changes-line ${cls}">${escapeHtml(line) || ' '}</div>`;
+    }).join('');
+    return `
+      <div class="git-changes-hunk">
+        <div class="git-changes-hunk-header">
+          <span>${escapeHtml(lines[0])}</span>
+          ${canStageHunks ? `<button class="git-changes-hunk-btn" data-hunk="${i}">${btnLabel}</button>` : ''}
+        </div>
+        ${body}
+      </div>`;
+  }).join('');
+}
+
+async function loadDiff(paneData, state) {
+  const diffEl = state.panel.querySelector('.git-changes-diff');
+  const { path, staged, untracked } = state.selected;
+  const params = new URLSearchParams({ path, staged: String(staged), untracked: String(untracked) });
+  try {
+    const data = await _ctx.agentRequest('GET', `/api/git-graphs/${paneData.id}/diff?${params}`, null, paneData.agentId);
+    // Ignore responses for a file that's no longer selected
+    if (state.selected?.path !== path || state.selected?.staged !== staged) return;
+    const scrollTop = diffEl.scrollTop;
+    renderDiff(state, data);
+    diffEl.scrollTop = scrollTop;
+  } catch (err) {
+    diffEl.innerHTML = `<span class="git-graph-error">${escapeHtml(err.message || String(err))}</span>`;
+  }
+}
+
+/**
+ * Reload status (and the selected file's diff). Leaves the commit message untouched.
+ */
+export async function refreshGitChanges(paneEl, paneData) {
+  const state = _ctx.gitGraphPanes.get(paneData.id)?.changes;
+  if (!state) return;
+  try {
+    state.status = await _ctx.agentRequest('GET', `/api/git-graphs/${paneData.id}/status`, null, paneData.agentId);
+  } catch (err) {
+    state.panel.querySelector('.git-changes-files').innerHTML = `<span class="git-graph-error">${escapeHtml(err.message || String(err))}</span>`;
+    return;
+  }
+
+  // Drop the selection if the file left that section (e.g. it was staged)
+  if (state.selected) {
+    const file = state.status.files.find(f => f.path === state.selected.path);
+    if (!file || !(state.selected.staged ? file.staged : file.unstaged)) {
+      state.selected = null;
+      state.panel.querySelector('.git-changes-diff').innerHTML = '<span class="git-changes-empty">Select a file to view its diff</span>';
+    }
+  }
+
+  renderBranchSelect(state);
+  renderFileList(state);
+  if (state.selected) loadDiff(paneData, state);
+}
@@ -3,6 +3,9 @@
 
 import { escapeHtml } from './utils.js';
 import { ICON_GIT_GRAPH } from './constants.js';
+import { createGitChangesPanel, refreshGitChanges } from './git-changes.js';
+import { showCommitInspector } from './commit-inspector.js';
+import { createGitWorktreesPanel, refreshGitWorktrees } from './git-worktrees.js';
 
 let _ctx = null;
 
@@ -63,6 +66,8 @@ export function renderGitGraphPane(paneData) {
           <span class="git-graph-branch"></span>
           <span class="git-graph-status"></span>
           <button class="git-graph-mode-btn" data-tooltip="Toggle SVG/ASCII mode">${paneData.graphMode === 'ascii' ? 'SVG' : 'ASCII'}</button>
+          <button class="git-graph-mode-btn git-graph-changes-btn" data-tooltip="Stage, commit and switch branches">Changes</button>
+          <button class="git-graph-mode-btn git-graph-worktrees-btn" data-tooltip="Manage worktrees">Worktrees</button>
           <button class="git-graph-push-btn" data-tooltip="Push to remote"><svg viewBox="0 0 24 24" width="12" height="12" fill="currentColor" style="vertical-align: middle; margin-right: 3px;"><path d="M19.35 10.04A7.49 7.49 0 0 0 12 4C9.11 4 6.6 5.64 5.35 8.04A5.994 5.994 0 0 0 0 14c0 3.31 2.69 6 6 6h13c2.76 0 5-2.24 5-5 0-2.64-2.05-4.78-4.65-4.96z"/></svg>Push</button>
         </div>
         <div class="git-graph-output"><span class="git-graph-loading">Loading git graph...</span></div>
@@ -82,6 +87,8 @@ function setupGitGraphListeners(paneEl, paneData) {
   const graphOutput = paneEl.querySelector('.git-graph-output');
   const pushBtn = paneEl.querySelector('.git-graph-push-btn');
   const modeBtn = paneEl.querySelector('.git-graph-mode-btn');
+  const changesBtn = paneEl.querySelector('.git-graph-changes-btn');
+  const worktreesBtn = paneEl.querySelector('.git-graph-worktrees-btn');
 
   if (!paneData.graphMode) paneData.graphMode = 'svg';
 
@@ -93,6 +100,33 @@ function setupGitGraphListeners(paneEl, paneData) {
     fetchGitGraphData(paneEl, paneData);
   });
 
+  const changes = createGitChangesPanel(paneEl, paneData);
+  const worktrees = createGitWorktreesPanel(paneEl, paneData);
+  let view = 'graph';
+
+  // Switch between the commit graph and the Changes / Worktrees panels
+  function setView(next) {
+    view = next;
+    graphOutput.style.display = view === 'graph' ? '' : 'none';
+    changes.panel.style.display = view === 'changes' ? '' : 'none';
+    worktrees.panel.style.display = view === 'worktrees' ? '' : 'none';
+    modeBtn.style.display = view === 'graph' ? '' : 'none';
+    changesBtn.classList.toggle('active', view === 'changes');
+    worktreesBtn.classList.toggle('active', view === 'worktrees');
+    if (view === 'changes') refreshGitChanges(paneEl, paneData);
+    if (view === 'worktrees') refreshGitWorktrees(paneEl, paneData);
+  }
+
+  changesBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    setView(view === 'changes' ? 'graph' : 'changes');
+  });
+
+  worktreesBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    setView(view === 'worktrees' ? 'graph' : 'worktrees');
+  });
+
   pushBtn.addEventListener('click', async (e) => {
     e.stopPropagation();
     pushBtn.disabled = true;
@@ -115,12 +149,23 @@ function setupGitGraphListeners(paneEl, paneData) {
     }, 2000);
   });
 
+  graphOutput.addEventListener('click', (e) => {
+    const row = e.target.closest('.gg-row[data-hash]');
+    if (!row) return;
+    e.stopPropagation();
+    showCommitInspector(paneData, row.dataset.hash);
+  });
+
   graphOutput.addEventListener('mousedown', (e) => e.stopPropagation());
   graphOutput.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: true });
   graphOutput.addEventListener('wheel', (e) => e.stopPropagation(), { passive: true });
 
-  const refreshInterval = setInterval(() => fetchGitGraphData(paneEl, paneData), 5000);
-  _ctx.gitGraphPanes.set(paneData.id, { refreshInterval });
+  const refreshInterval = setInterval(() => {
+    fetchGitGraphData(paneEl, paneData);
+    if (view === 'changes' && !changes.busy) refreshGitChanges(paneEl, paneData);
+    if (view === 'worktrees' && !worktrees.busy) refreshGitWorktrees(paneEl, paneData);
+  }, 5000);
+  _ctx.gitGraphPanes.set(paneData.id, { refreshInterval, changes, worktrees });
 }
 
 // ── mhutchie-style path-tracing layout ──
@@ -537,7 +582,7 @@ export function renderAsciiGitGraph(outputEl, asciiGraph, commits) {
     // Author
     const authorHtml = commit?.author ? `<span class="gg-author">${escapeHtml(commit.author)}</span>` : '';
 
-    return `<div class="gg-row gg-ascii-row" style="height:${GG.ROW_H}px">
+    return `<div class="gg-row gg-ascii-row" data-hash="${hash}" style="height:${GG.ROW_H}px">
       <span class="gg-ascii-graph">${coloredGraph}</span>
       <span class="gg-info">
         <span class="gg-hash" style="color:${hashColor}">${hash}</span>
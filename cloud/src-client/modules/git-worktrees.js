@@ -0,0 +1,165 @@
+// ─── Git Worktrees Panel ──────────────────────────────────────────────────
+// Worktree manager inside a git graph pane: list worktrees, create one on a
+// new branch with a terminal (optionally running claude), remove merged ones.
+
+import { escapeHtml } from './utils.js';
+
+let _ctx = null;
+
+export function initGitWorktreesDeps(ctx) { _ctx = ctx; }
+
+export function createGitWorktreesPanel(paneEl, paneData) {
+  const container = paneEl.querySelector('.git-graph-container');
+  const panel = document.createElement('div');
+  panel.className = 'git-worktrees-panel';
+  panel.style.display = 'none';
+  panel.innerHTML = `
+    <div class="git-worktrees-form">
+      <input class="git-worktrees-branch-input" type="text" placeholder="New branch name" spellcheck="false">
+      <label class="git-changes-amend"><input type="checkbox" class="git-worktrees-claude-cb" checked> Launch claude</label>
+      <button class="git-changes-btn git-worktrees-create-btn">Create worktree</button>
+    </div>
+    <div class="git-worktrees-message"></div>
+    <div class="git-worktrees-list"></div>
+  `;
+  container.appendChild(panel);
+
+  const state = { panel, worktrees: [], busy: false };
+
+  const branchInput = panel.querySelector('.git-worktrees-branch-input');
+  const claudeCb = panel.querySelector('.git-worktrees-claude-cb');
+  const createBtn = panel.querySelector('.git-worktrees-create-btn');
+  const messageEl = panel.querySelector('.git-worktrees-message');
+  const listEl = panel.querySelector('.git-worktrees-list');
+
+  function showMessage(text, isError = false) {
+    messageEl.textContent = text;
+    messageEl.classList.toggle('error', isError);
+  }
+
+  async function run(label, fn) {
+    if (state.busy) return;
+    state.busy = true;
+    panel.classList.add('busy');
+    showMessage(`${label}…`);
+    try {
+      await fn();
+      showMessage('');
+    } catch (err) {
+      showMessage(err.message || String(err), true);
+      console.error(`[GitWorktrees] ${label} failed:`, err);
+    }
+    state.busy = false;
+    panel.classList.remove('busy');
+    await refreshGitWorktrees(paneEl, paneData);
+  }
+
+  const worktreesUrl = `/api/git-graphs/${paneData.id}/worktrees`;
+
+  function create() {
+    const branch = branchInput.value.trim();
+    if (!branch) {
+      branchInput.focus();
+      return;
+    }
+    run('Creating worktree', async () => {
+      const result = await _ctx.agentRequest('POST', worktreesUrl, {
+        branch,
+        launchClaude: claudeCb.checked,
+      }, paneData.agentId);
+      branchInput.value = '';
+      if (result.terminal) _ctx.addWorktreeTerminalPane(paneData, result.terminal);
+      _ctx.onRepoChanged(paneEl, paneData);
+    });
+  }
+
+  createBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    create();
+  });
+  branchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      create();
+    }
+  });
+
+  listEl.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const btn = e.target.closest('[data-action]');
+    if (!btn || btn.disabled) return;
+    const worktree = state.worktrees[parseInt(btn.closest('.git-worktree-row').dataset.index, 10)];
+    if (!worktree) return;
+
+    if (btn.dataset.action === 'terminal' || btn.dataset.action === 'claude') {
+      run('Opening terminal', async () => {
+        const result = await _ctx.agentRequest('POST', `${worktreesUrl}/terminal`, {
+          path: worktree.path,
+          launchClaude: btn.dataset.action === 'claude',
+        }, paneData.agentId);
+        _ctx.addWorktreeTerminalPane(paneData, result.terminal);
+      });
+    } else if (btn.dataset.action === 'remove') {
+      const question = worktree.branch
+        ? `Remove worktree "${worktree.name}" and delete its merged branch ${worktree.branch}?`
+        : `Remove worktree "${worktree.name}"?`;
+      if (!confirm(question)) return;
+      const params = new URLSearchParams({ path: worktree.path, deleteBranch: String(!!worktree.branch) });
+      run('Removing worktree', async () => {
+        await _ctx.agentRequest('DELETE', `${worktreesUrl}?${params}`, null, paneData.agentId);
+        _ctx.onRepoChanged(paneEl, paneData);
+      });
+    }
+  });
+
+  for (const el of [listEl, panel.querySelector('.git-worktrees-form')]) {
+    el.addEventListener('mousedown', (e) => e.stopPropagation());
+    el.addEventListener('wheel', (e) => e.stopPropagation(), { passive: true });
+  }
+
+  return state;
+}
+
+function renderWorktreeList(state) {
+  const listEl = state.panel.querySelector('.git-worktrees-list');
+  if (state.worktrees.length === 0) {
+    listEl.innerHTML = '<span class="git-changes-empty">No worktrees</span>';
+    return;
+  }
+  listEl.innerHTML = state.worktrees.map((wt, i) => {
+    const badges = [
+      wt.main ? '<span class="git-worktree-badge main">main</span>' : '',
+      wt.merged ? '<span class="git-worktree-badge merged">merged</span>' : '',
+      wt.detached ? '<span class="git-worktree-badge">detached</span>' : '',
+      wt.locked ? '<span class="git-worktree-badge">locked</span>' : '',
+      wt.prunable ? '<span class="git-worktree-badge warn">missing</span>' : '',
+    ].join('');
+    const canRemove = !wt.main && wt.merged && !wt.locked;
+    const removeTooltip = wt.main ? 'The main worktree cannot be removed'
+      : wt.merged ? 'Remove worktree and delete its branch' : 'Branch not merged yet';
+    return `
+      <div class="git-worktree-row" data-index="${i}">
+        <div class="git-worktree-info">
+          <div class="git-worktree-branch">${escapeHtml(wt.branch || (wt.head ? wt.head.slice(0, 7) : wt.name))}${badges}</div>
+          <div class="git-worktree-path" title="${escapeHtml(wt.path)}">${escapeHtml(wt.path)}</div>
+        </div>
+        <div class="git-worktree-actions">
+          <button class="git-changes-btn" data-action="terminal" data-tooltip="Open a terminal here"${wt.prunable ? ' disabled' : ''}>Terminal</button>
+          <button class="git-changes-btn" data-action="claude" data-tooltip="Open a terminal running claude here"${wt.prunable ? ' disabled' : ''}>Claude</button>
+          ${wt.main ? '' : `<button class="git-changes-btn git-worktree-remove-btn" data-action="remove" data-tooltip="${removeTooltip}"${canRemove ? '' : ' disabled'}>Remove</button>`}
+        </div>
+      </div>`;
+  }).join('');
+}
+
+export async function refreshGitWorktrees(paneEl, paneData) {
+  const state = _ctx.gitGraphPanes.get(paneData.id)?.worktrees;
+  if (!state) return;
+  try {
+    state.worktrees = await _ctx.agentRequest('GET', `/api/git-graphs/${paneData.id}/worktrees`, null, paneData.agentId);
+  } catch (err) {
+    state.panel.querySelector('.git-worktrees-list').innerHTML = `<span class="git-graph-error">${escapeHtml(err.message || String(err))}</span>`;
+    return;
+  }
+  renderWorktreeList(state);
+}
@@ -0,0 +1,456 @@
+// ─── Layout History ───────────────────────────────────────────────────────
+// Undo and redo for layout changes: moving and resizing panes, deleting them,
+// tab groups, shortcut numbers and project rectangles. Rather than hooking
+// every operation, each layout or projects save (cloudSaveLayout,
+// saveProjectsToCloud) schedules a check that compares the canvas with the
+// last recorded layout; a difference becomes one undo step. Deleted panes are
+// kept here and re-created on their agent when a delete is undone — terminals
+// start fresh in the same directory.
+//
+// The server keeps snapshots of each workspace's saved layout
+// (routes/layouts.js): one every 15 minutes while the layout changes, one
+// before an auto-arrange or a restore, and any saved from the panel. Settings
+// → Layout history restores one.
+
+import { escapeHtml } from './utils.js';
+
+let _ctx = null;
+
+export function initHistoryDeps(ctx) { _ctx = ctx; }
+
+const MAX_UNDO_STEPS = 50;
+// Saves this close together are one step (a group drag saves every pane)
+const CHECK_DELAY = 400;
+const AUTO_SNAPSHOT_INTERVAL = 15 * 60 * 1000;
+
+const BUTTON_STYLE = 'padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;';
+const PRIMARY_BUTTON_STYLE = 'padding:5px 12px;border-radius:6px;border:1px solid rgba(var(--accent-rgb),0.4);background:rgba(var(--accent-rgb),0.2);color:#fff;font-size:12px;cursor:pointer;font-family:inherit;';
+
+// Layout as of the last recorded step; steps hold the layout to go back to
+let baseline = null;
+const undoStack = [];
+const redoStack = [];
+// Deleted panes by id, everything needed to re-create them
+const deletedPanes = new Map();
+// Id of a deleted pane → id of the pane re-created for it
+const idRemap = new Map();
+let checkTimer = null;
+let nextLabel = null;
+let applying = false;
+let lastSnapshotAt = 0;
+
+function captureLayout() {
+  const { panes, projects } = _ctx.getState();
+  return {
+    panes: panes.filter(p => !p._cached).map(p => ({
+      id: p.id,
+      x: p.x,
+      y: p.y,
+      width: p.width,
+      height: p.height,
+      zIndex: p.zIndex || 0,
+      tabGroupId: p.tabGroupId || null,
+      tabGroupActive: !!p.tabGroupActive,
+      shortcutNumber: p.shortcutNumber || null,
+    })),
+    projects: structuredClone(projects),
+  };
+}
+
+function resolveId(id) {
+  while (idRemap.has(id)) id = idRemap.get(id);
+  return id;
+}
+
+// What changed between two layouts, as an undo label; null if nothing did.
+// Z-order alone is not a step (focusing a pane raises it).
+function describeChange(before, after) {
+  const afterById = new Map(after.panes.map(p => [p.id, p]));
+  let deleted = 0;
+  let grouped = false;
+  let shortcuts = false;
+  const moved = new Set();
+  const resized = new Set();
+  for (const p of before.panes) {
+    const q = afterById.get(p.id);
+    if (!q) {
+      if (deletedPanes.has(p.id)) deleted++;
+      continue;
+    }
+    // A tab group moves as one window
+    const windowId = p.tabGroupId || p.id;
+    if (p.x !== q.x || p.y !== q.y) moved.add(windowId);
+    if (p.width !== q.width || p.height !== q.height) resized.add(windowId);
+    if (p.tabGroupId !== q.tabGroupId) grouped = true;
+    if (p.shortcutNumber !== q.shortcutNumber) shortcuts = true;
+  }
+  if (deleted > 0) return deleted === 1 ? 'Delete pane' : `Delete ${deleted} panes`;
+  if (grouped) return 'Change tab group';
+  if (resized.size > 0) return resized.size === 1 ? 'Resize pane' : `Resize ${resized.size} panes`;
+  if (moved.size > 0) return moved.size === 1 ? 'Move pane' : `Move ${moved.size} panes`;
+  if (shortcuts) return 'Reassign shortcut';
+  if (JSON.stringify(before.projects) !== JSON.stringify(after.projects)) return 'Edit projects';
+  return null;
+}
+
+function recordChange() {
+  checkTimer = null;
+  const current = captureLayout();
+  const change = describeChange(baseline, current);
+  if (change) {
+    undoStack.push({ label: nextLabel || change, state: baseline, deleteIds: [] });
+    if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+    redoStack.length = 0;
+  }
+  nextLabel = null;
+  baseline = current;
+}
+
+function flushPendingChange() {
+  if (!checkTimer) return;
+  clearTimeout(checkTimer);
+  recordChange();
+}
+
+/**
+ * The canvas was loaded (loadTerminalsFromServer): start recording from its
+ * layout.
+ */
+export function resetHistoryBaseline() {
+  clearTimeout(checkTimer);
+  checkTimer = null;
+  baseline = captureLayout();
+}
+
+/** A layout or projects save: record what changed once saves settle. */
+export function layoutChanged() {
+  if (applying || !baseline) return;
+  // The server still has the layout from before this change
+  if (Date.now() - lastSnapshotAt >= AUTO_SNAPSHOT_INTERVAL) saveSnapshot('Auto');
+  clearTimeout(checkTimer);
+  checkTimer = setTimeout(recordChange, CHECK_DELAY);
+}
+
+/** A pane is being deleted from this page: keep it so undo can re-create it. */
+export function paneDeleted(pane) {
+  if (pane._cached) return;
+  const desc = {
+    ..._ctx.paneLayoutMetadata(pane),
+    id: pane.id,
+    type: pane.type,
+    agentId: pane.agentId,
+    device: pane.device,
+    x: pane.x,
+    y: pane.y,
+    width: pane.width,
+    height: pane.height,
+  };
+  if (pane.type === 'note') {
+    desc.content = _ctx.getNoteContent(pane) || '';
+    desc.fontSize = pane.fontSize;
+    desc.images = pane.images || [];
+  }
+  deletedPanes.set(pane.id, desc);
+}
+
+/**
+ * Another tab or member moved a pane (applyRemoteLayout): take its new place
+ * as given, so our next undo does not move it back.
+ */
+export function paneChangedRemotely(pane) {
+  const entry = baseline?.panes.find(p => p.id === pane.id);
+  if (entry) Object.assign(entry, { x: pane.x, y: pane.y, width: pane.width, height: pane.height, zIndex: pane.zIndex || 0 });
+}
+
+/**
+ * Name the next step (e.g. "Auto-arrange") and snapshot the layout on the
+ * server first, so the change can be undone after a reload too.
+ */
+export function beforeBulkChange(label) {
+  if (!_ctx.canEditCanvas()) return;
+  flushPendingChange();
+  nextLabel = label;
+  saveSnapshot(`Before ${label.toLowerCase()}`);
+}
+
+// ── Applying ──
+
+/**
+ * Bring the canvas to `target`: delete the panes in `deleteIds` (ones a redo
+ * re-created), re-create deleted panes the target has — or, with
+ * `recreateAll`, every pane it has that is not on the canvas — and put every
+ * pane and project where the target has it. Panes not in the target stay.
+ * Returns the ids of the panes created and how many could not be.
+ */
+async function applyLayout(target, deleteIds, { recreateAll = false } = {}) {
+  const state = _ctx.getState();
+  const exists = (id) => state.panes.some(p => p.id === id);
+
+  for (const id of deleteIds) {
+    const resolved = resolveId(id);
+    if (exists(resolved)) await _ctx.deletePane(resolved);
+  }
+
+  const createdIds = [];
+  let skipped = 0;
+  const missing = target.panes
+    .map(p => ({ ...p, id: resolveId(p.id) }))
+    .filter(p => !exists(p.id) && (recreateAll || deletedPanes.has(p.id)));
+  if (missing.length > 0) {
+    const result = await _ctx.recreatePanes(missing.map(p => ({ ...deletedPanes.get(p.id), ...p })), { keepTabGroups: true });
+    for (const [oldId, newId] of result.idMap) {
+      idRemap.set(oldId, newId);
+      createdIds.push(newId);
+    }
+    skipped = result.skipped;
+  }
+
+  for (const p of target.panes) {
+    const pane = state.panes.find(q => q.id === resolveId(p.id));
+    if (!pane) continue;
+    const wasGrouped = !!pane.tabGroupId;
+    Object.assign(pane, {
+      x: p.x,
+      y: p.y,
+      width: p.width,
+      height: p.height,
+      zIndex: p.zIndex,
+      tabGroupId: p.tabGroupId,
+      tabGroupActive: p.tabGroupActive,
+      shortcutNumber: p.shortcutNumber,
+    });
+    _ctx.applyPaneLayout(pane, wasGrouped);
+    _ctx.cloudSaveLayout(pane);
+  }
+
+  if (JSON.stringify(state.projects) !== JSON.stringify(target.projects)) {
+    _ctx.setProjects(structuredClone(target.projects));
+  }
+  _ctx.restoreTabGroups();
+  return { createdIds, skipped };
+}
+
+// Apply a step and push the one that reverses it onto `reverseStack`
+async function applyStep(step, reverseStack) {
+  applying = true;
+  try {
+    const reverse = { label: step.label, state: captureLayout(), deleteIds: [] };
+    const { createdIds, skipped } = await applyLayout(step.state, step.deleteIds, { recreateAll: step.recreateAll });
+    reverse.deleteIds = createdIds;
+    reverseStack.push(reverse);
+    return skipped;
+  } finally {
+    baseline = captureLayout();
+    applying = false;
+  }
+}
+
+function notifySkipped(message, skipped) {
+  _ctx.showNotification(skipped > 0
+    ? `${message} — ${skipped} pane${skipped === 1 ? '' : 's'} not re-created (device offline)`
+    : message, skipped > 0 ? 'warning' : undefined, 3000);
+}
+
+async function undoOrRedo(stack, reverseStack, verb) {
+  if (applying || !baseline || !_ctx.canEditCanvas()) return;
+  flushPendingChange();
+  const step = stack.pop();
+  if (!step) {
+    _ctx.showNotification(`Nothing to ${verb.toLowerCase()}`, undefined, 1500);
+    return;
+  }
+  try {
+    notifySkipped(`${verb}: ${step.label}`, await applyStep(step, reverseStack));
+  } catch (err) {
+    console.error(`[History] ${verb} failed:`, err);
+    _ctx.showNotification(`${verb} failed: ${err.message}`, 'warning');
+  }
+}
+
+/** Ctrl/Cmd+Z: undo the last layout change. */
+export function undo() {
+  return undoOrRedo(undoStack, redoStack, 'Undo');
+}
+
+/** Ctrl/Cmd+Shift+Z: redo the last undone layout change. */
+export function redo() {
+  return undoOrRedo(redoStack, undoStack, 'Redo');
+}
+
+// ── Snapshots ──
+
+async function saveSnapshot(reason) {
+  lastSnapshotAt = Date.now();
+  try {
+    const { snapshot } = await _ctx.cloudFetch('POST', '/api/layout-snapshots', { reason });
+    return snapshot;
+  } catch (err) {
+    console.warn('[History] Snapshot failed:', err.message);
+    return null;
+  }
+}
+
+// A snapshot's saved layout as a target layout; panes keep what
+// recreatePanes needs in case they are gone
+function snapshotPane(cl, note) {
+  const metadata = cl.metadata || {};
+  const pane = {
+    ...metadata,
+    id: cl.id,
+    type: cl.pane_type,
+    agentId: cl.agent_id,
+    x: cl.position_x,
+    y: cl.position_y,
+    width: cl.width,
+    height: cl.height,
+    zIndex: cl.z_index || 0,
+    tabGroupId: metadata.tabGroupId || null,
+    tabGroupActive: !!metadata.tabGroupActive,
+    shortcutNumber: metadata.shortcutNumber || null,
+  };
+  if (note) Object.assign(pane, { content: note.content, fontSize: note.font_size || undefined });
+  return pane;
+}
+
+/**
+ * Put the canvas back the way a snapshot has it. Panes opened since stay
+ * where they are; panes deleted since are re-created. One undo step.
+ */
+async function restoreSnapshot(id) {
+  if (applying || !baseline) return;
+  flushPendingChange();
+  const snapshot = await _ctx.cloudFetch('GET', `/api/layout-snapshots/${encodeURIComponent(id)}`);
+  await saveSnapshot('Before restore');
+  const notes = new Map((snapshot.notes || []).map(n => [n.id, n]));
+  const target = {
+    panes: snapshot.layouts.map(cl => snapshotPane(cl, notes.get(cl.id))),
+    projects: snapshot.projects || [],
+  };
+  const skipped = await applyStep({ label: 'Restore layout', state: target, deleteIds: [], recreateAll: true }, undoStack);
+  redoStack.length = 0;
+  notifySkipped(`Restored layout from ${formatTime(snapshot.createdAt)}`, skipped);
+}
+
+function formatTime(value) {
+  return value ? new Date(value.endsWith('Z') || value.includes('T') ? value : `${value}Z`).toLocaleString() : '';
+}
+
+// ── Panel ──
+
+/** Settings → Layout history: undo and redo, and the workspace's snapshots. */
+export function showLayoutHistoryPanel() {
+  const existing = document.getElementById('layout-history-modal');
+  if (existing) { existing.remove(); return; }
+
+  const canEdit = _ctx.canEditCanvas();
+
+  const overlay = document.createElement('div');
+  overlay.id = 'layout-history-modal';
+  overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.7);display:flex;align-items:center;justify-content:center;z-index:100000;';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'tc-scrollbar';
+  dialog.style.cssText = 'background:#1a1a2e;border:1px solid rgba(var(--accent-rgb),0.3);border-radius:12px;padding:24px;max-width:480px;width:90%;color:#e0e0e0;font-family:Montserrat,sans-serif;max-height:80vh;overflow-y:auto;';
+  dialog.innerHTML = `
+    <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:8px;">
+      <h3 style="margin:0;font-size:16px;font-weight:400;color:#8b8bb0;">Layout history</h3>
+      <button id="layout-history-close-btn" style="background:none;border:none;color:#6a6a8a;font-size:20px;cursor:pointer;padding:4px 8px;border-radius:4px;line-height:1;">&times;</button>
+    </div>
+    <div style="font-size:11px;color:#6a6a8a;margin-bottom:14px;">Ctrl+Z and Ctrl+Shift+Z undo and redo moves, resizes, deletes, tab groups, shortcuts and project edits (click the canvas first — inside a pane the keys go to the pane). Snapshots of this workspace are kept for 30 days; restoring one re-creates panes deleted since and leaves newer panes where they are.</div>
+    ${canEdit ? `
+      <div style="display:flex;gap:8px;align-items:center;margin-bottom:14px;">
+        <button id="layout-history-undo-btn" style="${BUTTON_STYLE}">Undo</button>
+        <button id="layout-history-redo-btn" style="${BUTTON_STYLE}">Redo</button>
+        <div style="flex:1;"></div>
+        <button id="layout-history-save-btn" style="${PRIMARY_BUTTON_STYLE}">Save snapshot now</button>
+      </div>` : ''}
+    <div id="layout-history-list" style="font-size:12px;color:#6a6a8a;">Loading…</div>
+    <div id="layout-history-error" style="color:#ef4444;font-size:11px;display:none;margin-top:8px;"></div>
+  `;
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', escHandler);
+  };
+  const escHandler = (e) => { if (e.key === 'Escape') close(); };
+  document.addEventListener('keydown', escHandler);
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+  dialog.querySelector('#layout-history-close-btn').addEventListener('click', close);
+
+  const errorEl = dialog.querySelector('#layout-history-error');
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.style.display = message ? '' : 'none';
+  };
+
+  const undoBtn = dialog.querySelector('#layout-history-undo-btn');
+  const redoBtn = dialog.querySelector('#layout-history-redo-btn');
+  function renderButtons() {
+    if (!canEdit) return;
+    flushPendingChange();
+    const lastUndo = undoStack[undoStack.length - 1];
+    const lastRedo = redoStack[redoStack.length - 1];
+    undoBtn.disabled = !lastUndo;
+    undoBtn.textContent = lastUndo ? `Undo: ${lastUndo.label}` : 'Undo';
+    redoBtn.disabled = !lastRedo;
+    redoBtn.textContent = lastRedo ? `Redo: ${lastRedo.label}` : 'Redo';
+  }
+
+  async function renderList() {
+    const listEl = dialog.querySelector('#layout-history-list');
+    let snapshots;
+    try {
+      ({ snapshots } = await _ctx.cloudFetch('GET', '/api/layout-snapshots'));
+    } catch (err) {
+      listEl.textContent = '';
+      showError(err.message);
+      return;
+    }
+    if (snapshots.length === 0) {
+      listEl.textContent = 'No snapshots yet. One is saved every 15 minutes while you rearrange panes.';
+      return;
+    }
+    listEl.innerHTML = snapshots.map(s => `
+      <div style="display:flex;align-items:center;gap:8px;padding:6px 0;border-top:1px solid rgba(255,255,255,0.06);">
+        <div style="flex:1;min-width:0;">
+          <div style="font-size:12px;color:#e0e0e0;">${escapeHtml(formatTime(s.createdAt))}</div>
+          <div style="font-size:11px;color:#6a6a8a;">${escapeHtml(s.reason || 'Snapshot')} · ${s.paneCount} pane${s.paneCount === 1 ? '' : 's'}</div>
+        </div>
+        ${canEdit ? `<button data-restore-id="${escapeHtml(s.id)}" style="${BUTTON_STYLE}">Restore</button>` : ''}
+      </div>`).join('');
+  }
+
+  renderButtons();
+  renderList();
+  if (!canEdit) return;
+
+  undoBtn.addEventListener('click', async () => { await undo(); renderButtons(); });
+  redoBtn.addEventListener('click', async () => { await redo(); renderButtons(); });
+
+  dialog.querySelector('#layout-history-save-btn').addEventListener('click', async (e) => {
+    showError('');
+    e.target.disabled = true;
+    const snapshot = await saveSnapshot('Saved');
+    e.target.disabled = false;
+    if (!snapshot) _ctx.showNotification('The layout has not changed since the last snapshot', undefined, 2500);
+    renderList();
+  });
+
+  dialog.querySelector('#layout-history-list').addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-restore-id]');
+    if (!btn) return;
+    if (!confirm('Restore this layout? You can undo it with Ctrl+Z.')) return;
+    showError('');
+    btn.disabled = true;
+    try {
+      await restoreSnapshot(btn.dataset.restoreId);
+      close();
+    } catch (err) {
+      btn.disabled = false;
+      showError('Failed to restore: ' + err.message);
+    }
+  });
+}
@@ -52,6 +52,7 @@ export function showToast(terminalId, title, deviceName, locationName, icon, pri
   toast.dataset.claudeState = claudeState || 'idle';
 
   const isHighPriority = priority === 'high';
+  const permissionHtml = claudeState === 'permission' ? permissionPromptHtml(info?.permission) : '';
   const actionButton = isHighPriority
     ? `<button class="notification-snooze" data-tooltip="Snooze for 3 minutes">\uD83D\uDD50</button>`
     : `<button class="notification-dismiss" data-tooltip="Dismiss">&times;</button>`;
@@ -62,6 +63,8 @@ export function showToast(terminalId, title, deviceName, locationName, icon, pri
       <div class="notification-title">${escapeHtml(title)}</div>
       ${deviceName ? `<div class="notification-device">${escapeHtml(deviceName)}</div>` : ''}
       ${locationName ? `<div class="notification-path">${escapeHtml(locationName)}</div>` : ''}
+      ${permissionHtml}
+      ${info?.source ? `<div class="notification-source">${info.source === 'hook' ? 'via Claude Code hooks' : 'via screen detection'}</div>` : ''}
     </div>
     ${actionButton}
   `;
@@ -95,6 +98,14 @@ export function showToast(terminalId, title, deviceName, locationName, icon, pri
 
   toast.addEventListener('click', (e) => {
     if (e.target.closest('.notification-dismiss') || e.target.closest('.notification-snooze')) return;
+    const choiceBtn = e.target.closest('.notification-choice');
+    if (choiceBtn) {
+      // Answer the prompt in place — the numbered key selects the choice in Claude's dialog
+      e.stopPropagation();
+      _ctx.sendTerminalInput(terminalId, choiceBtn.dataset.key);
+      dismissToast(terminalId);
+      return;
+    }
     _ctx.panToPane(terminalId);
   });
 
@@ -133,6 +144,37 @@ export function showToast(terminalId, title, deviceName, locationName, icon, pri
   }
 }
 
+// ── Permission prompt ──
+
+// Resolve the numbered key for each action from the parsed dialog choices
+// ("1. Yes", "2. Yes, and don't ask again ..."). An action the dialog does not
+// offer, or any action when it could not be parsed, gets no key and no button:
+// a guessed number could pick the wrong choice.
+function permissionChoiceKeys(permission) {
+  const choices = permission?.choices || [];
+  const find = (pattern) => choices.find(c => pattern.test(c.label))?.key || null;
+  return {
+    once: find(/^Yes(?!,)/i),
+    always: find(/^Yes,/i),
+    deny: find(/^No\b/i),
+  };
+}
+
+function permissionPromptHtml(permission) {
+  const keys = permissionChoiceKeys(permission);
+  const buttons = [
+    keys.once && `<button class="notification-choice allow" data-key="${keys.once}">Allow once</button>`,
+    keys.always && `<button class="notification-choice allow-always" data-key="${keys.always}">Allow always</button>`,
+    keys.deny && `<button class="notification-choice deny" data-key="${keys.deny}">Deny</button>`,
+  ].filter(Boolean).join('');
+
+  return `
+    ${permission?.toolName ? `<div class="notification-tool">${escapeHtml(permission.toolName)}</div>` : ''}
+    ${permission?.command ? `<div class="notification-command">${escapeHtml(permission.command)}</div>` : ''}
+    ${buttons ? `<div class="notification-choices">${buttons}</div>` : ''}
+  `;
+}
+
 // ── Snooze ──
 
 export function snoozeNotification(terminalId, notificationInfo) {
@@ -269,6 +311,64 @@ export function dismissAdminToast(notifId) {
   fetch(`/api/notifications/${notifId}/dismiss`, { method: 'POST' }).catch(() => {});
 }
 
+// ── Rule toasts ──
+
+const RULE_ACTION_LABELS = {
+  allow: 'Auto-allowed',
+  allowAlways: 'Auto-allowed (always)',
+  deny: 'Auto-denied',
+  send: 'Auto-replied',
+  notify: 'Rule matched',
+};
+
+// Shown when an agent-side auto-answer rule fires. Auto-answers fade out on
+// their own; 'notify' rules stay until dismissed since they need a human.
+export function showRuleToast(entry, deviceName) {
+  const label = RULE_ACTION_LABELS[entry.action] || 'Rule fired';
+  const detail = entry.command || entry.toolName || (entry.state === 'question' ? 'Question' : '');
+
+  const toast = document.createElement('div');
+  toast.className = `notification-toast rule-notification rule-action-${entry.action}`;
+  toast.dataset.terminalId = entry.terminalId;
+
+  toast.innerHTML = `
+    <div class="notification-icon">\u26A1</div>
+    <div class="notification-body">
+      <div class="notification-title">${escapeHtml(label)}: ${escapeHtml(entry.ruleName)}</div>
+      ${deviceName ? `<div class="notification-device">${escapeHtml(deviceName)}</div>` : ''}
+      ${detail ? `<div class="notification-command">${escapeHtml(detail)}</div>` : ''}
+      ${entry.error ? `<div class="notification-path">Failed: ${escapeHtml(entry.error)}</div>` : ''}
+    </div>
+    <button class="notification-dismiss" data-tooltip="Dismiss">&times;</button>
+  `;
+
+  const dismiss = () => {
+    toast.classList.add('dismissing');
+    setTimeout(() => toast.remove(), 200);
+  };
+
+  toast.querySelector('.notification-dismiss').addEventListener('click', (e) => {
+    e.stopPropagation();
+    dismiss();
+  });
+  toast.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dismiss();
+  });
+  toast.addEventListener('click', () => _ctx.panToPane(entry.terminalId));
+
+  notificationContainer.prepend(toast);
+  requestAnimationFrame(() => toast.classList.add('visible'));
+
+  if (entry.action === 'notify') {
+    playNotificationSound(entry.state);
+    sendBrowserNotification(entry.terminalId, `${label}: ${entry.ruleName}`, detail || deviceName || '');
+  } else {
+    setTimeout(dismiss, 8000);
+  }
+}
+
 // ── Browser notifications ──
 
 export function sendBrowserNotification(terminalId, title, body) {
@@ -0,0 +1,161 @@
+// ─── Offline Cache ────────────────────────────────────────────────────────
+// Registers the service worker (public/sw.js), which caches the app shell,
+// and keeps the last known canvas — panes, projects, note text and the view —
+// in IndexedDB, one snapshot per workspace. On startup the snapshot is drawn right away as offline
+// placeholders, so the installed app opens instantly and stays readable with
+// no network; loadTerminalsFromServer swaps them for the live panes once the
+// WebSocket brings agents online.
+
+import { escapeHtml } from './utils.js';
+
+let _ctx = null;
+
+export function initOfflineCacheDeps(ctx) { _ctx = ctx; }
+
+const DB_NAME = '49agents-offline';
+const SNAPSHOT_VERSION = 1;
+const SAVE_INTERVAL_MS = 60000;
+
+// Set once the server's layout has replaced the cached one; only then is the
+// canvas worth saving again
+let hydrated = false;
+let saveTimer = null;
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore('snapshots');
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function snapshotKey() {
+  const workspaceId = _ctx.getWorkspaceId();
+  return workspaceId ? `canvas:${workspaceId}` : 'canvas';
+}
+
+function idb(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const req = fn(db.transaction('snapshots', mode).objectStore('snapshots'));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('/sw.js')
+    .catch(err => console.warn('[Offline] Service worker registration failed:', err.message));
+}
+
+/**
+ * Draw the cached canvas as offline placeholders, before the WebSocket
+ * connects. Does nothing on a shared canvas or when panes are already loaded.
+ */
+export async function restoreCachedCanvas() {
+  if (hydrated || _ctx.isSharedView() || !('indexedDB' in window)) return;
+  let snapshot;
+  try {
+    snapshot = await idb(await openDb(), 'readonly', s => s.get(snapshotKey()));
+  } catch (err) {
+    console.warn('[Offline] Could not read cached canvas:', err.message);
+    return;
+  }
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) return;
+  // Another account signed in on this browser since
+  const userId = window.__tcUser?.id;
+  if (userId && snapshot.userId && snapshot.userId !== userId) return;
+
+  const state = _ctx.getState();
+  // The server answered first
+  if (hydrated || state.panes.length > 0) return;
+
+  for (const paneData of snapshot.panes) {
+    const pane = { ...paneData, _offlinePlaceholder: true, _cached: true };
+    state.panes.push(pane);
+    _ctx.renderPlaceholder(pane);
+    if (pane.type === 'note' && pane.content) showNotePreview(pane);
+    if (pane.zIndex >= state.nextZIndex) state.nextZIndex = pane.zIndex + 1;
+  }
+  if (state.projects.length === 0 && Array.isArray(snapshot.projects)) {
+    state.projects = snapshot.projects;
+  }
+  if (snapshot.view) {
+    state.zoom = snapshot.view.zoom;
+    state.panX = snapshot.view.panX;
+    state.panY = snapshot.view.panY;
+    _ctx.updateCanvasTransform();
+  }
+  _ctx.renderProjects();
+  console.log(`[Offline] Restored ${snapshot.panes.length} cached panes from ${new Date(snapshot.savedAt).toLocaleString()}`);
+}
+
+// Cached notes show their last text, read-only, under the offline overlay
+function showNotePreview(pane) {
+  const content = document.querySelector(`#pane-${CSS.escape(pane.id)} .pane-content`);
+  if (!content) return;
+  content.innerHTML = `<pre style="margin:0;padding:12px;height:100%;box-sizing:border-box;overflow:auto;white-space:pre-wrap;word-break:break-word;font-size:13px;color:#c0c0d0;">${escapeHtml(pane.content)}</pre>`;
+}
+
+/**
+ * Remove the cached placeholders; called by loadTerminalsFromServer just
+ * before it loads the real panes. From then on the canvas is saved.
+ */
+export function discardCachedPanes() {
+  hydrated = true;
+  const state = _ctx.getState();
+  for (const pane of state.panes) {
+    if (pane._cached) document.getElementById(`pane-${pane.id}`)?.remove();
+  }
+  state.panes = state.panes.filter(p => !p._cached);
+  startAutoSave();
+}
+
+function startAutoSave() {
+  if (saveTimer) return;
+  saveTimer = setInterval(saveCanvasSnapshot, SAVE_INTERVAL_MS);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') saveCanvasSnapshot();
+  });
+}
+
+// Runtime fields (_offlinePlaceholder, _cached, ...) and file contents stay
+// out of the cache; note text is read from the open editor
+function serializePane(pane) {
+  const data = JSON.parse(JSON.stringify(pane, (key, value) => key.startsWith('_') ? undefined : value));
+  delete data.images;
+  if (pane.type === 'note') {
+    data.content = _ctx.getNoteContent(pane) ?? '';
+  } else {
+    delete data.content;
+  }
+  return data;
+}
+
+/** Save the current canvas to IndexedDB. */
+export async function saveCanvasSnapshot() {
+  if (!hydrated || _ctx.isSharedView() || !('indexedDB' in window)) return;
+  const state = _ctx.getState();
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    userId: window.__tcUser?.id || null,
+    savedAt: Date.now(),
+    panes: state.panes.map(serializePane),
+    projects: state.projects,
+    view: { zoom: state.zoom, panX: state.panX, panY: state.panY },
+  };
+  try {
+    await idb(await openDb(), 'readwrite', s => s.put(snapshot, snapshotKey()));
+  } catch (err) {
+    console.warn('[Offline] Could not cache canvas:', err.message);
+  }
+}
+
+/** Forget every cached workspace (on logout). */
+export async function clearCanvasSnapshot() {
+  if (!('indexedDB' in window)) return;
+  try {
+    await idb(await openDb(), 'readwrite', s => s.clear());
+  } catch {}
+}
@@ -0,0 +1,200 @@
+// ─── Push Notifications ───────────────────────────────────────────────────
+// Web Push through the service worker (public/sw.js), so a terminal that
+// needs permission or input reaches your phone or a closed laptop. Each
+// browser subscribes separately; clicking a notification opens the canvas
+// on that pane, either in an open tab or at /?pane=<terminalId>.
+
+import { escapeHtml } from './utils.js';
+
+let _ctx = null;
+
+export function initPushDeps(ctx) { _ctx = ctx; }
+
+const PANE_WAIT_MS = 30000;
+
+const BUTTON_STYLE = 'padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;';
+const PRIMARY_BUTTON_STYLE = 'padding:5px 12px;border-radius:6px;border:1px solid rgba(var(--accent-rgb),0.4);background:rgba(var(--accent-rgb),0.2);color:#fff;font-size:12px;cursor:pointer;font-family:inherit;';
+
+export function isPushSupported() {
+  return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+/**
+ * Follow notification clicks from the service worker (registered by
+ * offline-cache.js), and open the pane named in /?pane=<id> once it has loaded.
+ */
+export function initPush() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (e.data?.type === 'push:open' && e.data.terminalId) openPaneWhenLoaded(e.data.terminalId);
+    });
+  }
+
+  const url = new URL(location.href);
+  const paneId = url.searchParams.get('pane');
+  if (paneId) {
+    url.searchParams.delete('pane');
+    history.replaceState(null, '', url);
+    openPaneWhenLoaded(paneId);
+  }
+}
+
+// Panes arrive per agent after connecting, so keep trying for a while
+function openPaneWhenLoaded(terminalId) {
+  const started = Date.now();
+  const attempt = () => {
+    if (_ctx.openPane(terminalId)) return;
+    if (Date.now() - started < PANE_WAIT_MS) setTimeout(attempt, 500);
+  };
+  attempt();
+}
+
+function getRegistration() {
+  return navigator.serviceWorker.ready;
+}
+
+async function getSubscription() {
+  if (!isPushSupported()) return null;
+  return (await getRegistration()).pushManager.getSubscription();
+}
+
+function describeDevice() {
+  const ua = navigator.userAgent;
+  const browser = /Edg\//.test(ua) ? 'Edge' : /Firefox\//.test(ua) ? 'Firefox' : /Chrome\//.test(ua) ? 'Chrome' : /Safari\//.test(ua) ? 'Safari' : 'Browser';
+  const os = /iPhone|iPad/.test(ua) ? 'iOS' : /Android/.test(ua) ? 'Android' : /Mac OS X/.test(ua) ? 'macOS' : /Windows/.test(ua) ? 'Windows' : /Linux/.test(ua) ? 'Linux' : '';
+  return os ? `${browser} on ${os}` : browser;
+}
+
+/** Ask for permission, subscribe this browser and register it with the cloud. */
+async function enablePush(publicKey) {
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') throw new Error('Notifications are blocked for this site in your browser settings');
+  const reg = await getRegistration();
+  const subscription = await reg.pushManager.getSubscription() || await reg.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: publicKey,
+  });
+  return _ctx.cloudFetch('POST', '/api/push/subscriptions', { subscription: subscription.toJSON(), deviceName: describeDevice() });
+}
+
+function formatDate(value) {
+  return value ? new Date(value.includes('T') ? value : `${value}Z`).toLocaleDateString() : null;
+}
+
+/** Settings → Push notifications: this device, and every subscribed device. */
+export function showPushPanel() {
+  const existing = document.getElementById('push-modal');
+  if (existing) { existing.remove(); return; }
+
+  const overlay = document.createElement('div');
+  overlay.id = 'push-modal';
+  overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.7);display:flex;align-items:center;justify-content:center;z-index:100000;';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'tc-scrollbar';
+  dialog.style.cssText = 'background:#1a1a2e;border:1px solid rgba(var(--accent-rgb),0.3);border-radius:12px;padding:24px;max-width:480px;width:90%;color:#e0e0e0;font-family:Montserrat,sans-serif;max-height:80vh;overflow-y:auto;';
+  dialog.innerHTML = `
+    <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:8px;">
+      <h3 style="margin:0;font-size:16px;font-weight:400;color:#8b8bb0;">Push notifications</h3>
+      <button id="push-close-btn" style="background:none;border:none;color:#6a6a8a;font-size:20px;cursor:pointer;padding:4px 8px;border-radius:4px;line-height:1;">&times;</button>
+    </div>
+    <div style="font-size:11px;color:#6a6a8a;margin-bottom:14px;">Get a notification when Claude needs permission or input, even with 49Agents closed. Snoozing one sends it again after your snooze duration if Claude is still waiting.</div>
+    <div id="push-this-device" style="margin-bottom:8px;"><div style="font-size:12px;color:#6a6a8a;">Loading…</div></div>
+    <div id="push-error" style="color:#ef4444;font-size:11px;display:none;margin-top:8px;"></div>
+    <div style="font-size:13px;margin:14px 0 8px;padding-top:12px;border-top:1px solid rgba(255,255,255,0.06);">Devices</div>
+    <div id="push-device-list"></div>
+  `;
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', escHandler);
+  };
+  const escHandler = (e) => { if (e.key === 'Escape') close(); };
+  document.addEventListener('keydown', escHandler);
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+  dialog.querySelector('#push-close-btn').addEventListener('click', close);
+
+  const errorEl = dialog.querySelector('#push-error');
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.style.display = message ? '' : 'none';
+  };
+
+  let data = null;
+  let thisDevice = null;
+
+  async function load() {
+    const deviceEl = dialog.querySelector('#push-this-device');
+    const listEl = dialog.querySelector('#push-device-list');
+    try {
+      data = await _ctx.cloudFetch('GET', '/api/push');
+    } catch (err) {
+      deviceEl.innerHTML = `<div style="font-size:12px;color:#ef4444;">${escapeHtml(err.message)}</div>`;
+      return;
+    }
+    const subscription = await getSubscription().catch(() => null);
+    thisDevice = subscription ? data.subscriptions.find(s => s.endpoint === subscription.endpoint) : null;
+
+    if (!isPushSupported()) {
+      deviceEl.innerHTML = `<div style="font-size:12px;color:#6a6a8a;">This browser does not support push notifications. On iPhone and iPad, add 49Agents to your Home Screen and open it from there.</div>`;
+    } else if (thisDevice) {
+      deviceEl.innerHTML = `
+        <div style="display:flex;align-items:center;gap:8px;">
+          <div style="flex:1;font-size:12px;">On for this device</div>
+          <button data-action="test" style="${BUTTON_STYLE}">Send test</button>
+          <button data-action="disable" style="${BUTTON_STYLE}color:#ef4444;">Turn off</button>
+        </div>`;
+    } else {
+      deviceEl.innerHTML = `<button data-action="enable" style="${PRIMARY_BUTTON_STYLE}">Turn on for this device</button>`;
+    }
+
+    listEl.innerHTML = data.subscriptions.length === 0
+      ? '<div style="font-size:12px;color:#6a6a8a;padding:4px 0;">No devices yet.</div>'
+      : data.subscriptions.map(s => `
+        <div class="push-device-row" data-subscription-id="${escapeHtml(s.id)}" style="display:flex;align-items:center;gap:10px;padding:6px 10px;border-radius:6px;background:rgba(255,255,255,0.03);border:1px solid rgba(255,255,255,0.06);margin-bottom:6px;">
+          <div style="flex:1;min-width:0;">
+            <div style="font-size:13px;">${escapeHtml(s.deviceName || 'Unknown device')}${s.id === thisDevice?.id ? ' <span style="font-size:11px;color:#4ec9b0;">this device</span>' : ''}</div>
+            <div style="font-size:11px;color:#6a6a8a;">Added ${escapeHtml(formatDate(s.createdAt) || '')}${s.lastUsedAt ? ` · last notified ${escapeHtml(formatDate(s.lastUsedAt))}` : ''}</div>
+          </div>
+          <button data-remove style="${BUTTON_STYLE}color:#ef4444;">Remove</button>
+        </div>`).join('');
+  }
+
+  dialog.querySelector('#push-this-device').addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    showError('');
+    button.disabled = true;
+    try {
+      if (button.dataset.action === 'enable') {
+        await enablePush(data.publicKey);
+      } else if (button.dataset.action === 'test') {
+        await _ctx.cloudFetch('POST', `/api/push/subscriptions/${encodeURIComponent(thisDevice.id)}/test`);
+        button.textContent = 'Sent';
+        return;
+      } else if (button.dataset.action === 'disable') {
+        const subscription = await getSubscription();
+        await _ctx.cloudFetch('DELETE', `/api/push/subscriptions/${encodeURIComponent(thisDevice.id)}`);
+        await subscription?.unsubscribe();
+      }
+      await load();
+    } catch (err) {
+      showError(err.message);
+      button.disabled = false;
+    }
+  });
+
+  dialog.querySelector('#push-device-list').addEventListener('click', async (e) => {
+    const row = e.target.closest('.push-device-row');
+    if (!row || !e.target.closest('[data-remove]')) return;
+    const id = row.dataset.subscriptionId;
+    await _ctx.cloudFetch('DELETE', `/api/push/subscriptions/${encodeURIComponent(id)}`).catch(() => {});
+    if (id === thisDevice?.id) await (await getSubscription())?.unsubscribe().catch(() => {});
+    await load();
+  });
+
+  load();
+}
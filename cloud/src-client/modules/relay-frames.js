@@ -0,0 +1,44 @@
+// ─── Binary Relay Frames ──────────────────────────────────────────────────
+// Terminal I/O as binary WebSocket frames instead of base64 inside JSON, once
+// the relay confirms support (relay:hello). Same layout as protocol.js on the
+// cloud and agent:
+//   [kind:u8][terminalIdLen:u8][terminalId][agentIdLen:u8][agentId][seq:f64][data…]
+// seq is the output stream offset of the first data byte (0 for input).
+
+export const FRAME_TERMINAL_OUTPUT = 1;
+export const FRAME_TERMINAL_INPUT = 2;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export function encodeFrame(kind, terminalId, agentId, data, seq = 0) {
+  const id = textEncoder.encode(terminalId);
+  const agent = textEncoder.encode(agentId || '');
+  const dataStart = 11 + id.length + agent.length;
+  const frame = new Uint8Array(dataStart + data.length);
+  frame[0] = kind;
+  frame[1] = id.length;
+  frame.set(id, 2);
+  frame[2 + id.length] = agent.length;
+  frame.set(agent, 3 + id.length);
+  new DataView(frame.buffer).setFloat64(dataStart - 8, seq);
+  frame.set(data, dataStart);
+  return frame;
+}
+
+/** Returns { kind, terminalId, agentId, seq, data } (data is a view, not a copy) or null. */
+export function decodeFrame(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length < 3) return null;
+  const idEnd = 2 + bytes[1];
+  if (bytes.length < idEnd + 1) return null;
+  const agentEnd = idEnd + 1 + bytes[idEnd];
+  if (bytes.length < agentEnd + 8) return null;
+  return {
+    kind: bytes[0],
+    terminalId: textDecoder.decode(bytes.subarray(2, idEnd)),
+    agentId: textDecoder.decode(bytes.subarray(idEnd + 1, agentEnd)),
+    seq: new DataView(bytes.buffer, bytes.byteOffset).getFloat64(agentEnd),
+    data: bytes.subarray(agentEnd + 8),
+  };
+}
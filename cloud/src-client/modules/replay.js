@@ -0,0 +1,260 @@
+// ─── Session Replay Pane ──────────────────────────────────────────────────
+// Plays back asciinema v2 (.cast) terminal recordings stored on the agent.
+
+import { escapeHtml } from './utils.js';
+import { ICON_REPLAY } from './constants.js';
+
+let _ctx = null;
+
+export function initReplayDeps(ctx) { _ctx = ctx; }
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+// Pauses longer than this (seconds) are shortened during playback, like asciinema's idle_time_limit
+const IDLE_TIME_LIMIT = 2;
+
+function formatTime(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  const m = Math.floor(s / 60);
+  return `${m}:${String(s % 60).padStart(2, '0')}`;
+}
+
+export function formatRecordingLabel(recording) {
+  const date = new Date(recording.startedAt);
+  return `${recording.title || 'Recording'} — ${date.toLocaleString()}`;
+}
+
+/**
+ * Parse cast file text into a header and a list of events with
+ * idle-compressed timestamps: [{ time, code, data }].
+ */
+export function parseCast(text) {
+  const lines = text.split('\n');
+  let header = null;
+  const events = [];
+  let lastRaw = 0;
+  let time = 0;
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    let parsed;
+    try { parsed = JSON.parse(line); } catch { continue; }
+    if (!header) {
+      header = parsed;
+      continue;
+    }
+    if (!Array.isArray(parsed) || parsed.length < 3) continue;
+    const [raw, code, data] = parsed;
+    time += Math.min(Math.max(0, raw - lastRaw), IDLE_TIME_LIMIT);
+    lastRaw = raw;
+    events.push({ time, code, data });
+  }
+  return { header: header || { width: 80, height: 24 }, events };
+}
+
+export function renderReplayPane(paneData) {
+  const existingPane = document.getElementById(`pane-${paneData.id}`);
+  if (existingPane) existingPane.remove();
+
+  const pane = document.createElement('div');
+  pane.className = 'pane replay-pane';
+  pane.id = `pane-${paneData.id}`;
+  pane.style.left = `${paneData.x}px`;
+  pane.style.top = `${paneData.y}px`;
+  pane.style.width = `${paneData.width}px`;
+  pane.style.height = `${paneData.height}px`;
+  pane.style.zIndex = paneData.zIndex;
+  pane.dataset.paneId = paneData.id;
+
+  if (!paneData.shortcutNumber) paneData.shortcutNumber = _ctx.getNextShortcutNumber();
+  const deviceTag = paneData.device ? _ctx.deviceLabelHtml(paneData.device) : '';
+
+  pane.innerHTML = `
+    <div class="pane-header">
+      <span class="pane-title replay-title">
+        ${deviceTag}<svg viewBox="0 0 24 24" width="14" height="14" style="vertical-align: middle; margin-right: 4px;">${ICON_REPLAY}</svg>
+        <span class="replay-title-text">Replay</span>
+      </span>
+      ${_ctx.paneNameHtml(paneData)}
+      <div class="pane-header-right">
+        ${_ctx.shortcutBadgeHtml(paneData)}
+        <button class="pane-expand" aria-label="Expand pane" data-tooltip="Expand">⛶</button>
+        <button class="pane-close" aria-label="Close pane"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button>
+      </div>
+    </div>
+    <div class="pane-content">
+      <div class="replay-container">
+        <div class="replay-screen"><span class="replay-loading">Loading recording...</span></div>
+        <div class="replay-controls">
+          <button class="replay-play-btn" data-tooltip="Play/Pause (Space)" disabled>▶</button>
+          <span class="replay-time">0:00 / 0:00</span>
+          <input class="replay-seek" type="range" min="0" max="0" step="0.1" value="0" disabled>
+          <select class="replay-speed" data-tooltip="Playback speed">
+            ${SPEEDS.map(s => `<option value="${s}"${s === 1 ? ' selected' : ''}>${s}×</option>`).join('')}
+          </select>
+        </div>
+      </div>
+    </div>
+    <div class="pane-resize-handle"></div>
+  `;
+
+  _ctx.setupPaneListeners(pane, paneData);
+  _ctx.getCanvas().appendChild(pane);
+
+  setupReplayPlayer(pane, paneData);
+}
+
+function setupReplayPlayer(paneEl, paneData) {
+  const screenEl = paneEl.querySelector('.replay-screen');
+  const controlsEl = paneEl.querySelector('.replay-controls');
+  const playBtn = paneEl.querySelector('.replay-play-btn');
+  const timeEl = paneEl.querySelector('.replay-time');
+  const seekEl = paneEl.querySelector('.replay-seek');
+  const speedEl = paneEl.querySelector('.replay-speed');
+
+  const player = {
+    xterm: null,
+    events: [],
+    duration: 0,
+    cursor: 0,        // index of next event to write
+    position: 0,      // playback position in seconds
+    playing: false,
+    speed: 1,
+    lastTick: 0,
+    frame: null,
+    dispose() {
+      this.playing = false;
+      if (this.frame) cancelAnimationFrame(this.frame);
+      if (this.xterm) this.xterm.dispose();
+    },
+  };
+  _ctx.replayPanes.set(paneData.id, player);
+
+  function updateControls() {
+    playBtn.textContent = player.playing ? '❚❚' : '▶';
+    timeEl.textContent = `${formatTime(player.position)} / ${formatTime(player.duration)}`;
+    seekEl.value = player.position;
+  }
+
+  function applyEvent(event) {
+    if (event.code === 'o') {
+      player.xterm.write(event.data);
+    } else if (event.code === 'r') {
+      const [cols, rows] = String(event.data).split('x').map(n => parseInt(n, 10));
+      if (cols > 0 && rows > 0) player.xterm.resize(cols, rows);
+    }
+  }
+
+  // Write every event up to `time`. Seeking backwards replays from the start.
+  function advanceTo(time) {
+    if (time < player.position) {
+      player.xterm.reset();
+      player.xterm.resize(player.header.width || 80, player.header.height || 24);
+      player.cursor = 0;
+    }
+    let output = '';
+    while (player.cursor < player.events.length && player.events[player.cursor].time <= time) {
+      const event = player.events[player.cursor++];
+      if (event.code === 'o') {
+        output += event.data;
+      } else {
+        if (output) { player.xterm.write(output); output = ''; }
+        applyEvent(event);
+      }
+    }
+    if (output) player.xterm.write(output);
+    player.position = Math.min(time, player.duration);
+  }
+
+  function tick(now) {
+    if (!player.playing) return;
+    if (!paneEl.isConnected) { player.dispose(); return; }
+    const elapsed = (now - player.lastTick) / 1000 * player.speed;
+    player.lastTick = now;
+    advanceTo(player.position + elapsed);
+    if (player.position >= player.duration) {
+      player.playing = false;
+    }
+    updateControls();
+    if (player.playing) player.frame = requestAnimationFrame(tick);
+  }
+
+  function play() {
+    if (player.position >= player.duration) advanceTo(0);
+    player.playing = true;
+    player.lastTick = performance.now();
+    player.frame = requestAnimationFrame(tick);
+    updateControls();
+  }
+
+  function pause() {
+    player.playing = false;
+    if (player.frame) cancelAnimationFrame(player.frame);
+    updateControls();
+  }
+
+  playBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (player.playing) pause(); else play();
+  });
+
+  seekEl.addEventListener('input', () => {
+    advanceTo(parseFloat(seekEl.value) || 0);
+    updateControls();
+  });
+
+  speedEl.addEventListener('change', () => {
+    player.speed = parseFloat(speedEl.value) || 1;
+  });
+
+  screenEl.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (!player.xterm) return;
+    if (player.playing) pause(); else play();
+  });
+
+  paneEl.addEventListener('keydown', (e) => {
+    if (e.key === ' ' && player.xterm && e.target.tagName !== 'SELECT') {
+      e.preventDefault();
+      if (player.playing) pause(); else play();
+    }
+  });
+
+  controlsEl.addEventListener('mousedown', (e) => e.stopPropagation());
+  screenEl.addEventListener('wheel', (e) => e.stopPropagation(), { passive: true });
+
+  loadRecording(paneData).then(({ header, events }) => {
+    if (!paneEl.isConnected) return;
+    const titleEl = paneEl.querySelector('.replay-title-text');
+    if (titleEl && header.title) titleEl.textContent = header.title;
+
+    screenEl.innerHTML = '';
+    player.header = header;
+    player.events = events;
+    player.duration = events.length ? events[events.length - 1].time : 0;
+    player.xterm = _ctx.createReplayTerminal({
+      cols: header.width || 80,
+      rows: header.height || 24,
+    });
+    player.xterm.open(screenEl);
+
+    seekEl.max = player.duration;
+    seekEl.disabled = false;
+    playBtn.disabled = false;
+    updateControls();
+  }).catch((err) => {
+    console.error('[Replay] Failed to load recording:', err);
+    screenEl.innerHTML = `<span class="replay-error">Failed to load recording: ${escapeHtml(err.message || String(err))}</span>`;
+  });
+}
+
+// Recordings are fetched in line-aligned chunks to stay under the relay's message size limit.
+async function loadRecording(paneData) {
+  let text = '';
+  let offset = 0;
+  for (;;) {
+    const chunk = await _ctx.agentRequest('GET', `/api/recordings/${encodeURIComponent(paneData.recordingId)}?offset=${offset}`, null, paneData.agentId);
+    text += chunk.data;
+    if (chunk.done || chunk.nextOffset <= offset) break;
+    offset = chunk.nextOffset;
+  }
+  return parseCast(text);
+}
@@ -0,0 +1,266 @@
+// ─── Auto-Answer Rules Panel ──────────────────────────────────────────────
+// Edits the agent-side rules engine: rules are stored per agent, and each
+// agent answers permission/question prompts on its own terminals.
+
+import { escapeHtml } from './utils.js';
+
+let _ctx = null;
+
+export function initRulesDeps(ctx) { _ctx = ctx; }
+
+const ACTION_OPTIONS = [
+  { value: 'allow', label: 'Allow once' },
+  { value: 'allowAlways', label: 'Allow always' },
+  { value: 'deny', label: 'Deny' },
+  { value: 'send', label: 'Send text' },
+  { value: 'notify', label: 'Notify only' },
+];
+
+const INPUT_STYLE = 'width:100%;padding:5px 8px;background:rgba(255,255,255,0.05);border:1px solid rgba(255,255,255,0.08);border-radius:6px;color:#e0e0e0;font-size:12px;font-family:inherit;outline:none;box-sizing:border-box;';
+const BUTTON_STYLE = 'padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;';
+const PRIMARY_BUTTON_STYLE = 'padding:5px 12px;border-radius:6px;border:1px solid rgba(var(--accent-rgb),0.4);background:rgba(var(--accent-rgb),0.2);color:#fff;font-size:12px;cursor:pointer;font-family:inherit;';
+
+function actionLabel(action) {
+  return ACTION_OPTIONS.find(o => o.value === action)?.label || action;
+}
+
+function describeRule(rule) {
+  const parts = [rule.states.join(' / ')];
+  if (rule.pathGlob) parts.push(`in ${rule.pathGlob}`);
+  if (rule.toolName) parts.push(`tool ${rule.toolName}`);
+  if (rule.pattern) parts.push(`/${rule.pattern}/`);
+  return parts.join(' · ');
+}
+
+export function showRulesPanel() {
+  const existing = document.getElementById('rules-modal');
+  if (existing) { existing.remove(); return; }
+
+  const devices = _ctx.getDevices();
+  let agentId = devices[0]?.ip || null;
+  let rules = [];
+  let editingId = null; // rule id being edited, 'new', or null
+
+  const overlay = document.createElement('div');
+  overlay.id = 'rules-modal';
+  overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.7);display:flex;align-items:center;justify-content:center;z-index:100000;';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'tc-scrollbar';
+  dialog.style.cssText = 'background:#1a1a2e;border:1px solid rgba(var(--accent-rgb),0.3);border-radius:12px;padding:24px;max-width:560px;width:90%;color:#e0e0e0;font-family:Montserrat,sans-serif;max-height:80vh;overflow-y:auto;';
+
+  dialog.innerHTML = `
+    <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:8px;">
+      <h3 style="margin:0;font-size:16px;font-weight:400;color:#8b8bb0;">Auto-Answer Rules</h3>
+      <button id="rules-close-btn" style="background:none;border:none;color:#6a6a8a;font-size:20px;cursor:pointer;padding:4px 8px;border-radius:4px;line-height:1;">&times;</button>
+    </div>
+    <div style="font-size:11px;color:#6a6a8a;margin-bottom:14px;">When a Claude terminal hits a permission prompt or question, the first matching enabled rule answers it on the agent — even with no browser open.</div>
+    <div style="display:flex;align-items:center;gap:8px;margin-bottom:12px;">
+      <span style="font-size:12px;color:#8b8bb0;">Machine</span>
+      <select id="rules-agent-select" style="${INPUT_STYLE}width:auto;flex:1;">
+        ${devices.map(d => `<option value="${escapeHtml(d.ip)}">${escapeHtml(d.name)}</option>`).join('')}
+      </select>
+      <button id="rules-add-btn" style="${PRIMARY_BUTTON_STYLE}">+ Add rule</button>
+    </div>
+    <div id="rules-list"></div>
+    <div style="display:flex;align-items:center;justify-content:space-between;margin-top:18px;padding-top:12px;border-top:1px solid rgba(255,255,255,0.06);">
+      <div style="font-size:13px;">Activity Log</div>
+      <button id="rules-clear-log-btn" style="${BUTTON_STYLE}">Clear</button>
+    </div>
+    <div id="rules-log" style="margin-top:8px;max-height:220px;overflow-y:auto;font-size:11px;"></div>
+  `;
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  const listEl = dialog.querySelector('#rules-list');
+  const logEl = dialog.querySelector('#rules-log');
+
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', escHandler);
+  };
+  const escHandler = (e) => { if (e.key === 'Escape') close(); };
+  document.addEventListener('keydown', escHandler);
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+  dialog.querySelector('#rules-close-btn').addEventListener('click', close);
+
+  if (!agentId) {
+    listEl.innerHTML = '<div style="font-size:12px;color:#6a6a8a;padding:8px 0;">No machines online.</div>';
+    dialog.querySelector('#rules-add-btn').disabled = true;
+    return;
+  }
+
+  function renderRuleForm(rule) {
+    const r = rule || { name: '', enabled: true, states: ['permission'], pathGlob: '', toolName: '', pattern: '', action: 'allow', text: '' };
+    return `
+      <div class="rules-form" style="background:rgba(255,255,255,0.03);border:1px solid rgba(var(--accent-rgb),0.3);border-radius:8px;padding:12px;margin-bottom:8px;display:grid;grid-template-columns:auto 1fr;gap:8px 10px;align-items:center;font-size:12px;">
+        <label style="color:#8b8bb0;">Name</label>
+        <input data-field="name" value="${escapeHtml(r.name)}" placeholder="Allow reads in my repos" style="${INPUT_STYLE}">
+        <label style="color:#8b8bb0;">When</label>
+        <div style="display:flex;gap:12px;">
+          <label style="display:flex;align-items:center;gap:4px;cursor:pointer;"><input type="checkbox" data-state="permission" ${r.states.includes('permission') ? 'checked' : ''}> Permission prompt</label>
+          <label style="display:flex;align-items:center;gap:4px;cursor:pointer;"><input type="checkbox" data-state="question" ${r.states.includes('question') ? 'checked' : ''}> Question</label>
+        </div>
+        <label style="color:#8b8bb0;">Path / terminal</label>
+        <input data-field="pathGlob" value="${escapeHtml(r.pathGlob)}" placeholder="~/projects/** (blank = any)" style="${INPUT_STYLE}">
+        <label style="color:#8b8bb0;">Tool</label>
+        <input data-field="toolName" value="${escapeHtml(r.toolName)}" placeholder="Read* (blank = any)" style="${INPUT_STYLE}">
+        <label style="color:#8b8bb0;">Prompt regex</label>
+        <input data-field="pattern" value="${escapeHtml(r.pattern)}" placeholder="allow reading from (blank = any)" style="${INPUT_STYLE}">
+        <label style="color:#8b8bb0;">Action</label>
+        <select data-field="action" style="${INPUT_STYLE}">
+          ${ACTION_OPTIONS.map(o => `<option value="${o.value}"${o.value === r.action ? ' selected' : ''}>${o.label}</option>`).join('')}
+        </select>
+        <label style="color:#8b8bb0;" data-text-row>Text</label>
+        <input data-field="text" data-text-row value="${escapeHtml(r.text)}" placeholder="Text to type (Enter is sent after it)" style="${INPUT_STYLE}">
+        <div class="rules-form-error" style="grid-column:1/3;color:#ef4444;font-size:11px;display:none;"></div>
+        <div style="grid-column:1/3;display:flex;justify-content:flex-end;gap:6px;">
+          <button data-form-cancel style="${BUTTON_STYLE}">Cancel</button>
+          <button data-form-save style="${PRIMARY_BUTTON_STYLE}">Save</button>
+        </div>
+      </div>`;
+  }
+
+  function renderRules() {
+    let html = '';
+    if (editingId === 'new') html += renderRuleForm(null);
+    if (rules.length === 0 && editingId !== 'new') {
+      html += '<div style="font-size:12px;color:#6a6a8a;padding:8px 0;">No rules on this machine yet.</div>';
+    }
+    for (const rule of rules) {
+      if (editingId === rule.id) {
+        html += renderRuleForm(rule);
+        continue;
+      }
+      html += `
+        <div class="rules-item" data-rule-id="${rule.id}" style="display:flex;align-items:center;gap:10px;padding:8px 10px;border-radius:6px;background:rgba(255,255,255,0.03);border:1px solid rgba(255,255,255,0.06);margin-bottom:6px;${rule.enabled ? '' : 'opacity:0.5;'}">
+          <input type="checkbox" data-toggle ${rule.enabled ? 'checked' : ''} data-tooltip="Enabled" style="cursor:pointer;">
+          <div style="flex:1;min-width:0;">
+            <div style="font-size:13px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${escapeHtml(rule.name)} <span style="color:#4ec9b0;font-size:11px;">→ ${escapeHtml(actionLabel(rule.action))}${rule.action === 'send' ? ` "${escapeHtml(rule.text)}"` : ''}</span></div>
+            <div style="font-size:11px;color:#6a6a8a;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${escapeHtml(describeRule(rule))}</div>
+          </div>
+          <button data-edit style="${BUTTON_STYLE}">Edit</button>
+          <button data-delete style="${BUTTON_STYLE}color:#ef4444;">Delete</button>
+        </div>`;
+    }
+    listEl.innerHTML = html;
+
+    const form = listEl.querySelector('.rules-form');
+    if (form) setupForm(form);
+  }
+
+  function setupForm(form) {
+    const actionSelect = form.querySelector('[data-field="action"]');
+    const syncTextRow = () => {
+      form.querySelectorAll('[data-text-row]').forEach(el => {
+        el.style.display = actionSelect.value === 'send' ? '' : 'none';
+      });
+    };
+    actionSelect.addEventListener('change', syncTextRow);
+    syncTextRow();
+    form.querySelector('[data-field="name"]').focus();
+
+    form.querySelector('[data-form-cancel]').addEventListener('click', () => {
+      editingId = null;
+      renderRules();
+    });
+
+    form.querySelector('[data-form-save]').addEventListener('click', async () => {
+      const body = {};
+      form.querySelectorAll('[data-field]').forEach(el => { body[el.dataset.field] = el.value.trim(); });
+      body.states = Array.from(form.querySelectorAll('[data-state]:checked')).map(el => el.dataset.state);
+      const errorEl = form.querySelector('.rules-form-error');
+      try {
+        if (editingId === 'new') {
+          await _ctx.agentRequest('POST', '/api/rules', body, agentId);
+        } else {
+          await _ctx.agentRequest('PATCH', `/api/rules/${editingId}`, body, agentId);
+        }
+        editingId = null;
+        await loadRules();
+      } catch (err) {
+        errorEl.textContent = err.message;
+        errorEl.style.display = '';
+      }
+    });
+  }
+
+  listEl.addEventListener('click', async (e) => {
+    const item = e.target.closest('.rules-item');
+    if (!item) return;
+    const id = item.dataset.ruleId;
+    if (e.target.closest('[data-edit]')) {
+      editingId = id;
+      renderRules();
+    } else if (e.target.closest('[data-delete]')) {
+      const rule = rules.find(r => r.id === id);
+      if (!confirm(`Delete rule "${rule?.name}"?`)) return;
+      await _ctx.agentRequest('DELETE', `/api/rules/${id}`, null, agentId).catch(() => {});
+      await loadRules();
+    }
+  });
+
+  listEl.addEventListener('change', async (e) => {
+    const toggle = e.target.closest('[data-toggle]');
+    if (!toggle) return;
+    const id = toggle.closest('.rules-item').dataset.ruleId;
+    try {
+      await _ctx.agentRequest('PATCH', `/api/rules/${id}`, { enabled: toggle.checked }, agentId);
+    } catch (err) {
+      console.error('[Rules] Failed to toggle rule:', err);
+    }
+    await loadRules();
+  });
+
+  async function loadRules() {
+    try {
+      rules = await _ctx.agentRequest('GET', '/api/rules', null, agentId);
+    } catch (err) {
+      rules = [];
+      listEl.innerHTML = `<div style="font-size:12px;color:#ef4444;padding:8px 0;">Failed to load rules: ${escapeHtml(err.message)}</div>`;
+      return;
+    }
+    renderRules();
+    loadLog();
+  }
+
+  async function loadLog() {
+    let entries = [];
+    try {
+      entries = await _ctx.agentRequest('GET', '/api/rules/log', null, agentId);
+    } catch { /* agent may be older than the rules engine */ }
+    if (entries.length === 0) {
+      logEl.innerHTML = '<div style="color:#6a6a8a;">Nothing yet.</div>';
+      return;
+    }
+    logEl.innerHTML = entries.map(entry => `
+      <div style="display:flex;gap:8px;padding:4px 0;border-bottom:1px solid rgba(255,255,255,0.04);">
+        <span style="color:#6a6a8a;white-space:nowrap;">${new Date(entry.at).toLocaleString()}</span>
+        <span style="flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">
+          <span style="color:${entry.error ? '#ef4444' : '#4ec9b0'};">${escapeHtml(actionLabel(entry.action))}</span>
+          ${escapeHtml(entry.ruleName)}
+          <span style="color:#6a6a8a;">${escapeHtml(entry.command || entry.toolName || entry.state)}${entry.cwd ? ` · ${escapeHtml(entry.cwd)}` : ''}</span>
+          ${entry.error ? `<span style="color:#ef4444;">${escapeHtml(entry.error)}</span>` : ''}
+        </span>
+      </div>`).join('');
+  }
+
+  dialog.querySelector('#rules-agent-select').addEventListener('change', (e) => {
+    agentId = e.target.value;
+    editingId = null;
+    loadRules();
+  });
+
+  dialog.querySelector('#rules-add-btn').addEventListener('click', () => {
+    editingId = 'new';
+    renderRules();
+  });
+
+  dialog.querySelector('#rules-clear-log-btn').addEventListener('click', async () => {
+    await _ctx.agentRequest('DELETE', '/api/rules/log', null, agentId).catch(() => {});
+    loadLog();
+  });
+
+  loadRules();
+}
@@ -0,0 +1,166 @@
+// ─── Share Links ──────────────────────────────────────────────────────────
+// Read-only links to a single pane for people without an account. A terminal
+// link streams live output at /share/<token>; a note or file link shows the
+// content as it was when the link was made. Links expire and can be revoked
+// (cloud/src/routes/share.js, cloud/src/ws/share.js).
+
+import { escapeHtml } from './utils.js';
+
+let _ctx = null;
+
+export function initShareLinksDeps(ctx) { _ctx = ctx; }
+
+const SHAREABLE_TYPES = new Set(['terminal', 'note', 'file']);
+const EXPIRY_OPTIONS = [['1h', '1 hour'], ['24h', '24 hours'], ['7d', '7 days'], ['30d', '30 days']];
+const TYPE_LABELS = { terminal: 'Terminal', note: 'Note', file: 'File' };
+
+const INPUT_STYLE = 'padding:5px 8px;background:rgba(255,255,255,0.05);border:1px solid rgba(255,255,255,0.08);border-radius:6px;color:#e0e0e0;font-size:12px;font-family:inherit;outline:none;box-sizing:border-box;';
+const BUTTON_STYLE = 'padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;';
+const PRIMARY_BUTTON_STYLE = 'padding:5px 12px;border-radius:6px;border:1px solid rgba(var(--accent-rgb),0.4);background:rgba(var(--accent-rgb),0.2);color:#fff;font-size:12px;cursor:pointer;font-family:inherit;';
+
+export function isShareablePane(pane) {
+  return SHAREABLE_TYPES.has(pane.type);
+}
+
+function openModal(id, title) {
+  document.getElementById(id)?.remove();
+
+  const overlay = document.createElement('div');
+  overlay.id = id;
+  overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.7);display:flex;align-items:center;justify-content:center;z-index:100000;';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'tc-scrollbar';
+  dialog.style.cssText = 'background:#1a1a2e;border:1px solid rgba(var(--accent-rgb),0.3);border-radius:12px;padding:24px;max-width:520px;width:90%;color:#e0e0e0;font-family:Montserrat,sans-serif;max-height:80vh;overflow-y:auto;';
+  dialog.innerHTML = `
+    <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:8px;">
+      <h3 style="margin:0;font-size:16px;font-weight:400;color:#8b8bb0;">${escapeHtml(title)}</h3>
+      <button data-close style="background:none;border:none;color:#6a6a8a;font-size:20px;cursor:pointer;padding:4px 8px;border-radius:4px;line-height:1;">&times;</button>
+    </div>
+    <div data-body></div>`;
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', escHandler);
+  };
+  const escHandler = (e) => { if (e.key === 'Escape') close(); };
+  document.addEventListener('keydown', escHandler);
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+  dialog.querySelector('[data-close]').addEventListener('click', close);
+
+  return dialog.querySelector('[data-body]');
+}
+
+function copyButton(button, url) {
+  button.addEventListener('click', () => {
+    navigator.clipboard?.writeText(url).then(() => { button.textContent = 'Copied'; }).catch(() => {});
+  });
+}
+
+/** The "Share" dialog for one pane: pick an expiry, create the link, copy it. */
+export function showShareDialog(pane) {
+  const body = openModal('share-link-modal', `Share ${TYPE_LABELS[pane.type].toLowerCase()}`);
+
+  if (pane.type === 'terminal' && _ctx.isEncryptedPane(pane)) {
+    body.innerHTML = '<div style="font-size:12px;color:#8b8bb0;">This terminal\'s machine uses end-to-end encryption, so the relay cannot show its output to anyone without a paired device. Share links are not available for it.</div>';
+    return;
+  }
+
+  body.innerHTML = `
+    <div style="font-size:11px;color:#6a6a8a;margin-bottom:14px;">${pane.type === 'terminal'
+      ? 'Anyone with the link can watch this terminal live, read-only. They cannot type or see other panes.'
+      : 'Anyone with the link can read a snapshot of this pane as it is now. Later edits are not shared.'}</div>
+    <div style="display:flex;align-items:center;gap:8px;margin-bottom:8px;">
+      <span style="font-size:12px;">Expires after</span>
+      <select data-expiry style="${INPUT_STYLE}flex:1;">
+        ${EXPIRY_OPTIONS.map(([value, label]) => `<option value="${value}"${value === '24h' ? ' selected' : ''}>${label}</option>`).join('')}
+      </select>
+      <button data-create style="${PRIMARY_BUTTON_STYLE}">Create link</button>
+    </div>
+    <div data-result style="display:none;margin-bottom:8px;"></div>
+    <div data-error style="color:#ef4444;font-size:11px;display:none;"></div>
+    <div style="margin-top:14px;padding-top:12px;border-top:1px solid rgba(255,255,255,0.06);">
+      <button data-manage style="${BUTTON_STYLE}">Manage share links</button>
+    </div>`;
+
+  const errorEl = body.querySelector('[data-error]');
+  body.querySelector('[data-manage]').addEventListener('click', showShareLinksPanel);
+  body.querySelector('[data-create]').addEventListener('click', async (e) => {
+    errorEl.style.display = 'none';
+    const request = {
+      agentId: pane.agentId || null,
+      paneId: pane.id,
+      paneType: pane.type,
+      title: pane.paneName || (pane.type === 'file' ? pane.fileName : null) || TYPE_LABELS[pane.type],
+      expiresIn: body.querySelector('[data-expiry]').value,
+    };
+    if (pane.type !== 'terminal') request.snapshot = _ctx.getPaneSnapshot(pane);
+
+    e.target.disabled = true;
+    try {
+      const link = await _ctx.cloudFetch('POST', '/api/share-links', request);
+      const url = `${location.origin}${link.url}`;
+      const resultEl = body.querySelector('[data-result]');
+      resultEl.innerHTML = `
+        <div style="display:flex;gap:6px;">
+          <input readonly value="${escapeHtml(url)}" style="${INPUT_STYLE}flex:1;">
+          <button data-copy style="${BUTTON_STYLE}">Copy</button>
+        </div>
+        <div style="font-size:11px;color:#6a6a8a;margin-top:4px;">Expires ${escapeHtml(new Date(link.expiresAt).toLocaleString())}. Revoke it from Settings → Share links.</div>`;
+      resultEl.style.display = '';
+      copyButton(resultEl.querySelector('[data-copy]'), url);
+      navigator.clipboard?.writeText(url).catch(() => {});
+    } catch (err) {
+      errorEl.textContent = err.message;
+      errorEl.style.display = '';
+    } finally {
+      e.target.disabled = false;
+    }
+  });
+}
+
+/** Settings → Share links: every active link, with Copy and Revoke. */
+export function showShareLinksPanel() {
+  const body = openModal('share-links-modal', 'Share links');
+  body.innerHTML = `
+    <div style="font-size:11px;color:#6a6a8a;margin-bottom:14px;">Read-only links to single panes. Revoking a link disconnects anyone watching through it.</div>
+    <div data-list><div style="font-size:12px;color:#6a6a8a;">Loading…</div></div>`;
+  const listEl = body.querySelector('[data-list]');
+
+  async function load() {
+    let links;
+    try {
+      ({ links } = await _ctx.cloudFetch('GET', '/api/share-links'));
+    } catch (err) {
+      listEl.innerHTML = `<div style="font-size:12px;color:#ef4444;">${escapeHtml(err.message)}</div>`;
+      return;
+    }
+    if (links.length === 0) {
+      listEl.innerHTML = '<div style="font-size:12px;color:#6a6a8a;padding:4px 0;">No active share links. Use the share button on a terminal, note or file pane to create one.</div>';
+      return;
+    }
+    listEl.innerHTML = links.map(l => `
+      <div class="share-link-row" data-link-id="${escapeHtml(l.id)}" style="display:flex;align-items:center;gap:10px;padding:6px 10px;border-radius:6px;background:rgba(255,255,255,0.03);border:1px solid rgba(255,255,255,0.06);margin-bottom:6px;">
+        <div style="flex:1;min-width:0;">
+          <div style="font-size:13px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${escapeHtml(l.title || TYPE_LABELS[l.paneType] || l.paneType)}</div>
+          <div style="font-size:11px;color:#6a6a8a;">${TYPE_LABELS[l.paneType] || escapeHtml(l.paneType)} · ${l.viewCount} view${l.viewCount === 1 ? '' : 's'} · expires ${escapeHtml(new Date(l.expiresAt).toLocaleString())}</div>
+        </div>
+        <button data-copy data-url="${escapeHtml(`${location.origin}${l.url}`)}" style="${BUTTON_STYLE}">Copy</button>
+        <button data-revoke style="${BUTTON_STYLE}color:#ef4444;">Revoke</button>
+      </div>`).join('');
+    listEl.querySelectorAll('[data-copy]').forEach(btn => copyButton(btn, btn.dataset.url));
+  }
+
+  listEl.addEventListener('click', async (e) => {
+    const row = e.target.closest('.share-link-row');
+    if (!row || !e.target.closest('[data-revoke]')) return;
+    if (!confirm('Revoke this share link? Anyone watching is disconnected.')) return;
+    await _ctx.cloudFetch('DELETE', `/api/share-links/${encodeURIComponent(row.dataset.linkId)}`).catch(() => {});
+    await load();
+  });
+
+  load();
+}
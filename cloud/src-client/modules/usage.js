@@ -0,0 +1,269 @@
+// ─── Usage Analytics Pane ─────────────────────────────────────────────────
+// Token usage and estimated cost from one machine's Claude transcripts, broken
+// down by day, project, model and session, with CSV export.
+
+import { escapeHtml } from './utils.js';
+import { ICON_USAGE } from './constants.js';
+
+let _ctx = null;
+
+export function initUsageDeps(ctx) { _ctx = ctx; }
+
+const RANGES = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 0, label: 'All time' },
+];
+const EXPORTS = [
+  { groupBy: 'session', label: 'Sessions' },
+  { groupBy: 'project', label: 'Projects' },
+  { groupBy: 'model', label: 'Models' },
+  { groupBy: 'day', label: 'Days' },
+];
+const REFRESH_INTERVAL_MS = 60000;
+
+function formatCost(cost) {
+  return cost >= 100 ? `$${cost.toFixed(0)}` : `$${cost.toFixed(2)}`;
+}
+
+function formatTokens(n) {
+  if (n >= 1e9) return `${(n / 1e9).toFixed(1)}B`;
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+  return String(n);
+}
+
+function formatPercent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+function shortPath(path) {
+  return (path || '').replace(/^\/home\/[^/]+/, '~').replace(/^\/Users\/[^/]+/, '~');
+}
+
+export function renderUsagePane(paneData) {
+  const existingPane = document.getElementById(`pane-${paneData.id}`);
+  if (existingPane) existingPane.remove();
+
+  const pane = document.createElement('div');
+  pane.className = 'pane usage-pane';
+  pane.id = `pane-${paneData.id}`;
+  pane.style.left = `${paneData.x}px`;
+  pane.style.top = `${paneData.y}px`;
+  pane.style.width = `${paneData.width}px`;
+  pane.style.height = `${paneData.height}px`;
+  pane.style.zIndex = paneData.zIndex;
+  pane.dataset.paneId = paneData.id;
+
+  if (!paneData.shortcutNumber) paneData.shortcutNumber = _ctx.getNextShortcutNumber();
+  if (paneData.days === undefined) paneData.days = 30;
+  const deviceTag = paneData.device ? _ctx.deviceLabelHtml(paneData.device) : '';
+
+  pane.innerHTML = `
+    <div class="pane-header">
+      <span class="pane-title usage-title">
+        ${deviceTag}<svg viewBox="0 0 24 24" width="14" height="14" style="vertical-align: middle; margin-right: 4px;">${ICON_USAGE}</svg>
+        Claude Usage
+      </span>
+      ${_ctx.paneNameHtml(paneData)}
+      <div class="pane-header-right">
+        ${_ctx.shortcutBadgeHtml(paneData)}
+        <button class="pane-expand" aria-label="Expand pane" data-tooltip="Expand">⛶</button>
+        <button class="pane-close" aria-label="Close pane"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button>
+      </div>
+    </div>
+    <div class="pane-content">
+      <div class="usage-container">
+        <div class="usage-toolbar">
+          <select class="usage-range" data-tooltip="Time range">
+            ${RANGES.map(r => `<option value="${r.days}"${r.days === paneData.days ? ' selected' : ''}>${r.label}</option>`).join('')}
+          </select>
+          <button class="usage-btn usage-refresh-btn" data-tooltip="Refresh">↻</button>
+          <span class="usage-updated"></span>
+          <select class="usage-export" data-tooltip="Download CSV">
+            <option value="">Export CSV…</option>
+            ${EXPORTS.map(e => `<option value="${e.groupBy}">${e.label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="usage-body tc-scrollbar"><span class="usage-loading">Loading usage...</span></div>
+      </div>
+    </div>
+    <div class="pane-resize-handle"></div>
+  `;
+
+  _ctx.setupPaneListeners(pane, paneData);
+  _ctx.getCanvas().appendChild(pane);
+
+  setupUsagePane(pane, paneData);
+}
+
+function setupUsagePane(paneEl, paneData) {
+  const rangeEl = paneEl.querySelector('.usage-range');
+  const exportEl = paneEl.querySelector('.usage-export');
+  const bodyEl = paneEl.querySelector('.usage-body');
+  const updatedEl = paneEl.querySelector('.usage-updated');
+
+  const refresh = () => fetchUsageData(paneEl, paneData);
+  const info = {
+    refreshInterval: setInterval(() => {
+      if (!paneEl.isConnected) {
+        clearInterval(info.refreshInterval);
+        return;
+      }
+      refresh();
+    }, REFRESH_INTERVAL_MS),
+  };
+  _ctx.usagePanes.set(paneData.id, info);
+
+  rangeEl.addEventListener('change', () => {
+    paneData.days = parseInt(rangeEl.value, 10) || 0;
+    _ctx.agentRequest('PATCH', `/api/usage-panes/${paneData.id}`, { days: paneData.days }, paneData.agentId).catch(() => {});
+    bodyEl.innerHTML = '<span class="usage-loading">Loading usage...</span>';
+    updatedEl.textContent = '';
+    refresh();
+  });
+
+  paneEl.querySelector('.usage-refresh-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    refresh();
+  });
+
+  exportEl.addEventListener('change', async () => {
+    const groupBy = exportEl.value;
+    exportEl.value = '';
+    if (!groupBy) return;
+    try {
+      const data = await _ctx.agentRequest('GET',
+        `/api/usage-panes/${paneData.id}/export?days=${paneData.days}&groupBy=${groupBy}`, null, paneData.agentId);
+      const blob = new Blob([data.content], { type: data.mimeType });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = data.filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('[Usage] Export failed:', err);
+      alert('Failed to export usage: ' + err.message);
+    }
+  });
+
+  bodyEl.addEventListener('click', (e) => {
+    const row = e.target.closest('.usage-session-row');
+    if (!row) return;
+    e.stopPropagation();
+    _ctx.openConversationInClaude({
+      sessionId: row.dataset.sessionId,
+      cwd: row.dataset.cwd || null,
+      agentId: paneData.agentId,
+      device: paneData.device,
+    }, { near: paneData });
+  });
+
+  for (const el of [paneEl.querySelector('.usage-toolbar'), bodyEl]) {
+    el.addEventListener('mousedown', (e) => e.stopPropagation());
+  }
+  bodyEl.addEventListener('wheel', (e) => e.stopPropagation(), { passive: true });
+
+  refresh();
+}
+
+export async function fetchUsageData(paneEl, paneData) {
+  const bodyEl = paneEl.querySelector('.usage-body');
+  const updatedEl = paneEl.querySelector('.usage-updated');
+  const days = paneData.days;
+  let report;
+  try {
+    report = await _ctx.agentRequest('GET', `/api/usage-panes/${paneData.id}/data?days=${days}`, null, paneData.agentId);
+  } catch (err) {
+    bodyEl.innerHTML = `<span class="usage-error">Failed to load usage: ${escapeHtml(err.message || String(err))}</span>`;
+    return;
+  }
+  if (!paneEl.isConnected || paneData.days !== days) return;
+
+  updatedEl.textContent = `Updated ${new Date(report.timestamp).toLocaleTimeString()}`;
+  const scrollTop = bodyEl.scrollTop;
+  bodyEl.innerHTML = renderReport(report);
+  bodyEl.scrollTop = scrollTop;
+}
+
+function renderReport(report) {
+  const t = report.totals;
+  if (t.requests === 0) {
+    return '<span class="usage-loading">No Claude usage recorded in this range</span>';
+  }
+  const unpriced = report.unpricedModels.length
+    ? `<div class="usage-note">No price known for ${report.unpricedModels.map(escapeHtml).join(', ')}; excluded from cost.</div>`
+    : '';
+
+  return `
+    <div class="usage-cards">
+      <div class="usage-card"><span class="usage-card-value">${formatCost(t.cost)}</span><span class="usage-card-label">est. cost</span></div>
+      <div class="usage-card"><span class="usage-card-value">${formatTokens(t.input + t.cacheRead + t.cacheWrite)}</span><span class="usage-card-label">input tokens</span></div>
+      <div class="usage-card"><span class="usage-card-value">${formatTokens(t.output)}</span><span class="usage-card-label">output tokens</span></div>
+      <div class="usage-card"><span class="usage-card-value">${formatPercent(t.cacheHitRatio)}</span><span class="usage-card-label">cache hit ratio</span></div>
+      <div class="usage-card"><span class="usage-card-value">${t.requests}</span><span class="usage-card-label">requests · ${report.sessionCount} sessions</span></div>
+    </div>
+    ${unpriced}
+    <div class="usage-section-title">Cost per day</div>
+    ${renderDayChart(report.byDay)}
+    <div class="usage-section-title">Projects</div>
+    ${renderTable(report.byProject, 'Project', p => `<span title="${escapeHtml(p.key)}">${escapeHtml(shortPath(p.key))}</span>`, t.cost)}
+    <div class="usage-section-title">Models</div>
+    ${renderTable(report.byModel, 'Model', m => escapeHtml(m.key), t.cost)}
+    <div class="usage-section-title">Top sessions <span class="usage-hint">click to resume</span></div>
+    ${renderSessions(report.topSessions)}
+  `;
+}
+
+function renderDayChart(days) {
+  if (days.length === 0) return '';
+  const max = Math.max(...days.map(d => d.cost), 0.0001);
+  const barWidth = 100 / days.length;
+  const bars = days.map((d, i) => {
+    const height = (d.cost / max) * 100;
+    return `<rect x="${i * barWidth + barWidth * 0.1}" y="${100 - height}" width="${barWidth * 0.8}" height="${height}" rx="0.5">
+      <title>${escapeHtml(d.key)}: ${formatCost(d.cost)} · ${formatTokens(d.output)} output · cache ${formatPercent(d.cacheHitRatio)}</title>
+    </rect>`;
+  }).join('');
+  return `
+    <div class="usage-chart">
+      <svg viewBox="0 0 100 100" preserveAspectRatio="none">${bars}</svg>
+      <div class="usage-chart-axis"><span>${escapeHtml(days[0].key)}</span><span>max ${formatCost(max)}/day</span><span>${escapeHtml(days[days.length - 1].key)}</span></div>
+    </div>`;
+}
+
+function renderTable(rows, label, keyHtml, totalCost) {
+  return `
+    <table class="usage-table">
+      <thead><tr><th>${label}</th><th>Cost</th><th>Share</th><th>Output</th><th>Cache hit</th></tr></thead>
+      <tbody>${rows.map(r => `
+        <tr>
+          <td class="usage-key">${keyHtml(r)}</td>
+          <td>${formatCost(r.cost)}</td>
+          <td><span class="usage-share"><span style="width:${totalCost > 0 ? (r.cost / totalCost) * 100 : 0}%"></span></span></td>
+          <td>${formatTokens(r.output)}</td>
+          <td>${formatPercent(r.cacheHitRatio)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+function renderSessions(sessions) {
+  return `
+    <table class="usage-table">
+      <thead><tr><th>Session</th><th>Cost</th><th>Requests</th><th>Cache hit</th><th>Last active</th></tr></thead>
+      <tbody>${sessions.map(s => `
+        <tr class="usage-session-row" data-session-id="${escapeHtml(s.key)}" data-cwd="${escapeHtml(s.cwd || '')}" title="${escapeHtml(s.cwd || '')}">
+          <td class="usage-key">${escapeHtml(s.title || s.key.slice(0, 8))}</td>
+          <td>${formatCost(s.cost)}</td>
+          <td>${s.requests}</td>
+          <td>${formatPercent(s.cacheHitRatio)}</td>
+          <td>${escapeHtml(s.lastActiveDay || '')}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
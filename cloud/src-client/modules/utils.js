@@ -40,10 +40,29 @@ export function isExternalInputFocused() {
   return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || el.isContentEditable;
 }
 
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '0.0.0.0', '[::1]'];
+
+/**
+ * The port and path of a localhost URL to load through the cloud's preview
+ * proxy from the given agent ({ port, path }), or null if the URL is not on
+ * localhost.
+ */
+export function localPreviewTarget(url, agentId) {
+  if (!agentId) return null;
+  try {
+    const u = new URL(url);
+    if (!LOCAL_HOSTNAMES.includes(u.hostname) || u.protocol !== 'http:') return null;
+    return { port: Number(u.port || 80), path: `${u.pathname}${u.search}${u.hash}` };
+  } catch {
+    return null;
+  }
+}
+
 export function truncateUrl(url) {
   try {
     const u = new URL(url);
-    const domain = u.hostname.replace(/^www\./, '');
+    // Keep the port for localhost so dev servers can be told apart
+    const domain = LOCAL_HOSTNAMES.includes(u.hostname) ? u.host : u.hostname.replace(/^www\./, '');
     return domain.length > 30 ? domain.substring(0, 27) + '...' : domain;
   } catch {
     return url.substring(0, 30);
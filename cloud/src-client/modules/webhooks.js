@@ -0,0 +1,282 @@
+// ─── Webhooks ─────────────────────────────────────────────────────────────
+// Outgoing webhooks: the cloud POSTs to a URL when Claude changes state on
+// one of your machines (needs permission, finished, terminal closed, ...),
+// as generic JSON or as a Slack / Discord message. Each webhook can be
+// limited to some machines, projects and states, and keeps a delivery log.
+
+import { escapeHtml } from './utils.js';
+
+let _ctx = null;
+
+export function initWebhooksDeps(ctx) { _ctx = ctx; }
+
+const FORMAT_LABELS = { generic: 'JSON (signed)', slack: 'Slack', discord: 'Discord' };
+const STATE_LABELS = {
+  permission: 'Needs permission',
+  question: 'Asks a question',
+  idle: 'Finished (idle)',
+  working: 'Started working',
+  closed: 'Terminal closed',
+};
+const DEFAULT_STATES = ['permission', 'question', 'idle'];
+const STATUS_COLORS = { success: '#4ec9b0', failed: '#ef4444', pending: '#d7ba7d' };
+
+const INPUT_STYLE = 'padding:5px 8px;background:rgba(255,255,255,0.05);border:1px solid rgba(255,255,255,0.08);border-radius:6px;color:#e0e0e0;font-size:12px;font-family:inherit;outline:none;box-sizing:border-box;';
+const BUTTON_STYLE = 'padding:4px 10px;border-radius:4px;border:1px solid rgba(255,255,255,0.08);background:transparent;color:#8b8bb0;font-size:11px;cursor:pointer;font-family:inherit;';
+const PRIMARY_BUTTON_STYLE = 'padding:5px 12px;border-radius:6px;border:1px solid rgba(var(--accent-rgb),0.4);background:rgba(var(--accent-rgb),0.2);color:#fff;font-size:12px;cursor:pointer;font-family:inherit;';
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : '';
+}
+
+function filterSummary(filters = {}) {
+  const parts = [];
+  const agents = _ctx.getAgents();
+  if (filters.agents?.length) {
+    parts.push(filters.agents.map(id => {
+      const agent = agents.find(a => a.agentId === id);
+      return agent ? (agent.displayName || agent.hostname) : id.slice(0, 8);
+    }).join(', '));
+  } else {
+    parts.push('all machines');
+  }
+  parts.push(filters.projects?.length ? filters.projects.join(', ') : 'all projects');
+  parts.push(filters.states?.length ? filters.states.map(s => STATE_LABELS[s] || s).join(', ') : 'every state');
+  return parts.join(' · ');
+}
+
+/** Settings → Webhooks: create, edit, test and inspect outgoing webhooks. */
+export function showWebhooksPanel() {
+  const existing = document.getElementById('webhooks-modal');
+  if (existing) { existing.remove(); return; }
+
+  const overlay = document.createElement('div');
+  overlay.id = 'webhooks-modal';
+  overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.7);display:flex;align-items:center;justify-content:center;z-index:100000;';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'tc-scrollbar';
+  dialog.style.cssText = 'background:#1a1a2e;border:1px solid rgba(var(--accent-rgb),0.3);border-radius:12px;padding:24px;max-width:600px;width:90%;color:#e0e0e0;font-family:Montserrat,sans-serif;max-height:80vh;overflow-y:auto;';
+  dialog.innerHTML = `
+    <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:8px;">
+      <h3 style="margin:0;font-size:16px;font-weight:400;color:#8b8bb0;">Webhooks</h3>
+      <button id="webhooks-close-btn" style="background:none;border:none;color:#6a6a8a;font-size:20px;cursor:pointer;padding:4px 8px;border-radius:4px;line-height:1;">&times;</button>
+    </div>
+    <div id="webhooks-body"></div>
+  `;
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', escHandler);
+  };
+  const escHandler = (e) => { if (e.key === 'Escape') close(); };
+  document.addEventListener('keydown', escHandler);
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+  dialog.querySelector('#webhooks-close-btn').addEventListener('click', close);
+
+  const body = dialog.querySelector('#webhooks-body');
+  let webhooks = [];
+  let formats = Object.keys(FORMAT_LABELS);
+  let states = Object.keys(STATE_LABELS);
+
+  async function showList() {
+    body.innerHTML = `
+      <div style="font-size:11px;color:#6a6a8a;margin-bottom:14px;">Post to Slack, Discord or your own endpoint when Claude needs permission, asks a question or finishes — even with no browser open.</div>
+      <div id="webhook-list"><div style="font-size:12px;color:#6a6a8a;">Loading…</div></div>
+      <button id="webhook-add-btn" style="${PRIMARY_BUTTON_STYLE}margin-top:8px;">Add webhook</button>
+    `;
+    body.querySelector('#webhook-add-btn').addEventListener('click', () => showForm(null));
+
+    const listEl = body.querySelector('#webhook-list');
+    try {
+      const data = await _ctx.cloudFetch('GET', '/api/webhooks');
+      ({ webhooks, formats, states } = data);
+    } catch (err) {
+      listEl.innerHTML = `<div style="font-size:12px;color:#ef4444;">${escapeHtml(err.message)}</div>`;
+      return;
+    }
+
+    listEl.innerHTML = webhooks.length === 0
+      ? '<div style="font-size:12px;color:#6a6a8a;padding:4px 0;">No webhooks yet.</div>'
+      : webhooks.map(w => `
+        <div class="webhook-row" data-webhook-id="${escapeHtml(w.id)}" style="padding:8px 10px;border-radius:6px;background:rgba(255,255,255,0.03);border:1px solid rgba(255,255,255,0.06);margin-bottom:6px;${w.enabled ? '' : 'opacity:0.55;'}">
+          <div style="display:flex;align-items:center;gap:8px;">
+            <div style="flex:1;min-width:0;font-size:13px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${escapeHtml(w.name)} <span style="font-size:11px;color:#6a6a8a;">${escapeHtml(FORMAT_LABELS[w.format] || w.format)}${w.enabled ? '' : ' · paused'}</span></div>
+            <button data-action="test" style="${BUTTON_STYLE}">Test</button>
+            <button data-action="log" style="${BUTTON_STYLE}">Log</button>
+            <button data-action="edit" style="${BUTTON_STYLE}">Edit</button>
+            <button data-action="delete" style="${BUTTON_STYLE}color:#ef4444;">Delete</button>
+          </div>
+          <div style="font-size:11px;color:#6a6a8a;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${escapeHtml(w.url)}</div>
+          <div style="font-size:11px;color:#6a6a8a;">${escapeHtml(filterSummary(w.filters))}</div>
+        </div>`).join('');
+
+    listEl.addEventListener('click', async (e) => {
+      const button = e.target.closest('[data-action]');
+      const row = e.target.closest('.webhook-row');
+      if (!button || !row) return;
+      const webhook = webhooks.find(w => w.id === row.dataset.webhookId);
+      if (!webhook) return;
+      const path = `/api/webhooks/${encodeURIComponent(webhook.id)}`;
+
+      if (button.dataset.action === 'edit') return showForm(webhook);
+      if (button.dataset.action === 'log') return showLog(webhook);
+      if (button.dataset.action === 'delete') {
+        if (!confirm(`Delete the webhook "${webhook.name}" and its delivery log?`)) return;
+        await _ctx.cloudFetch('DELETE', path).catch(() => {});
+        return showList();
+      }
+      if (button.dataset.action === 'test') {
+        button.disabled = true;
+        await _ctx.cloudFetch('POST', `${path}/test`).catch(() => {});
+        // Give the first attempt a moment so the log shows its result
+        setTimeout(() => showLog(webhook), 1000);
+      }
+    });
+  }
+
+  function showForm(webhook) {
+    const filters = webhook?.filters || { states: DEFAULT_STATES };
+    const agents = _ctx.getAgents();
+    body.innerHTML = `
+      <div style="font-size:13px;margin-bottom:10px;">${webhook ? 'Edit webhook' : 'New webhook'}</div>
+      <div style="display:flex;flex-direction:column;gap:8px;">
+        <input id="webhook-name" placeholder="Name, e.g. Team Slack" maxlength="100" value="${escapeHtml(webhook?.name || '')}" style="${INPUT_STYLE}">
+        <div style="display:flex;gap:8px;">
+          <input id="webhook-url" placeholder="https://hooks.slack.com/services/…" value="${escapeHtml(webhook?.url || '')}" style="${INPUT_STYLE}flex:1;">
+          <select id="webhook-format" style="${INPUT_STYLE}">
+            ${formats.map(f => `<option value="${escapeHtml(f)}"${(webhook?.format || 'generic') === f ? ' selected' : ''}>${escapeHtml(FORMAT_LABELS[f] || f)}</option>`).join('')}
+          </select>
+        </div>
+        <div style="font-size:12px;color:#8b8bb0;margin-top:4px;">Machines <span style="color:#6a6a8a;">(none checked: all)</span></div>
+        <div id="webhook-agents" style="display:flex;flex-wrap:wrap;gap:4px 14px;">
+          ${agents.length === 0 ? '<span style="font-size:11px;color:#6a6a8a;">No machines connected</span>' : agents.map(a => `
+            <label style="display:flex;align-items:center;gap:6px;font-size:12px;cursor:pointer;">
+              <input type="checkbox" value="${escapeHtml(a.agentId)}"${filters.agents?.includes(a.agentId) ? ' checked' : ''}>
+              ${escapeHtml(a.displayName || a.hostname || a.agentId)}
+            </label>`).join('')}
+        </div>
+        <div style="font-size:12px;color:#8b8bb0;margin-top:4px;">Projects <span style="color:#6a6a8a;">(repo or folder names, or paths starting with /; empty: all)</span></div>
+        <input id="webhook-projects" placeholder="api, web-app, /home/me/work" value="${escapeHtml((filters.projects || []).join(', '))}" style="${INPUT_STYLE}">
+        <div style="font-size:12px;color:#8b8bb0;margin-top:4px;">Notify when Claude…</div>
+        <div id="webhook-states" style="display:flex;flex-wrap:wrap;gap:4px 14px;">
+          ${states.map(s => `
+            <label style="display:flex;align-items:center;gap:6px;font-size:12px;cursor:pointer;">
+              <input type="checkbox" value="${escapeHtml(s)}"${filters.states?.includes(s) ? ' checked' : ''}>
+              ${escapeHtml(STATE_LABELS[s] || s)}
+            </label>`).join('')}
+        </div>
+        <label style="display:flex;align-items:center;gap:6px;font-size:12px;cursor:pointer;margin-top:4px;">
+          <input type="checkbox" id="webhook-enabled"${webhook && !webhook.enabled ? '' : ' checked'}> Enabled
+        </label>
+        ${webhook ? `
+          <div style="font-size:12px;color:#8b8bb0;margin-top:4px;">Signing secret</div>
+          ${webhook.secret ? `
+            <div style="display:flex;gap:6px;">
+              <input readonly value="${escapeHtml(webhook.secret)}" style="${INPUT_STYLE}flex:1;font-family:monospace;">
+              <button id="webhook-copy-secret" style="${BUTTON_STYLE}">Copy</button>
+            </div>
+            <div style="font-size:11px;color:#f59e0b;">Copy it now — it won't be shown again.</div>` : `
+            <input readonly value="${escapeHtml(webhook.secretHint || '')}" style="${INPUT_STYLE}font-family:monospace;color:#6a6a8a;">`}
+          <div style="font-size:11px;color:#6a6a8a;">JSON deliveries carry <code>X-49Agents-Signature: sha256=&lt;hex&gt;</code>, the HMAC-SHA256 of <code>&lt;X-49Agents-Timestamp&gt;.&lt;body&gt;</code> with this secret.</div>` : ''}
+      </div>
+      <div id="webhook-error" style="color:#ef4444;font-size:11px;display:none;margin-top:8px;"></div>
+      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:14px;">
+        <button id="webhook-cancel-btn" style="${BUTTON_STYLE}">Cancel</button>
+        <button id="webhook-save-btn" style="${PRIMARY_BUTTON_STYLE}">${webhook ? 'Save' : 'Create webhook'}</button>
+      </div>
+    `;
+
+    body.querySelector('#webhook-cancel-btn').addEventListener('click', showList);
+    body.querySelector('#webhook-copy-secret')?.addEventListener('click', (e) => {
+      navigator.clipboard?.writeText(webhook.secret).then(() => { e.target.textContent = 'Copied'; }).catch(() => {});
+    });
+
+    const errorEl = body.querySelector('#webhook-error');
+    body.querySelector('#webhook-save-btn').addEventListener('click', async (e) => {
+      const checked = (id) => [...body.querySelectorAll(`#${id} input:checked`)].map(i => i.value);
+      const values = {
+        name: body.querySelector('#webhook-name').value.trim(),
+        url: body.querySelector('#webhook-url').value.trim(),
+        format: body.querySelector('#webhook-format').value,
+        filters: {
+          // Keep filters on machines that are offline right now
+          agents: [...checked('webhook-agents'), ...(filters.agents || []).filter(id => !agents.some(a => a.agentId === id))],
+          projects: body.querySelector('#webhook-projects').value.split(',').map(p => p.trim()).filter(Boolean),
+          states: checked('webhook-states'),
+        },
+        enabled: body.querySelector('#webhook-enabled').checked,
+      };
+      errorEl.style.display = 'none';
+      if (!values.name) { errorEl.textContent = 'Give the webhook a name'; errorEl.style.display = ''; return; }
+      if (!values.url) { errorEl.textContent = 'Enter the URL to post to'; errorEl.style.display = ''; return; }
+
+      e.target.disabled = true;
+      try {
+        if (webhook) {
+          await _ctx.cloudFetch('PATCH', `/api/webhooks/${encodeURIComponent(webhook.id)}`, values);
+          showList();
+        } else {
+          // Show the new webhook's secret straight away
+          showForm(await _ctx.cloudFetch('POST', '/api/webhooks', values));
+        }
+      } catch (err) {
+        errorEl.textContent = err.message;
+        errorEl.style.display = '';
+        e.target.disabled = false;
+      }
+    });
+  }
+
+  async function showLog(webhook) {
+    const path = `/api/webhooks/${encodeURIComponent(webhook.id)}`;
+    body.innerHTML = `
+      <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:10px;">
+        <div style="font-size:13px;">Deliveries — ${escapeHtml(webhook.name)}</div>
+        <div style="display:flex;gap:6px;">
+          <button id="webhook-log-refresh" style="${BUTTON_STYLE}">Refresh</button>
+          <button id="webhook-log-back" style="${BUTTON_STYLE}">Back</button>
+        </div>
+      </div>
+      <div id="webhook-log"><div style="font-size:12px;color:#6a6a8a;">Loading…</div></div>
+    `;
+    body.querySelector('#webhook-log-back').addEventListener('click', showList);
+    body.querySelector('#webhook-log-refresh').addEventListener('click', () => showLog(webhook));
+
+    const logEl = body.querySelector('#webhook-log');
+    let deliveries;
+    try {
+      ({ deliveries } = await _ctx.cloudFetch('GET', `${path}/deliveries`));
+    } catch (err) {
+      logEl.innerHTML = `<div style="font-size:12px;color:#ef4444;">${escapeHtml(err.message)}</div>`;
+      return;
+    }
+
+    logEl.innerHTML = deliveries.length === 0
+      ? '<div style="font-size:12px;color:#6a6a8a;padding:4px 0;">Nothing delivered yet.</div>'
+      : deliveries.map(d => `
+        <div class="webhook-delivery" data-delivery-id="${escapeHtml(d.id)}" style="display:flex;align-items:center;gap:10px;padding:6px 10px;border-radius:6px;background:rgba(255,255,255,0.03);border:1px solid rgba(255,255,255,0.06);margin-bottom:4px;">
+          <span style="width:8px;height:8px;border-radius:50%;flex-shrink:0;background:${STATUS_COLORS[d.status] || '#6a6a8a'};" title="${escapeHtml(d.status)}"></span>
+          <div style="flex:1;min-width:0;">
+            <div style="font-size:12px;">${escapeHtml(d.event)} <span style="color:#6a6a8a;">${escapeHtml(formatTime(d.createdAt))}</span></div>
+            <div style="font-size:11px;color:#6a6a8a;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">
+              ${escapeHtml(d.status)}${d.responseStatus ? ` · HTTP ${d.responseStatus}` : ''} · ${d.attempts} attempt${d.attempts === 1 ? '' : 's'}${d.error ? ` · ${escapeHtml(d.error)}` : ''}${d.nextAttemptAt ? ` · retrying ${escapeHtml(formatTime(d.nextAttemptAt))}` : ''}
+            </div>
+          </div>
+          <button data-redeliver style="${BUTTON_STYLE}">Redeliver</button>
+        </div>`).join('');
+
+    logEl.addEventListener('click', async (e) => {
+      const row = e.target.closest('.webhook-delivery');
+      if (!row || !e.target.closest('[data-redeliver]')) return;
+      e.target.disabled = true;
+      await _ctx.cloudFetch('POST', `${path}/deliveries/${encodeURIComponent(row.dataset.deliveryId)}/redeliver`).catch(() => {});
+      setTimeout(() => showLog(webhook), 1000);
+    });
+  }
+
+  showList();
+}
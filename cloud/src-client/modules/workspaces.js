@@ -0,0 +1,237 @@
+// ─── Workspaces ───────────────────────────────────────────────────────────
+// A canvas holds several named workspaces, each with its own panes, projects,
+// view and shortcut numbers (cloud/src/routes/workspaces.js). The page shows
+// one at a time, picked by /?workspace=<id> or else the one last opened in
+// this browser; switching reloads the page, as switching canvases does.
+//
+// Duplicating creates the workspace and opens it with ?duplicateFrom=<id>;
+// once its (empty) canvas has loaded, the source's panes are re-created on
+// their agents — terminals start fresh in the same directories.
+
+import { escapeHtml } from './utils.js';
+
+let _ctx = null;
+
+export function initWorkspacesDeps(ctx) { _ctx = ctx; }
+
+const pageParams = new URLSearchParams(location.search);
+const STORAGE_KEY = `49agents-workspace:${pageParams.get('canvas') || 'me'}`;
+
+let workspaceId = pageParams.get('workspace') || localStorage.getItem(STORAGE_KEY) || null;
+let workspaces = [];
+let duplicating = false;
+
+/** Headers for cloud requests: which workspace of the canvas they act on. */
+export function workspaceHeaders() {
+  return workspaceId ? { 'X-Workspace': workspaceId } : {};
+}
+
+/** Query string for /ws: presence and layout broadcasts are per workspace. */
+export function workspaceWsParams() {
+  return workspaceId ? `&workspace=${encodeURIComponent(workspaceId)}` : '';
+}
+
+export function getWorkspaceId() {
+  return workspaceId;
+}
+
+function getCurrentWorkspace() {
+  return workspaces.find(w => w.id === workspaceId) || null;
+}
+
+export function getWorkspaceName() {
+  return getCurrentWorkspace()?.name || null;
+}
+
+/**
+ * Fetch the canvas's workspaces and settle which one this page shows (an
+ * unknown or deleted id falls back to the first). Returns it, or null offline.
+ */
+export async function loadWorkspaces() {
+  let data;
+  try {
+    data = await _ctx.cloudFetch('GET', '/api/workspaces');
+  } catch (err) {
+    console.warn('[Workspaces] Load failed:', err.message);
+    return null;
+  }
+  workspaces = data.workspaces;
+  workspaceId = data.currentId;
+  try { localStorage.setItem(STORAGE_KEY, workspaceId); } catch {}
+  renderSwitcher();
+  return getCurrentWorkspace();
+}
+
+/** Open another workspace of this canvas. */
+export function switchWorkspace(id, extraParams = {}) {
+  const url = new URL(location.href);
+  url.searchParams.set('workspace', id);
+  for (const [key, value] of Object.entries(extraParams)) url.searchParams.set(key, value);
+  try { localStorage.setItem(STORAGE_KEY, id); } catch {}
+  location.href = url;
+}
+
+/** workspaces:changed — another tab or member added, renamed or deleted one. */
+export async function handleWorkspacesChanged() {
+  const previousId = workspaceId;
+  await loadWorkspaces();
+  // Ours was deleted; its panes moved to the first workspace, so follow them
+  if (workspaceId !== previousId) switchWorkspace(workspaceId);
+}
+
+// ── Duplication ──
+
+function layoutToPane(cl) {
+  const metadata = typeof cl.metadata === 'string' ? JSON.parse(cl.metadata) : (cl.metadata || {});
+  return {
+    ...metadata,
+    id: cl.id,
+    type: cl.pane_type,
+    agentId: cl.agent_id,
+    x: cl.position_x,
+    y: cl.position_y,
+    width: cl.width,
+    height: cl.height,
+  };
+}
+
+/**
+ * Called by loadTerminalsFromServer once the canvas is loaded: finishes a
+ * duplication started on the previous page.
+ */
+export async function onCanvasLoaded() {
+  const sourceId = pageParams.get('duplicateFrom');
+  if (!sourceId || duplicating) return;
+  duplicating = true;
+  const url = new URL(location.href);
+  url.searchParams.delete('duplicateFrom');
+  history.replaceState(null, '', url);
+  if (!_ctx.canEditCanvas()) return;
+
+  try {
+    const { layouts } = await _ctx.cloudFetch('GET', '/api/layouts', null, { 'X-Workspace': sourceId });
+    const panes = (layouts || []).map(layoutToPane);
+    // Notes keep their text in the cloud copy
+    await Promise.all(panes.filter(p => p.type === 'note').map(async (p) => {
+      const note = await _ctx.cloudFetch('GET', `/api/cloud-notes/${encodeURIComponent(p.id)}`).catch(() => null);
+      if (note) Object.assign(p, { content: note.content, fontSize: note.font_size, images: note.images });
+    }));
+    const { skipped } = await _ctx.recreatePanes(panes);
+    if (skipped > 0) {
+      alert(`${skipped} pane${skipped === 1 ? ' was' : 's were'} not copied because ${skipped === 1 ? 'its device is' : 'their devices are'} offline.`);
+    }
+  } catch (err) {
+    console.error('[Workspaces] Duplication failed:', err);
+    alert('Failed to copy panes: ' + err.message);
+  }
+}
+
+// ── Switcher ──
+
+function atWorkspaceLimit() {
+  if (_ctx.isSharedView()) return false;
+  const limit = window.__tcTier?.limits?.workspaces;
+  if (limit === undefined || limit === null || workspaces.length < limit) return false;
+  const tier = window.__tcTier.tier || 'free';
+  _ctx.showUpgradePrompt(`Your ${tier.charAt(0).toUpperCase() + tier.slice(1)} plan allows ${limit} workspaces. Upgrade for more.`);
+  return true;
+}
+
+async function createWorkspace(duplicateFrom) {
+  if (atWorkspaceLimit()) return;
+  const source = duplicateFrom ? workspaces.find(w => w.id === duplicateFrom) : null;
+  const name = prompt('Workspace name:', source ? `${source.name} copy` : '');
+  if (!name || !name.trim()) return;
+  try {
+    const workspace = await _ctx.cloudFetch('POST', '/api/workspaces', { name: name.trim(), duplicateFrom });
+    switchWorkspace(workspace.id, duplicateFrom ? { duplicateFrom } : {});
+  } catch (err) {
+    alert('Failed to create workspace: ' + err.message);
+  }
+}
+
+async function renameWorkspace() {
+  const current = getCurrentWorkspace();
+  const name = prompt('Rename workspace:', current.name);
+  if (!name || !name.trim() || name.trim() === current.name) return;
+  try {
+    await _ctx.cloudFetch('PATCH', `/api/workspaces/${encodeURIComponent(current.id)}`, { name: name.trim() });
+    await loadWorkspaces();
+  } catch (err) {
+    alert('Failed to rename workspace: ' + err.message);
+  }
+}
+
+async function deleteWorkspace() {
+  const current = getCurrentWorkspace();
+  const moveTo = workspaces.find(w => w.id !== current.id);
+  if (!confirm(`Delete the workspace "${current.name}"? Its panes move to "${moveTo.name}".`)) return;
+  try {
+    const { movedTo } = await _ctx.cloudFetch('DELETE', `/api/workspaces/${encodeURIComponent(current.id)}`);
+    switchWorkspace(movedTo);
+  } catch (err) {
+    alert('Failed to delete workspace: ' + err.message);
+  }
+}
+
+function renderSwitcher() {
+  let el = document.getElementById('workspace-switcher');
+  if (!el) {
+    el = document.createElement('div');
+    el.id = 'workspace-switcher';
+    el.innerHTML = `
+      <button class="workspace-switcher-btn" data-tooltip="Workspaces"><span class="workspace-switcher-name"></span><span class="workspace-switcher-arrow">&#9662;</span></button>
+      <div class="workspace-menu" style="display:none;"></div>
+    `;
+    document.body.appendChild(el);
+
+    const menu = el.querySelector('.workspace-menu');
+    el.querySelector('.workspace-switcher-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      menu.style.display = menu.style.display === 'none' ? '' : 'none';
+    });
+    document.addEventListener('click', (e) => {
+      if (!el.contains(e.target)) menu.style.display = 'none';
+    });
+    menu.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-workspace-id], [data-action]');
+      if (!item || item.disabled) return;
+      menu.style.display = 'none';
+      if (item.dataset.workspaceId) {
+        if (item.dataset.workspaceId !== workspaceId) switchWorkspace(item.dataset.workspaceId);
+      } else if (item.dataset.action === 'new') {
+        createWorkspace(null);
+      } else if (item.dataset.action === 'duplicate') {
+        createWorkspace(workspaceId);
+      } else if (item.dataset.action === 'rename') {
+        renameWorkspace();
+      } else if (item.dataset.action === 'delete') {
+        deleteWorkspace();
+      }
+    });
+  }
+
+  const current = getCurrentWorkspace();
+  el.querySelector('.workspace-switcher-name').textContent = current?.name || 'Workspace';
+
+  const canEdit = _ctx.canEditCanvas();
+  const isOwner = _ctx.getCanvasRole() === 'owner';
+  el.querySelector('.workspace-menu').innerHTML = `
+    ${workspaces.map(w => `
+      <button class="workspace-menu-item${w.id === workspaceId ? ' active' : ''}" data-workspace-id="${escapeHtml(w.id)}">
+        <span class="workspace-menu-name">${escapeHtml(w.name)}</span>
+        <span class="workspace-menu-count">${w.paneCount ?? ''}</span>
+      </button>`).join('')}
+    ${canEdit ? `
+      <div class="workspace-menu-divider"></div>
+      <button class="workspace-menu-item" data-action="new">New workspace</button>
+      <button class="workspace-menu-item" data-action="duplicate">Duplicate "${escapeHtml(current?.name || '')}"</button>
+      <button class="workspace-menu-item" data-action="rename">Rename</button>` : ''}
+    ${isOwner ? `<button class="workspace-menu-item danger" data-action="delete"${workspaces.length < 2 ? ' disabled' : ''}>Delete</button>` : ''}
+  `;
+}
+
+/** Role arrived or changed (canvas:info): show the actions it allows. */
+export function refreshWorkspaceSwitcher() {
+  if (workspaces.length > 0) renderSwitcher();
+}
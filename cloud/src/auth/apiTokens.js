@@ -0,0 +1,66 @@
+/**
+ * Personal API tokens — bearer tokens for scripts and CI.
+ *
+ * A token is `tca_` plus 32 random bytes (base64url). It is shown once when
+ * created; the database keeps only its SHA-256 hash. Each token carries
+ * scopes limiting what it can do through the public API (routes/publicApi.js).
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { getUserById } from '../db/users.js';
+import { getApiTokenByHash, touchApiToken } from '../db/apiTokens.js';
+
+export const API_TOKEN_PREFIX = 'tca_';
+
+export const API_SCOPES = {
+  'agents:read': 'List machines and whether they are online',
+  'terminals:read': 'List terminals, read Claude states and terminal screens',
+  'terminals:write': 'Create and close terminals, send input',
+  'panes:write': 'Create file, note and git graph panes',
+};
+
+// last_used_at is written at most once a minute per token
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+export function hashApiToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * A new random token. `prefix` identifies it in lists without revealing it.
+ */
+export function generateApiToken() {
+  const token = API_TOKEN_PREFIX + randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashApiToken(token), prefix: token.slice(0, API_TOKEN_PREFIX.length + 6) };
+}
+
+/**
+ * Express middleware: require `Authorization: Bearer tca_...` with `scope`.
+ * Sets req.user and req.apiToken. Cookies are not accepted here, so the
+ * public API cannot be driven by a logged-in page.
+ */
+export function requireApiToken(scope) {
+  return (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+    if (!token.startsWith(API_TOKEN_PREFIX)) {
+      return res.status(401).json({ error: 'Missing API token (Authorization: Bearer tca_...)' });
+    }
+
+    const apiToken = getApiTokenByHash(hashApiToken(token));
+    const user = apiToken && getUserById(apiToken.user_id);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired API token' });
+    }
+    if (!apiToken.scopes.includes(scope)) {
+      return res.status(403).json({ error: `This token lacks the ${scope} scope` });
+    }
+
+    const lastUsed = apiToken.last_used_at ? new Date(`${apiToken.last_used_at}Z`).getTime() : 0;
+    if (Date.now() - lastUsed > TOUCH_INTERVAL_MS) touchApiToken(apiToken.id);
+
+    req.user = user;
+    req.apiToken = apiToken;
+    next();
+  };
+}
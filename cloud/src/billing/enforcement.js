@@ -10,6 +10,7 @@ import { getDb } from '../db/index.js';
 import { getUserById } from '../db/users.js';
 import { getTierLimits } from './tiers.js';
 import { recordEvent } from '../db/events.js';
+import { resolveWorkspace, countWorkspaces } from '../db/workspaces.js';
 
 // Map pane type names to API creation paths
 const CREATE_PATH_MAP = {
@@ -29,14 +30,15 @@ const DB_TYPE_MAP = {
 };
 
 /**
- * Count active panes of a specific type for a user.
+ * Count active panes of a specific type in one of a user's workspaces
+ * (pane limits apply per workspace).
  * Uses the cloud pane_layouts table (synced from frontend).
  */
-function countPanes(userId, paneType) {
+function countPanes(userId, workspaceId, paneType) {
   const db = getDb();
   return db.prepare(
-    'SELECT COUNT(*) as count FROM pane_layouts WHERE user_id = ? AND pane_type = ?'
-  ).get(userId, paneType)?.count || 0;
+    'SELECT COUNT(*) as count FROM pane_layouts WHERE user_id = ? AND workspace_id = ? AND pane_type = ?'
+  ).get(userId, workspaceId, paneType)?.count || 0;
 }
 
 /**
@@ -54,21 +56,23 @@ function countAgents(userId, userAgents) {
  * @param {string} userId - The authenticated user ID
  * @param {object} message - The parsed WebSocket message from browser
  * @param {Map} userAgents - The relay's userAgents map (for agent count)
+ * @param {string|null} workspaceId - The workspace the pane is created in (default: the user's first)
  * @returns {object|null} - null if allowed, or { feature, message, upgradeUrl } if blocked
  */
-export function check(userId, message, userAgents) {
+export function check(userId, message, userAgents, workspaceId = null) {
   const user = getUserById(userId);
   if (!user) return null;
 
   const tier = user.tier || 'free';
   const limits = getTierLimits(tier);
 
-  // Only check POST requests (pane creation)
-  if (message.type !== 'request' || message.payload?.method !== 'POST') {
-    return null;
-  }
+  // Only check POST requests (pane creation). End-to-end encrypted requests
+  // hide method and path; browsers label pane creation with createPath.
+  if (message.type !== 'request') return null;
+  const encrypted = typeof message.payload?.e2e === 'string';
+  if (!encrypted && message.payload?.method !== 'POST') return null;
 
-  const path = message.payload.path;
+  const path = encrypted ? message.payload.createPath : message.payload.path;
   if (!path) return null;
 
   // Strip query string for matching
@@ -82,7 +86,8 @@ export function check(userId, message, userAgents) {
   const dbType = DB_TYPE_MAP[limitKey];
   if (!dbType) return null;
 
-  const count = countPanes(userId, dbType);
+  const workspace = resolveWorkspace(userId, workspaceId);
+  const count = countPanes(userId, workspace.id, dbType);
 
   if (count >= limit) {
     const featureNames = {
@@ -94,7 +99,7 @@ export function check(userId, message, userAgents) {
     recordEvent('tier.limit_hit', userId, { feature: limitKey, tier, limit });
     return {
       feature: limitKey,
-      message: `Your plan allows ${limit} ${featureNames[limitKey] || limitKey}. Upgrade to Pro for more.`,
+      message: `Your plan allows ${limit} ${featureNames[limitKey] || limitKey} per workspace. Upgrade to Pro for more.`,
       upgradeUrl: '/upgrade',
     };
   }
@@ -130,6 +135,32 @@ export function checkAgentLimit(userId, userAgents) {
   return null;
 }
 
+/**
+ * Check if the user may create another workspace.
+ *
+ * @param {string} userId
+ * @returns {object|null}
+ */
+export function checkWorkspaceLimit(userId) {
+  const user = getUserById(userId);
+  if (!user) return null;
+
+  const tier = user.tier || 'free';
+  const limits = getTierLimits(tier);
+  if (limits.workspaces === Infinity) return null;
+
+  if (countWorkspaces(userId) >= limits.workspaces) {
+    recordEvent('tier.limit_hit', userId, { feature: 'workspaces', tier, limit: limits.workspaces });
+    return {
+      feature: 'workspaces',
+      message: `Your plan allows ${limits.workspaces} workspaces. Upgrade for more.`,
+      upgradeUrl: '/upgrade',
+    };
+  }
+
+  return null;
+}
+
 /**
  * Count total images across all notes for a user.
  */
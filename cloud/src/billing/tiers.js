@@ -13,6 +13,7 @@ export const TIERS = {
     notes: Infinity,
     gitGraphs: Infinity,
     noteImages: 10,
+    workspaces: 2,
     relay: true,
     collaboration: false,
   },
@@ -23,8 +24,9 @@ export const TIERS = {
     notes: Infinity,
     gitGraphs: Infinity,
     noteImages: 100,
+    workspaces: 10,
     relay: true,
-    collaboration: false,
+    collaboration: true,
   },
   poweruser: {
     agents: 24,
@@ -33,8 +35,9 @@ export const TIERS = {
     notes: Infinity,
     gitGraphs: Infinity,
     noteImages: 400,
+    workspaces: Infinity,
     relay: true,
-    collaboration: false,
+    collaboration: true,
   },
 };
 
@@ -37,6 +37,13 @@ export const config = {
   discord: {
     webhookUrl: process.env.DISCORD_WEBHOOK_URL || '',
   },
+  vapid: {
+    // Web Push keys (base64url, uncompressed P-256). Generated and stored in
+    // the database on first use when unset.
+    publicKey: process.env.VAPID_PUBLIC_KEY || '',
+    privateKey: process.env.VAPID_PRIVATE_KEY || '',
+    subject: process.env.VAPID_SUBJECT || 'https://49agents.com',
+  },
   adminUserId: process.env.ADMIN_USER_ID || '',
   cloudAuthUrl: process.env.CLOUD_AUTH_URL || 'https://app.49agents.com',
   nodeEnv,
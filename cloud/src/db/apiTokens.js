@@ -0,0 +1,51 @@
+import { nanoid } from 'nanoid';
+import { getDb } from './index.js';
+
+function parseToken(row) {
+  return row ? { ...row, scopes: row.scopes.split(' ').filter(Boolean) } : null;
+}
+
+/**
+ * Store a new API token (by hash). Returns the row, scopes as an array.
+ */
+export function createApiToken(userId, { name, tokenHash, prefix, scopes, expiresAt }) {
+  const db = getDb();
+  const id = nanoid();
+  db.prepare(`
+    INSERT INTO api_tokens (id, user_id, name, token_hash, prefix, scopes, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, userId, name, tokenHash, prefix, scopes.join(' '), expiresAt || null);
+  return getApiTokensByUser(userId).find(t => t.id === id);
+}
+
+/**
+ * A user's API tokens, newest first (hashes omitted).
+ */
+export function getApiTokensByUser(userId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT id, name, prefix, scopes, expires_at, last_used_at, created_at
+    FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC
+  `).all(userId).map(parseToken);
+}
+
+/**
+ * The token with this hash, if it has not expired.
+ */
+export function getApiTokenByHash(tokenHash) {
+  const db = getDb();
+  return parseToken(db.prepare(`
+    SELECT * FROM api_tokens
+    WHERE token_hash = ? AND (expires_at IS NULL OR expires_at > ?)
+  `).get(tokenHash, new Date().toISOString()));
+}
+
+export function deleteApiToken(userId, id) {
+  const db = getDb();
+  return db.prepare('DELETE FROM api_tokens WHERE user_id = ? AND id = ?').run(userId, id).changes > 0;
+}
+
+export function touchApiToken(id) {
+  const db = getDb();
+  db.prepare("UPDATE api_tokens SET last_used_at = datetime('now') WHERE id = ?").run(id);
+}
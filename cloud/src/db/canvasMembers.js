@@ -0,0 +1,134 @@
+import { createHash, randomBytes } from 'crypto';
+import { nanoid } from 'nanoid';
+import { getDb } from './index.js';
+
+// Invite links stay valid for a week and can be used once
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const CANVAS_ROLES = ['viewer', 'operator', 'owner'];
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * A member's role on another user's canvas, or null if not a member.
+ */
+export function getMemberRole(ownerId, userId) {
+  const db = getDb();
+  return db.prepare('SELECT role FROM canvas_members WHERE owner_id = ? AND user_id = ?')
+    .get(ownerId, userId)?.role || null;
+}
+
+/**
+ * Members of a user's canvas with their display info.
+ */
+export function getCanvasMembers(ownerId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT cm.user_id, cm.role, cm.created_at,
+           u.display_name, u.github_login, u.email, u.avatar_url
+    FROM canvas_members cm
+    JOIN users u ON u.id = cm.user_id
+    WHERE cm.owner_id = ?
+    ORDER BY cm.created_at ASC
+  `).all(ownerId);
+}
+
+/**
+ * Canvases other users have shared with this user.
+ */
+export function getSharedCanvases(userId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT cm.owner_id, cm.role, cm.created_at,
+           u.display_name, u.github_login, u.avatar_url
+    FROM canvas_members cm
+    JOIN users u ON u.id = cm.owner_id
+    WHERE cm.user_id = ?
+    ORDER BY cm.created_at ASC
+  `).all(userId);
+}
+
+export function setMemberRole(ownerId, userId, role) {
+  const db = getDb();
+  return db.prepare('UPDATE canvas_members SET role = ? WHERE owner_id = ? AND user_id = ?')
+    .run(role, ownerId, userId).changes > 0;
+}
+
+export function removeMember(ownerId, userId) {
+  const db = getDb();
+  return db.prepare('DELETE FROM canvas_members WHERE owner_id = ? AND user_id = ?')
+    .run(ownerId, userId).changes > 0;
+}
+
+/**
+ * Create an invite link token. Only its hash is stored, so the token is
+ * returned once, here.
+ */
+export function createInvite(ownerId, role, createdBy) {
+  const db = getDb();
+  const id = nanoid();
+  const token = randomBytes(24).toString('base64url');
+  const expiresAt = new Date(Date.now() + INVITE_TTL_MS).toISOString();
+  db.prepare(`
+    INSERT INTO canvas_invites (id, owner_id, token_hash, role, created_by, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, ownerId, hashToken(token), role, createdBy, expiresAt);
+  return { id, token, role, expiresAt };
+}
+
+/**
+ * Unexpired invites for a canvas (expired ones are deleted on the way).
+ */
+export function getCanvasInvites(ownerId) {
+  const db = getDb();
+  db.prepare('DELETE FROM canvas_invites WHERE expires_at < ?').run(new Date().toISOString());
+  return db.prepare(`
+    SELECT id, role, created_by, expires_at, created_at
+    FROM canvas_invites WHERE owner_id = ? ORDER BY created_at ASC
+  `).all(ownerId);
+}
+
+export function deleteInvite(ownerId, inviteId) {
+  const db = getDb();
+  return db.prepare('DELETE FROM canvas_invites WHERE owner_id = ? AND id = ?')
+    .run(ownerId, inviteId).changes > 0;
+}
+
+/**
+ * Look up an unexpired invite by its token, with the inviting canvas owner's name.
+ */
+export function getInviteByToken(token) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT ci.id, ci.owner_id, ci.role, ci.created_by, ci.expires_at,
+           u.display_name, u.github_login, u.avatar_url
+    FROM canvas_invites ci
+    JOIN users u ON u.id = ci.owner_id
+    WHERE ci.token_hash = ? AND ci.expires_at >= ?
+  `).get(hashToken(String(token || '')), new Date().toISOString()) || null;
+}
+
+/**
+ * Redeem an invite: the user joins the canvas with the invite's role (an
+ * existing member keeps the higher of the two) and the invite is used up.
+ * Returns { ownerId, role } or null if the invite is invalid.
+ */
+export function acceptInvite(token, userId) {
+  const db = getDb();
+  const redeem = db.transaction(() => {
+    const invite = getInviteByToken(token);
+    if (!invite || invite.owner_id === userId) return null;
+    const current = getMemberRole(invite.owner_id, userId);
+    const role = CANVAS_ROLES.indexOf(current) > CANVAS_ROLES.indexOf(invite.role) ? current : invite.role;
+    db.prepare(`
+      INSERT INTO canvas_members (owner_id, user_id, role, invited_by)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(owner_id, user_id) DO UPDATE SET role = excluded.role
+    `).run(invite.owner_id, userId, role, invite.created_by);
+    db.prepare('DELETE FROM canvas_invites WHERE id = ?').run(invite.id);
+    return { ownerId: invite.owner_id, role };
+  });
+  return redeem();
+}
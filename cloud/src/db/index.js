@@ -211,6 +211,14 @@ export function initDatabase() {
     console.log('[db] Migration: Created notifications tables');
   }
 
+  // Migration: workspace_id column on pane_layouts (existing panes join the
+  // default workspace when it is created, see db/workspaces.js)
+  try {
+    db.prepare("ALTER TABLE pane_layouts ADD COLUMN workspace_id TEXT REFERENCES workspaces(id) ON DELETE CASCADE").run();
+    console.log('[db] Migration: Added workspace_id column to pane_layouts');
+  } catch (e) { /* already exists */ }
+  db.exec("CREATE INDEX IF NOT EXISTS idx_layouts_workspace ON pane_layouts(workspace_id)");
+
   console.log(`[db] SQLite database initialized at ${config.dbPath}`);
   return db;
 }
@@ -0,0 +1,90 @@
+import { nanoid } from 'nanoid';
+import { getDb } from './index.js';
+import { getLayoutsByUser } from './layouts.js';
+import { getWorkspace } from './workspaces.js';
+import { getNoteById } from './noteSync.js';
+
+const MAX_SNAPSHOTS_PER_WORKSPACE = 200;
+const MAX_AGE_DAYS = 30;
+
+// What a snapshot holds: layouts as the browser loads them, the workspace's
+// projects and the text of its notes (note images are left out to keep
+// snapshots small)
+function buildSnapshotData(userId, workspaceId) {
+  const layouts = getLayoutsByUser(userId, workspaceId).map(l => ({
+    id: l.id,
+    agent_id: l.agent_id,
+    agent_hostname: l.agent_hostname,
+    pane_type: l.pane_type,
+    position_x: l.position_x,
+    position_y: l.position_y,
+    width: l.width,
+    height: l.height,
+    z_index: l.z_index,
+    metadata: l.metadata ? JSON.parse(l.metadata) : null,
+  }));
+  const notes = layouts
+    .filter(l => l.pane_type === 'note')
+    .map(l => getNoteById(userId, l.id))
+    .filter(Boolean)
+    .map(n => ({ id: n.id, content: n.content, font_size: n.font_size }));
+  return { layouts, projects: getWorkspace(userId, workspaceId)?.projects || [], notes };
+}
+
+/**
+ * Snapshot a workspace's current layout. Returns the new row (without data),
+ * or null when nothing changed since the latest snapshot.
+ */
+export function createLayoutSnapshot(userId, workspaceId, reason) {
+  const db = getDb();
+  const snapshot = buildSnapshotData(userId, workspaceId);
+  const data = JSON.stringify(snapshot);
+  const latest = db.prepare(`
+    SELECT data FROM layout_snapshots WHERE workspace_id = ? ORDER BY created_at DESC, rowid DESC LIMIT 1
+  `).get(workspaceId);
+  if (latest?.data === data) return null;
+
+  const id = nanoid();
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO layout_snapshots (id, user_id, workspace_id, reason, pane_count, data)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, userId, workspaceId, reason || null, snapshot.layouts.length, data);
+    pruneLayoutSnapshots(workspaceId);
+  })();
+  return db.prepare('SELECT id, reason, pane_count, created_at FROM layout_snapshots WHERE id = ?').get(id);
+}
+
+// Drop snapshots past the age limit, then all but the newest per workspace
+function pruneLayoutSnapshots(workspaceId) {
+  const db = getDb();
+  db.prepare(`DELETE FROM layout_snapshots WHERE workspace_id = ? AND created_at < datetime('now', ?)`)
+    .run(workspaceId, `-${MAX_AGE_DAYS} days`);
+  db.prepare(`
+    DELETE FROM layout_snapshots WHERE workspace_id = ? AND id NOT IN (
+      SELECT id FROM layout_snapshots WHERE workspace_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?
+    )
+  `).run(workspaceId, workspaceId, MAX_SNAPSHOTS_PER_WORKSPACE);
+}
+
+/**
+ * A workspace's snapshots, newest first, without their data.
+ */
+export function getLayoutSnapshots(userId, workspaceId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT id, reason, pane_count, created_at FROM layout_snapshots
+    WHERE user_id = ? AND workspace_id = ?
+    ORDER BY created_at DESC, rowid DESC
+  `).all(userId, workspaceId);
+}
+
+/**
+ * A single snapshot with its parsed data, or null.
+ */
+export function getLayoutSnapshot(userId, workspaceId, id) {
+  const db = getDb();
+  const row = db.prepare('SELECT * FROM layout_snapshots WHERE user_id = ? AND workspace_id = ? AND id = ?')
+    .get(userId, workspaceId, id);
+  return row ? { ...row, data: JSON.parse(row.data) } : null;
+}
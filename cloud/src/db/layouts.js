@@ -1,38 +1,63 @@
 import { getDb } from './index.js';
 
 /**
- * Get all pane layouts for a user.
+ * Get all pane layouts of a user's workspace.
  */
-export function getLayoutsByUser(userId) {
+export function getLayoutsByUser(userId, workspaceId) {
   const db = getDb();
   return db.prepare(`
     SELECT pl.*, a.hostname AS agent_hostname
     FROM pane_layouts pl
     LEFT JOIN agents a ON pl.agent_id = a.id
-    WHERE pl.user_id = ?
+    WHERE pl.user_id = ? AND pl.workspace_id = ?
     ORDER BY pl.z_index ASC
-  `).all(userId);
+  `).all(userId, workspaceId);
 }
 
 /**
- * Save full canvas state — replaces all layouts for a user.
+ * Ids of the user's panes that are in other workspaces. Agents list all
+ * their panes, so the browser needs these to leave them off this canvas.
+ */
+export function getPaneIdsOutsideWorkspace(userId, workspaceId) {
+  const db = getDb();
+  return db.prepare('SELECT id FROM pane_layouts WHERE user_id = ? AND workspace_id != ?')
+    .all(userId, workspaceId).map(r => r.id);
+}
+
+/**
+ * Get a single pane layout.
+ */
+export function getPaneLayout(userId, paneId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT pl.*, a.hostname AS agent_hostname
+    FROM pane_layouts pl
+    LEFT JOIN agents a ON pl.agent_id = a.id
+    WHERE pl.user_id = ? AND pl.id = ?
+  `).get(userId, paneId) || null;
+}
+
+/**
+ * Save full canvas state — replaces all layouts of a user's workspace.
  * @param {string} userId
+ * @param {string} workspaceId
  * @param {Array} panes - Array of { id, agentId, paneType, positionX, positionY, width, height, zIndex, metadata }
  */
-export function saveFullLayout(userId, panes) {
+export function saveFullLayout(userId, workspaceId, panes) {
   const db = getDb();
-  const deleteAll = db.prepare('DELETE FROM pane_layouts WHERE user_id = ?');
+  const deleteAll = db.prepare('DELETE FROM pane_layouts WHERE user_id = ? AND workspace_id = ?');
   const insert = db.prepare(`
-    INSERT INTO pane_layouts (id, user_id, agent_id, pane_type, position_x, position_y, width, height, z_index, metadata)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO pane_layouts (id, user_id, workspace_id, agent_id, pane_type, position_x, position_y, width, height, z_index, metadata)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   const saveAll = db.transaction((userId, panes) => {
-    deleteAll.run(userId);
+    deleteAll.run(userId, workspaceId);
     for (const pane of panes) {
       insert.run(
         pane.id,
         userId,
+        workspaceId,
         pane.agentId || null,
         pane.paneType,
         pane.positionX ?? 0,
@@ -89,13 +114,14 @@ export function deleteLayoutsByAgent(userId, agentId) {
 }
 
 /**
- * Upsert a single pane layout (create or update).
+ * Upsert a single pane layout (create or update). A new pane joins
+ * `workspaceId`; an existing one stays in its workspace.
  */
-export function upsertPaneLayout(userId, pane) {
+export function upsertPaneLayout(userId, workspaceId, pane) {
   const db = getDb();
   db.prepare(`
-    INSERT INTO pane_layouts (id, user_id, agent_id, pane_type, position_x, position_y, width, height, z_index, metadata, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    INSERT INTO pane_layouts (id, user_id, workspace_id, agent_id, pane_type, position_x, position_y, width, height, z_index, metadata, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
     ON CONFLICT(id) DO UPDATE SET
       position_x = excluded.position_x,
       position_y = excluded.position_y,
@@ -108,6 +134,7 @@ export function upsertPaneLayout(userId, pane) {
   `).run(
     pane.id,
     userId,
+    workspaceId,
     pane.agentId || null,
     pane.paneType,
     pane.positionX ?? 0,
@@ -0,0 +1,64 @@
+import { nanoid } from 'nanoid';
+import { getDb } from './index.js';
+
+export function getPushSubscriptionsByUser(userId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM push_subscriptions WHERE user_id = ? ORDER BY created_at ASC').all(userId);
+}
+
+export function getPushSubscriptionByEndpoint(endpoint) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM push_subscriptions WHERE endpoint = ?').get(endpoint) || null;
+}
+
+/**
+ * Save a browser's subscription. Re-subscribing the same endpoint (new keys,
+ * or another user signing in on that browser) replaces the old row.
+ */
+export function upsertPushSubscription(userId, { endpoint, p256dh, auth, deviceName = null }) {
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO push_subscriptions (id, user_id, endpoint, p256dh, auth, device_name)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(endpoint) DO UPDATE SET
+      user_id = excluded.user_id,
+      p256dh = excluded.p256dh,
+      auth = excluded.auth,
+      device_name = COALESCE(excluded.device_name, push_subscriptions.device_name)
+  `).run(nanoid(), userId, endpoint, p256dh, auth, deviceName);
+  return getPushSubscriptionByEndpoint(endpoint);
+}
+
+export function deletePushSubscription(userId, id) {
+  const db = getDb();
+  return db.prepare('DELETE FROM push_subscriptions WHERE user_id = ? AND id = ?').run(userId, id).changes > 0;
+}
+
+/**
+ * Remove a subscription the push service reported as gone (404/410).
+ */
+export function deletePushSubscriptionByEndpoint(endpoint) {
+  const db = getDb();
+  db.prepare('DELETE FROM push_subscriptions WHERE endpoint = ?').run(endpoint);
+}
+
+export function touchPushSubscription(id) {
+  const db = getDb();
+  db.prepare('UPDATE push_subscriptions SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+}
+
+// =====================
+// VAPID KEYS
+// =====================
+
+export function getStoredVapidKeys() {
+  const db = getDb();
+  const row = db.prepare('SELECT public_key, private_key FROM vapid_keys WHERE id = 1').get();
+  return row ? { publicKey: row.public_key, privateKey: row.private_key } : null;
+}
+
+export function storeVapidKeys({ publicKey, privateKey }) {
+  const db = getDb();
+  db.prepare('INSERT OR IGNORE INTO vapid_keys (id, public_key, private_key) VALUES (1, ?, ?)').run(publicKey, privateKey);
+  return getStoredVapidKeys();
+}
@@ -39,10 +39,12 @@ CREATE TABLE IF NOT EXISTS pane_layouts (
   height        REAL NOT NULL DEFAULT 400,
   z_index       INTEGER NOT NULL DEFAULT 0,
   metadata      TEXT,
+  workspace_id  TEXT REFERENCES workspaces(id) ON DELETE CASCADE,
   created_at    TEXT NOT NULL DEFAULT (datetime('now')),
   updated_at    TEXT NOT NULL DEFAULT (datetime('now'))
 );
 CREATE INDEX IF NOT EXISTS idx_layouts_user ON pane_layouts(user_id);
+-- idx_layouts_workspace created in migration (index.js) to avoid ordering issues
 
 CREATE TABLE IF NOT EXISTS notes (
   id            TEXT PRIMARY KEY,
@@ -150,3 +152,155 @@ CREATE TABLE IF NOT EXISTS recent_pane_contexts (
   UNIQUE(user_id, agent_id, pane_type, context)
 );
 CREATE INDEX IF NOT EXISTS idx_recent_ctx_lookup ON recent_pane_contexts(user_id, agent_id, pane_type, used_at DESC);
+
+-- Shared canvases: members of another user's canvas, with a role
+-- (viewer: watch only, operator: type and rearrange, owner: also manage members)
+CREATE TABLE IF NOT EXISTS canvas_members (
+  owner_id      TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_id       TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role          TEXT NOT NULL CHECK(role IN ('viewer', 'operator', 'owner')),
+  invited_by    TEXT,
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (owner_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_canvas_members_user ON canvas_members(user_id);
+
+CREATE TABLE IF NOT EXISTS canvas_invites (
+  id            TEXT PRIMARY KEY,
+  owner_id      TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash    TEXT NOT NULL UNIQUE,
+  role          TEXT NOT NULL CHECK(role IN ('viewer', 'operator', 'owner')),
+  created_by    TEXT NOT NULL,
+  expires_at    TEXT NOT NULL,
+  created_at    TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_canvas_invites_owner ON canvas_invites(owner_id);
+
+-- Read-only share links for one pane: a terminal watched live, or a snapshot
+-- of a note or file pane. The URL carries a signed token naming the link;
+-- revoking or expiring the row disables it.
+CREATE TABLE IF NOT EXISTS share_links (
+  id            TEXT PRIMARY KEY,
+  user_id       TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  agent_id      TEXT,          -- null for snapshots of cloud notes
+  pane_id       TEXT NOT NULL,
+  pane_type     TEXT NOT NULL,
+  title         TEXT,
+  snapshot      TEXT,
+  expires_at    TEXT NOT NULL,
+  revoked_at    TEXT,
+  view_count    INTEGER NOT NULL DEFAULT 0,
+  last_viewed_at TEXT,
+  created_at    TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_share_links_user ON share_links(user_id);
+
+-- Personal API tokens for scripts and CI (Authorization: Bearer tca_...).
+-- Only a hash is stored; `prefix` is shown in settings to tell tokens apart.
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id            TEXT PRIMARY KEY,
+  user_id       TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name          TEXT NOT NULL,
+  token_hash    TEXT NOT NULL UNIQUE,
+  prefix        TEXT NOT NULL,
+  scopes        TEXT NOT NULL,  -- space-separated, see auth/apiTokens.js
+  expires_at    TEXT,           -- null: never expires
+  last_used_at  TEXT,
+  created_at    TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+
+-- Outgoing webhooks for Claude state changes (see notifications/webhooks.js).
+-- filters: JSON { agents: [agentId], projects: [name], states: [state] };
+-- an empty list matches everything.
+CREATE TABLE IF NOT EXISTS webhooks (
+  id            TEXT PRIMARY KEY,
+  user_id       TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name          TEXT NOT NULL,
+  url           TEXT NOT NULL,
+  format        TEXT NOT NULL CHECK(format IN ('generic', 'slack', 'discord')),
+  secret        TEXT NOT NULL,
+  filters       TEXT NOT NULL DEFAULT '{}',
+  enabled       INTEGER NOT NULL DEFAULT 1,
+  created_at    TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id);
+
+-- Delivery log and retry queue; the newest deliveries per webhook are kept
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id              TEXT PRIMARY KEY,
+  webhook_id      TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event           TEXT NOT NULL,
+  payload         TEXT NOT NULL,
+  status          TEXT NOT NULL CHECK(status IN ('pending', 'success', 'failed')),
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  error           TEXT,
+  next_attempt_at TEXT,
+  created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at      TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+
+-- Web Push subscriptions, one per browser/device (see notifications/push.js).
+-- The endpoint is an unguessable push service URL and identifies the device.
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id            TEXT PRIMARY KEY,
+  user_id       TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  endpoint      TEXT NOT NULL UNIQUE,
+  p256dh        TEXT NOT NULL,
+  auth          TEXT NOT NULL,
+  device_name   TEXT,
+  last_used_at  TEXT,
+  created_at    TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(user_id);
+
+-- VAPID key pair generated on first use when VAPID_PUBLIC_KEY and
+-- VAPID_PRIVATE_KEY are not set. Subscriptions are bound to the public key.
+CREATE TABLE IF NOT EXISTS vapid_keys (
+  id            INTEGER PRIMARY KEY CHECK(id = 1),
+  public_key    TEXT NOT NULL,
+  private_key   TEXT NOT NULL,
+  created_at    TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Named workspaces: separate canvases of one user, each with its own panes
+-- (pane_layouts.workspace_id), projects and view state. The first one
+-- (lowest position) is the default, created on first use.
+CREATE TABLE IF NOT EXISTS workspaces (
+  id            TEXT PRIMARY KEY,
+  user_id       TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name          TEXT NOT NULL,
+  projects      TEXT NOT NULL DEFAULT '[]',
+  position      INTEGER NOT NULL DEFAULT 0,
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at    TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_workspaces_user ON workspaces(user_id, position);
+
+-- Zoom and pan per viewer and workspace (replaces view_state)
+CREATE TABLE IF NOT EXISTS workspace_view_state (
+  user_id       TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id  TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  zoom          REAL NOT NULL DEFAULT 1.0,
+  pan_x         REAL NOT NULL DEFAULT 0,
+  pan_y         REAL NOT NULL DEFAULT 0,
+  updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (user_id, workspace_id)
+);
+
+-- Layout history of a workspace: its pane layouts, projects and note text at
+-- a point in time (JSON), so an older layout can be restored. Taken by the
+-- browser before big changes and periodically while the layout changes.
+CREATE TABLE IF NOT EXISTS layout_snapshots (
+  id            TEXT PRIMARY KEY,
+  user_id       TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id  TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  reason        TEXT,
+  pane_count    INTEGER NOT NULL DEFAULT 0,
+  data          TEXT NOT NULL,
+  created_at    TEXT NOT NULL DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_layout_snapshots_workspace ON layout_snapshots(workspace_id, created_at);
@@ -0,0 +1,49 @@
+import { nanoid } from 'nanoid';
+import { getDb } from './index.js';
+
+/**
+ * Create a share link for one pane. `snapshot` (note/file panes) is stored
+ * as JSON: { content, fileName, language }.
+ */
+export function createShareLink(userId, { agentId, paneId, paneType, title, snapshot, expiresAt }) {
+  const db = getDb();
+  const id = nanoid();
+  db.prepare(`
+    INSERT INTO share_links (id, user_id, agent_id, pane_id, pane_type, title, snapshot, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, userId, agentId, paneId, paneType, title || null, snapshot ? JSON.stringify(snapshot) : null, expiresAt);
+  return getShareLink(id);
+}
+
+export function getShareLink(id) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM share_links WHERE id = ?').get(id) || null;
+}
+
+/**
+ * A user's share links that are still usable, newest first (snapshots omitted).
+ */
+export function getShareLinksByUser(userId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT id, agent_id, pane_id, pane_type, title, expires_at, view_count, last_viewed_at, created_at
+    FROM share_links
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY created_at DESC
+  `).all(userId, new Date().toISOString());
+}
+
+export function revokeShareLink(userId, id) {
+  const db = getDb();
+  return db.prepare(`
+    UPDATE share_links SET revoked_at = datetime('now')
+    WHERE user_id = ? AND id = ? AND revoked_at IS NULL
+  `).run(userId, id).changes > 0;
+}
+
+export function recordShareView(id) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE share_links SET view_count = view_count + 1, last_viewed_at = datetime('now') WHERE id = ?
+  `).run(id);
+}
@@ -1,25 +1,25 @@
 import { getDb } from './index.js';
 
 /**
- * Get the saved view state (zoom, pan) for a user.
+ * Get the saved view state (zoom, pan) of a user in a workspace.
  */
-export function getViewState(userId) {
+export function getViewState(userId, workspaceId) {
   const db = getDb();
-  return db.prepare('SELECT * FROM view_state WHERE user_id = ?').get(userId) || null;
+  return db.prepare('SELECT * FROM workspace_view_state WHERE user_id = ? AND workspace_id = ?').get(userId, workspaceId) || null;
 }
 
 /**
  * Save/update view state.
  */
-export function saveViewState(userId, zoom, panX, panY) {
+export function saveViewState(userId, workspaceId, zoom, panX, panY) {
   const db = getDb();
   db.prepare(`
-    INSERT INTO view_state (user_id, zoom, pan_x, pan_y, updated_at)
-    VALUES (?, ?, ?, ?, datetime('now'))
-    ON CONFLICT(user_id) DO UPDATE SET
+    INSERT INTO workspace_view_state (user_id, workspace_id, zoom, pan_x, pan_y, updated_at)
+    VALUES (?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(user_id, workspace_id) DO UPDATE SET
       zoom = excluded.zoom,
       pan_x = excluded.pan_x,
       pan_y = excluded.pan_y,
       updated_at = datetime('now')
-  `).run(userId, zoom ?? 1.0, panX ?? 0, panY ?? 0);
+  `).run(userId, workspaceId, zoom ?? 1.0, panX ?? 0, panY ?? 0);
 }
@@ -0,0 +1,134 @@
+import { randomBytes } from 'crypto';
+import { nanoid } from 'nanoid';
+import { getDb } from './index.js';
+
+// Delivery log entries kept per webhook
+const DELIVERY_LOG_SIZE = 100;
+
+function parseWebhook(row) {
+  return row ? { ...row, filters: JSON.parse(row.filters || '{}'), enabled: !!row.enabled } : null;
+}
+
+export function getWebhooksByUser(userId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM webhooks WHERE user_id = ? ORDER BY created_at ASC').all(userId).map(parseWebhook);
+}
+
+export function getWebhook(userId, id) {
+  const db = getDb();
+  return parseWebhook(db.prepare('SELECT * FROM webhooks WHERE user_id = ? AND id = ?').get(userId, id));
+}
+
+export function getWebhookById(id) {
+  const db = getDb();
+  return parseWebhook(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id));
+}
+
+/**
+ * Create a webhook with a fresh signing secret. Returns the row.
+ */
+export function createWebhook(userId, { name, url, format, filters, enabled = true }) {
+  const db = getDb();
+  const id = nanoid();
+  const secret = `whsec_${randomBytes(24).toString('base64url')}`;
+  db.prepare(`
+    INSERT INTO webhooks (id, user_id, name, url, format, secret, filters, enabled)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, userId, name, url, format, secret, JSON.stringify(filters || {}), enabled ? 1 : 0);
+  return getWebhook(userId, id);
+}
+
+/**
+ * Update name, url, format, filters and/or enabled. Returns the row, or null.
+ */
+export function updateWebhook(userId, id, updates) {
+  const db = getDb();
+  const fields = [];
+  const values = [];
+  for (const key of ['name', 'url', 'format']) {
+    if (updates[key] !== undefined) { fields.push(`${key} = ?`); values.push(updates[key]); }
+  }
+  if (updates.filters !== undefined) { fields.push('filters = ?'); values.push(JSON.stringify(updates.filters)); }
+  if (updates.enabled !== undefined) { fields.push('enabled = ?'); values.push(updates.enabled ? 1 : 0); }
+  if (fields.length > 0) {
+    db.prepare(`UPDATE webhooks SET ${fields.join(', ')} WHERE user_id = ? AND id = ?`).run(...values, userId, id);
+  }
+  return getWebhook(userId, id);
+}
+
+export function deleteWebhook(userId, id) {
+  const db = getDb();
+  return db.prepare('DELETE FROM webhooks WHERE user_id = ? AND id = ?').run(userId, id).changes > 0;
+}
+
+// =====================
+// DELIVERIES
+// =====================
+
+/**
+ * Queue a delivery (attempted right away by the caller). Trims the log.
+ */
+export function createDelivery(webhookId, event, payload) {
+  const db = getDb();
+  const id = nanoid();
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO webhook_deliveries (id, webhook_id, event, payload, status, next_attempt_at, created_at, updated_at)
+    VALUES (?, ?, ?, ?, 'pending', ?, ?, ?)
+  `).run(id, webhookId, event, JSON.stringify(payload), now, now, now);
+  db.prepare(`
+    DELETE FROM webhook_deliveries WHERE webhook_id = ? AND id NOT IN (
+      SELECT id FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC LIMIT ?
+    )
+  `).run(webhookId, webhookId, DELIVERY_LOG_SIZE);
+  return getDelivery(id);
+}
+
+export function getDelivery(id) {
+  const db = getDb();
+  const row = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+  return row ? { ...row, payload: JSON.parse(row.payload) } : null;
+}
+
+export function getDeliveries(webhookId, limit = DELIVERY_LOG_SIZE) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT id, event, status, attempts, response_status, error, next_attempt_at, created_at, updated_at
+    FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC LIMIT ?
+  `).all(webhookId, limit);
+}
+
+/**
+ * Pending deliveries whose next attempt is due.
+ */
+export function getDueDeliveries(limit) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT id FROM webhook_deliveries
+    WHERE status = 'pending' AND next_attempt_at <= ?
+    ORDER BY next_attempt_at ASC LIMIT ?
+  `).all(new Date().toISOString(), limit).map(r => r.id);
+}
+
+/**
+ * Record an attempt: status 'success', 'failed', or 'pending' with the
+ * time of the next retry.
+ */
+export function recordDeliveryAttempt(id, { status, responseStatus = null, error = null, nextAttemptAt = null }) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = attempts + 1, response_status = ?, error = ?, next_attempt_at = ?, updated_at = ?
+    WHERE id = ?
+  `).run(status, responseStatus, error, nextAttemptAt, new Date().toISOString(), id);
+}
+
+/**
+ * Queue a finished delivery to be sent again now.
+ */
+export function requeueDelivery(id) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ? WHERE id = ?
+  `).run(new Date().toISOString(), new Date().toISOString(), id);
+}
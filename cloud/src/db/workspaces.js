@@ -0,0 +1,107 @@
+import { nanoid } from 'nanoid';
+import { getDb } from './index.js';
+
+const DEFAULT_NAME = 'Main';
+
+function parseWorkspace(row) {
+  return row ? { ...row, projects: JSON.parse(row.projects || '[]') } : null;
+}
+
+/**
+ * Create a user's first workspace. Panes saved before workspaces existed
+ * (workspace_id NULL), their projects and their view state move into it.
+ */
+function createDefaultWorkspace(userId) {
+  const db = getDb();
+  const id = nanoid();
+  db.transaction(() => {
+    const prefs = db.prepare('SELECT projects FROM user_preferences WHERE user_id = ?').get(userId);
+    db.prepare('INSERT INTO workspaces (id, user_id, name, projects, position) VALUES (?, ?, ?, ?, 0)')
+      .run(id, userId, DEFAULT_NAME, prefs?.projects || '[]');
+    db.prepare('UPDATE pane_layouts SET workspace_id = ? WHERE user_id = ? AND workspace_id IS NULL').run(id, userId);
+    db.prepare(`
+      INSERT OR IGNORE INTO workspace_view_state (user_id, workspace_id, zoom, pan_x, pan_y)
+      SELECT user_id, ?, zoom, pan_x, pan_y FROM view_state WHERE user_id = ?
+    `).run(id, userId);
+  })();
+  return id;
+}
+
+/**
+ * A user's workspaces in switcher order, with pane counts. Creates the
+ * default workspace on first use.
+ */
+export function getWorkspacesByUser(userId) {
+  const db = getDb();
+  const query = db.prepare(`
+    SELECT w.*, (SELECT COUNT(*) FROM pane_layouts pl WHERE pl.workspace_id = w.id) AS pane_count
+    FROM workspaces w
+    WHERE w.user_id = ?
+    ORDER BY w.position ASC, w.created_at ASC
+  `);
+  let rows = query.all(userId);
+  if (rows.length === 0) {
+    createDefaultWorkspace(userId);
+    rows = query.all(userId);
+  }
+  return rows.map(parseWorkspace);
+}
+
+export function getWorkspace(userId, id) {
+  const db = getDb();
+  return parseWorkspace(db.prepare('SELECT * FROM workspaces WHERE user_id = ? AND id = ?').get(userId, id));
+}
+
+/**
+ * The workspace a request acts on: `requestedId` if it is one of the user's,
+ * else the default workspace.
+ */
+export function resolveWorkspace(userId, requestedId) {
+  const requested = requestedId ? getWorkspace(userId, requestedId) : null;
+  return requested || getWorkspacesByUser(userId)[0];
+}
+
+export function countWorkspaces(userId) {
+  const db = getDb();
+  return db.prepare('SELECT COUNT(*) AS count FROM workspaces WHERE user_id = ?').get(userId).count;
+}
+
+/**
+ * Create a workspace at the end of the switcher. Returns the row.
+ */
+export function createWorkspace(userId, { name, projects = [] }) {
+  const db = getDb();
+  const id = nanoid();
+  const last = db.prepare('SELECT MAX(position) AS position FROM workspaces WHERE user_id = ?').get(userId);
+  db.prepare('INSERT INTO workspaces (id, user_id, name, projects, position) VALUES (?, ?, ?, ?, ?)')
+    .run(id, userId, name, JSON.stringify(projects), (last?.position ?? -1) + 1);
+  return getWorkspace(userId, id);
+}
+
+/**
+ * Update name and/or projects. Returns the row, or null.
+ */
+export function updateWorkspace(userId, id, updates) {
+  const db = getDb();
+  const fields = [];
+  const values = [];
+  if (updates.name !== undefined) { fields.push('name = ?'); values.push(updates.name); }
+  if (updates.projects !== undefined) { fields.push('projects = ?'); values.push(JSON.stringify(updates.projects)); }
+  if (fields.length > 0) {
+    fields.push("updated_at = datetime('now')");
+    db.prepare(`UPDATE workspaces SET ${fields.join(', ')} WHERE user_id = ? AND id = ?`).run(...values, userId, id);
+  }
+  return getWorkspace(userId, id);
+}
+
+/**
+ * Delete a workspace, moving its panes into `moveToId` so the agents'
+ * terminals and notes stay on a canvas. Returns false if it did not exist.
+ */
+export function deleteWorkspace(userId, id, moveToId) {
+  const db = getDb();
+  return db.transaction(() => {
+    db.prepare('UPDATE pane_layouts SET workspace_id = ? WHERE user_id = ? AND workspace_id = ?').run(moveToId, userId, id);
+    return db.prepare('DELETE FROM workspaces WHERE user_id = ? AND id = ?').run(userId, id).changes > 0;
+  })();
+}
@@ -13,11 +13,20 @@ import { setupGoogleAuth } from './auth/google.js';
 import { requireAuth } from './auth/middleware.js';
 import { setupApiRoutes } from './routes/api.js';
 import { setupLayoutRoutes } from './routes/layouts.js';
+import { setupCanvasRoutes } from './routes/canvas.js';
+import { setupWorkspaceRoutes } from './routes/workspaces.js';
+import { setupShareRoutes } from './routes/share.js';
+import { setupApiTokenRoutes } from './routes/apiTokens.js';
+import { setupWebhookRoutes } from './routes/webhooks.js';
+import { setupPushRoutes } from './routes/push.js';
+import { setupPublicApiRoutes } from './routes/publicApi.js';
 import { setupDownloadRoutes } from './routes/download.js';
 import { setupPreferencesRoutes } from './routes/preferences.js';
 import { setupAnalyticsRoutes } from './routes/analytics.js';
 import { setupWebSocketRelay } from './ws/relay.js';
+import { setupPreviewRoutes } from './ws/previewProxy.js';
 import { setupNotificationRoutes } from './routes/notifications.js';
+import { startWebhookDelivery } from './notifications/webhooks.js';
 import { setupCloudCallbackRoutes } from './auth/cloudCallback.js';
 import { ensureLocalAuthTable, isLocalMode } from './auth/localAuth.js';
 import { ensureEmailAuthTable, setupEmailAuthRoutes, getEmailAuth, issueEmailInstanceToken } from './auth/emailAuth.js';
@@ -82,7 +91,8 @@ app.use(
         styleSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
         fontSrc: ["'self'", "https://cdnjs.cloudflare.com", "data:"],
         imgSrc: ["'self'", "data:", "blob:", "https:"],
-        connectSrc: ["'self'", "ws:", "wss:"],
+        // CDNs: the service worker (public/sw.js) caches Monaco, marked and fonts
+        connectSrc: ["'self'", "ws:", "wss:", "https://cdnjs.cloudflare.com", "https://cdn.jsdelivr.net", "https://fonts.googleapis.com", "https://fonts.gstatic.com"],
         workerSrc: ["'self'", "blob:"],  // Monaco web workers
         frameSrc: ["'self'", "https:"],  // Iframe panes
         objectSrc: ["'none'"],
@@ -106,6 +116,24 @@ app.use(
 
 app.use(cookieParser());
 
+// ---------------------------------------------------------------------------
+// Localhost preview proxy (/preview/:token/*) -- before express.json()
+// so request bodies reach the agent's dev server untouched
+// ---------------------------------------------------------------------------
+setupPreviewRoutes(app, requireAuth);
+
+// ---------------------------------------------------------------------------
+// Read-only share links (/api/share-links, public /share/:token) -- before
+// express.json() so note and file snapshots can use a larger body limit
+// ---------------------------------------------------------------------------
+setupShareRoutes(app, { publicDir });
+
+// ---------------------------------------------------------------------------
+// Public REST API for scripts and CI (/api/v1, personal API tokens) --
+// before express.json() so it can use a larger body limit
+// ---------------------------------------------------------------------------
+setupPublicApiRoutes(app);
+
 // Load extension early routes (e.g. webhooks needing raw body) before express.json()
 {
   const _extSetup = resolve(__dirname, '..', '..', 'extensions', 'setup.js');
@@ -164,6 +192,31 @@ setupApiRoutes(app);
 // ---------------------------------------------------------------------------
 setupLayoutRoutes(app);
 
+// ---------------------------------------------------------------------------
+// Workspace routes (named canvases with their own panes, projects and view)
+// ---------------------------------------------------------------------------
+setupWorkspaceRoutes(app);
+
+// ---------------------------------------------------------------------------
+// Shared canvas routes (members, roles, invite links)
+// ---------------------------------------------------------------------------
+setupCanvasRoutes(app);
+
+// ---------------------------------------------------------------------------
+// Personal API token management (tokens authenticate /api/v1)
+// ---------------------------------------------------------------------------
+setupApiTokenRoutes(app);
+
+// ---------------------------------------------------------------------------
+// Outgoing webhooks for Claude state changes
+// ---------------------------------------------------------------------------
+setupWebhookRoutes(app);
+
+// ---------------------------------------------------------------------------
+// Web Push subscriptions (notifications via public/sw.js)
+// ---------------------------------------------------------------------------
+setupPushRoutes(app);
+
 // ---------------------------------------------------------------------------
 // User preferences routes (cloud-direct)
 // ---------------------------------------------------------------------------
@@ -265,6 +318,7 @@ async function start() {
   ensureLocalAuthTable();
   ensureEmailAuthTable();
   initLocalTelemetryCollector();
+  startWebhookDelivery();
 
   // Read latest agent version from the tarball
   let latestAgentVersion = null;
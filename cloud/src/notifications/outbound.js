@@ -0,0 +1,126 @@
+/**
+ * Requests the server makes to URLs users give it: webhook URLs and Web
+ * Push subscription endpoints. These must not be usable to reach internal
+ * services, so a target's host is resolved and checked when it is saved,
+ * and every connection checks the addresses it actually uses (DNS may
+ * answer differently by then).
+ */
+
+import { lookup as dnsLookup, promises as dnsPromises } from 'dns';
+import { BlockList, isIP } from 'net';
+import http from 'http';
+import https from 'https';
+import { config } from '../config.js';
+
+// Never reachable: "this network", link-local (which includes cloud
+// metadata at 169.254.169.254), multicast and reserved.
+const ALWAYS_BLOCKED = new BlockList();
+ALWAYS_BLOCKED.addSubnet('0.0.0.0', 8, 'ipv4');
+ALWAYS_BLOCKED.addSubnet('169.254.0.0', 16, 'ipv4');
+ALWAYS_BLOCKED.addSubnet('224.0.0.0', 4, 'ipv4');
+ALWAYS_BLOCKED.addSubnet('240.0.0.0', 4, 'ipv4');
+ALWAYS_BLOCKED.addAddress('::', 'ipv6');
+ALWAYS_BLOCKED.addSubnet('fe80::', 10, 'ipv6');
+ALWAYS_BLOCKED.addSubnet('ff00::', 8, 'ipv6');
+
+// Loopback and private ranges: refused in production, allowed otherwise so
+// a self-hosted server can post to something on the local network.
+const PRIVATE_NETWORKS = new BlockList();
+PRIVATE_NETWORKS.addSubnet('127.0.0.0', 8, 'ipv4');
+PRIVATE_NETWORKS.addSubnet('10.0.0.0', 8, 'ipv4');
+PRIVATE_NETWORKS.addSubnet('172.16.0.0', 12, 'ipv4');
+PRIVATE_NETWORKS.addSubnet('192.168.0.0', 16, 'ipv4');
+PRIVATE_NETWORKS.addSubnet('100.64.0.0', 10, 'ipv4');
+PRIVATE_NETWORKS.addSubnet('192.0.0.0', 24, 'ipv4');
+PRIVATE_NETWORKS.addSubnet('198.18.0.0', 15, 'ipv4');
+PRIVATE_NETWORKS.addAddress('::1', 'ipv6');
+PRIVATE_NETWORKS.addSubnet('fc00::', 7, 'ipv6');
+
+/** Whether the server may connect to this IP address for a user. */
+export function isAllowedAddress(address, allowPrivate = config.nodeEnv !== 'production') {
+  const family = isIP(address);
+  if (!family) return false;
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const [ip, type] = mapped ? [mapped[1], 'ipv4'] : [address, family === 4 ? 'ipv4' : 'ipv6'];
+  if (ALWAYS_BLOCKED.check(ip, type)) return false;
+  return allowPrivate || !PRIVATE_NETWORKS.check(ip, type);
+}
+
+function hostnameOf(url) {
+  return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+/**
+ * Resolve a URL's host and check every address it resolves to. Returns
+ * what is wrong ("must not point to ...", "host could not be resolved"),
+ * for the caller to put after the field name, or null.
+ */
+export async function checkTargetHost(url) {
+  const host = hostnameOf(url);
+  if (isIP(host)) return isAllowedAddress(host) ? null : 'must not point to a private or internal address';
+
+  let addresses;
+  try {
+    addresses = await dnsPromises.lookup(host, { all: true });
+  } catch {
+    return 'host could not be resolved';
+  }
+  if (addresses.length === 0) return 'host could not be resolved';
+  return addresses.every(a => isAllowedAddress(a.address)) ? null : 'must not point to a private or internal address';
+}
+
+/** dns.lookup for outgoing requests that refuses disallowed addresses. */
+function guardedLookup(hostname, options, callback) {
+  dnsLookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+    if (!addresses.every(a => isAllowedAddress(a))) {
+      return callback(new Error(`${hostname} resolves to a private or internal address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * POST a body without following redirects, connecting only to allowed
+ * addresses. Resolves { status, statusText, ok }; a timeout rejects with a
+ * TimeoutError.
+ */
+export function postGuarded(value, body, headers, { timeoutMs = 10000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(value);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return reject(new Error(`Unsupported protocol ${url.protocol}`));
+    }
+    const host = hostnameOf(url);
+    // IP literals skip the lookup, so check them here
+    if (isIP(host) && !isAllowedAddress(host)) {
+      return reject(new Error(`${host} is a private or internal address`));
+    }
+
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: guardedLookup,
+    }, (res) => {
+      res.resume();
+      res.on('close', () => clearTimeout(timer));
+      resolve({
+        status: res.statusCode,
+        statusText: res.statusMessage || '',
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+      });
+    });
+    const timer = setTimeout(() => {
+      const err = new Error('Request timed out');
+      err.name = 'TimeoutError';
+      request.destroy(err);
+    }, timeoutMs);
+    request.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    request.end(body);
+  });
+}
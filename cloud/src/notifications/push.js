@@ -0,0 +1,165 @@
+/**
+ * Web Push for Claude state changes, so phones and closed laptops hear
+ * about a terminal that needs a human.
+ *
+ * agentHandler passes every claude:states message here. When a Claude
+ * terminal enters one of HIGH_PRIORITY_STATES, every push subscription of
+ * the user gets a notification. Snoozing it (the notification's Snooze
+ * action) re-sends it after the user's snooze duration if the terminal is
+ * still waiting; repeated snoozes escalate like the in-app toasts do.
+ * Each alert's notifications carry a snooze token signed for that alert, so
+ * the action works without a session but cannot snooze anything else.
+ * The service worker (public/sw.js) skips notifications while a 49Agents
+ * tab is focused, since the toasts already cover that.
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import { config } from '../config.js';
+import { HIGH_PRIORITY_STATES } from '../protocol.js';
+import { getPreferences } from '../db/preferences.js';
+import {
+  getPushSubscriptionsByUser, deletePushSubscriptionByEndpoint, touchPushSubscription,
+} from '../db/push.js';
+import { sendWebPush } from './webPush.js';
+
+// Snooze counts at which notifications escalate (as the toasts in modules/notifications.js)
+const ESCALATED_AT = 3;
+const CRITICAL_AT = 5;
+
+const lastStates = new Map(); // `${userId}:${agentId}` -> claude:states payload
+const alerts = new Map();     // `${userId}:${agentId}:${terminalId}` -> { id, state, info, hostname, snoozes, timer }
+
+/**
+ * A claude:states message from an agent. The first one after an agent
+ * connects only sets the baseline.
+ */
+export function handleClaudeStates(userId, agentId, hostname, states) {
+  const key = `${userId}:${agentId}`;
+  const previous = lastStates.get(key);
+  lastStates.set(key, states || {});
+  if (!previous) return;
+
+  for (const [terminalId, info] of Object.entries(states || {})) {
+    const alertKey = `${key}:${terminalId}`;
+    const needsHuman = info?.isClaude && HIGH_PRIORITY_STATES.includes(info.state);
+    if (!needsHuman) {
+      clearAlert(alertKey);
+      continue;
+    }
+    const alert = alerts.get(alertKey);
+    if (alert?.state === info.state) {
+      alert.info = info;
+      continue;
+    }
+    clearAlert(alertKey);
+    const fresh = { id: randomUUID(), userId, agentId, terminalId, hostname, state: info.state, info, snoozes: 0, timer: null };
+    alerts.set(alertKey, fresh);
+    notify(fresh).catch(err => console.error('[push] Notify failed:', err));
+  }
+
+  // Terminals that went away
+  for (const terminalId of Object.keys(previous)) {
+    if (!states?.[terminalId]) clearAlert(`${key}:${terminalId}`);
+  }
+}
+
+/** The agent disconnected: drop its alerts; its next states are a new baseline. */
+export function forgetAgentStates(userId, agentId) {
+  const key = `${userId}:${agentId}`;
+  lastStates.delete(key);
+  for (const alertKey of alerts.keys()) {
+    if (alertKey.startsWith(`${key}:`)) clearAlert(alertKey);
+  }
+}
+
+function clearAlert(alertKey) {
+  const alert = alerts.get(alertKey);
+  if (!alert) return;
+  clearTimeout(alert.timer);
+  alerts.delete(alertKey);
+}
+
+/** The token a notification's Snooze action sends back; valid for one alert. */
+function snoozeToken(alert) {
+  return createHmac('sha256', config.jwt.secret)
+    .update(`push-snooze:${alert.userId}:${alert.agentId}:${alert.terminalId}:${alert.id}`)
+    .digest('base64url');
+}
+
+/**
+ * Snooze a notification: send it again after the user's snooze duration if
+ * the terminal is still in the same state. With `token` (from the
+ * notification), it must match the current alert. Returns false if the
+ * terminal is no longer waiting or the token does not match.
+ */
+export function snoozeAlert(userId, agentId, terminalId, { token } = {}) {
+  const alertKey = `${userId}:${agentId}:${terminalId}`;
+  const alert = alerts.get(alertKey);
+  if (!alert) return false;
+  if (token !== undefined) {
+    const expected = Buffer.from(snoozeToken(alert));
+    const given = Buffer.from(String(token));
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) return false;
+  }
+
+  alert.snoozes++;
+  clearTimeout(alert.timer);
+  const snoozeSeconds = getPreferences(userId).snooze_duration ?? 90;
+  alert.timer = setTimeout(() => {
+    if (alerts.get(alertKey) === alert) {
+      notify(alert).catch(err => console.error('[push] Snoozed notify failed:', err));
+    }
+  }, snoozeSeconds * 1000);
+  alert.timer.unref();
+  return true;
+}
+
+function notificationFor(alert) {
+  const { agentId, terminalId, hostname, state, info, snoozes } = alert;
+  const title = state === 'permission' ? 'Needs permission' : 'Needs input';
+  const location = info.location?.name || info.cwd?.split('/').filter(Boolean).pop() || '';
+  const permission = state === 'permission' ? (info.permission?.command || info.permission?.toolName) : null;
+  const escalation = snoozes >= CRITICAL_AT ? 'critical' : snoozes >= ESCALATED_AT ? 'escalated' : null;
+
+  return {
+    type: 'claude:state',
+    title: `${escalation ? 'Still waiting' : 'Claude'}: ${title}`,
+    body: [[hostname, location].filter(Boolean).join(' · '), permission].filter(Boolean).join('\n'),
+    tag: `claude-${terminalId}`,
+    agentId,
+    terminalId,
+    state,
+    escalation,
+    snoozeToken: snoozeToken(alert),
+    url: `/?pane=${encodeURIComponent(terminalId)}`,
+  };
+}
+
+/** Send a notification to every device the user subscribed. */
+async function notify(alert) {
+  const subscriptions = getPushSubscriptionsByUser(alert.userId);
+  if (subscriptions.length === 0) return;
+
+  const data = notificationFor(alert);
+  await Promise.all(subscriptions.map(sub => sendToSubscription(sub, data, {
+    ttl: 10 * 60,
+    urgency: 'high',
+  })));
+}
+
+/**
+ * Send one message to one subscription, cleaning up subscriptions the push
+ * service has dropped. Returns the sendWebPush result.
+ */
+export async function sendToSubscription(sub, data, options) {
+  const result = await sendWebPush(sub, data, options);
+  if (result.ok) {
+    touchPushSubscription(sub.id);
+  } else if (result.gone) {
+    deletePushSubscriptionByEndpoint(sub.endpoint);
+    console.log(`[push] Removed expired subscription ${sub.id} for user ${sub.user_id}`);
+  } else {
+    console.warn(`[push] Push to ${sub.id} failed: ${result.error || `HTTP ${result.status}`}`);
+  }
+  return result;
+}
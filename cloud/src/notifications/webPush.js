@@ -0,0 +1,134 @@
+/**
+ * Web Push protocol: VAPID authentication (RFC 8292) and aes128gcm payload
+ * encryption (RFC 8291), implemented with Node's crypto and jose so no
+ * extra dependency is needed.
+ *
+ * sendWebPush() returns { ok, status, gone }; `gone` means the push service
+ * no longer knows the subscription and it should be deleted.
+ */
+
+import { createECDH, createCipheriv, hkdfSync, randomBytes } from 'crypto';
+import { SignJWT, importJWK } from 'jose';
+import { config } from '../config.js';
+import { getStoredVapidKeys, storeVapidKeys } from '../db/push.js';
+import { postGuarded } from './outbound.js';
+
+const RECORD_SIZE = 4096;
+const REQUEST_TIMEOUT_MS = 10000;
+const JWT_TTL_SECONDS = 12 * 60 * 60;
+
+let vapidKeys = null;
+let signingKey = null;
+const jwtCache = new Map(); // audience -> { header, expiresAt }
+
+function b64(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+/**
+ * The server's VAPID key pair: from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY,
+ * else generated once and kept in the database.
+ */
+export function getVapidKeys() {
+  if (vapidKeys) return vapidKeys;
+  if (config.vapid.publicKey && config.vapid.privateKey) {
+    vapidKeys = { publicKey: config.vapid.publicKey, privateKey: config.vapid.privateKey };
+  } else {
+    vapidKeys = getStoredVapidKeys();
+    if (!vapidKeys) {
+      const ecdh = createECDH('prime256v1');
+      ecdh.generateKeys();
+      vapidKeys = storeVapidKeys({ publicKey: b64(ecdh.getPublicKey()), privateKey: b64(ecdh.getPrivateKey()) });
+      console.log('[push] Generated VAPID keys');
+    }
+  }
+  return vapidKeys;
+}
+
+async function getSigningKey() {
+  if (signingKey) return signingKey;
+  const { publicKey, privateKey } = getVapidKeys();
+  const pub = Buffer.from(publicKey, 'base64url');
+  signingKey = await importJWK({
+    kty: 'EC',
+    crv: 'P-256',
+    x: b64(pub.subarray(1, 33)),
+    y: b64(pub.subarray(33, 65)),
+    d: privateKey,
+  }, 'ES256');
+  return signingKey;
+}
+
+async function vapidAuthorization(endpoint) {
+  const audience = new URL(endpoint).origin;
+  const cached = jwtCache.get(audience);
+  if (cached && cached.expiresAt - Date.now() > 60 * 60 * 1000) {
+    return cached.header;
+  }
+  const exp = Math.floor(Date.now() / 1000) + JWT_TTL_SECONDS;
+  const token = await new SignJWT({})
+    .setProtectedHeader({ alg: 'ES256', typ: 'JWT' })
+    .setAudience(audience)
+    .setExpirationTime(exp)
+    .setSubject(config.vapid.subject)
+    .sign(await getSigningKey());
+  const header = `vapid t=${token}, k=${getVapidKeys().publicKey}`;
+  jwtCache.set(audience, { header, expiresAt: exp * 1000 });
+  return header;
+}
+
+/**
+ * Encrypt a payload for a subscription as a single aes128gcm record.
+ * `salt` and `asPrivateKey` (the sender's ephemeral key) are random unless
+ * given, which only the RFC 8291 test vector does.
+ */
+export function encryptPayload(payload, { p256dh, auth }, { salt = randomBytes(16), asPrivateKey = null } = {}) {
+  const uaPublic = Buffer.from(p256dh, 'base64url');
+  const authSecret = Buffer.from(auth, 'base64url');
+
+  const ecdh = createECDH('prime256v1');
+  if (asPrivateKey) ecdh.setPrivateKey(asPrivateKey);
+  else ecdh.generateKeys();
+  const asPublic = ecdh.getPublicKey();
+  const sharedSecret = ecdh.computeSecret(uaPublic);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+  const ikm = Buffer.from(hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const cek = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  // One record: the payload followed by the last-record delimiter
+  const cipher = createCipheriv('aes-128-gcm', cek, nonce);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(payload)), cipher.update(Buffer.from([2])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, ciphertext]);
+}
+
+/**
+ * Send one push message.
+ * @param {{ endpoint, p256dh, auth }} subscription
+ * @param {object} data - JSON payload for the service worker
+ * @param {{ ttl?: number, urgency?: 'very-low'|'low'|'normal'|'high' }} options
+ */
+export async function sendWebPush(subscription, data, { ttl = 60 * 60, urgency = 'normal' } = {}) {
+  const body = encryptPayload(JSON.stringify(data), subscription);
+  const headers = {
+    'Content-Type': 'application/octet-stream',
+    'Content-Encoding': 'aes128gcm',
+    TTL: String(ttl),
+    Urgency: urgency,
+    Authorization: await vapidAuthorization(subscription.endpoint),
+  };
+
+  try {
+    // Endpoints come from browsers, so only public push services are reached
+    const res = await postGuarded(subscription.endpoint, body, headers, { timeoutMs: REQUEST_TIMEOUT_MS });
+    return { ok: res.ok, status: res.status, gone: res.status === 404 || res.status === 410 };
+  } catch (err) {
+    return { ok: false, status: null, gone: false, error: err.message };
+  }
+}
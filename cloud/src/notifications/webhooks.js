@@ -0,0 +1,291 @@
+/**
+ * Outgoing webhooks for Claude state changes.
+ *
+ * agentHandler passes every claude:states message here. Comparing it with
+ * the previous one per agent gives transitions (working → permission,
+ * working → idle, a Claude terminal closing, ...), which are matched against
+ * each of the user's webhooks (filters by agent, project and state) and
+ * queued as deliveries.
+ *
+ * Deliveries are POSTed as generic JSON, or as Slack- or Discord-compatible
+ * messages, signed with the webhook's secret:
+ *   X-49Agents-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ * Failures are retried with backoff from the database queue, so retries
+ * survive restarts; every attempt is kept in the delivery log.
+ *
+ * Webhook URLs are user input, so they are checked by outbound.js: when a
+ * webhook is saved, and again on every connection.
+ */
+
+import { createHmac } from 'crypto';
+import { config } from '../config.js';
+import { checkTargetHost, postGuarded } from './outbound.js';
+import {
+  getWebhooksByUser, getWebhookById, createDelivery, getDelivery,
+  getDueDeliveries, recordDeliveryAttempt, requeueDelivery,
+} from '../db/webhooks.js';
+
+export const WEBHOOK_FORMATS = ['generic', 'slack', 'discord'];
+export const WEBHOOK_STATES = ['permission', 'question', 'idle', 'working', 'closed'];
+
+// Retry after 10s, 1m, 5m, 30m, 2h; then give up
+const RETRY_DELAYS_MS = [10e3, 60e3, 5 * 60e3, 30 * 60e3, 2 * 60 * 60e3];
+const REQUEST_TIMEOUT_MS = 10000;
+const SWEEP_INTERVAL_MS = 5000;
+const SWEEP_BATCH = 20;
+
+const STATE_TEXT = {
+  permission: 'needs permission',
+  question: 'is asking a question',
+  idle: 'is done and waiting',
+  working: 'started working',
+  closed: 'terminal closed',
+};
+const DISCORD_COLORS = { permission: 0xef4444, question: 0xf59e0b, idle: 0x4ec9b0, working: 0x6366f1, closed: 0x6a6a8a };
+
+const lastStates = new Map(); // `${userId}:${agentId}` -> { [terminalId]: { state, cwd, location, ... } }
+const inFlight = new Set();   // delivery ids being sent
+let sweepTimer = null;
+
+/** Start retrying queued deliveries. Called once at server start. */
+export function startWebhookDelivery() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    for (const id of getDueDeliveries(SWEEP_BATCH)) attemptDelivery(id);
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+function projectOf(info) {
+  return info?.location?.name || info?.cwd?.split('/').filter(Boolean).pop() || null;
+}
+
+/**
+ * A claude:states message from an agent. The first one after an agent
+ * connects only sets the baseline, as in the browser's notifications.
+ */
+export function handleClaudeStates(userId, agentId, hostname, states) {
+  const key = `${userId}:${agentId}`;
+  const previous = lastStates.get(key);
+  lastStates.set(key, states || {});
+  if (!previous) return;
+
+  const transitions = [];
+  for (const [terminalId, info] of Object.entries(states || {})) {
+    if (!info?.isClaude || !info.state) continue;
+    const before = previous[terminalId];
+    const from = before?.isClaude ? before.state : null;
+    if (from !== info.state) transitions.push({ terminalId, info, from, to: info.state });
+  }
+  for (const [terminalId, info] of Object.entries(previous)) {
+    if (info?.isClaude && !states?.[terminalId]) {
+      transitions.push({ terminalId, info, from: info.state, to: 'closed' });
+    }
+  }
+  if (transitions.length === 0) return;
+
+  const webhooks = getWebhooksByUser(userId).filter(w => w.enabled);
+  if (webhooks.length === 0) return;
+
+  for (const { terminalId, info, from, to } of transitions) {
+    const event = buildEvent({ agentId, hostname, terminalId, info, from, to });
+    for (const webhook of webhooks) {
+      if (matchesFilters(webhook.filters, event)) queueDelivery(webhook, event);
+    }
+  }
+}
+
+/** The agent disconnected: its next states are a new baseline. */
+export function forgetAgentStates(userId, agentId) {
+  lastStates.delete(`${userId}:${agentId}`);
+}
+
+function buildEvent({ agentId, hostname, terminalId, info, from, to }) {
+  return {
+    event: 'claude.state',
+    timestamp: new Date().toISOString(),
+    agent: { id: agentId, hostname },
+    terminal: {
+      id: terminalId,
+      cwd: info.cwd || null,
+      project: projectOf(info),
+      branch: info.location?.branch || null,
+      sessionName: info.claudeSessionName || null,
+    },
+    state: { from, to },
+    permission: to === 'permission' && info.permission
+      ? { toolName: info.permission.toolName || null, command: info.permission.command || null }
+      : null,
+  };
+}
+
+/** Whether `cwd` is the directory `dir` or inside it (not /app-old for /app). */
+function isWithin(cwd, dir) {
+  const base = dir.replace(/\/+$/, '');
+  return cwd === base || cwd.startsWith(`${base}/`);
+}
+
+/** Empty filter lists match everything. */
+function matchesFilters(filters = {}, event) {
+  if (filters.agents?.length && !filters.agents.includes(event.agent.id)) return false;
+  if (filters.states?.length && !filters.states.includes(event.state.to)) return false;
+  if (filters.projects?.length) {
+    const project = event.terminal.project?.toLowerCase();
+    const cwd = event.terminal.cwd || '';
+    if (!filters.projects.some(p => p.toLowerCase() === project || (p.startsWith('/') && isWithin(cwd, p)))) return false;
+  }
+  return true;
+}
+
+/** Queue an event for a webhook and try to send it now. Returns the delivery. */
+export function queueDelivery(webhook, event) {
+  const delivery = createDelivery(webhook.id, event.event, event);
+  attemptDelivery(delivery.id);
+  return delivery;
+}
+
+/** Queue a sample event for a webhook (Settings → Webhooks → Test). */
+export function sendTestEvent(webhook, hostname = 'my-machine') {
+  return queueDelivery(webhook, {
+    event: 'webhook.test',
+    timestamp: new Date().toISOString(),
+    agent: { id: null, hostname },
+    terminal: { id: null, cwd: null, project: null, branch: null, sessionName: null },
+    state: { from: 'working', to: 'idle' },
+    permission: null,
+  });
+}
+
+/** Send a logged delivery again, as a fresh series of attempts. */
+export function redeliver(deliveryId) {
+  requeueDelivery(deliveryId);
+  attemptDelivery(deliveryId);
+}
+
+function summary(event) {
+  if (event.event === 'webhook.test') return 'Test delivery from 49Agents';
+  const where = [event.terminal.project, event.agent.hostname].filter(Boolean).join(' on ');
+  return `Claude ${STATE_TEXT[event.state.to] || event.state.to}${where ? ` — ${where}` : ''}`;
+}
+
+/** The request body in the webhook's format. */
+export function formatPayload(format, event, deliveryId) {
+  const text = summary(event);
+  const permission = event.permission?.command || event.permission?.toolName;
+
+  if (format === 'slack') {
+    const lines = [`*${text}*`];
+    if (event.terminal?.cwd) lines.push(`\`${event.terminal.cwd}\``);
+    if (permission) lines.push(`Wants to run: \`${permission}\``);
+    return { text: lines.join('\n') };
+  }
+
+  if (format === 'discord') {
+    const fields = [];
+    if (event.agent?.hostname) fields.push({ name: 'Machine', value: event.agent.hostname, inline: true });
+    if (event.terminal?.project) fields.push({ name: 'Project', value: event.terminal.project, inline: true });
+    if (event.state?.from) fields.push({ name: 'Was', value: event.state.from, inline: true });
+    if (permission) fields.push({ name: 'Wants to run', value: `\`${permission.slice(0, 1000)}\`` });
+    return {
+      embeds: [{
+        title: text,
+        description: event.terminal?.cwd ? `\`${event.terminal.cwd}\`` : undefined,
+        color: DISCORD_COLORS[event.state?.to] ?? 0x6366f1,
+        fields,
+        timestamp: event.timestamp,
+        footer: { text: '49Agents' },
+      }],
+    };
+  }
+
+  return { id: deliveryId, ...event, message: text };
+}
+
+async function attemptDelivery(deliveryId) {
+  if (inFlight.has(deliveryId)) return;
+  inFlight.add(deliveryId);
+  try {
+    const delivery = getDelivery(deliveryId);
+    if (!delivery || delivery.status !== 'pending') return;
+    const webhook = getWebhookById(delivery.webhook_id);
+    if (!webhook) return;
+
+    const body = JSON.stringify(formatPayload(webhook.format, delivery.payload, delivery.id));
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    let responseStatus = null;
+    let error = null;
+    try {
+      const urlError = validateWebhookUrl(webhook.url);
+      if (urlError) throw new Error(urlError);
+      const res = await postGuarded(webhook.url, body, {
+        'Content-Type': 'application/json',
+        'User-Agent': '49Agents-Webhooks',
+        'X-49Agents-Event': delivery.event,
+        'X-49Agents-Delivery': delivery.id,
+        'X-49Agents-Timestamp': timestamp,
+        'X-49Agents-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+      }, { timeoutMs: REQUEST_TIMEOUT_MS });
+      responseStatus = res.status;
+      if (!res.ok) error = `HTTP ${res.status}${res.statusText ? ` ${res.statusText}` : ''}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : err.message;
+    }
+
+    if (!error) {
+      recordDeliveryAttempt(delivery.id, { status: 'success', responseStatus });
+      return;
+    }
+
+    // Client errors other than timeouts and rate limits will not fix themselves
+    const permanent = responseStatus >= 400 && responseStatus < 500 && ![408, 429].includes(responseStatus);
+    const delay = RETRY_DELAYS_MS[delivery.attempts];
+    if (permanent || delay === undefined) {
+      recordDeliveryAttempt(delivery.id, { status: 'failed', responseStatus, error });
+      console.warn(`[webhooks] Delivery ${delivery.id} to ${webhook.name} failed: ${error}`);
+    } else {
+      recordDeliveryAttempt(delivery.id, {
+        status: 'pending',
+        responseStatus,
+        error,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+      });
+    }
+  } catch (err) {
+    console.error('[webhooks] Delivery error:', err);
+  } finally {
+    inFlight.delete(deliveryId);
+  }
+}
+
+/** The hex signature sent as `X-49Agents-Signature: sha256=<signature>`. */
+export function signPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Resolve a webhook URL's host and check every address it resolves to.
+ * Returns an error message, or null. Used when a webhook is saved.
+ */
+export async function checkWebhookTarget(value) {
+  const urlError = validateWebhookUrl(value);
+  if (urlError) return urlError;
+  const hostError = await checkTargetHost(new URL(value));
+  return hostError && `url ${hostError}`;
+}
+
+/**
+ * Webhook URLs must be http(s); plain http only outside production, where
+ * a self-hosted server may post to something on the local network.
+ */
+export function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'url must be a valid URL';
+  }
+  if (url.protocol === 'https:') return null;
+  if (url.protocol === 'http:' && config.nodeEnv !== 'production') return null;
+  return config.nodeEnv === 'production' ? 'url must use https' : 'url must use http or https';
+}
@@ -8,7 +8,7 @@ import { getTierLimits } from '../billing/tiers.js';
 // ---------------------------------------------------------------------------
 // In-memory store for pending pairing requests (expires in 10 minutes)
 // ---------------------------------------------------------------------------
-const pendingPairings = new Map(); // code -> { userId, hostname, os, version, status, token, expiresAt }
+const pendingPairings = new Map(); // code -> { userId, hostname, os, version, status, token, expiresAt, publicKey, browserPublicKey }
 
 const PAIRING_TTL_MS = 10 * 60 * 1000; // 10 minutes
 
@@ -51,6 +51,16 @@ function generatePairingCode() {
   return code;
 }
 
+/**
+ * True if value is a base64 raw (uncompressed) P-256 public key, the form
+ * agents and browsers exchange for end-to-end encryption.
+ */
+function isE2EPublicKey(value) {
+  if (typeof value !== 'string' || value.length > 100) return false;
+  const raw = Buffer.from(value, 'base64');
+  return raw.length === 65 && raw[0] === 0x04;
+}
+
 /**
  * Clean up expired pairings.
  */
@@ -134,7 +144,8 @@ export function setupApiRoutes(app) {
     res.json({ agents: sanitized });
   });
 
-  // POST /api/agents/token — generate an agent pairing token
+  // POST /api/agents/token — generate an agent pairing token. Agent e2e keys
+  // are only exchanged by the pairing-code routes below.
   app.post('/api/agents/token', requireAuth, async (req, res) => {
     try {
       const { hostname, os, version } = req.body || {};
@@ -219,17 +230,26 @@ export function setupApiRoutes(app) {
   // 3. User visits /pair?code=XXXXXX in their browser and clicks Approve
   // 4. Browser calls POST /api/agents/approve with the code
   // 5. Agent's next poll returns the token
+  //
+  // For end-to-end encryption the agent sends its public key with its first
+  // poll, the pair page shows that key's fingerprint and approves with the
+  // browser's own public key, and the agent's approved poll returns it.
+  // The cloud only carries the keys; it never holds a private key.
   // -------------------------------------------------------------------------
 
   // POST /api/agents/pair — Generate a pairing code for a new agent
   app.post('/api/agents/pair', requireAuth, (req, res) => {
     try {
-      const { hostname, os, version } = req.body || {};
+      const { hostname, os, version, publicKey } = req.body || {};
 
       if (!hostname) {
         return res.status(400).json({ error: 'hostname is required' });
       }
 
+      if (publicKey !== undefined && !isE2EPublicKey(publicKey)) {
+        return res.status(400).json({ error: 'publicKey must be a base64 P-256 public key' });
+      }
+
       // Generate a unique 6-char code
       let code = generatePairingCode();
       let attempts = 0;
@@ -247,6 +267,8 @@ export function setupApiRoutes(app) {
         status: 'pending',   // pending | approved
         token: null,          // filled on approval
         agentId: null,        // filled on approval
+        publicKey: publicKey || null,  // agent e2e key (or sent with the first pair-status poll)
+        browserPublicKey: null,        // approving browser's e2e key
         expiresAt: Date.now() + PAIRING_TTL_MS,
       });
 
@@ -270,7 +292,7 @@ export function setupApiRoutes(app) {
       return res.status(429).json({ error: 'Too many requests' });
     }
 
-    const { code } = req.query;
+    const { code, publicKey, hostname, os, version } = req.query;
 
     if (!code) {
       return res.status(400).json({ error: 'code is required' });
@@ -288,12 +310,26 @@ export function setupApiRoutes(app) {
       return res.status(410).json({ error: 'Pairing code has expired' });
     }
 
+    // The polling agent fills in its own details once, before approval, so
+    // the pair page can show what is being approved
+    if (pairing.status === 'pending' && !pairing.agentReported) {
+      if (publicKey !== undefined && !isE2EPublicKey(publicKey)) {
+        return res.status(400).json({ error: 'publicKey must be a base64 P-256 public key' });
+      }
+      pairing.agentReported = true;
+      if (publicKey) pairing.publicKey = publicKey;
+      if (hostname) pairing.hostname = String(hostname).slice(0, 255);
+      if (os) pairing.os = String(os).slice(0, 32);
+      if (version) pairing.version = String(version).slice(0, 32);
+    }
+
     if (pairing.status === 'approved') {
       // Return the token and clean up
       const response = {
         status: 'approved',
         token: pairing.token,
         agentId: pairing.agentId,
+        browserPublicKey: pairing.browserPublicKey,
       };
       pendingPairings.delete(code);
       return res.json(response);
@@ -303,14 +339,31 @@ export function setupApiRoutes(app) {
     res.json({ status: 'pending' });
   });
 
+  // GET /api/agents/pair-info — What the pair page is about to approve
+  app.get('/api/agents/pair-info', requireAuth, (req, res) => {
+    const pairing = pendingPairings.get(req.query.code);
+    if (!pairing || Date.now() > pairing.expiresAt || pairing.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Pairing code not found or expired' });
+    }
+    res.json({
+      hostname: pairing.agentReported ? pairing.hostname : null,
+      os: pairing.os,
+      publicKey: pairing.publicKey,
+      status: pairing.status,
+    });
+  });
+
   // POST /api/agents/approve — Browser approves a pairing request
   app.post('/api/agents/approve', requireAuth, async (req, res) => {
     try {
-      const { code } = req.body || {};
+      const { code, browserPublicKey } = req.body || {};
 
       if (!code) {
         return res.status(400).json({ error: 'code is required' });
       }
+      if (browserPublicKey !== undefined && !isE2EPublicKey(browserPublicKey)) {
+        return res.status(400).json({ error: 'browserPublicKey must be a base64 P-256 public key' });
+      }
 
       const pairing = pendingPairings.get(code);
 
@@ -352,10 +405,11 @@ export function setupApiRoutes(app) {
       pairing.status = 'approved';
       pairing.token = token;
       pairing.agentId = agent.id;
+      pairing.browserPublicKey = browserPublicKey || null;
 
       console.log(`[api] Pairing approved: ${code} -> agent ${agent.id} for user ${req.user.id}`);
 
-      res.json({ ok: true, agentId: agent.id });
+      res.json({ ok: true, agentId: agent.id, publicKey: pairing.publicKey });
     } catch (err) {
       console.error('[api] Error approving pairing:', err);
       if (err.message?.includes('UNIQUE constraint')) {
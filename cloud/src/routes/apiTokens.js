@@ -0,0 +1,72 @@
+import { requireAuth } from '../auth/middleware.js';
+import { API_SCOPES, generateApiToken } from '../auth/apiTokens.js';
+import { createApiToken, getApiTokensByUser, deleteApiToken } from '../db/apiTokens.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const EXPIRY_DAYS = [30, 90, 365]; // or null: never
+const MAX_TOKENS = 50;
+
+function tokenJson(t) {
+  return {
+    id: t.id,
+    name: t.name,
+    prefix: t.prefix,
+    scopes: t.scopes,
+    expiresAt: t.expires_at,
+    lastUsedAt: t.last_used_at,
+    createdAt: t.created_at,
+  };
+}
+
+/**
+ * Set up personal API token management (Settings → API tokens).
+ * Tokens authenticate the public API (routes/publicApi.js).
+ */
+export function setupApiTokenRoutes(app) {
+
+  // GET /api/tokens — my tokens, and the scopes a token can have
+  app.get('/api/tokens', requireAuth, (req, res) => {
+    res.json({
+      tokens: getApiTokensByUser(req.user.id).map(tokenJson),
+      scopes: Object.entries(API_SCOPES).map(([name, description]) => ({ name, description })),
+    });
+  });
+
+  // POST /api/tokens — { name, scopes, expiresInDays } → the token, shown only now
+  app.post('/api/tokens', requireAuth, (req, res) => {
+    const { name, scopes, expiresInDays = null } = req.body || {};
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      return res.status(400).json({ error: 'name is required (max 100 characters)' });
+    }
+    // Own keys only: `in` would accept inherited names such as toString
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(s => typeof s === 'string' && Object.hasOwn(API_SCOPES, s))) {
+      return res.status(400).json({ error: `scopes must be a non-empty list of: ${Object.keys(API_SCOPES).join(', ')}` });
+    }
+    if (expiresInDays !== null && !EXPIRY_DAYS.includes(expiresInDays)) {
+      return res.status(400).json({ error: `expiresInDays must be one of: ${EXPIRY_DAYS.join(', ')} (or null)` });
+    }
+    if (getApiTokensByUser(req.user.id).length >= MAX_TOKENS) {
+      return res.status(400).json({ error: `You can have at most ${MAX_TOKENS} API tokens` });
+    }
+
+    const uniqueScopes = [...new Set(scopes)];
+    const { token, tokenHash, prefix } = generateApiToken();
+    const created = createApiToken(req.user.id, {
+      name: name.trim(),
+      tokenHash,
+      prefix,
+      scopes: uniqueScopes,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY).toISOString() : null,
+    });
+    console.log(`[api-tokens] ${req.user.id} created token ${prefix}… (${created.scopes.join(' ')})`);
+    res.json({ ...tokenJson(created), token });
+  });
+
+  // DELETE /api/tokens/:id — revoke a token
+  app.delete('/api/tokens/:id', requireAuth, (req, res) => {
+    if (!deleteApiToken(req.user.id, req.params.id)) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.json({ ok: true });
+  });
+}
@@ -0,0 +1,145 @@
+import { requireAuth } from '../auth/middleware.js';
+import {
+  CANVAS_ROLES, getCanvasMembers, getSharedCanvases, setMemberRole, removeMember,
+  createInvite, getCanvasInvites, deleteInvite, getInviteByToken, acceptInvite,
+} from '../db/canvasMembers.js';
+import { getCanvasAccess, roleAtLeast, sharingEnabled, applyMemberChange, displayName } from '../ws/canvas.js';
+
+/**
+ * Resolve which canvas a request acts on (X-Canvas header, default: the
+ * user's own) and require at least `minRole` on it. Sets req.canvasOwnerId
+ * and req.canvasRole.
+ */
+export function requireCanvas(minRole) {
+  return (req, res, next) => {
+    const ownerId = req.get('X-Canvas') || req.user.id;
+    const role = getCanvasAccess(ownerId, req.user.id);
+    if (!role) return res.status(403).json({ error: 'You do not have access to this canvas' });
+    if (!roleAtLeast(role, minRole)) {
+      return res.status(403).json({ error: `Your role on this canvas (${role}) does not allow this` });
+    }
+    req.canvasOwnerId = ownerId;
+    req.canvasRole = role;
+    next();
+  };
+}
+
+function memberJson(m) {
+  return {
+    userId: m.user_id,
+    role: m.role,
+    name: displayName(m),
+    avatarUrl: m.avatar_url || null,
+    joinedAt: m.created_at,
+  };
+}
+
+/**
+ * Set up shared canvas routes: members, roles and invite links.
+ * Members see the canvas live over /ws?canvas=<ownerId> (see ws/canvas.js).
+ */
+export function setupCanvasRoutes(app) {
+
+  // GET /api/canvas/shared — canvases other users have shared with me
+  app.get('/api/canvas/shared', requireAuth, (req, res) => {
+    const canvases = getSharedCanvases(req.user.id)
+      .filter(c => sharingEnabled(c.owner_id))
+      .map(c => ({
+        ownerId: c.owner_id,
+        ownerName: displayName(c),
+        avatarUrl: c.avatar_url || null,
+        role: c.role,
+      }));
+    res.json({ canvases });
+  });
+
+  // GET /api/canvas/members — members and pending invites of the current canvas
+  app.get('/api/canvas/members', requireAuth, requireCanvas('owner'), (req, res) => {
+    res.json({
+      sharingEnabled: sharingEnabled(req.canvasOwnerId),
+      members: getCanvasMembers(req.canvasOwnerId).map(memberJson),
+      invites: getCanvasInvites(req.canvasOwnerId).map(i => ({
+        id: i.id,
+        role: i.role,
+        expiresAt: i.expires_at,
+        createdAt: i.created_at,
+      })),
+    });
+  });
+
+  // POST /api/canvas/invites — create a one-time invite link
+  app.post('/api/canvas/invites', requireAuth, requireCanvas('owner'), (req, res) => {
+    const { role } = req.body || {};
+    if (!CANVAS_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${CANVAS_ROLES.join(', ')}` });
+    }
+    if (!sharingEnabled(req.canvasOwnerId)) {
+      return res.status(403).json({ error: 'Shared canvases are not included in this plan', reason: 'collaboration' });
+    }
+    const invite = createInvite(req.canvasOwnerId, role, req.user.id);
+    res.json({ ...invite, url: `/?join=${encodeURIComponent(invite.token)}` });
+  });
+
+  // DELETE /api/canvas/invites/:id — revoke an unused invite
+  app.delete('/api/canvas/invites/:id', requireAuth, requireCanvas('owner'), (req, res) => {
+    if (!deleteInvite(req.canvasOwnerId, req.params.id)) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    res.json({ ok: true });
+  });
+
+  // GET /api/canvas/invites/:token — preview an invite before accepting it
+  app.get('/api/canvas/invites/:token', requireAuth, (req, res) => {
+    const invite = getInviteByToken(req.params.token);
+    if (!invite) return res.status(404).json({ error: 'This invite link is invalid or has expired' });
+    res.json({
+      ownerId: invite.owner_id,
+      ownerName: displayName(invite),
+      avatarUrl: invite.avatar_url || null,
+      role: invite.role,
+      own: invite.owner_id === req.user.id,
+      expiresAt: invite.expires_at,
+    });
+  });
+
+  // POST /api/canvas/invites/:token/accept — join the canvas
+  app.post('/api/canvas/invites/:token/accept', requireAuth, (req, res) => {
+    const invite = getInviteByToken(req.params.token);
+    if (!invite) return res.status(404).json({ error: 'This invite link is invalid or has expired' });
+    if (invite.owner_id === req.user.id) return res.status(400).json({ error: 'This is an invite to your own canvas' });
+    if (!sharingEnabled(invite.owner_id)) {
+      return res.status(403).json({ error: 'The owner\'s plan no longer includes shared canvases' });
+    }
+    const joined = acceptInvite(req.params.token, req.user.id);
+    if (!joined) return res.status(404).json({ error: 'This invite link is invalid or has expired' });
+    console.log(`[canvas] ${req.user.id} joined ${joined.ownerId}'s canvas as ${joined.role}`);
+    applyMemberChange(joined.ownerId, req.user.id, joined.role);
+    res.json({ ownerId: joined.ownerId, role: joined.role });
+  });
+
+  // PATCH /api/canvas/members/:userId — change a member's role
+  app.patch('/api/canvas/members/:userId', requireAuth, requireCanvas('owner'), (req, res) => {
+    const { role } = req.body || {};
+    if (!CANVAS_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${CANVAS_ROLES.join(', ')}` });
+    }
+    if (!setMemberRole(req.canvasOwnerId, req.params.userId, role)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    applyMemberChange(req.canvasOwnerId, req.params.userId, role);
+    res.json({ ok: true });
+  });
+
+  // DELETE /api/canvas/members/:userId — remove a member (or leave, for yourself)
+  app.delete('/api/canvas/members/:userId', requireAuth, requireCanvas('viewer'), (req, res) => {
+    const leaving = req.params.userId === req.user.id;
+    if (!leaving && req.canvasRole !== 'owner') {
+      return res.status(403).json({ error: 'Only an owner can remove members' });
+    }
+    if (!removeMember(req.canvasOwnerId, req.params.userId)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    applyMemberChange(req.canvasOwnerId, req.params.userId, null);
+    res.json({ ok: true });
+  });
+}
@@ -1,13 +1,42 @@
 import { requireAuth } from '../auth/middleware.js';
-import { getLayoutsByUser, saveFullLayout, updatePaneLayout, deletePaneLayout, upsertPaneLayout } from '../db/layouts.js';
+import { getLayoutsByUser, getPaneIdsOutsideWorkspace, getPaneLayout, saveFullLayout, updatePaneLayout, deletePaneLayout, upsertPaneLayout } from '../db/layouts.js';
 import { getNotesByUser, getNoteById, upsertNote, deleteNote } from '../db/noteSync.js';
 import { getViewState, saveViewState } from '../db/viewState.js';
+import { createLayoutSnapshot, getLayoutSnapshots, getLayoutSnapshot } from '../db/layoutSnapshots.js';
 import { checkImageLimit } from '../billing/enforcement.js';
 import { upsertRecentContext, getRecentContexts, getRecentContextsMultiType } from '../db/recentContexts.js';
+import { requireCanvas } from './canvas.js';
+import { requireWorkspace } from './workspaces.js';
+import { broadcastToCanvas } from '../ws/canvas.js';
+
+const MAX_REASON_LENGTH = 100;
+
+function snapshotJson(s) {
+  return { id: s.id, reason: s.reason, paneCount: s.pane_count, createdAt: s.created_at };
+}
+
+function parseLayout(l) {
+  return { ...l, metadata: l.metadata ? JSON.parse(l.metadata) : null };
+}
+
+// Tell everyone else on the workspace (other tabs, members) about a layout change
+function broadcastLayout(req, type, payload) {
+  broadcastToCanvas(req.canvasOwnerId, { type, payload }, req.get('X-Client-Id'), req.workspaceId);
+}
+
+function broadcastPane(req, paneId) {
+  const layout = getPaneLayout(req.canvasOwnerId, paneId);
+  if (layout) broadcastLayout(req, 'layout:pane', parseLayout(layout));
+}
 
 /**
  * Set up layout persistence routes.
  * These are cloud-direct endpoints (NOT relayed through agents).
+ *
+ * Layouts and cloud notes belong to a canvas (X-Canvas, see routes/canvas.js)
+ * and changes are pushed to everyone on it. Layouts and view state are per
+ * workspace (X-Workspace, see routes/workspaces.js); view state and recent
+ * contexts stay personal.
  */
 export function setupLayoutRoutes(app) {
 
@@ -15,42 +44,45 @@ export function setupLayoutRoutes(app) {
   // LAYOUTS
   // =====================
 
-  // GET /api/layouts — load user's full canvas layout
-  app.get('/api/layouts', requireAuth, (req, res) => {
-    const layouts = getLayoutsByUser(req.user.id);
-    // Parse metadata JSON for each layout
-    const parsed = layouts.map(l => ({
-      ...l,
-      metadata: l.metadata ? JSON.parse(l.metadata) : null,
-    }));
-    res.json({ layouts: parsed });
+  // GET /api/layouts — load the workspace's full layout. otherPaneIds are
+  // panes in other workspaces, which agents still list.
+  app.get('/api/layouts', requireAuth, requireCanvas('viewer'), requireWorkspace, (req, res) => {
+    const layouts = getLayoutsByUser(req.canvasOwnerId, req.workspaceId);
+    res.json({
+      layouts: layouts.map(parseLayout),
+      otherPaneIds: getPaneIdsOutsideWorkspace(req.canvasOwnerId, req.workspaceId),
+    });
   });
 
-  // PUT /api/layouts — save full canvas state (replace all)
-  app.put('/api/layouts', requireAuth, (req, res) => {
+  // PUT /api/layouts — save full workspace state (replace all)
+  app.put('/api/layouts', requireAuth, requireCanvas('operator'), requireWorkspace, (req, res) => {
     const { panes } = req.body;
     if (!Array.isArray(panes)) {
       return res.status(400).json({ error: 'panes array is required' });
     }
-    saveFullLayout(req.user.id, panes);
+    saveFullLayout(req.canvasOwnerId, req.workspaceId, panes);
+    broadcastLayout(req, 'layout:reload', {});
     res.json({ ok: true, count: panes.length });
   });
 
   // PATCH /api/layouts/:paneId — update single pane position/size
-  app.patch('/api/layouts/:paneId', requireAuth, (req, res) => {
-    updatePaneLayout(req.user.id, req.params.paneId, req.body);
+  app.patch('/api/layouts/:paneId', requireAuth, requireCanvas('operator'), requireWorkspace, (req, res) => {
+    updatePaneLayout(req.canvasOwnerId, req.params.paneId, req.body);
+    broadcastPane(req, req.params.paneId);
     res.json({ ok: true });
   });
 
   // PUT /api/layouts/:paneId — upsert a single pane layout
-  app.put('/api/layouts/:paneId', requireAuth, (req, res) => {
-    upsertPaneLayout(req.user.id, { id: req.params.paneId, ...req.body });
+  app.put('/api/layouts/:paneId', requireAuth, requireCanvas('operator'), requireWorkspace, (req, res) => {
+    upsertPaneLayout(req.canvasOwnerId, req.workspaceId, { id: req.params.paneId, ...req.body });
+    broadcastPane(req, req.params.paneId);
     res.json({ ok: true });
   });
 
   // DELETE /api/layouts/:paneId — remove a pane from cloud layout
-  app.delete('/api/layouts/:paneId', requireAuth, (req, res) => {
-    deletePaneLayout(req.user.id, req.params.paneId);
+  app.delete('/api/layouts/:paneId', requireAuth, requireCanvas('operator'), requireWorkspace, (req, res) => {
+    deletePaneLayout(req.canvasOwnerId, req.params.paneId);
+    broadcastLayout(req, 'layout:removed', { paneId: req.params.paneId });
     res.json({ ok: true });
   });
 
@@ -59,56 +91,80 @@ export function setupLayoutRoutes(app) {
   // =====================
 
   // GET /api/cloud-notes — get all cloud-synced notes
-  app.get('/api/cloud-notes', requireAuth, (req, res) => {
-    const notes = getNotesByUser(req.user.id);
+  app.get('/api/cloud-notes', requireAuth, requireCanvas('viewer'), (req, res) => {
+    const notes = getNotesByUser(req.canvasOwnerId);
     res.json({ notes });
   });
 
   // GET /api/cloud-notes/:id — get a single note
-  app.get('/api/cloud-notes/:id', requireAuth, (req, res) => {
-    const note = getNoteById(req.user.id, req.params.id);
+  app.get('/api/cloud-notes/:id', requireAuth, requireCanvas('viewer'), (req, res) => {
+    const note = getNoteById(req.canvasOwnerId, req.params.id);
     if (!note) return res.status(404).json({ error: 'Note not found' });
     res.json(note);
   });
 
   // PUT /api/cloud-notes/:id — create or update note content
-  app.put('/api/cloud-notes/:id', requireAuth, (req, res) => {
+  app.put('/api/cloud-notes/:id', requireAuth, requireCanvas('operator'), (req, res) => {
     const { content, fontSize, images } = req.body;
     // Enforce image limit if images are being saved
     if (images && images.length > 0) {
       // Count how many new images are being added vs what this note already has
-      const existing = getNoteById(req.user.id, req.params.id);
+      const existing = getNoteById(req.canvasOwnerId, req.params.id);
       const existingCount = existing?.images?.length || 0;
       const newCount = images.length - existingCount;
       if (newCount > 0) {
-        const blocked = checkImageLimit(req.user.id, newCount);
+        const blocked = checkImageLimit(req.canvasOwnerId, newCount);
         if (blocked) return res.status(403).json(blocked);
       }
     }
-    upsertNote(req.user.id, req.params.id, content, fontSize, images);
+    upsertNote(req.canvasOwnerId, req.params.id, content, fontSize, images);
     res.json({ ok: true });
   });
 
   // DELETE /api/cloud-notes/:id — delete a note from cloud
-  app.delete('/api/cloud-notes/:id', requireAuth, (req, res) => {
-    deleteNote(req.user.id, req.params.id);
+  app.delete('/api/cloud-notes/:id', requireAuth, requireCanvas('operator'), (req, res) => {
+    deleteNote(req.canvasOwnerId, req.params.id);
     res.json({ ok: true });
   });
 
+  // =====================
+  // LAYOUT SNAPSHOTS
+  // =====================
+
+  // GET /api/layout-snapshots — the workspace's layout history, newest first
+  app.get('/api/layout-snapshots', requireAuth, requireCanvas('viewer'), requireWorkspace, (req, res) => {
+    res.json({ snapshots: getLayoutSnapshots(req.canvasOwnerId, req.workspaceId).map(snapshotJson) });
+  });
+
+  // POST /api/layout-snapshots — { reason? }. Snapshots the saved layout;
+  // { snapshot: null } when it has not changed since the latest one.
+  app.post('/api/layout-snapshots', requireAuth, requireCanvas('operator'), requireWorkspace, (req, res) => {
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.slice(0, MAX_REASON_LENGTH) : null;
+    const snapshot = createLayoutSnapshot(req.canvasOwnerId, req.workspaceId, reason);
+    res.json({ snapshot: snapshot ? snapshotJson(snapshot) : null });
+  });
+
+  // GET /api/layout-snapshots/:id — one snapshot with its layouts, projects and notes
+  app.get('/api/layout-snapshots/:id', requireAuth, requireCanvas('viewer'), requireWorkspace, (req, res) => {
+    const snapshot = getLayoutSnapshot(req.canvasOwnerId, req.workspaceId, req.params.id);
+    if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+    res.json({ ...snapshotJson(snapshot), ...snapshot.data });
+  });
+
   // =====================
   // VIEW STATE
   // =====================
 
-  // GET /api/view-state — get saved zoom/pan
-  app.get('/api/view-state', requireAuth, (req, res) => {
-    const viewState = getViewState(req.user.id);
+  // GET /api/view-state — get my saved zoom/pan in the workspace
+  app.get('/api/view-state', requireAuth, requireCanvas('viewer'), requireWorkspace, (req, res) => {
+    const viewState = getViewState(req.user.id, req.workspaceId);
     res.json(viewState || { zoom: 1.0, pan_x: 0, pan_y: 0 });
   });
 
   // PUT /api/view-state — save zoom/pan
-  app.put('/api/view-state', requireAuth, (req, res) => {
+  app.put('/api/view-state', requireAuth, requireCanvas('viewer'), requireWorkspace, (req, res) => {
     const { zoom, panX, panY } = req.body;
-    saveViewState(req.user.id, zoom, panX, panY);
+    saveViewState(req.user.id, req.workspaceId, zoom, panX, panY);
     res.json({ ok: true });
   });
 
@@ -0,0 +1,290 @@
+import express from 'express';
+import { requireApiToken } from '../auth/apiTokens.js';
+import { getAgentsByUser } from '../db/agents.js';
+import { getLayoutsByUser, getPaneLayout, upsertPaneLayout, deletePaneLayout } from '../db/layouts.js';
+import { getWorkspacesByUser, resolveWorkspace } from '../db/workspaces.js';
+import { check as enforcementCheck } from '../billing/enforcement.js';
+import { recordEvent } from '../db/events.js';
+import { broadcastToCanvas } from '../ws/canvas.js';
+import { getOnlineAgent, getUserAgents, requestAgent } from '../ws/agentRequests.js';
+
+// Sizes new panes get on the canvas (mirrors PANE_DEFAULTS in the client)
+const PANE_SIZES = {
+  terminal: { width: 600, height: 400 },
+  file: { width: 600, height: 400 },
+  note: { width: 400, height: 250 },
+  'git-graph': { width: 500, height: 450 },
+};
+const PANE_GAP = 40;
+
+function agentJson(agent, userId) {
+  const online = getOnlineAgent(userId, agent.id);
+  return {
+    id: agent.id,
+    hostname: agent.hostname,
+    displayName: agent.display_name || null,
+    os: online?.os || agent.os || null,
+    version: online?.version || agent.version || null,
+    online: !!online,
+    encrypted: !!online?.e2e,
+    lastSeenAt: agent.last_seen_at,
+  };
+}
+
+/**
+ * Resolve :agent (id, hostname or display name) to one of the user's
+ * machines, online and not end-to-end encrypted. Sets req.agent.
+ */
+function resolveAgent(req, res, next) {
+  const name = req.params.agent.toLowerCase();
+  const agents = getAgentsByUser(req.user.id);
+  const agent = agents.find(a => a.id === req.params.agent)
+    || agents.find(a => a.hostname.toLowerCase() === name)
+    || agents.find(a => a.display_name?.toLowerCase() === name);
+  if (!agent) return res.status(404).json({ error: `No machine named ${req.params.agent}` });
+
+  const online = getOnlineAgent(req.user.id, agent.id);
+  if (!online) return res.status(409).json({ error: `${agent.display_name || agent.hostname} is offline` });
+  // The relay cannot read or make requests for end-to-end encrypted agents
+  if (online.e2e) {
+    return res.status(409).json({ error: `${agent.display_name || agent.hostname} uses end-to-end encryption and cannot be driven through the API` });
+  }
+  req.agent = agent;
+  next();
+}
+
+/** Route handler wrapper: a thrown error or rejection goes to next(err) (JSON 500 below). */
+function asyncHandler(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+/** Make an agent request; send its error as the response and return null on failure. */
+async function agentCall(req, res, method, path, body) {
+  const { status, body: result } = await requestAgent(req.user.id, req.agent.id, method, path, body);
+  if (status >= 400) {
+    res.status(status).json({ error: result?.error || `Machine responded with ${status}` });
+    return null;
+  }
+  return result;
+}
+
+/** The workspace new panes go to: X-Workspace (id or name), else the default. */
+function workspaceOf(req) {
+  if (!req.workspaceId) {
+    const requested = req.get('X-Workspace');
+    const byName = requested && getWorkspacesByUser(req.user.id).find(w => w.name.toLowerCase() === requested.toLowerCase());
+    req.workspaceId = byName?.id || resolveWorkspace(req.user.id, requested).id;
+  }
+  return req.workspaceId;
+}
+
+/** Place a new pane to the right of everything in the workspace. */
+function nextPanePosition(req) {
+  const layouts = getLayoutsByUser(req.user.id, workspaceOf(req));
+  if (layouts.length === 0) return { x: 0, y: 0 };
+  const right = Math.max(...layouts.map(l => l.position_x + l.width));
+  const top = Math.min(...layouts.map(l => l.position_y));
+  return { x: right + PANE_GAP, y: top };
+}
+
+/**
+ * Check plan limits for creating a pane via `path` (as the relay does for
+ * browsers); sends 403 and returns false if over the limit.
+ */
+function withinLimits(req, res, path) {
+  const blocked = enforcementCheck(req.user.id, { type: 'request', payload: { method: 'POST', path } }, getUserAgents(), workspaceOf(req));
+  if (blocked) {
+    res.status(403).json({ error: blocked.message, feature: blocked.feature });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Save a pane the agent just created to the canvas layout and show it to
+ * every open page (they load it from the agent, as for a teammate's pane).
+ */
+function addPaneToCanvas(req, paneType, created, metadata) {
+  const position = created.position || nextPanePosition(req);
+  const size = created.size || PANE_SIZES[paneType];
+  const zIndex = Math.max(0, ...getLayoutsByUser(req.user.id, workspaceOf(req)).map(l => l.z_index || 0)) + 1;
+  upsertPaneLayout(req.user.id, workspaceOf(req), {
+    id: created.id,
+    agentId: req.agent.id,
+    paneType,
+    positionX: position.x,
+    positionY: position.y,
+    width: size.width,
+    height: size.height,
+    zIndex,
+    metadata,
+  });
+  const layout = getPaneLayout(req.user.id, created.id);
+  broadcastToCanvas(req.user.id, {
+    type: 'layout:pane',
+    payload: { ...layout, metadata: layout.metadata ? JSON.parse(layout.metadata) : null },
+  }, null, layout.workspace_id);
+  recordEvent('api.pane_create', req.user.id, { agentId: req.agent.id, paneType });
+}
+
+function removePaneFromCanvas(req, paneId) {
+  deletePaneLayout(req.user.id, paneId);
+  broadcastToCanvas(req.user.id, { type: 'layout:removed', payload: { paneId } });
+}
+
+function terminalJson(terminal, states) {
+  const claude = states?.[terminal.id];
+  return {
+    id: terminal.id,
+    workingDir: terminal.workingDir,
+    device: terminal.device || null,
+    recording: !!terminal.recording,
+    claude: claude?.isClaude ? { state: claude.state || null, cwd: claude.cwd || null } : null,
+  };
+}
+
+/**
+ * Set up the public REST API (/api/v1) for scripts and CI, authenticated
+ * with personal API tokens (auth/apiTokens.js) rather than cookies.
+ * Requests are proxied to the named machine over its relay connection
+ * (ws/agentRequests.js); panes created here appear live on open canvases.
+ *
+ * Mounted before the global express.json() with its own body limit.
+ */
+export function setupPublicApiRoutes(app) {
+  const router = express.Router();
+  router.use(express.json({ limit: '1mb' }));
+
+  // GET /api/v1/agents — my machines
+  router.get('/agents', requireApiToken('agents:read'), (req, res) => {
+    res.json({ agents: getAgentsByUser(req.user.id).map(a => agentJson(a, req.user.id)) });
+  });
+
+  // GET /api/v1/agents/:agent/terminals — terminals with their Claude state
+  router.get('/agents/:agent/terminals', requireApiToken('terminals:read'), resolveAgent, asyncHandler(async (req, res) => {
+    const terminals = await agentCall(req, res, 'GET', '/api/terminals');
+    if (!terminals) return;
+    const states = getOnlineAgent(req.user.id, req.agent.id)?.claudeStates;
+    res.json({ terminals: terminals.map(t => terminalJson(t, states)) });
+  }));
+
+  // GET /api/v1/agents/:agent/terminals/:id — one terminal (poll its claude.state)
+  router.get('/agents/:agent/terminals/:id', requireApiToken('terminals:read'), resolveAgent, asyncHandler(async (req, res) => {
+    const terminals = await agentCall(req, res, 'GET', '/api/terminals');
+    if (!terminals) return;
+    const terminal = terminals.find(t => t.id === req.params.id);
+    if (!terminal) return res.status(404).json({ error: 'Terminal not found' });
+    res.json(terminalJson(terminal, getOnlineAgent(req.user.id, req.agent.id)?.claudeStates));
+  }));
+
+  // GET /api/v1/agents/:agent/terminals/:id/screen?lines=40 — visible text
+  router.get('/agents/:agent/terminals/:id/screen', requireApiToken('terminals:read'), resolveAgent, asyncHandler(async (req, res) => {
+    const lines = parseInt(req.query.lines, 10) || 40;
+    const screen = await agentCall(req, res, 'GET', `/api/terminals/${encodeURIComponent(req.params.id)}/screen?lines=${lines}`);
+    if (screen) res.json(screen);
+  }));
+
+  // GET /api/v1/agents/:agent/states — Claude state of every terminal
+  router.get('/agents/:agent/states', requireApiToken('terminals:read'), resolveAgent, asyncHandler(async (req, res) => {
+    const states = getOnlineAgent(req.user.id, req.agent.id)?.claudeStates
+      || await agentCall(req, res, 'GET', '/api/terminals/states');
+    if (states) res.json({ states });
+  }));
+
+  // POST /api/v1/agents/:agent/terminals — { workingDir?, command? }
+  router.post('/agents/:agent/terminals', requireApiToken('terminals:write'), resolveAgent, asyncHandler(async (req, res) => {
+    const { workingDir = '~', command = null } = req.body || {};
+    if (typeof workingDir !== 'string' || (command !== null && typeof command !== 'string')) {
+      return res.status(400).json({ error: 'workingDir and command must be strings' });
+    }
+    if (!withinLimits(req, res, '/api/terminals')) return;
+    const terminal = await agentCall(req, res, 'POST', '/api/terminals', {
+      workingDir,
+      command,
+      position: nextPanePosition(req),
+      size: PANE_SIZES.terminal,
+    });
+    if (!terminal) return;
+    addPaneToCanvas(req, 'terminal', terminal, { workingDir, ...(terminal.device ? { device: terminal.device } : {}) });
+    res.status(201).json(terminalJson(terminal, null));
+  }));
+
+  // POST /api/v1/agents/:agent/terminals/:id/input — { text?, key?, enter? }
+  router.post('/agents/:agent/terminals/:id/input', requireApiToken('terminals:write'), resolveAgent, asyncHandler(async (req, res) => {
+    const { text, key, enter = false } = req.body || {};
+    if ((text !== undefined && typeof text !== 'string') || (key !== undefined && typeof key !== 'string')) {
+      return res.status(400).json({ error: 'text and key must be strings' });
+    }
+    const result = await agentCall(req, res, 'POST', `/api/terminals/${encodeURIComponent(req.params.id)}/input`, { text, key, enter: !!enter });
+    if (result) res.json({ ok: true });
+  }));
+
+  // DELETE /api/v1/agents/:agent/terminals/:id — close a terminal and remove its pane
+  router.delete('/agents/:agent/terminals/:id', requireApiToken('terminals:write'), resolveAgent, asyncHandler(async (req, res) => {
+    const result = await agentCall(req, res, 'DELETE', `/api/terminals/${encodeURIComponent(req.params.id)}`);
+    if (!result) return;
+    removePaneFromCanvas(req, req.params.id);
+    res.json({ ok: true });
+  }));
+
+  // POST /api/v1/agents/:agent/notes — { content? }
+  router.post('/agents/:agent/notes', requireApiToken('panes:write'), resolveAgent, asyncHandler(async (req, res) => {
+    const { content = '' } = req.body || {};
+    if (typeof content !== 'string') return res.status(400).json({ error: 'content must be a string' });
+    if (!withinLimits(req, res, '/api/notes')) return;
+    const note = await agentCall(req, res, 'POST', '/api/notes', {
+      position: nextPanePosition(req),
+      size: PANE_SIZES.note,
+    });
+    if (!note) return;
+    if (content && !await agentCall(req, res, 'PATCH', `/api/notes/${encodeURIComponent(note.id)}`, { content })) return;
+    addPaneToCanvas(req, 'note', note, null);
+    res.status(201).json({ id: note.id });
+  }));
+
+  // POST /api/v1/agents/:agent/file-panes — { filePath }
+  router.post('/agents/:agent/file-panes', requireApiToken('panes:write'), resolveAgent, asyncHandler(async (req, res) => {
+    const { filePath } = req.body || {};
+    if (typeof filePath !== 'string' || !filePath) return res.status(400).json({ error: 'filePath is required' });
+    if (!withinLimits(req, res, '/api/file-panes')) return;
+    const filePane = await agentCall(req, res, 'POST', '/api/file-panes', {
+      filePath,
+      position: nextPanePosition(req),
+      size: PANE_SIZES.file,
+    });
+    if (!filePane) return;
+    addPaneToCanvas(req, 'file', filePane, { filePath: filePane.filePath, fileName: filePane.fileName, device: filePane.device });
+    res.status(201).json({ id: filePane.id, fileName: filePane.fileName, filePath: filePane.filePath });
+  }));
+
+  // POST /api/v1/agents/:agent/git-graphs — { repoPath }
+  router.post('/agents/:agent/git-graphs', requireApiToken('panes:write'), resolveAgent, asyncHandler(async (req, res) => {
+    const { repoPath } = req.body || {};
+    if (typeof repoPath !== 'string' || !repoPath) return res.status(400).json({ error: 'repoPath is required' });
+    if (!withinLimits(req, res, '/api/git-graphs')) return;
+    const gitGraph = await agentCall(req, res, 'POST', '/api/git-graphs', {
+      repoPath,
+      position: nextPanePosition(req),
+      size: PANE_SIZES['git-graph'],
+    });
+    if (!gitGraph) return;
+    addPaneToCanvas(req, 'git-graph', gitGraph, { repoPath: gitGraph.repoPath, repoName: gitGraph.repoName, device: gitGraph.device });
+    res.status(201).json({ id: gitGraph.id, repoPath: gitGraph.repoPath });
+  }));
+
+  // Unknown /api/v1 routes answer JSON, not the SPA redirect
+  router.use((req, res) => res.status(404).json({ error: 'Not found' }));
+
+  // Errors answer JSON too: client errors (a malformed body) as they are,
+  // anything else as a 500 without internals
+  router.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    if (err.status >= 400 && err.status < 500) {
+      return res.status(err.status).json({ error: err.expose ? err.message : 'Bad request' });
+    }
+    console.error(`[api] ${req.method} ${req.originalUrl} failed:`, err);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  app.use('/api/v1', router);
+}
@@ -0,0 +1,126 @@
+import { createECDH } from 'crypto';
+import { requireAuth } from '../auth/middleware.js';
+import {
+  getPushSubscriptionsByUser, getPushSubscriptionByEndpoint, upsertPushSubscription, deletePushSubscription,
+} from '../db/push.js';
+import { getVapidKeys } from '../notifications/webPush.js';
+import { checkTargetHost } from '../notifications/outbound.js';
+import { snoozeAlert, sendToSubscription } from '../notifications/push.js';
+
+const MAX_SUBSCRIPTIONS = 20;
+
+function subscriptionJson(s) {
+  return {
+    id: s.id,
+    endpoint: s.endpoint,
+    deviceName: s.device_name,
+    lastUsedAt: s.last_used_at,
+    createdAt: s.created_at,
+  };
+}
+
+/** Checks a PushSubscription.toJSON() from the browser. */
+function parseSubscription(subscription) {
+  const { endpoint, keys } = subscription || {};
+  let url;
+  try { url = new URL(endpoint); } catch { return null; }
+  if (url.protocol !== 'https:' || endpoint.length > 1000) return null;
+  if (typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string') return null;
+  const p256dh = Buffer.from(keys.p256dh, 'base64url');
+  const auth = Buffer.from(keys.auth, 'base64url');
+  if (p256dh.length !== 65 || p256dh[0] !== 4 || auth.length !== 16) return null;
+  // The key must be a point on P-256, or every push to it fails
+  try {
+    const ecdh = createECDH('prime256v1');
+    ecdh.generateKeys();
+    ecdh.computeSecret(p256dh);
+  } catch {
+    return null;
+  }
+  return { endpoint, p256dh: keys.p256dh, auth: keys.auth };
+}
+
+/**
+ * Set up Web Push subscription routes (Settings → Push notifications) and
+ * the snooze endpoint the service worker calls.
+ */
+export function setupPushRoutes(app) {
+
+  // GET /api/push — the VAPID public key to subscribe with, and my devices
+  app.get('/api/push', requireAuth, (req, res) => {
+    res.json({
+      publicKey: getVapidKeys().publicKey,
+      subscriptions: getPushSubscriptionsByUser(req.user.id).map(subscriptionJson),
+    });
+  });
+
+  // POST /api/push/subscriptions — { subscription, deviceName } from this browser
+  // The endpoint's host is checked like a webhook URL (notifications/outbound.js)
+  app.post('/api/push/subscriptions', requireAuth, async (req, res) => {
+    try {
+      const parsed = parseSubscription(req.body?.subscription);
+      if (!parsed) return res.status(400).json({ error: 'Invalid push subscription' });
+      const deviceName = typeof req.body.deviceName === 'string' ? req.body.deviceName.slice(0, 100) : null;
+
+      const existing = getPushSubscriptionsByUser(req.user.id);
+      if (existing.length >= MAX_SUBSCRIPTIONS && !existing.some(s => s.endpoint === parsed.endpoint)) {
+        return res.status(400).json({ error: `You can have at most ${MAX_SUBSCRIPTIONS} devices with push notifications` });
+      }
+      const hostError = await checkTargetHost(new URL(parsed.endpoint));
+      if (hostError) return res.status(400).json({ error: `Push endpoint ${hostError}` });
+      res.json(subscriptionJson(upsertPushSubscription(req.user.id, { ...parsed, deviceName })));
+    } catch (err) {
+      console.error('[push] Subscribe failed:', err);
+      res.status(500).json({ error: 'Failed to save push subscription' });
+    }
+  });
+
+  // DELETE /api/push/subscriptions/:id — stop pushing to a device
+  app.delete('/api/push/subscriptions/:id', requireAuth, (req, res) => {
+    if (!deletePushSubscription(req.user.id, req.params.id)) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    res.json({ ok: true });
+  });
+
+  // POST /api/push/subscriptions/:id/test — send a test notification
+  app.post('/api/push/subscriptions/:id/test', requireAuth, async (req, res) => {
+    try {
+      const sub = getPushSubscriptionsByUser(req.user.id).find(s => s.id === req.params.id);
+      if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+      const result = await sendToSubscription(sub, {
+        type: 'test',
+        title: '49Agents',
+        body: 'Push notifications are working on this device.',
+        tag: 'push-test',
+        url: '/',
+      });
+      if (!result.ok) {
+        return res.status(502).json({ error: result.gone ? 'The push service no longer knows this device' : 'The push service rejected the notification' });
+      }
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('[push] Test notification failed:', err);
+      res.status(500).json({ error: 'Failed to send test notification' });
+    }
+  });
+
+  // POST /api/push/snooze — { endpoint, agentId, terminalId, token? } from
+  // the service worker's Snooze action. Each notification carries a token
+  // for its alert, so snoozing works even when the session cookie has
+  // expired; without one the request needs a session.
+  app.post('/api/push/snooze', (req, res) => {
+    const { endpoint, agentId, terminalId, token } = req.body || {};
+    if (typeof agentId !== 'string' || typeof terminalId !== 'string') {
+      return res.status(400).json({ error: 'agentId and terminalId are required' });
+    }
+    if (typeof token !== 'string') {
+      return requireAuth(req, res, () => {
+        res.json({ snoozed: snoozeAlert(req.user.id, agentId, terminalId) });
+      });
+    }
+    const sub = typeof endpoint === 'string' ? getPushSubscriptionByEndpoint(endpoint) : null;
+    if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+    res.json({ snoozed: snoozeAlert(sub.user_id, agentId, terminalId, { token }) });
+  });
+}
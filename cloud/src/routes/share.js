@@ -0,0 +1,113 @@
+import express from 'express';
+import { requireAuth } from '../auth/middleware.js';
+import { getAgentById } from '../db/agents.js';
+import { getUserById } from '../db/users.js';
+import { createShareLink, getShareLinksByUser, revokeShareLink } from '../db/shareLinks.js';
+import { requireCanvas } from './canvas.js';
+import { displayName } from '../ws/canvas.js';
+import { signShareToken, resolveShareToken, isAgentEncrypted, closeShareViewers } from '../ws/share.js';
+
+const HOUR = 60 * 60 * 1000;
+const EXPIRY_CHOICES = { '1h': HOUR, '24h': 24 * HOUR, '7d': 7 * 24 * HOUR, '30d': 30 * 24 * HOUR };
+const PANE_TYPES = ['terminal', 'note', 'file'];
+const MAX_SNAPSHOT_CHARS = 512 * 1024;
+
+async function shareUrl(link) {
+  return `/share/${await signShareToken(link)}`;
+}
+
+/**
+ * Set up share link routes: owners mint and revoke read-only links to one
+ * pane; anyone holding a link can open /share/<token> (see ws/share.js).
+ *
+ * Registered before the global express.json() so note and file snapshots
+ * can exceed its 16kb limit.
+ */
+export function setupShareRoutes(app, { publicDir }) {
+
+  // POST /api/share-links — create a link to a terminal, or a snapshot of a note/file pane
+  app.post('/api/share-links', express.json({ limit: '1mb' }), requireAuth, requireCanvas('owner'), async (req, res) => {
+    const { agentId, paneId, paneType, title, expiresIn = '24h', snapshot } = req.body || {};
+    if (!PANE_TYPES.includes(paneType)) {
+      return res.status(400).json({ error: `paneType must be one of: ${PANE_TYPES.join(', ')}` });
+    }
+    if (typeof paneId !== 'string' || !paneId) {
+      return res.status(400).json({ error: 'paneId is required' });
+    }
+    if (!EXPIRY_CHOICES[expiresIn]) {
+      return res.status(400).json({ error: `expiresIn must be one of: ${Object.keys(EXPIRY_CHOICES).join(', ')}` });
+    }
+
+    const agent = agentId ? getAgentById(agentId) : null;
+    if (paneType === 'terminal') {
+      if (!agent || agent.user_id !== req.canvasOwnerId) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+      if (isAgentEncrypted(req.canvasOwnerId, agentId)) {
+        return res.status(400).json({ error: 'This terminal is end-to-end encrypted and cannot be shared' });
+      }
+    } else if (typeof snapshot?.content !== 'string' || snapshot.content.length > MAX_SNAPSHOT_CHARS) {
+      return res.status(400).json({ error: 'snapshot.content is required (max 512KB)' });
+    }
+
+    const link = createShareLink(req.canvasOwnerId, {
+      agentId: agent && agent.user_id === req.canvasOwnerId ? agentId : null,
+      paneId,
+      paneType,
+      title: typeof title === 'string' ? title.slice(0, 200) : null,
+      snapshot: paneType === 'terminal' ? null : {
+        content: snapshot.content,
+        fileName: typeof snapshot.fileName === 'string' ? snapshot.fileName.slice(0, 500) : null,
+        language: typeof snapshot.language === 'string' ? snapshot.language.slice(0, 50) : null,
+      },
+      expiresAt: new Date(Date.now() + EXPIRY_CHOICES[expiresIn]).toISOString(),
+    });
+    console.log(`[share] ${req.user.id} shared ${paneType} ${paneId.slice(0, 8)} until ${link.expires_at}`);
+    res.json({ id: link.id, url: await shareUrl(link), expiresAt: link.expires_at });
+  });
+
+  // GET /api/share-links — my active share links
+  app.get('/api/share-links', requireAuth, requireCanvas('owner'), async (req, res) => {
+    const links = await Promise.all(getShareLinksByUser(req.canvasOwnerId).map(async l => ({
+      id: l.id,
+      agentId: l.agent_id,
+      paneId: l.pane_id,
+      paneType: l.pane_type,
+      title: l.title,
+      url: await shareUrl(l),
+      expiresAt: l.expires_at,
+      viewCount: l.view_count,
+      lastViewedAt: l.last_viewed_at,
+      createdAt: l.created_at,
+    })));
+    res.json({ links });
+  });
+
+  // DELETE /api/share-links/:id — revoke a link and disconnect its viewers
+  app.delete('/api/share-links/:id', requireAuth, requireCanvas('owner'), (req, res) => {
+    if (!revokeShareLink(req.canvasOwnerId, req.params.id)) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+    closeShareViewers(req.canvasOwnerId, req.params.id);
+    res.json({ ok: true });
+  });
+
+  // GET /api/share/:token — what a link shows (public)
+  app.get('/api/share/:token', async (req, res) => {
+    const link = await resolveShareToken(req.params.token);
+    if (!link) return res.status(404).json({ error: 'This share link is invalid, expired or revoked' });
+    const owner = getUserById(link.user_id);
+    res.json({
+      title: link.title,
+      paneType: link.pane_type,
+      expiresAt: link.expires_at,
+      ownerName: owner ? displayName(owner) : null,
+      snapshot: link.snapshot ? JSON.parse(link.snapshot) : null,
+    });
+  });
+
+  // GET /share/:token — the read-only viewer page (public)
+  app.get('/share/:token', (req, res) => {
+    res.sendFile('share.html', { root: publicDir });
+  });
+}
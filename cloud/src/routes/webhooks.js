@@ -0,0 +1,178 @@
+import { requireAuth } from '../auth/middleware.js';
+import {
+  getWebhooksByUser, getWebhook, createWebhook, updateWebhook, deleteWebhook,
+  getDelivery, getDeliveries,
+} from '../db/webhooks.js';
+import {
+  WEBHOOK_FORMATS, WEBHOOK_STATES, validateWebhookUrl, checkWebhookTarget, sendTestEvent, redeliver,
+} from '../notifications/webhooks.js';
+
+const MAX_WEBHOOKS = 20;
+const MAX_FILTER_ITEMS = 50;
+
+/** The secret is only in the response that created the webhook; after that, a hint. */
+function webhookJson(w, { withSecret = false } = {}) {
+  return {
+    id: w.id,
+    name: w.name,
+    url: w.url,
+    format: w.format,
+    ...(withSecret ? { secret: w.secret } : { secretHint: `${w.secret.slice(0, 10)}…` }),
+    filters: w.filters,
+    enabled: w.enabled,
+    createdAt: w.created_at,
+  };
+}
+
+function deliveryJson(d) {
+  return {
+    id: d.id,
+    event: d.event,
+    status: d.status,
+    attempts: d.attempts,
+    responseStatus: d.response_status,
+    error: d.error,
+    nextAttemptAt: d.status === 'pending' ? d.next_attempt_at : null,
+    createdAt: d.created_at,
+    updatedAt: d.updated_at,
+  };
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.length <= MAX_FILTER_ITEMS
+    && value.every(v => typeof v === 'string' && v.length > 0 && v.length <= 200);
+}
+
+/**
+ * Validate a webhook body. With `partial`, only the fields present are
+ * checked. Returns { error } or { values }.
+ */
+function parseWebhookBody(body = {}, { partial = false } = {}) {
+  const values = {};
+  const { name, url, format, filters, enabled } = body;
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      return { error: 'name is required (max 100 characters)' };
+    }
+    values.name = name.trim();
+  }
+  if (url !== undefined || !partial) {
+    const urlError = typeof url === 'string' && url.length <= 2000 ? validateWebhookUrl(url) : 'url is required';
+    if (urlError) return { error: urlError };
+    values.url = url;
+  }
+  if (format !== undefined || !partial) {
+    if (!WEBHOOK_FORMATS.includes(format)) {
+      return { error: `format must be one of: ${WEBHOOK_FORMATS.join(', ')}` };
+    }
+    values.format = format;
+  }
+  if (filters !== undefined) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      return { error: 'filters must be an object' };
+    }
+    const { agents = [], projects = [], states = [] } = filters;
+    if (!isStringList(agents) || !isStringList(projects)) {
+      return { error: 'filters.agents and filters.projects must be lists of strings' };
+    }
+    if (!Array.isArray(states) || !states.every(s => WEBHOOK_STATES.includes(s))) {
+      return { error: `filters.states must be a list of: ${WEBHOOK_STATES.join(', ')}` };
+    }
+    values.filters = { agents, projects: projects.map(p => p.trim()).filter(Boolean), states: [...new Set(states)] };
+  }
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    values.enabled = enabled;
+  }
+  return { values };
+}
+
+/**
+ * Set up outgoing webhook management (Settings → Webhooks).
+ * Deliveries are made by notifications/webhooks.js.
+ */
+export function setupWebhookRoutes(app) {
+
+  // GET /api/webhooks — my webhooks, and the formats and states they can use
+  app.get('/api/webhooks', requireAuth, (req, res) => {
+    res.json({
+      webhooks: getWebhooksByUser(req.user.id).map(webhookJson),
+      formats: WEBHOOK_FORMATS,
+      states: WEBHOOK_STATES,
+    });
+  });
+
+  // POST /api/webhooks — { name, url, format, filters?, enabled? }
+  // The response is the only one that includes the webhook's secret.
+  app.post('/api/webhooks', requireAuth, async (req, res) => {
+    try {
+      const { error, values } = parseWebhookBody(req.body);
+      if (error) return res.status(400).json({ error });
+      if (getWebhooksByUser(req.user.id).length >= MAX_WEBHOOKS) {
+        return res.status(400).json({ error: `You can have at most ${MAX_WEBHOOKS} webhooks` });
+      }
+      const targetError = await checkWebhookTarget(values.url);
+      if (targetError) return res.status(400).json({ error: targetError });
+
+      const created = createWebhook(req.user.id, values);
+      console.log(`[webhooks] ${req.user.id} created webhook ${created.id} (${created.format})`);
+      res.json(webhookJson(created, { withSecret: true }));
+    } catch (err) {
+      console.error('[webhooks] Create failed:', err);
+      res.status(500).json({ error: 'Failed to create webhook' });
+    }
+  });
+
+  // PATCH /api/webhooks/:id — change any of name, url, format, filters, enabled
+  app.patch('/api/webhooks/:id', requireAuth, async (req, res) => {
+    try {
+      if (!getWebhook(req.user.id, req.params.id)) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      const { error, values } = parseWebhookBody(req.body, { partial: true });
+      if (error) return res.status(400).json({ error });
+      if (values.url !== undefined) {
+        const targetError = await checkWebhookTarget(values.url);
+        if (targetError) return res.status(400).json({ error: targetError });
+      }
+      res.json(webhookJson(updateWebhook(req.user.id, req.params.id, values)));
+    } catch (err) {
+      console.error('[webhooks] Update failed:', err);
+      res.status(500).json({ error: 'Failed to update webhook' });
+    }
+  });
+
+  // DELETE /api/webhooks/:id — remove a webhook and its delivery log
+  app.delete('/api/webhooks/:id', requireAuth, (req, res) => {
+    if (!deleteWebhook(req.user.id, req.params.id)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ ok: true });
+  });
+
+  // POST /api/webhooks/:id/test — send a sample event, ignoring filters
+  app.post('/api/webhooks/:id/test', requireAuth, (req, res) => {
+    const webhook = getWebhook(req.user.id, req.params.id);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+    res.json(deliveryJson(sendTestEvent(webhook)));
+  });
+
+  // GET /api/webhooks/:id/deliveries — the delivery log, newest first
+  app.get('/api/webhooks/:id/deliveries', requireAuth, (req, res) => {
+    if (!getWebhook(req.user.id, req.params.id)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ deliveries: getDeliveries(req.params.id).map(deliveryJson) });
+  });
+
+  // POST /api/webhooks/:id/deliveries/:deliveryId/redeliver — send it again now
+  app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', requireAuth, (req, res) => {
+    const delivery = getWebhook(req.user.id, req.params.id) && getDelivery(req.params.deliveryId);
+    if (!delivery || delivery.webhook_id !== req.params.id) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    redeliver(delivery.id);
+    res.json({ ok: true });
+  });
+}
@@ -0,0 +1,107 @@
+import { requireAuth } from '../auth/middleware.js';
+import {
+  getWorkspacesByUser, getWorkspace, resolveWorkspace, createWorkspace, updateWorkspace, deleteWorkspace,
+} from '../db/workspaces.js';
+import { getViewState, saveViewState } from '../db/viewState.js';
+import { checkWorkspaceLimit } from '../billing/enforcement.js';
+import { requireCanvas } from './canvas.js';
+import { broadcastToCanvas } from '../ws/canvas.js';
+
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Resolve which workspace of the canvas a request acts on (X-Workspace
+ * header, default: the canvas's first workspace). Use after requireCanvas;
+ * sets req.workspaceId.
+ */
+export function requireWorkspace(req, res, next) {
+  req.workspaceId = resolveWorkspace(req.canvasOwnerId, req.get('X-Workspace')).id;
+  next();
+}
+
+function workspaceJson(w) {
+  return {
+    id: w.id,
+    name: w.name,
+    projects: w.projects,
+    paneCount: w.pane_count ?? null,
+    createdAt: w.created_at,
+  };
+}
+
+function parseName(name) {
+  if (typeof name !== 'string' || !name.trim()) return null;
+  return name.trim().slice(0, MAX_NAME_LENGTH);
+}
+
+// Other tabs and members refresh their switchers
+function broadcastWorkspaces(req) {
+  broadcastToCanvas(req.canvasOwnerId, { type: 'workspaces:changed', payload: {} }, req.get('X-Client-Id'));
+}
+
+/**
+ * Set up workspace routes: the named canvases of a user, each with its own
+ * panes, projects and view state. Members of a shared canvas see its
+ * workspaces too.
+ */
+export function setupWorkspaceRoutes(app) {
+
+  // GET /api/workspaces — all workspaces, and which one X-Workspace resolves to
+  app.get('/api/workspaces', requireAuth, requireCanvas('viewer'), requireWorkspace, (req, res) => {
+    res.json({
+      workspaces: getWorkspacesByUser(req.canvasOwnerId).map(workspaceJson),
+      currentId: req.workspaceId,
+    });
+  });
+
+  // POST /api/workspaces — { name, duplicateFrom? }. Duplicating copies the
+  // projects and the caller's view; the browser re-creates the panes.
+  app.post('/api/workspaces', requireAuth, requireCanvas('operator'), (req, res) => {
+    const name = parseName(req.body?.name);
+    if (!name) return res.status(400).json({ error: 'name is required' });
+
+    const source = req.body.duplicateFrom ? getWorkspace(req.canvasOwnerId, req.body.duplicateFrom) : null;
+    if (req.body.duplicateFrom && !source) return res.status(404).json({ error: 'Workspace not found' });
+
+    const blocked = checkWorkspaceLimit(req.canvasOwnerId);
+    if (blocked) return res.status(403).json({ error: blocked.message, feature: blocked.feature });
+
+    const workspace = createWorkspace(req.canvasOwnerId, { name, projects: source?.projects || [] });
+    if (source) {
+      const view = getViewState(req.user.id, source.id);
+      if (view) saveViewState(req.user.id, workspace.id, view.zoom, view.pan_x, view.pan_y);
+    }
+    broadcastWorkspaces(req);
+    res.json(workspaceJson({ ...workspace, pane_count: 0 }));
+  });
+
+  // PATCH /api/workspaces/:id — { name?, projects? }
+  app.patch('/api/workspaces/:id', requireAuth, requireCanvas('operator'), (req, res) => {
+    if (!getWorkspace(req.canvasOwnerId, req.params.id)) return res.status(404).json({ error: 'Workspace not found' });
+
+    const updates = {};
+    if (req.body?.name !== undefined) {
+      updates.name = parseName(req.body.name);
+      if (!updates.name) return res.status(400).json({ error: 'name must not be empty' });
+    }
+    if (req.body?.projects !== undefined) {
+      if (!Array.isArray(req.body.projects)) return res.status(400).json({ error: 'projects must be a list' });
+      updates.projects = req.body.projects;
+    }
+    const workspace = updateWorkspace(req.canvasOwnerId, req.params.id, updates);
+    if (updates.name) broadcastWorkspaces(req);
+    res.json(workspaceJson(workspace));
+  });
+
+  // DELETE /api/workspaces/:id — its panes move to the first other workspace
+  app.delete('/api/workspaces/:id', requireAuth, requireCanvas('owner'), (req, res) => {
+    const workspaces = getWorkspacesByUser(req.canvasOwnerId);
+    if (!workspaces.some(w => w.id === req.params.id)) return res.status(404).json({ error: 'Workspace not found' });
+    if (workspaces.length === 1) return res.status(400).json({ error: 'You cannot delete your only workspace' });
+
+    const moveTo = workspaces.find(w => w.id !== req.params.id);
+    deleteWorkspace(req.canvasOwnerId, req.params.id, moveTo.id);
+    broadcastWorkspaces(req);
+    res.json({ ok: true, movedTo: moveTo.id });
+  });
+}
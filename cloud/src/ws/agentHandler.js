@@ -10,7 +10,11 @@
  * - Agent is registered in userAgents state map
  * - All browsers for the user are notified (agent:online)
  * - Messages from the agent are forwarded to all user browsers (with agentId)
+ * - Binary terminal:output frames go out binary or as base64 JSON per browser
  * - agent:pong messages update last_seen in the database
+ * - preview:* messages are handed to the localhost preview proxy
+ * - responses to the cloud's own requests (public API) are handed to agentRequests.js
+ * - claude:states changes fire the user's outgoing webhooks and Web Push notifications
  * - On disconnect, browsers are notified (agent:offline)
  */
 
@@ -20,6 +24,12 @@ import { updateLastSeen, getAgentById } from '../db/agents.js';
 import { checkAgentLimit } from '../billing/enforcement.js';
 import { recordEvent } from '../db/events.js';
 import { isVersionOutdated } from '../utils/version.js';
+import { handleAgentPreviewMessage, closeAgentPreviews } from './previewProxy.js';
+import { handleAgentResponse } from './agentRequests.js';
+import { handleClaudeStates, forgetAgentStates } from '../notifications/webhooks.js';
+import { handleClaudeStates as pushClaudeStates, forgetAgentStates as forgetPushStates } from '../notifications/push.js';
+import { relayToShareViewers, relayFrameToShareViewers, handleObserverMessage, shareAgentOnline, shareAgentOffline } from './share.js';
+import { MSG, FRAME, encodeFrame, decodeFrame } from '../protocol.js';
 
 /**
  * Handle a newly connected agent WebSocket.
@@ -45,7 +55,15 @@ export function handleAgentConnection(ws, userAgents, userBrowsers, latestAgentV
     }
   }, 10000);
 
-  ws.on('message', async (raw) => {
+  ws.on('message', async (raw, isBinary) => {
+    if (isBinary) {
+      const frame = authenticated ? decodeFrame(raw) : null;
+      if (frame?.kind === FRAME.TERMINAL_OUTPUT) {
+        broadcastTerminalOutput(userId, userBrowsers, agentId, frame);
+        relayFrameToShareViewers(userId, agentId, frame);
+      }
+      return;
+    }
     try {
       const msg = JSON.parse(raw.toString());
 
@@ -98,15 +116,19 @@ export function handleAgentConnection(ws, userAgents, userBrowsers, latestAgentV
               os: agentOs,
               version: msg.payload.version || null,
               createdAt,
+              binaryFrames: !!msg.payload.binaryFrames,
+              e2e: parseE2E(msg.payload.e2e),
+              direct: parseDirect(msg.payload.direct),
             });
 
             // Update last_seen in DB
             updateLastSeen(agentId);
 
             // Send auth success to the agent
+            // Echoing binaryFrames tells the agent it may send binary output
             ws.send(JSON.stringify({
               type: 'agent:auth:ok',
-              payload: { agentId },
+              payload: { agentId, binaryFrames: !!msg.payload.binaryFrames },
             }));
 
             connectedAt = Date.now();
@@ -126,9 +148,14 @@ export function handleAgentConnection(ws, userAgents, userBrowsers, latestAgentV
                 os: agentOs,
                 version: msg.payload.version,
                 createdAt,
+                e2e: userAgents.get(userId).get(agentId).e2e,
+                direct: userAgents.get(userId).get(agentId).direct,
               },
             });
 
+            // Resume any share link viewers of this agent's terminals
+            shareAgentOnline(userId, agentId);
+
             // Check if agent is outdated and notify
             if (isVersionOutdated(msg.payload.version, latestAgentVersion)) {
               const updatePayload = {
@@ -171,10 +198,28 @@ export function handleAgentConnection(ws, userAgents, userBrowsers, latestAgentV
         return;
       }
 
-      // Cache claude:states so new browsers get them immediately on connect
+      // Localhost preview traffic is answered by the cloud, not broadcast
+      if (handleAgentPreviewMessage(userId, agentId, msg)) return;
+
+      // Responses to requests the cloud made (public API) are not broadcast
+      if (handleAgentResponse(userId, agentId, msg)) return;
+
+      // Nor are answers to a share link viewer's attach
+      if (handleObserverMessage(userId, agentId, msg)) return;
+
+      // Cache claude:states so new browsers get them immediately on connect.
+      // End-to-end encrypted agents seal them, leaving the relay only each
+      // terminal's bare state (agent/src/e2e.js)
       if (msg.type === 'claude:states') {
         const agentInfo = userAgents.get(userId)?.get(agentId);
-        if (agentInfo) agentInfo.lastClaudeStates = msg.payload;
+        const states = msg.payload?.e2e ? msg.payload.states || {} : msg.payload;
+        if (agentInfo) {
+          agentInfo.lastClaudeStates = msg.payload;
+          agentInfo.claudeStates = states;
+        }
+        const machineName = agentInfo?.displayName || agentInfo?.hostname || null;
+        handleClaudeStates(userId, agentId, machineName, states);
+        pushClaudeStates(userId, agentId, machineName, states);
       }
 
       // Forward update:progress to browsers
@@ -186,6 +231,7 @@ export function handleAgentConnection(ws, userAgents, userBrowsers, latestAgentV
 
       // Forward all other messages to the user's browsers (add agentId)
       broadcastToBrowsers(userId, userBrowsers, { ...msg, agentId });
+      relayToShareViewers(userId, agentId, msg);
     } catch (err) {
       console.error('[ws:agent] Error handling message:', err);
     }
@@ -213,6 +259,11 @@ export function handleAgentConnection(ws, userAgents, userBrowsers, latestAgentV
 
       console.log(`[ws:agent] Disconnected: ${agentId} for user ${userId}`);
 
+      closeAgentPreviews(userId, agentId);
+      shareAgentOffline(userId, agentId);
+      forgetAgentStates(userId, agentId);
+      forgetPushStates(userId, agentId);
+
       // Notify browsers that this agent went offline
       broadcastToBrowsers(userId, userBrowsers, {
         type: 'agent:offline',
@@ -226,6 +277,30 @@ export function handleAgentConnection(ws, userAgents, userBrowsers, latestAgentV
   });
 }
 
+/**
+ * End-to-end encryption advertisement from agent:auth: the agent's identity
+ * public key, relayed so browsers can pin it. Null if e2e is off.
+ */
+function parseE2E(e2e) {
+  const publicKey = e2e?.publicKey;
+  if (typeof publicKey !== 'string' || publicKey.length > 100) return null;
+  return { publicKey };
+}
+
+/**
+ * Direct LAN listener advertisement from agent:auth: { port, addresses, tls }
+ * for browsers on the agent's network to try before the relay. Null if off.
+ */
+function parseDirect(direct) {
+  const port = direct?.port;
+  if (!Number.isInteger(port) || port < 1 || port > 65535 || !Array.isArray(direct.addresses)) return null;
+  const addresses = direct.addresses
+    .filter(a => typeof a === 'string' && /^[a-zA-Z0-9.:-]{1,253}$/.test(a))
+    .slice(0, 8);
+  if (addresses.length === 0) return null;
+  return { port, addresses, tls: !!direct.tls };
+}
+
 /**
  * Send a message to all connected browsers for a given user.
  */
@@ -240,3 +315,30 @@ function broadcastToBrowsers(userId, userBrowsers, message) {
     }
   }
 }
+
+/**
+ * Send a binary terminal:output frame to all of a user's browsers, each
+ * encoded once: binary (with agentId) for browsers that negotiated frames,
+ * base64 JSON for the rest.
+ */
+function broadcastTerminalOutput(userId, userBrowsers, agentId, frame) {
+  const browsers = userBrowsers.get(userId);
+  if (!browsers) return;
+
+  let binary = null;
+  let json = null;
+  for (const browserWs of browsers) {
+    if (browserWs.readyState !== WebSocket.OPEN) continue;
+    if (browserWs._binaryFrames) {
+      binary ??= encodeFrame(FRAME.TERMINAL_OUTPUT, frame.terminalId, agentId, frame.data, frame.seq);
+      browserWs.send(binary, { binary: true });
+    } else {
+      json ??= JSON.stringify({
+        type: MSG.TERMINAL_OUTPUT,
+        payload: { terminalId: frame.terminalId, data: frame.data.toString('base64'), seq: frame.seq },
+        agentId,
+      });
+      browserWs.send(json);
+    }
+  }
+}
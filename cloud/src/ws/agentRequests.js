@@ -0,0 +1,86 @@
+/**
+ * Cloud-originated agent requests
+ *
+ * Browsers reach agent REST routes through REST-over-WS `request` messages
+ * whose `response` is broadcast back to them. The public API
+ * (routes/publicApi.js) makes the same requests from the cloud itself: ids
+ * are prefixed `cloud:` so agentHandler hands their responses here instead
+ * of broadcasting them.
+ */
+
+import { randomUUID } from 'crypto';
+import { WebSocket } from 'ws';
+import { MSG } from '../protocol.js';
+
+const REQUEST_ID_PREFIX = 'cloud:';
+const RESPONSE_TIMEOUT_MS = 15000;
+
+let userAgents = null;
+const pendingRequests = new Map(); // requestId -> { userId, agentId, resolve, timeout }
+
+/**
+ * Give cloud requests access to the relay's connected agents.
+ * Called once by setupWebSocketRelay.
+ */
+export function initAgentRequests(agents) {
+  userAgents = agents;
+}
+
+/** The connected agent's info ({ ws, hostname, e2e, claudeStates, ... }), or null. */
+export function getOnlineAgent(userId, agentId) {
+  const agentInfo = userAgents?.get(userId)?.get(agentId);
+  return agentInfo && agentInfo.ws.readyState === WebSocket.OPEN ? agentInfo : null;
+}
+
+export function getUserAgents() {
+  return userAgents;
+}
+
+/** Send a fire-and-forget message (e.g. terminal:close) to an agent. Returns false if offline. */
+export function sendToAgent(userId, agentId, type, payload) {
+  const agentInfo = getOnlineAgent(userId, agentId);
+  if (!agentInfo) return false;
+  agentInfo.ws.send(JSON.stringify({ type, payload }));
+  return true;
+}
+
+/**
+ * Make a REST-over-WS request to an agent.
+ * Resolves to { status, body }; status 502/504 if the agent is offline or
+ * does not answer.
+ */
+export function requestAgent(userId, agentId, method, path, body) {
+  const agentInfo = getOnlineAgent(userId, agentId);
+  if (!agentInfo) return Promise.resolve({ status: 502, body: { error: 'Machine is offline' } });
+
+  const id = REQUEST_ID_PREFIX + randomUUID();
+  return new Promise((resolve) => {
+    pendingRequests.set(id, {
+      userId,
+      agentId,
+      resolve,
+      timeout: setTimeout(() => {
+        pendingRequests.delete(id);
+        resolve({ status: 504, body: { error: 'The machine did not respond' } });
+      }, RESPONSE_TIMEOUT_MS),
+    });
+    agentInfo.ws.send(JSON.stringify({ type: MSG.REQUEST, id, payload: { method, path, body } }));
+  });
+}
+
+/**
+ * An agent message: settle the cloud request it answers. Returns true if it
+ * was one (and must not be broadcast to browsers).
+ */
+export function handleAgentResponse(userId, agentId, msg) {
+  if (typeof msg.id !== 'string' || !msg.id.startsWith(REQUEST_ID_PREFIX)) return false;
+  if (msg.type !== MSG.RESPONSE && msg.type !== MSG.SCAN_PARTIAL) return false;
+
+  const pending = pendingRequests.get(msg.id);
+  if (pending && pending.userId === userId && pending.agentId === agentId && msg.type === MSG.RESPONSE) {
+    pendingRequests.delete(msg.id);
+    clearTimeout(pending.timeout);
+    pending.resolve({ status: msg.payload?.status ?? 500, body: msg.payload?.body ?? null });
+  }
+  return true;
+}
@@ -5,9 +5,11 @@
  * Authentication is already verified during the HTTP upgrade phase in relay.js.
  *
  * Responsibilities:
- * 1. Register browser in the userBrowsers map
+ * 1. Register browser in the userBrowsers map (under its canvas owner)
  * 2. Send current list of online agents immediately
  * 3. Route messages from browser -> specific agent (by agentId)
+ *    (binary terminal input frames are re-encoded for the target agent),
+ *    within what the socket's canvas role allows (see canvas.js)
  * 4. Clean up on disconnect
  */
 
@@ -16,6 +18,9 @@ import { check as enforcementCheck, getTierInfo } from '../billing/enforcement.j
 import { recordEvent } from '../db/events.js';
 import { isVersionOutdated } from '../utils/version.js';
 import { getUndismissedNotifications } from '../db/notifications.js';
+import { MSG, FRAME, encodeFrame, decodeFrame } from '../protocol.js';
+import { joinCanvas, updatePresence, leaveCanvas, isAllowedForRole } from './canvas.js';
+import { relayResizeToShareViewers } from './share.js';
 
 // Batch relay message counts — flush to DB every 60 seconds
 const relayCounters = new Map(); // userId -> count
@@ -31,8 +36,9 @@ setInterval(() => {
 /**
  * Handle a newly connected browser WebSocket.
  *
- * @param {WebSocket} ws - The browser WebSocket connection
- * @param {string} userId - The authenticated user's ID
+ * @param {WebSocket} ws - The browser WebSocket connection (ws._canvas set in relay.js)
+ * @param {string} userId - The canvas owner's ID: the authenticated user, or
+ *   the user who shared this canvas with them
  * @param {Map} userAgents - userId -> Map<agentId, { ws, hostname, os, version }>
  * @param {Map} userBrowsers - userId -> Set<WebSocket>
  */
@@ -53,6 +59,16 @@ export function handleBrowserConnection(ws, userId, userAgents, userBrowsers, la
   recordEvent('browser.connect', userId);
   console.log(`[ws:browser] Connected for user ${userId} (${userBrowsers.get(userId).size} total)`);
 
+  // Confirm binary terminal frames before anything else so the browser
+  // knows it may send input as binary (ws._binaryFrames is set in relay.js)
+  if (ws._binaryFrames) {
+    ws.send(JSON.stringify({ type: 'relay:hello', payload: { binaryFrames: true } }));
+  }
+
+  // Role and presence of everyone else on this canvas, before anything the
+  // browser acts on (agents:list starts direct links, which viewers skip)
+  if (ws._canvas) joinCanvas(ws);
+
   // Send the current list of online agents immediately
   const agents = getOnlineAgents(userId, userAgents);
   ws.send(JSON.stringify({ type: 'agents:list', payload: agents }));
@@ -62,7 +78,7 @@ export function handleBrowserConnection(ws, userId, userAgents, userBrowsers, la
   ws.send(JSON.stringify({ type: 'tier:info', payload: tierInfo }));
 
   // Send any pending notifications
-  const pendingNotifs = getUndismissedNotifications(userId);
+  const pendingNotifs = getUndismissedNotifications(ws._canvas?.userId || userId);
   if (pendingNotifs.length > 0) {
     ws.send(JSON.stringify({ type: 'notifications:pending', payload: pendingNotifs }));
   }
@@ -96,7 +112,13 @@ export function handleBrowserConnection(ws, userId, userAgents, userBrowsers, la
     }
   }
 
-  ws.on('message', (raw) => {
+  ws.on('message', (raw, isBinary) => {
+    if (isBinary) {
+      // Binary frames are only ever terminal input
+      if (ws._canvas && !isAllowedForRole(ws._canvas.role, { type: MSG.TERMINAL_INPUT })) return;
+      relayInputFrame(ws, userId, userAgents, raw);
+      return;
+    }
     try {
       const msg = JSON.parse(raw.toString());
 
@@ -106,6 +128,27 @@ export function handleBrowserConnection(ws, userId, userAgents, userBrowsers, la
         return;
       }
 
+      // preview:* and direct:* are spoken only between the cloud and agents
+      if (typeof msg.type === 'string' && (msg.type.startsWith('preview:') || msg.type.startsWith('direct:'))) return;
+
+      // Pointer and focused pane, for the other people on a shared canvas
+      if (msg.type === 'presence:update') {
+        updatePresence(ws, msg.payload);
+        return;
+      }
+
+      // Viewers on a shared canvas watch; operators cannot update agents
+      if (ws._canvas && !isAllowedForRole(ws._canvas.role, msg)) {
+        if (msg.type === 'request' && msg.id) {
+          ws.send(JSON.stringify({
+            type: 'response',
+            id: msg.id,
+            payload: { status: 403, body: { error: `Your role on this canvas (${ws._canvas.role}) does not allow this` } },
+          }));
+        }
+        return;
+      }
+
       // Route update:install directly to the target agent
       if (msg.type === 'update:install') {
         const agentId = msg.agentId;
@@ -133,7 +176,7 @@ export function handleBrowserConnection(ws, userId, userAgents, userBrowsers, la
       }
 
       // Enforce tier limits before forwarding
-      const blocked = enforcementCheck(userId, msg, userAgents);
+      const blocked = enforcementCheck(userId, msg, userAgents, ws._canvas?.workspaceId);
       if (blocked) {
         ws.send(JSON.stringify({ type: 'tier:limit', payload: blocked }));
         // Also send an error response if this was a request (so the Promise rejects)
@@ -151,16 +194,25 @@ export function handleBrowserConnection(ws, userId, userAgents, userBrowsers, la
 
       // Track last activity only for direct user actions:
       // terminal input, or pane create/update/delete (REST-over-WS mutations)
+      // (encrypted requests only reveal pane creation, via createPath)
       if (msg.type === 'terminal:input' ||
-          (msg.type === 'request' && msg.payload?.method && msg.payload.method !== 'GET')) {
+          (msg.type === 'request' && msg.payload?.method && msg.payload.method !== 'GET') ||
+          (msg.type === 'request' && msg.payload?.createPath)) {
         ws._lastActivity = Date.now();
       }
 
       const agentWs = userAgents.get(userId)?.get(agentId)?.ws;
       if (agentWs && agentWs.readyState === WebSocket.OPEN) {
-        // Strip agentId before forwarding to the agent (the agent knows who it is)
-        const { agentId: _, ...forwarded } = msg;
+        // Strip agentId before forwarding to the agent (the agent knows who it
+        // is). Requests say who sent them, so direct link tickets carry the
+        // sender's canvas role (agent/src/directServer.js)
+        const { agentId: _, sender: __, ...forwarded } = msg;
+        if (msg.type === MSG.REQUEST) {
+          forwarded.sender = { userId: ws._canvas?.userId || userId, role: ws._canvas?.role || 'owner' };
+        }
         agentWs.send(JSON.stringify(forwarded));
+        // Share link viewers of this terminal follow its size
+        if (msg.type === MSG.TERMINAL_RESIZE) relayResizeToShareViewers(userId, agentId, msg.payload);
       } else {
         ws.send(JSON.stringify({
           type: 'error',
@@ -173,6 +225,7 @@ export function handleBrowserConnection(ws, userId, userAgents, userBrowsers, la
   });
 
   ws.on('close', () => {
+    leaveCanvas(ws);
     userBrowsers.get(userId)?.delete(ws);
     if (userBrowsers.get(userId)?.size === 0) {
       userBrowsers.delete(userId);
@@ -187,6 +240,36 @@ export function handleBrowserConnection(ws, userId, userAgents, userBrowsers, la
   });
 }
 
+/**
+ * Forward a binary terminal:input frame to the agent named in its header:
+ * as a binary frame (agentId stripped) if the agent negotiated them,
+ * otherwise as the JSON message older agents expect.
+ */
+function relayInputFrame(ws, userId, userAgents, raw) {
+  const frame = decodeFrame(raw);
+  if (!frame || frame.kind !== FRAME.TERMINAL_INPUT || !frame.agentId) return;
+
+  relayCounters.set(userId, (relayCounters.get(userId) || 0) + 1);
+  ws._lastActivity = Date.now();
+
+  const agentInfo = userAgents.get(userId)?.get(frame.agentId);
+  if (!agentInfo || agentInfo.ws.readyState !== WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      payload: { message: `Agent ${frame.agentId} is not online` },
+    }));
+    return;
+  }
+  if (agentInfo.binaryFrames) {
+    agentInfo.ws.send(encodeFrame(FRAME.TERMINAL_INPUT, frame.terminalId, '', frame.data), { binary: true });
+  } else {
+    agentInfo.ws.send(JSON.stringify({
+      type: MSG.TERMINAL_INPUT,
+      payload: { terminalId: frame.terminalId, data: frame.data.toString('base64') },
+    }));
+  }
+}
+
 /**
  * Get the list of currently online agents for a user.
  */
@@ -202,6 +285,8 @@ function getOnlineAgents(userId, userAgents) {
     version: info.version,
     online: true,
     createdAt: info.createdAt || null,
+    e2e: info.e2e || null,
+    direct: info.direct || null,
   })).sort((a, b) => {
     // Sort by registration date (oldest first)
     if (!a.createdAt) return 1;
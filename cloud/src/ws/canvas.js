@@ -0,0 +1,219 @@
+/**
+ * Shared Canvases — roles, live layout sync and presence
+ *
+ * Every browser socket is on one canvas: its user's own, or (with
+ * /ws?canvas=<ownerId>) a canvas another user shared with them. Sockets are
+ * registered in userBrowsers under the canvas owner, so agent traffic reaches
+ * members exactly as it reaches the owner's own tabs and browserHandler
+ * routes their messages to the owner's agents.
+ *
+ * This module holds what sharing adds on top: who is behind a socket and with
+ * which role (ws._canvas), what that role may send to agents, and the
+ * browser-to-browser messages of a canvas — layout changes saved through
+ * routes/layouts.js, and presence (pointer position and focused pane). Both
+ * stay within a workspace (ws._canvas.workspaceId, see routes/workspaces.js).
+ *
+ * Roles: viewer (watch only), operator (type, create and rearrange panes),
+ * owner (also manage members and update agents). A canvas's real owner is
+ * always 'owner'; sharing needs the `collaboration` flag on the owner's tier.
+ */
+
+import { WebSocket } from 'ws';
+import { MSG } from '../protocol.js';
+import { getUserById } from '../db/users.js';
+import { getMemberRole, getCanvasMembers } from '../db/canvasMembers.js';
+import { getTierLimits } from '../billing/tiers.js';
+
+let userBrowsersRef = null; // userId -> Set<WebSocket>, from relay.js
+let userAgentsRef = null;   // userId -> Map<agentId, { ws, ... }>, from relay.js
+
+const ROLE_RANK = { viewer: 1, operator: 2, owner: 3 };
+
+// Browser -> agent messages a viewer may send: attach and read, nothing that
+// types, resizes, scrolls or changes anything on the agent
+const VIEWER_MESSAGE_TYPES = new Set(['terminal:attach', 'terminal:detach', 'e2e:hello']);
+
+// Agent reads a viewer may make: the pane lists and the data of panes on the
+// canvas, addressed by pane id. Nothing that takes a free path or id (file
+// reads, folder browsing, recordings, conversation search and transcripts)
+// or reads the owner's account-wide settings (rules, usage).
+const VIEWER_READS = [
+  /^\/api\/(terminals|file-panes|notes|git-graphs|iframes|beads-panes|folder-panes|conversations-panes|replay-panes|usage-panes)$/,
+  /^\/api\/terminals\/states$/,
+  /^\/api\/metrics$/,
+  /^\/api\/file-panes\/[^/]+$/,
+  /^\/api\/git-graphs\/[^/]+\/(data|status|diff|worktrees)$/,
+  /^\/api\/git-graphs\/[^/]+\/commit\/[0-9a-fA-F]+(\/diff)?$/,
+  /^\/api\/(beads-panes|conversations-panes|usage-panes)\/[^/]+\/data$/,
+];
+
+const PRESENCE_COLORS = ['#f472b6', '#60a5fa', '#34d399', '#fbbf24', '#a78bfa', '#f87171', '#2dd4bf', '#fb923c'];
+
+export function initCanvasRelay(userBrowsers, userAgents) {
+  userBrowsersRef = userBrowsers;
+  userAgentsRef = userAgents;
+}
+
+export function roleAtLeast(role, minimum) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[minimum];
+}
+
+/** True if the owner's plan includes shared canvases. */
+export function sharingEnabled(ownerId) {
+  const owner = getUserById(ownerId);
+  return !!owner && !!getTierLimits(owner.tier).collaboration;
+}
+
+/**
+ * A user's role on a canvas: 'owner' on their own, their membership role on
+ * a shared one (while the owner's plan allows sharing), else null.
+ */
+export function getCanvasAccess(ownerId, userId) {
+  if (!ownerId || ownerId === userId) return 'owner';
+  if (!sharingEnabled(ownerId)) return null;
+  return getMemberRole(ownerId, userId);
+}
+
+/** True if a socket's role allows forwarding this message to an agent. */
+export function isAllowedForRole(role, msg) {
+  if (role === 'owner') return true;
+  if (msg.type === 'update:install') return false;
+  if (role === 'operator') return true;
+  if (VIEWER_MESSAGE_TYPES.has(msg.type)) return true;
+  // Listed reads only. An encrypted request's method and path are hidden
+  // from the relay, so viewers cannot send those at all.
+  if (msg.type !== 'request' || msg.payload?.method !== 'GET' || msg.payload.e2e) return false;
+  const path = typeof msg.payload.path === 'string' ? msg.payload.path.split('?')[0] : '';
+  return VIEWER_READS.some(pattern => pattern.test(path));
+}
+
+export function displayName(user) {
+  return user?.display_name || user?.github_login || user?.email?.split('@')[0] || 'Someone';
+}
+
+function colorFor(userId) {
+  let hash = 0;
+  for (const ch of userId) hash = (hash * 31 + ch.charCodeAt(0)) | 0;
+  return PRESENCE_COLORS[Math.abs(hash) % PRESENCE_COLORS.length];
+}
+
+/** Build the ws._canvas record for a browser socket. */
+export function createCanvasSession(ownerId, userId, role, clientId, workspaceId) {
+  const user = getUserById(userId);
+  return {
+    ownerId, userId, role, clientId, workspaceId,
+    name: displayName(user),
+    avatarUrl: user?.avatar_url || null,
+    color: colorFor(userId),
+    x: null, y: null, paneId: null,
+  };
+}
+
+function canvasSockets(ownerId) {
+  return userBrowsersRef?.get(ownerId) || new Set();
+}
+
+function send(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+}
+
+/**
+ * Send a message to every browser on a canvas, except the one that caused
+ * it (identified by the X-Client-Id its requests carry). With a workspaceId,
+ * only browsers showing that workspace get it.
+ */
+export function broadcastToCanvas(ownerId, message, exceptClientId = null, workspaceId = null) {
+  const data = JSON.stringify(message);
+  for (const ws of canvasSockets(ownerId)) {
+    if (exceptClientId && ws._canvas?.clientId === exceptClientId) continue;
+    if (workspaceId && ws._canvas?.workspaceId !== workspaceId) continue;
+    if (ws.readyState === WebSocket.OPEN) ws.send(data);
+  }
+}
+
+function canvasInfo(session) {
+  const owner = getUserById(session.ownerId);
+  return {
+    ownerId: session.ownerId,
+    ownerName: displayName(owner),
+    userId: session.userId,
+    role: session.role,
+    clientId: session.clientId,
+    workspaceId: session.workspaceId,
+    color: session.color,
+    shared: getCanvasMembers(session.ownerId).length > 0,
+  };
+}
+
+function presenceOf(session) {
+  const { clientId, userId, name, avatarUrl, color, role, x, y, paneId } = session;
+  return { clientId, userId, name, avatarUrl, color, role, x, y, paneId };
+}
+
+// Someone else looking at the same workspace (not the sender's own tabs)
+function isPeer(session, other) {
+  return other._canvas && other._canvas.userId !== session.userId && other._canvas.workspaceId === session.workspaceId;
+}
+
+// Presence goes to other people on the workspace
+function broadcastPresence(ws, type) {
+  const session = ws._canvas;
+  const payload = type === 'presence:leave' ? { clientId: session.clientId } : presenceOf(session);
+  for (const other of canvasSockets(session.ownerId)) {
+    if (other === ws || !isPeer(session, other)) continue;
+    send(other, { type, payload });
+  }
+}
+
+/** A socket joined its canvas: tell it its role and who else is here. */
+export function joinCanvas(ws) {
+  const session = ws._canvas;
+  send(ws, { type: 'canvas:info', payload: canvasInfo(session) });
+  const others = [];
+  for (const other of canvasSockets(session.ownerId)) {
+    if (other !== ws && isPeer(session, other)) others.push(presenceOf(other._canvas));
+  }
+  send(ws, { type: 'presence:list', payload: others });
+  broadcastPresence(ws, 'presence:update');
+}
+
+/** presence:update from a browser: pointer in canvas coordinates and focused pane. */
+export function updatePresence(ws, payload) {
+  const session = ws._canvas;
+  if (!session || !payload) return;
+  session.x = Number.isFinite(payload.x) ? payload.x : null;
+  session.y = Number.isFinite(payload.y) ? payload.y : null;
+  session.paneId = typeof payload.paneId === 'string' && payload.paneId.length <= 100 ? payload.paneId : null;
+  broadcastPresence(ws, 'presence:update');
+}
+
+export function leaveCanvas(ws) {
+  if (ws._canvas) broadcastPresence(ws, 'presence:leave');
+}
+
+/**
+ * Apply a membership change to open sockets: a removed member is
+ * disconnected, a changed role takes effect immediately, and everyone on the
+ * canvas gets fresh canvas:info. The owner's agents hear about it too, for
+ * any direct LAN links the member has open to them.
+ */
+export function applyMemberChange(ownerId, userId, role) {
+  for (const agent of userAgentsRef?.get(ownerId)?.values() || []) {
+    if (agent.ws?.readyState === WebSocket.OPEN) {
+      agent.ws.send(JSON.stringify({ type: MSG.DIRECT_ROLE, payload: { userId, role: role || null } }));
+    }
+  }
+  for (const ws of [...canvasSockets(ownerId)]) {
+    const session = ws._canvas;
+    if (!session || session.userId !== userId || userId === ownerId) continue;
+    if (!role) {
+      ws.close(4403, 'Removed from canvas');
+      continue;
+    }
+    session.role = role;
+    broadcastPresence(ws, 'presence:update');
+  }
+  for (const ws of canvasSockets(ownerId)) {
+    if (ws._canvas && ws.readyState === WebSocket.OPEN) send(ws, { type: 'canvas:info', payload: canvasInfo(ws._canvas) });
+  }
+}
@@ -0,0 +1,488 @@
+/**
+ * Localhost Preview Proxy
+ *
+ * Exposes a web server running on an agent machine (e.g. a dev server on
+ * localhost:3000) at /preview/:token/. The browser mints the token for one
+ * machine and port (POST /api/preview-tokens); it expires after an hour
+ * unused. HTTP requests and WebSocket upgrades (HMR) are tunnelled to the
+ * agent over its existing relay connection; the agent makes the real request
+ * to localhost:port, if the port is one it allows (TC_PREVIEW_PORTS), and
+ * streams the response back in chunks.
+ *
+ * Previews share the app's origin, so every response carries a CSP sandbox:
+ * the page gets an opaque origin, sends no session cookies and cannot read
+ * the app's responses — whether it is framed by an iframe pane or opened in
+ * a tab. Requests from an opaque origin ("Origin: null") are refused outside
+ * /preview.
+ *
+ * Dev servers usually reference assets by absolute path ("/src/main.ts"),
+ * which would miss the /preview prefix. Requests whose Referer is a preview
+ * page are redirected back under that preview, and WebSocket upgrades on
+ * unknown paths follow the preview most recently loaded (tc_preview cookie).
+ */
+
+import express from 'express';
+import { randomBytes, randomUUID } from 'crypto';
+import { WebSocketServer, WebSocket } from 'ws';
+import { MSG } from '../protocol.js';
+
+const PREVIEW_PATH = /^\/preview\/([A-Za-z0-9_-]{32})(\/.*)?$/;
+const PREVIEW_COOKIE = 'tc_preview';
+const TOKEN_IDLE_MS = 60 * 60 * 1000;
+const TOKEN_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+// Sent with every preview response, on top of the dev server's own policy
+const PREVIEW_CSP = "sandbox allow-scripts allow-forms allow-popups allow-modals allow-downloads; frame-ancestors 'self'";
+const MAX_REQUEST_BODY = 8 * 1024 * 1024;
+const RESPONSE_TIMEOUT_MS = 30000;
+const WS_OPEN_TIMEOUT_MS = 10000;
+
+// Never forwarded in either direction
+const HOP_BY_HOP_HEADERS = new Set([
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+  'proxy-connection', 'te', 'trailer', 'transfer-encoding', 'upgrade',
+]);
+
+let userAgents = null;
+const previewTokens = new Map(); // token -> { userId, agentId, port, createdAt, usedAt }
+const pendingHttp = new Map();    // requestId -> { res, token, secure, userId, agentId, port, prefix, timeout }
+const previewSockets = new Map(); // socketId -> { ws, userId, agentId, queue, onOpened, onFailed }
+
+const previewWss = new WebSocketServer({
+  noServer: true,
+  maxPayload: 1024 * 1024,
+  // Echo the subprotocol the dev server accepted (Vite requires "vite-hmr")
+  handleProtocols: (protocols, request) => request._previewProtocol || false,
+});
+
+/**
+ * Give the proxy access to the relay's connected agents.
+ * Called once by setupWebSocketRelay.
+ */
+export function initPreviewProxy(agents) {
+  userAgents = agents;
+}
+
+function parsePort(value) {
+  const port = parseInt(value, 10);
+  return port >= 1 && port <= 65535 ? port : null;
+}
+
+/** Close codes that may be sent on the wire (1005/1006 etc. are local-only). */
+function sendableCloseCode(code) {
+  const valid = (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) || (code >= 3000 && code <= 4999);
+  return valid ? code : 1000;
+}
+
+function createPreviewToken(userId, agentId, port) {
+  const now = Date.now();
+  for (const [token, entry] of previewTokens) {
+    if (isExpired(entry, now)) previewTokens.delete(token);
+  }
+  const token = randomBytes(24).toString('base64url');
+  previewTokens.set(token, { userId, agentId, port, createdAt: now, usedAt: now });
+  return token;
+}
+
+function isExpired(entry, now) {
+  return now - entry.usedAt > TOKEN_IDLE_MS || now - entry.createdAt > TOKEN_MAX_AGE_MS;
+}
+
+/** The preview a token grants ({ userId, agentId, port }), or null. Counts as use. */
+function usePreviewToken(token) {
+  const entry = previewTokens.get(token);
+  if (!entry) return null;
+  const now = Date.now();
+  if (isExpired(entry, now)) {
+    previewTokens.delete(token);
+    return null;
+  }
+  entry.usedAt = now;
+  return entry;
+}
+
+function getAgentWs(userId, agentId) {
+  const agent = userAgents?.get(userId)?.get(agentId);
+  return agent && agent.ws.readyState === WebSocket.OPEN ? agent.ws : null;
+}
+
+function sendToAgent(agentWs, type, payload) {
+  agentWs.send(JSON.stringify({ type, payload }));
+}
+
+/**
+ * Copy browser headers for the dev server: drop hop-by-hop headers and our
+ * own auth cookies, and make Host/Origin/Referer look like a local request.
+ */
+function upstreamHeaders(headers, port, prefix, extraDrop = []) {
+  const out = {};
+  for (const [name, value] of Object.entries(headers)) {
+    const lower = name.toLowerCase();
+    if (HOP_BY_HOP_HEADERS.has(lower) || extraDrop.includes(lower)) continue;
+    if (lower.startsWith('sec-websocket-')) continue;
+    out[lower] = value;
+  }
+  const local = `http://localhost:${port}`;
+  out.host = `localhost:${port}`;
+  if (out.origin) out.origin = local;
+  if (out.referer) {
+    try {
+      const referer = new URL(out.referer);
+      out.referer = local + (referer.pathname.startsWith(prefix) ? referer.pathname.slice(prefix.length) || '/' : '/') + referer.search;
+    } catch {
+      delete out.referer;
+    }
+  }
+  if (out.cookie) {
+    const cookie = out.cookie.split(';').map(c => c.trim()).filter(c => c && !c.startsWith('tc_')).join('; ');
+    if (cookie) out.cookie = cookie;
+    else delete out.cookie;
+  }
+  out['x-forwarded-prefix'] = prefix;
+  return out;
+}
+
+/**
+ * Rewrite dev server response headers for the browser: keep redirects and
+ * cookies inside the preview and never let the dev server touch tc_* cookies.
+ */
+function downstreamHeaders(headers, port, prefix) {
+  const out = {};
+  for (const [name, value] of Object.entries(headers)) {
+    const lower = name.toLowerCase();
+    if (HOP_BY_HOP_HEADERS.has(lower)) continue;
+    out[lower] = value;
+  }
+  if (typeof out.location === 'string') {
+    const local = new RegExp(`^https?://(localhost|127\\.0\\.0\\.1|\\[::1\\]):${port}(?=/|$)`, 'i');
+    const location = out.location.replace(local, '');
+    if (location.startsWith('/') && !location.startsWith('//')) out.location = prefix + location;
+  }
+  if (out['set-cookie']) {
+    const cookies = [].concat(out['set-cookie']).filter(c => !c.trim().startsWith('tc_'));
+    if (cookies.length) out['set-cookie'] = cookies;
+    else delete out['set-cookie'];
+  }
+  return out;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_REQUEST_BODY) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function finishHttp(requestId, status, message) {
+  const pending = pendingHttp.get(requestId);
+  if (!pending) return;
+  pendingHttp.delete(requestId);
+  clearTimeout(pending.timeout);
+  if (!pending.res.headersSent) {
+    pending.res.status(status).type('text/plain').send(message);
+  } else {
+    pending.res.end();
+  }
+}
+
+async function handlePreviewRequest(req, res) {
+  const [, token, rest] = req.path.match(PREVIEW_PATH);
+  const preview = usePreviewToken(token);
+  if (!preview) return res.status(403).type('text/plain').send('This preview has expired. Reload the pane.');
+  const { userId, agentId, port } = preview;
+
+  const prefix = `/preview/${token}`;
+  const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+  if (!rest) {
+    // Relative asset URLs only resolve under a trailing slash
+    return res.redirect(`${prefix}/${query}`);
+  }
+
+  const agentWs = getAgentWs(userId, agentId);
+  if (!agentWs) return res.status(502).type('text/plain').send('Machine is offline');
+
+  let body = null;
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    try {
+      body = await readBody(req);
+    } catch (err) {
+      return res.status(err.status || 400).type('text/plain').send(err.message);
+    }
+  }
+
+  const requestId = randomUUID();
+  pendingHttp.set(requestId, {
+    res,
+    token,
+    secure: req.secure,
+    userId,
+    agentId,
+    port,
+    prefix,
+    timeout: setTimeout(() => finishHttp(requestId, 504, `No response from localhost:${port}`), RESPONSE_TIMEOUT_MS),
+  });
+
+  // Browser went away (closed tab, aborted fetch, ended event stream)
+  res.on('close', () => {
+    const pending = pendingHttp.get(requestId);
+    if (!pending) return;
+    pendingHttp.delete(requestId);
+    clearTimeout(pending.timeout);
+    const ws = getAgentWs(userId, agentId);
+    if (ws) sendToAgent(ws, MSG.PREVIEW_HTTP_ABORT, { id: requestId });
+  });
+
+  sendToAgent(agentWs, MSG.PREVIEW_HTTP_REQUEST, {
+    id: requestId,
+    port,
+    method: req.method,
+    path: rest + query,
+    headers: upstreamHeaders(req.headers, port, prefix, ['content-length']),
+    body: body && body.length ? body.toString('base64') : null,
+  });
+}
+
+/**
+ * Register the /preview HTTP routes. Must run after cookieParser() (auth)
+ * and before express.json(), since request bodies are forwarded raw.
+ *
+ * @param {import('express').Express} app
+ * @param {Function} requireAuth - auth middleware (sets req.user)
+ */
+export function setupPreviewRoutes(app, requireAuth) {
+  // POST /api/preview-tokens — { agentId, port }: a token for one of the
+  // user's machines and a port on it. Returns { path } to load.
+  app.post('/api/preview-tokens', requireAuth, express.json({ limit: '1kb' }), (req, res) => {
+    const port = parsePort(req.body?.port);
+    const agentId = req.body?.agentId;
+    if (!port || typeof agentId !== 'string' || !agentId) {
+      return res.status(400).json({ error: 'agentId and a port are required' });
+    }
+    res.json({ path: `/preview/${createPreviewToken(req.user.id, agentId, port)}/` });
+  });
+
+  app.use((req, res, next) => {
+    if (req.path.startsWith('/preview/')) return next();
+    // Only sandboxed pages (previews) send an opaque origin; keep them off the app
+    if (req.headers.origin === 'null') {
+      return res.status(403).type('text/plain').send('Preview pages cannot call the app');
+    }
+    // Absolute-path requests made by a preview page: send them back under it
+    if (!req.headers.referer) return next();
+    let referer;
+    try {
+      referer = new URL(req.headers.referer);
+    } catch {
+      return next();
+    }
+    const match = referer.host === req.headers.host && referer.pathname.match(PREVIEW_PATH);
+    if (!match) return next();
+    res.redirect(307, `/preview/${match[1]}${req.originalUrl}`);
+  });
+
+  app.all(PREVIEW_PATH, (req, res, next) => {
+    handlePreviewRequest(req, res).catch(next);
+  });
+}
+
+/**
+ * Remember the preview a page was loaded from so HMR sockets that connect
+ * to the server root can be routed to it. The sandboxed page counts as
+ * cross-site, so over HTTPS the cookie must be SameSite=None to reach it.
+ */
+function rememberPreview(headers, token, secure) {
+  const cookie = `${PREVIEW_COOKIE}=${token}; Path=/; HttpOnly; ${secure ? 'SameSite=None; Secure' : 'SameSite=Lax'}`;
+  headers['set-cookie'] = [...[].concat(headers['set-cookie'] || []), cookie];
+}
+
+/**
+ * Resolve which preview an upgrade request targets, or null if it isn't one
+ * or its token has expired. Returns { userId, agentId, port, prefix, path }.
+ */
+export function resolvePreviewUpgrade(url, cookies, origin) {
+  const match = url.pathname.match(PREVIEW_PATH);
+  if (match) {
+    const preview = usePreviewToken(match[1]);
+    return preview ? { ...preview, prefix: `/preview/${match[1]}`, path: (match[2] || '/') + url.search } : null;
+  }
+  // Only a preview page itself (opaque origin) follows the cookie
+  const token = cookies[PREVIEW_COOKIE];
+  if (token && origin === 'null') {
+    const preview = usePreviewToken(token);
+    return preview ? { ...preview, prefix: `/preview/${token}`, path: url.pathname + url.search } : null;
+  }
+  return null;
+}
+
+function rejectUpgrade(socket, status) {
+  socket.write(`HTTP/1.1 ${status}\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Tunnel a browser WebSocket upgrade to ws://localhost:port on the agent.
+ * The browser handshake completes only after the agent has connected
+ * upstream, so the dev server's chosen subprotocol can be echoed back.
+ */
+export function handlePreviewUpgrade(request, socket, head, target) {
+  const { userId, prefix } = target;
+  const agentWs = getAgentWs(userId, target.agentId);
+  if (!agentWs) return rejectUpgrade(socket, '502 Bad Gateway');
+
+  const socketId = randomUUID();
+  const entry = { ws: null, userId, agentId: target.agentId, queue: [] };
+  previewSockets.set(socketId, entry);
+
+  const openTimeout = setTimeout(() => entry.onFailed?.(), WS_OPEN_TIMEOUT_MS);
+
+  entry.onFailed = () => {
+    clearTimeout(openTimeout);
+    previewSockets.delete(socketId);
+    rejectUpgrade(socket, '502 Bad Gateway');
+  };
+
+  entry.onOpened = (protocol) => {
+    clearTimeout(openTimeout);
+    entry.onFailed = null;
+    request._previewProtocol = protocol || false;
+    previewWss.handleUpgrade(request, socket, head, (ws) => {
+      entry.ws = ws;
+      for (const msg of entry.queue) deliverToBrowser(socketId, msg);
+      entry.queue = [];
+
+      ws.on('message', (data, isBinary) => {
+        const agent = getAgentWs(userId, target.agentId);
+        if (!agent) return ws.close(1011, 'Machine is offline');
+        sendToAgent(agent, MSG.PREVIEW_WS_MESSAGE, {
+          id: socketId,
+          data: isBinary ? data.toString('base64') : data.toString(),
+          binary: isBinary,
+        });
+      });
+      ws.on('close', (code, reason) => {
+        if (!previewSockets.has(socketId)) return;
+        previewSockets.delete(socketId);
+        const agent = getAgentWs(userId, target.agentId);
+        if (agent) sendToAgent(agent, MSG.PREVIEW_WS_CLOSE, { id: socketId, code, reason: reason.toString() });
+      });
+      ws.on('error', () => {});
+    });
+  };
+
+  socket.on('close', () => {
+    if (entry.ws || !previewSockets.has(socketId)) return;
+    clearTimeout(openTimeout);
+    previewSockets.delete(socketId);
+    const agent = getAgentWs(userId, target.agentId);
+    if (agent) sendToAgent(agent, MSG.PREVIEW_WS_CLOSE, { id: socketId, code: 1001, reason: '' });
+  });
+
+  const protocols = request.headers['sec-websocket-protocol'];
+  sendToAgent(agentWs, MSG.PREVIEW_WS_OPEN, {
+    id: socketId,
+    port: target.port,
+    path: target.path,
+    headers: upstreamHeaders(request.headers, target.port, prefix),
+    protocols: protocols ? protocols.split(',').map(p => p.trim()).filter(Boolean) : [],
+  });
+}
+
+function deliverToBrowser(socketId, msg) {
+  const entry = previewSockets.get(socketId);
+  if (!entry) return;
+  if (msg.type === MSG.PREVIEW_WS_CLOSE) {
+    previewSockets.delete(socketId);
+    entry.ws.close(sendableCloseCode(msg.payload.code), msg.payload.reason || '');
+    return;
+  }
+  if (entry.ws.readyState !== WebSocket.OPEN) return;
+  const { data, binary } = msg.payload;
+  entry.ws.send(binary ? Buffer.from(data, 'base64') : data, { binary });
+}
+
+/**
+ * Handle a preview:* message from an agent. Returns true if it was one
+ * (preview traffic is answered here and never broadcast to browsers).
+ */
+export function handleAgentPreviewMessage(userId, agentId, msg) {
+  if (typeof msg.type !== 'string' || !msg.type.startsWith('preview:')) return false;
+  const id = msg.payload?.id;
+
+  switch (msg.type) {
+    case MSG.PREVIEW_HTTP_RESPONSE: {
+      const pending = pendingHttp.get(id);
+      if (!pending || pending.userId !== userId || pending.agentId !== agentId) break;
+      clearTimeout(pending.timeout);
+      const headers = downstreamHeaders(msg.payload.headers || {}, pending.port, pending.prefix);
+      headers['content-security-policy'] = [...[].concat(headers['content-security-policy'] || []), PREVIEW_CSP];
+      if (String(headers['content-type'] || '').startsWith('text/html')) {
+        rememberPreview(headers, pending.token, pending.secure);
+      }
+      pending.res.writeHead(msg.payload.status, headers);
+      break;
+    }
+    case MSG.PREVIEW_HTTP_DATA: {
+      const pending = pendingHttp.get(id);
+      if (!pending || pending.userId !== userId || pending.agentId !== agentId) break;
+      pending.res.write(Buffer.from(msg.payload.data, 'base64'));
+      break;
+    }
+    case MSG.PREVIEW_HTTP_END: {
+      const pending = pendingHttp.get(id);
+      if (!pending || pending.userId !== userId || pending.agentId !== agentId) break;
+      if (msg.payload.error) {
+        finishHttp(id, 502, `Could not reach localhost:${pending.port}: ${msg.payload.error}`);
+      } else {
+        finishHttp(id, 200, '');
+      }
+      break;
+    }
+    case MSG.PREVIEW_WS_OPENED: {
+      const entry = previewSockets.get(id);
+      if (!entry || entry.userId !== userId || entry.agentId !== agentId) break;
+      entry.onOpened?.(msg.payload.protocol);
+      break;
+    }
+    case MSG.PREVIEW_WS_MESSAGE:
+    case MSG.PREVIEW_WS_CLOSE: {
+      const entry = previewSockets.get(id);
+      if (!entry || entry.userId !== userId || entry.agentId !== agentId) break;
+      if (!entry.ws) {
+        if (msg.type === MSG.PREVIEW_WS_CLOSE) entry.onFailed?.();
+        else entry.queue.push(msg);
+        break;
+      }
+      deliverToBrowser(id, msg);
+      break;
+    }
+  }
+  return true;
+}
+
+/**
+ * Fail everything tunnelled through an agent that just disconnected.
+ */
+export function closeAgentPreviews(userId, agentId) {
+  for (const [id, pending] of pendingHttp) {
+    if (pending.userId === userId && pending.agentId === agentId) finishHttp(id, 502, 'Machine disconnected');
+  }
+  for (const [id, entry] of previewSockets) {
+    if (entry.userId !== userId || entry.agentId !== agentId) continue;
+    if (entry.ws) {
+      previewSockets.delete(id);
+      entry.ws.close(1001, 'Machine disconnected');
+    } else {
+      entry.onFailed?.();
+    }
+  }
+}
@@ -5,12 +5,16 @@
  * Sets up two WebSocket endpoints:
  *   /ws        - Browser connections (auth via JWT cookie on upgrade)
  *   /agent-ws  - Agent connections (auth via agent:auth message after connect)
+ *   /share-ws  - Read-only share link viewers (auth via signed token, see share.js)
+ *   /preview/… - Localhost preview sockets tunnelled to an agent (see previewProxy.js)
  *
  * The relay is a dumb pipe -- it does NOT parse terminal content or store I/O.
- * It simply routes messages between authenticated browsers and their agents.
+ * It simply routes messages between authenticated browsers and their agents
+ * (including members' browsers on a shared canvas, see canvas.js).
  */
 
 import { WebSocketServer, WebSocket } from 'ws';
+import { randomUUID } from 'crypto';
 import { jwtVerify } from 'jose';
 import { getSecretKey } from '../auth/github.js';
 import { getUserById } from '../db/users.js';
@@ -18,11 +22,16 @@ import { upsertUser } from '../db/users.js';
 import { getLocalAuth } from '../auth/localAuth.js';
 import { handleBrowserConnection } from './browserHandler.js';
 import { handleAgentConnection } from './agentHandler.js';
+import { initPreviewProxy, resolvePreviewUpgrade, handlePreviewUpgrade } from './previewProxy.js';
+import { initCanvasRelay, getCanvasAccess, createCanvasSession } from './canvas.js';
+import { resolveWorkspace } from '../db/workspaces.js';
+import { initShareRelay, resolveShareToken, handleShareConnection } from './share.js';
+import { initAgentRequests } from './agentRequests.js';
 import { config } from '../config.js';
 
 // Core state maps
 const userAgents = new Map();    // userId -> Map<agentId, { ws, hostname, os, version }>
-const userBrowsers = new Map();  // userId -> Set<WebSocket>
+const userBrowsers = new Map();  // canvas owner's userId -> Set<WebSocket> (own tabs + members')
 
 /**
  * Parse cookies from a raw HTTP request Cookie header.
@@ -84,6 +93,36 @@ async function authenticateBrowserUpgrade(request) {
   return null;
 }
 
+/**
+ * Resolve the user for a browser upgrade request (/ws).
+ * In dev/local mode this mirrors requireAuth: SKIP_CLOUD_AUTH uses the dev
+ * user, otherwise the cloud-linked local user, then JWT cookies (guests).
+ * Returns the userId, or null if the request is not authenticated.
+ */
+async function authenticateUpgrade(request) {
+  // Dev/local mode: no OAuth configured AND not production
+  if (!config.github.clientId && !config.google.clientId && config.nodeEnv !== 'production') {
+    if (process.env.SKIP_CLOUD_AUTH) {
+      // Escape hatch: use dev user
+      const devUser = upsertUser({
+        githubId: 'dev-0',
+        githubLogin: 'dev-user',
+        email: 'dev@localhost',
+        displayName: 'Dev User',
+        avatarUrl: null,
+      });
+      return devUser.id;
+    }
+    // Local mode: try cloud auth first, then JWT cookies (guest sessions)
+    const localAuth = getLocalAuth();
+    if (localAuth) {
+      const user = getUserById(localAuth.cloudUserId);
+      if (user) return user.id;
+    }
+  }
+  return authenticateBrowserUpgrade(request);
+}
+
 /**
  * Set up WebSocket relay on the given HTTP server.
  *
@@ -102,72 +141,87 @@ export function setupWebSocketRelay(server, options = {}) {
   const browserWss = new WebSocketServer({ noServer: true, perMessageDeflate: wsCompression, maxPayload });
   const agentWss = new WebSocketServer({ noServer: true, perMessageDeflate: wsCompression, maxPayload });
   const latestAgentVersion = options.latestAgentVersion || null;
+  initPreviewProxy(userAgents);
+  initCanvasRelay(userBrowsers, userAgents);
+  initShareRelay(userAgents);
+  initAgentRequests(userAgents);
 
   // Handle HTTP upgrade requests -- route to the correct WSS
   server.on('upgrade', async (request, socket, head) => {
     const url = new URL(request.url, 'http://localhost');
 
     if (url.pathname === '/ws') {
-      // Browser WS -- authenticate via JWT cookie (or dev mode bypass)
+      // Browser WS -- authenticate via JWT cookie (or dev mode bypass).
+      // Sandboxed pages (localhost previews) have an opaque origin: never let
+      // them in, even in local mode where no cookie is needed.
+      if (request.headers.origin === 'null') {
+        socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+        socket.destroy();
+        return;
+      }
       try {
-        let userId;
-
-        // Dev/local mode: no OAuth configured AND not production
-        if (!config.github.clientId && !config.google.clientId && config.nodeEnv !== 'production') {
-          if (process.env.SKIP_CLOUD_AUTH) {
-            // Escape hatch: use dev user
-            const devUser = upsertUser({
-              githubId: 'dev-0',
-              githubLogin: 'dev-user',
-              email: 'dev@localhost',
-              displayName: 'Dev User',
-              avatarUrl: null,
-            });
-            userId = devUser.id;
-          } else {
-            // Local mode: try cloud auth first, then JWT cookies (guest sessions)
-            const localAuth = getLocalAuth();
-            if (localAuth) {
-              const user = getUserById(localAuth.cloudUserId);
-              if (user) {
-                userId = user.id;
-              }
-            }
-            // Fall through to JWT cookie auth if no cloud auth (supports guest mode)
-            if (!userId) {
-              userId = await authenticateBrowserUpgrade(request);
-            }
-            if (!userId) {
-              socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
-              socket.destroy();
-              return;
-            }
-          }
-        } else {
-          userId = await authenticateBrowserUpgrade(request);
-        }
-
+        const userId = await authenticateUpgrade(request);
         if (!userId) {
           socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
           socket.destroy();
           return;
         }
 
+        // Shared canvas (?canvas=<ownerId>): join another user's canvas as a member
+        const canvasOwnerId = url.searchParams.get('canvas') || userId;
+        const role = getCanvasAccess(canvasOwnerId, userId);
+        if (!role) {
+          socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+          socket.destroy();
+          return;
+        }
+
         browserWss.handleUpgrade(request, socket, head, (ws) => {
-          handleBrowserConnection(ws, userId, userAgents, userBrowsers, latestAgentVersion);
+          // Browser asked for binary terminal frames (see protocol.js)
+          ws._binaryFrames = url.searchParams.get('frames') === 'binary';
+          // clientId ties this socket to the page's layout saves (X-Client-Id)
+          const clientId = url.searchParams.get('client');
+          // ?workspace=<id>: the workspace this page shows (default: the first)
+          const workspaceId = resolveWorkspace(canvasOwnerId, url.searchParams.get('workspace')).id;
+          ws._canvas = createCanvasSession(canvasOwnerId, userId, role,
+            /^[\w-]{8,64}$/.test(clientId || '') ? clientId : randomUUID(), workspaceId);
+          handleBrowserConnection(ws, canvasOwnerId, userAgents, userBrowsers, latestAgentVersion);
         });
       } catch (err) {
         console.error('[ws] Browser upgrade auth error:', err);
         socket.write('HTTP/1.1 500 Internal Server Error\r\n\r\n');
         socket.destroy();
       }
+    } else if (url.pathname === '/share-ws') {
+      // Share link viewer -- no account; the signed token names one terminal
+      try {
+        const link = await resolveShareToken(url.searchParams.get('token'));
+        if (!link || link.pane_type !== 'terminal') {
+          socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+          socket.destroy();
+          return;
+        }
+        browserWss.handleUpgrade(request, socket, head, (ws) => {
+          handleShareConnection(ws, link);
+        });
+      } catch (err) {
+        console.error('[ws] Share upgrade error:', err);
+        socket.write('HTTP/1.1 500 Internal Server Error\r\n\r\n');
+        socket.destroy();
+      }
     } else if (url.pathname === '/agent-ws') {
       // Agent WS -- no auth on upgrade; auth happens via first message (agent:auth)
       agentWss.handleUpgrade(request, socket, head, (ws) => {
         handleAgentConnection(ws, userAgents, userBrowsers, latestAgentVersion);
       });
     } else {
-      socket.destroy();
+      // Localhost preview WS (e.g. dev server HMR) -- the preview token is the auth
+      const previewTarget = resolvePreviewUpgrade(url, parseCookies(request.headers.cookie), request.headers.origin);
+      if (!previewTarget) {
+        socket.destroy();
+        return;
+      }
+      handlePreviewUpgrade(request, socket, head, previewTarget);
     }
   });
 
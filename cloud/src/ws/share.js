@@ -0,0 +1,233 @@
+/**
+ * Share Links — read-only viewers for a single pane
+ *
+ * A share link lets someone without an account watch one terminal (or see a
+ * snapshot of a note or file pane) at /share/<token>. The token is a JWT
+ * naming the share_links row and expiring with it; the row can be revoked.
+ *
+ * Terminal viewers connect to /share-ws?token=<token>. Their sockets are kept
+ * apart from userBrowsers: they receive only that terminal's output from
+ * agentHandler, and nothing they send is forwarded to an agent — in
+ * particular never terminal:input or request.
+ *
+ * A viewer's attach is an observer attach: the agent answers it (history,
+ * attach confirmation, errors) to that viewer alone, tagged with its
+ * observer id, so the owner's browsers are not repainted. Live output that
+ * arrives before the viewer's history is held back and trimmed to what the
+ * history does not already show.
+ */
+
+import { randomUUID } from 'crypto';
+import { WebSocket } from 'ws';
+import { SignJWT, jwtVerify } from 'jose';
+import { getSecretKey } from '../auth/github.js';
+import { getShareLink, recordShareView } from '../db/shareLinks.js';
+import { MSG } from '../protocol.js';
+
+let userAgentsRef = null; // userId -> Map<agentId, agentInfo>, from relay.js
+
+const shareViewers = new Map(); // userId -> Set<WebSocket> (ws._share = share_links row)
+
+// Agent -> browser messages a viewer receives, for its own terminal only.
+// History comes only from the viewer's own attach (handleObserverMessage).
+const VIEWER_TYPES = new Set([
+  MSG.TERMINAL_OUTPUT, MSG.TERMINAL_ATTACHED,
+  MSG.TERMINAL_CLOSED, MSG.TERMINAL_ERROR, 'terminal:disconnected',
+]);
+
+// Output chunks held for a viewer waiting for its history; past this it
+// stops waiting rather than buffer without bound
+const MAX_HELD_OUTPUT = 1000;
+
+export function initShareRelay(userAgents) {
+  userAgentsRef = userAgents;
+}
+
+/** Signed token for a share link's URL; valid until the link expires. */
+export function signShareToken(link) {
+  return new SignJWT({ type: 'share', sid: link.id })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setIssuedAt()
+    .setExpirationTime(Math.floor(new Date(link.expires_at).getTime() / 1000))
+    .sign(getSecretKey());
+}
+
+/** The share_links row for a token, or null if invalid, expired or revoked. */
+export async function resolveShareToken(token) {
+  if (!token) return null;
+  try {
+    const { payload } = await jwtVerify(token, getSecretKey());
+    if (payload.type !== 'share' || typeof payload.sid !== 'string') return null;
+    const link = getShareLink(payload.sid);
+    if (!link || link.revoked_at || new Date(link.expires_at) <= new Date()) return null;
+    return link;
+  } catch {
+    return null;
+  }
+}
+
+/** True if the agent's terminal output is end-to-end encrypted (unreadable to viewers). */
+export function isAgentEncrypted(userId, agentId) {
+  return !!userAgentsRef?.get(userId)?.get(agentId)?.e2e;
+}
+
+function send(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+}
+
+/**
+ * Ask the agent to stream a viewer's terminal. `observe` attaches at the
+ * terminal's current size, so a viewer never resizes the owner's terminal.
+ */
+function attachViewer(ws) {
+  const { user_id: userId, agent_id: agentId, pane_id: terminalId } = ws._share;
+  const agentInfo = userAgentsRef?.get(userId)?.get(agentId);
+  if (!agentInfo || agentInfo.ws.readyState !== WebSocket.OPEN) {
+    send(ws, { type: 'share:status', payload: { online: false } });
+    return;
+  }
+  if (agentInfo.e2e) {
+    send(ws, { type: 'share:error', payload: { message: 'This terminal is end-to-end encrypted and cannot be shared' } });
+    ws.close(4403, 'Encrypted');
+    return;
+  }
+  send(ws, { type: 'share:status', payload: { online: true } });
+  ws._heldOutput = [];
+  agentInfo.ws.send(JSON.stringify({ type: MSG.TERMINAL_ATTACH, payload: { terminalId, observe: true, observer: ws._observer } }));
+}
+
+/** Send a viewer the output held while it waited, minus what `fromSeq` says it has. */
+function releaseOutput(ws, fromSeq) {
+  const held = ws._heldOutput || [];
+  ws._heldOutput = null;
+  for (const payload of held) {
+    let { data, seq } = payload;
+    if (Number.isFinite(fromSeq) && Number.isFinite(seq)) {
+      const bytes = Buffer.from(data || '', 'base64');
+      if (seq + bytes.length <= fromSeq) continue;
+      if (seq < fromSeq) {
+        data = bytes.subarray(fromSeq - seq).toString('base64');
+        seq = fromSeq;
+      }
+    }
+    send(ws, { type: MSG.TERMINAL_OUTPUT, payload: { ...payload, data, seq } });
+  }
+}
+
+/**
+ * An agent message tagged with an observer id: the answer to one viewer's
+ * attach. Sent to that viewer only and never to the owner's browsers.
+ * Returns false for untagged messages.
+ */
+export function handleObserverMessage(userId, agentId, msg) {
+  if (!msg.observer) return false;
+  const ws = [...(shareViewers.get(userId) || [])].find(v => v._observer === msg.observer);
+  if (!ws || ws._share.agent_id !== agentId) return true;
+  send(ws, { type: msg.type, payload: msg.payload });
+  if (msg.type === MSG.TERMINAL_HISTORY || msg.type === MSG.TERMINAL_ERROR) {
+    releaseOutput(ws, msg.type === MSG.TERMINAL_HISTORY ? msg.payload?.seq : undefined);
+  }
+  return true;
+}
+
+/** A /share-ws socket for a resolved terminal share link. */
+export function handleShareConnection(ws, link) {
+  ws._share = link;
+  ws._observer = randomUUID();
+  ws._heldOutput = null;
+  if (!shareViewers.has(link.user_id)) shareViewers.set(link.user_id, new Set());
+  shareViewers.get(link.user_id).add(ws);
+  recordShareView(link.id);
+  console.log(`[ws:share] Viewer connected to ${link.pane_id.slice(0, 8)} (link ${link.id})`);
+
+  attachViewer(ws);
+
+  // Links expire while being watched too
+  const expiryTimer = setTimeout(() => ws.close(4403, 'Share link expired'),
+    Math.min(new Date(link.expires_at).getTime() - Date.now(), 2 ** 31 - 1));
+
+  ws.on('message', (raw, isBinary) => {
+    // Viewers are read-only: the only thing they may send is a keepalive.
+    // Input, requests and everything else are dropped, never forwarded.
+    if (isBinary) return;
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch {
+      return;
+    }
+    if (msg?.type === 'ping') send(ws, { type: 'pong' });
+  });
+
+  ws.on('close', () => {
+    clearTimeout(expiryTimer);
+    const viewers = shareViewers.get(link.user_id);
+    viewers?.delete(ws);
+    if (viewers?.size === 0) shareViewers.delete(link.user_id);
+  });
+
+  ws.on('error', (err) => {
+    console.error(`[ws:share] WebSocket error (link ${link.id}):`, err.message);
+  });
+}
+
+function viewersOf(userId, agentId, terminalId) {
+  const viewers = [];
+  for (const ws of shareViewers.get(userId) || []) {
+    if (ws._share.agent_id === agentId && ws._share.pane_id === terminalId) viewers.push(ws);
+  }
+  return viewers;
+}
+
+/** An agent message: pass it on to viewers of the terminal it is about. */
+export function relayToShareViewers(userId, agentId, message) {
+  if (!shareViewers.has(userId) || !VIEWER_TYPES.has(message.type)) return;
+  const viewers = viewersOf(userId, agentId, message.payload?.terminalId);
+  if (viewers.length === 0) return;
+  const data = JSON.stringify({ type: message.type, payload: message.payload });
+  for (const ws of viewers) {
+    if (ws._heldOutput && message.type === MSG.TERMINAL_OUTPUT) {
+      ws._heldOutput.push(message.payload);
+      if (ws._heldOutput.length > MAX_HELD_OUTPUT) releaseOutput(ws);
+      continue;
+    }
+    if (ws.readyState === WebSocket.OPEN) ws.send(data);
+  }
+}
+
+/** A binary terminal output frame from an agent, sent to viewers as base64 JSON. */
+export function relayFrameToShareViewers(userId, agentId, frame) {
+  if (!shareViewers.has(userId)) return;
+  relayToShareViewers(userId, agentId, {
+    type: MSG.TERMINAL_OUTPUT,
+    payload: { terminalId: frame.terminalId, data: frame.data.toString('base64'), seq: frame.seq },
+  });
+}
+
+/** The owner resized the terminal: viewers follow so output lines up. */
+export function relayResizeToShareViewers(userId, agentId, payload) {
+  if (!shareViewers.has(userId) || !payload?.terminalId) return;
+  for (const ws of viewersOf(userId, agentId, payload.terminalId)) {
+    send(ws, { type: MSG.TERMINAL_RESIZE, payload: { terminalId: payload.terminalId, cols: payload.cols, rows: payload.rows } });
+  }
+}
+
+/** An agent came online: re-attach its viewers. */
+export function shareAgentOnline(userId, agentId) {
+  for (const ws of shareViewers.get(userId) || []) {
+    if (ws._share.agent_id === agentId) attachViewer(ws);
+  }
+}
+
+export function shareAgentOffline(userId, agentId) {
+  for (const ws of shareViewers.get(userId) || []) {
+    if (ws._share.agent_id === agentId) send(ws, { type: 'share:status', payload: { online: false } });
+  }
+}
+
+/** A link was revoked: disconnect anyone watching through it. */
+export function closeShareViewers(userId, linkId) {
+  for (const ws of [...(shareViewers.get(userId) || [])]) {
+    if (ws._share.id === linkId) ws.close(4403, 'Share link revoked');
+  }
+}
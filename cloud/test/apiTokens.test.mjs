@@ -0,0 +1,169 @@
+/**
+ * Personal API token tests (src/auth/apiTokens.js): hashing, generation,
+ * and the scope checks of requireApiToken. Also the scopes accepted when a
+ * token is created (src/routes/apiTokens.js) and the public API's JSON
+ * errors (src/routes/publicApi.js).
+ *
+ * Run: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'assert/strict';
+import { createHash } from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import express from 'express';
+
+// config.js reads DATABASE_PATH at import time; the session middleware signs in a dev user
+process.env.SKIP_CLOUD_AUTH = '1';
+const dataDir = mkdtempSync(join(tmpdir(), '49agents-tokens-test-'));
+process.env.DATABASE_PATH = join(dataDir, 'test.db');
+const { initDatabase, getDb } = await import('../src/db/index.js');
+const { API_TOKEN_PREFIX, API_SCOPES, hashApiToken, generateApiToken, requireApiToken } = await import('../src/auth/apiTokens.js');
+const { createApiToken, getApiTokenByHash } = await import('../src/db/apiTokens.js');
+const { setupPublicApiRoutes } = await import('../src/routes/publicApi.js');
+const { setupApiTokenRoutes } = await import('../src/routes/apiTokens.js');
+
+const USER_ID = 'user-tokens-test';
+
+before(() => {
+  initDatabase();
+  getDb().prepare('INSERT INTO users (id, display_name) VALUES (?, ?)').run(USER_ID, 'Token Tester');
+});
+
+after(() => {
+  getDb().close();
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+function issue(scopes, expiresAt = null) {
+  const { token, tokenHash, prefix } = generateApiToken();
+  createApiToken(USER_ID, { name: 'test', tokenHash, prefix, scopes, expiresAt });
+  return token;
+}
+
+// Run the middleware once: { status, body } if it answered, else { next: true, req }
+function authenticate(scope, authorization) {
+  const req = { headers: authorization ? { authorization } : {} };
+  let result = null;
+  const res = {
+    status(code) { result = { status: code }; return this; },
+    json(body) { result.body = body; return this; },
+  };
+  requireApiToken(scope)(req, res, () => { result = { next: true, req }; });
+  return result;
+}
+
+test('hashApiToken is the hex SHA-256 of the token', () => {
+  const token = 'tca_example';
+  assert.equal(hashApiToken(token), createHash('sha256').update(token).digest('hex'));
+  assert.match(hashApiToken(token), /^[0-9a-f]{64}$/);
+  assert.notEqual(hashApiToken('tca_a'), hashApiToken('tca_b'));
+});
+
+test('generated tokens are prefixed, random and stored only as a hash', () => {
+  const a = generateApiToken();
+  const b = generateApiToken();
+  assert.ok(a.token.startsWith(API_TOKEN_PREFIX));
+  assert.match(a.token, /^tca_[A-Za-z0-9_-]{43}$/);
+  assert.notEqual(a.token, b.token);
+  assert.equal(a.tokenHash, hashApiToken(a.token));
+  assert.equal(a.prefix, a.token.slice(0, API_TOKEN_PREFIX.length + 6));
+  assert.ok(!a.tokenHash.includes(a.token.slice(API_TOKEN_PREFIX.length)));
+});
+
+test('the database keeps the hash, not the token', () => {
+  const token = issue(['agents:read']);
+  const row = getApiTokenByHash(hashApiToken(token));
+  assert.equal(row.user_id, USER_ID);
+  assert.deepEqual(row.scopes, ['agents:read']);
+  assert.ok(!JSON.stringify(row).includes(token));
+});
+
+test('requests without a bearer token are refused', () => {
+  assert.equal(authenticate('agents:read').status, 401);
+  assert.equal(authenticate('agents:read', 'Basic dXNlcjpwYXNz').status, 401);
+  assert.equal(authenticate('agents:read', 'Bearer not-a-token').status, 401);
+});
+
+test('unknown and expired tokens are refused', () => {
+  assert.equal(authenticate('agents:read', `Bearer ${generateApiToken().token}`).status, 401);
+  const expired = issue(['agents:read'], new Date(Date.now() - 1000).toISOString());
+  assert.equal(authenticate('agents:read', `Bearer ${expired}`).status, 401);
+  const current = issue(['agents:read'], new Date(Date.now() + 60000).toISOString());
+  assert.ok(authenticate('agents:read', `Bearer ${current}`).next);
+});
+
+test('a token may do only what its scopes allow', () => {
+  const token = issue(['agents:read', 'terminals:read']);
+  const ok = authenticate('terminals:read', `Bearer ${token}`);
+  assert.ok(ok.next);
+  assert.equal(ok.req.user.id, USER_ID);
+  assert.deepEqual(ok.req.apiToken.scopes, ['agents:read', 'terminals:read']);
+  for (const scope of ['terminals:write', 'panes:write']) {
+    const refused = authenticate(scope, `Bearer ${token}`);
+    assert.equal(refused.status, 403);
+    assert.match(refused.body.error, new RegExp(scope));
+  }
+});
+
+test('every scope names a documented permission', () => {
+  assert.deepEqual(Object.keys(API_SCOPES).sort(), ['agents:read', 'panes:write', 'terminals:read', 'terminals:write']);
+});
+
+test('only listed scopes can be given to a new token, each once', async () => {
+  const app = express();
+  app.use(express.json());
+  setupApiTokenRoutes(app);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const create = (scopes) => fetch(`http://127.0.0.1:${server.address().port}/api/tokens`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'scopes', scopes }),
+  });
+  try {
+    for (const scopes of [['toString'], ['constructor'], ['__proto__'], ['agents:read', 'hasOwnProperty'], [1], []]) {
+      const res = await create(scopes);
+      assert.equal(res.status, 400, JSON.stringify(scopes));
+      assert.match((await res.json()).error, /^scopes must be a non-empty list of/);
+    }
+    const res = await create(['agents:read', 'terminals:read', 'agents:read']);
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).scopes, ['agents:read', 'terminals:read']);
+  } finally {
+    server.close();
+  }
+});
+
+test('using a token records when it was last used', () => {
+  const token = issue(['agents:read']);
+  assert.equal(getApiTokenByHash(hashApiToken(token)).last_used_at, null);
+  authenticate('agents:read', `Bearer ${token}`);
+  assert.notEqual(getApiTokenByHash(hashApiToken(token)).last_used_at, null);
+});
+
+test('the public API answers errors as JSON', async () => {
+  const app = express();
+  setupPublicApiRoutes(app);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api/v1`;
+  const headers = { Authorization: `Bearer ${issue(Object.keys(API_SCOPES))}`, 'Content-Type': 'application/json' };
+  try {
+    const malformed = await fetch(`${base}/agents/box/notes`, { method: 'POST', headers, body: '{"content":' });
+    assert.equal(malformed.status, 400);
+    assert.ok((await malformed.json()).error);
+
+    const unknown = await fetch(`${base}/nope`, { headers });
+    assert.equal(unknown.status, 404);
+    assert.deepEqual(await unknown.json(), { error: 'Not found' });
+
+    const noMachine = await fetch(`${base}/agents/box/terminals`, { headers });
+    assert.equal(noMachine.status, 404);
+    assert.match((await noMachine.json()).error, /No machine named box/);
+  } finally {
+    server.close();
+  }
+});
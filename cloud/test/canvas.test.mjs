@@ -0,0 +1,101 @@
+/**
+ * Shared canvas role tests (src/ws/canvas.js): what each role may send to
+ * the owner's agents.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { isAllowedForRole, roleAtLeast } from '../src/ws/canvas.js';
+
+const get = (path) => ({ type: 'request', id: 'r1', payload: { method: 'GET', path } });
+
+test('roles are ranked viewer < operator < owner', () => {
+  assert.ok(roleAtLeast('owner', 'operator'));
+  assert.ok(roleAtLeast('operator', 'operator'));
+  assert.ok(!roleAtLeast('viewer', 'operator'));
+  assert.ok(!roleAtLeast(undefined, 'viewer'));
+});
+
+test('owners may send anything', () => {
+  assert.ok(isAllowedForRole('owner', { type: 'update:install' }));
+  assert.ok(isAllowedForRole('owner', { type: 'request', payload: { method: 'DELETE', path: '/api/terminals/t1' } }));
+});
+
+test('operators may send anything but agent updates', () => {
+  assert.ok(isAllowedForRole('operator', { type: 'terminal:input' }));
+  assert.ok(isAllowedForRole('operator', { type: 'request', payload: { method: 'POST', path: '/api/terminals' } }));
+  assert.ok(isAllowedForRole('operator', get('/api/files/read?path=/etc/passwd')));
+  assert.ok(!isAllowedForRole('operator', { type: 'update:install' }));
+});
+
+test('viewers may attach and watch, not type or resize', () => {
+  assert.ok(isAllowedForRole('viewer', { type: 'terminal:attach' }));
+  assert.ok(isAllowedForRole('viewer', { type: 'terminal:detach' }));
+  assert.ok(isAllowedForRole('viewer', { type: 'e2e:hello' }));
+  for (const type of ['terminal:input', 'terminal:resize', 'terminal:scroll', 'terminal:close', 'update:install']) {
+    assert.ok(!isAllowedForRole('viewer', { type }), type);
+  }
+});
+
+test('viewers may read pane lists and the data of panes by id', () => {
+  for (const path of [
+    '/api/terminals',
+    '/api/terminals/states',
+    '/api/metrics',
+    '/api/notes',
+    '/api/git-graphs',
+    '/api/usage-panes',
+    '/api/file-panes/abc123?refresh=true',
+    '/api/git-graphs/g1/data?maxCommits=200',
+    '/api/git-graphs/g1/status',
+    '/api/git-graphs/g1/diff?file=src/a.js',
+    '/api/git-graphs/g1/worktrees',
+    '/api/git-graphs/g1/commit/0a1b2c3d',
+    '/api/git-graphs/g1/commit/0a1b2c3d/diff?file=a.js',
+    '/api/beads-panes/b1/data',
+    '/api/conversations-panes/c1/data?depth=3',
+    '/api/usage-panes/u1/data?days=30',
+  ]) {
+    assert.ok(isAllowedForRole('viewer', get(path)), path);
+  }
+});
+
+test('viewers may not read files, folders, recordings, conversations or settings', () => {
+  for (const path of [
+    '/api/files/read?path=/home/me/.ssh/id_ed25519',
+    '/api/files/browse?path=/',
+    '/api/recordings',
+    '/api/recordings/rec-1?offset=0',
+    '/api/conversations/search?q=password',
+    '/api/conversations-panes/c1/detail?sessionId=s1',
+    '/api/conversations-panes/c1/extract?sessionId=s1&format=md',
+    '/api/usage-panes/u1/export?days=30&groupBy=day',
+    '/api/git-status?path=/home/me',
+    '/api/git-repos/in-folder?path=/home',
+    '/api/rules',
+    '/api/usage',
+    '/api/terminals/t1/screen?lines=40',
+    '/api/file-panes/abc/../../files/read',
+    '/api/file-panes/',
+    '/api/direct/ticket',
+  ]) {
+    assert.ok(!isAllowedForRole('viewer', get(path)), path);
+  }
+});
+
+test('viewers may not make other methods, encrypted or malformed requests', () => {
+  assert.ok(!isAllowedForRole('viewer', { type: 'request', payload: { method: 'POST', path: '/api/terminals' } }));
+  assert.ok(!isAllowedForRole('viewer', { type: 'request', payload: { method: 'PATCH', path: '/api/notes/n1' } }));
+  assert.ok(!isAllowedForRole('viewer', { type: 'request', payload: { e2e: 'AAAA' } }));
+  assert.ok(!isAllowedForRole('viewer', { type: 'request', payload: { method: 'GET', path: '/api/terminals', e2e: 'AAAA' } }));
+  assert.ok(!isAllowedForRole('viewer', { type: 'request', payload: { method: 'GET' } }));
+  assert.ok(!isAllowedForRole('viewer', { type: 'request' }));
+});
+
+test('unknown roles get the viewer rules', () => {
+  assert.ok(isAllowedForRole('guest', get('/api/terminals')));
+  assert.ok(!isAllowedForRole('guest', get('/api/files/read?path=/')));
+  assert.ok(!isAllowedForRole('guest', { type: 'terminal:input' }));
+});
@@ -0,0 +1,54 @@
+/**
+ * Binary relay frame tests: the cloud's codec (src/protocol.js) and the
+ * browser's (src-client/modules/relay-frames.js) must read each other's frames.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { FRAME, encodeFrame, decodeFrame } from '../src/protocol.js';
+import * as browser from '../src-client/modules/relay-frames.js';
+
+test('browser and cloud agree on frame kinds', () => {
+  assert.equal(browser.FRAME_TERMINAL_OUTPUT, FRAME.TERMINAL_OUTPUT);
+  assert.equal(browser.FRAME_TERMINAL_INPUT, FRAME.TERMINAL_INPUT);
+});
+
+test('cloud output frames decode in the browser', () => {
+  const data = Buffer.from('prompt $ █');
+  const frame = encodeFrame(FRAME.TERMINAL_OUTPUT, 'term-1', 'agent-1', data, 2 ** 40);
+  const decoded = browser.decodeFrame(new Uint8Array(frame).buffer);
+  assert.equal(decoded.kind, FRAME.TERMINAL_OUTPUT);
+  assert.equal(decoded.terminalId, 'term-1');
+  assert.equal(decoded.agentId, 'agent-1');
+  assert.equal(decoded.seq, 2 ** 40);
+  assert.deepEqual(Buffer.from(decoded.data), data);
+});
+
+test('browser input frames decode on the cloud', () => {
+  const data = new TextEncoder().encode('git status\r');
+  const decoded = decodeFrame(Buffer.from(browser.encodeFrame(browser.FRAME_TERMINAL_INPUT, 'tërm', 'agent-2', data)));
+  assert.equal(decoded.kind, FRAME.TERMINAL_INPUT);
+  assert.equal(decoded.terminalId, 'tërm');
+  assert.equal(decoded.agentId, 'agent-2');
+  assert.equal(decoded.seq, 0);
+  assert.equal(decoded.data.toString(), 'git status\r');
+});
+
+test('browser decodes frames at an offset within a larger buffer', () => {
+  const frame = encodeFrame(FRAME.TERMINAL_OUTPUT, 't', '', Buffer.from('abc'), 5);
+  const padded = new Uint8Array(frame.length + 3);
+  padded.set(frame, 3);
+  const decoded = browser.decodeFrame(padded.subarray(3));
+  assert.equal(decoded.seq, 5);
+  assert.equal(new TextDecoder().decode(decoded.data), 'abc');
+});
+
+test('both codecs reject truncated frames', () => {
+  const frame = encodeFrame(FRAME.TERMINAL_OUTPUT, 'term-1', 'agent', Buffer.alloc(0), 1);
+  for (let length = 0; length < frame.length; length++) {
+    assert.equal(decodeFrame(frame.subarray(0, length)), null);
+    assert.equal(browser.decodeFrame(new Uint8Array(frame.subarray(0, length))), null);
+  }
+});
@@ -0,0 +1,203 @@
+/**
+ * Web Push tests: aes128gcm encryption against the RFC 8291 test vector
+ * (src/notifications/webPush.js), subscription key and endpoint checks, and
+ * the notification's snooze token (src/routes/push.js, src/notifications/push.js).
+ *
+ * Run: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'assert/strict';
+import { createECDH, createDecipheriv, hkdfSync } from 'crypto';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import express from 'express';
+
+// config.js reads DATABASE_PATH at import time; the middleware signs in a dev user
+const dataDir = mkdtempSync(join(tmpdir(), '49agents-push-test-'));
+process.env.DATABASE_PATH = join(dataDir, 'test.db');
+process.env.SKIP_CLOUD_AUTH = '1';
+const { initDatabase, getDb } = await import('../src/db/index.js');
+const { upsertPushSubscription } = await import('../src/db/push.js');
+const { encryptPayload } = await import('../src/notifications/webPush.js');
+const { handleClaudeStates, forgetAgentStates } = await import('../src/notifications/push.js');
+const { setupPushRoutes } = await import('../src/routes/push.js');
+
+const USER_ID = 'user-push-test';
+
+// RFC 8291, section 5
+const VECTOR = {
+  plaintext: 'When I grow up, I want to be a watermelon',
+  asPrivateKey: 'yfWPiYE-n46HLnH0KqZOF1fJJU3MYrct3AELtAQ-oRw',
+  uaPrivateKey: 'q1dXpw3UpT5VOmu_cf_v6ih07Aems3njxI-JWgLcM94',
+  uaPublicKey: 'BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4',
+  authSecret: 'BTBZMqHH6r4Tts7J_aSIgg',
+  salt: 'DGv6ra1nlYgDCS1FRnbzlw',
+  message: 'DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_yl95bQpu6cVPTpK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN',
+};
+
+let server;
+let base;
+
+before(async () => {
+  initDatabase();
+  getDb().prepare('INSERT INTO users (id, display_name) VALUES (?, ?)').run(USER_ID, 'Push Tester');
+  const app = express();
+  app.use(express.json());
+  setupPushRoutes(app);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}/api/push`;
+});
+
+after(() => {
+  server.close();
+  getDb().close();
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+function post(path, body) {
+  return fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+/** Decrypt a single-record aes128gcm body as the browser would. */
+function decrypt(body, uaPrivateKey, authSecret) {
+  const salt = body.subarray(0, 16);
+  const keyIdLength = body.readUInt8(20);
+  const asPublic = body.subarray(21, 21 + keyIdLength);
+  const record = body.subarray(21 + keyIdLength);
+
+  const ecdh = createECDH('prime256v1');
+  ecdh.setPrivateKey(uaPrivateKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), asPublic]);
+  const ikm = Buffer.from(hkdfSync('sha256', ecdh.computeSecret(asPublic), authSecret, keyInfo, 32));
+  const cek = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(record.subarray(-16));
+  const padded = Buffer.concat([decipher.update(record.subarray(0, -16)), decipher.final()]);
+  assert.equal(padded.at(-1), 2, 'last record delimiter');
+  return padded.subarray(0, -1).toString();
+}
+
+test('encryptPayload matches the RFC 8291 test vector', () => {
+  const body = encryptPayload(VECTOR.plaintext, { p256dh: VECTOR.uaPublicKey, auth: VECTOR.authSecret }, {
+    salt: Buffer.from(VECTOR.salt, 'base64url'),
+    asPrivateKey: Buffer.from(VECTOR.asPrivateKey, 'base64url'),
+  });
+  assert.equal(body.toString('base64url'), VECTOR.message);
+});
+
+test('encryptPayload output decrypts with the subscription keys', () => {
+  const ua = createECDH('prime256v1');
+  ua.generateKeys();
+  const authSecret = Buffer.from('0123456789abcdef');
+  const body = encryptPayload('{"type":"test"}', {
+    p256dh: ua.getPublicKey().toString('base64url'),
+    auth: authSecret.toString('base64url'),
+  });
+  assert.equal(body.readUInt32BE(16), 4096);
+  assert.equal(decrypt(body, ua.getPrivateKey(), authSecret), '{"type":"test"}');
+});
+
+// A public address, so the endpoint check needs no DNS
+const PUBLIC_ENDPOINT = 'https://203.0.113.10/send/abc';
+
+function subscription(p256dh, endpoint = PUBLIC_ENDPOINT) {
+  return {
+    subscription: { endpoint, keys: { p256dh, auth: VECTOR.authSecret } },
+    deviceName: 'Test phone',
+  };
+}
+
+test('subscriptions with a key that is not on P-256 are refused', async () => {
+  const offCurve = Buffer.from(VECTOR.uaPublicKey, 'base64url');
+  offCurve[40] ^= 1;
+
+  const bad = await post('/subscriptions', subscription(offCurve.toString('base64url')));
+  assert.equal(bad.status, 400);
+  assert.deepEqual(await bad.json(), { error: 'Invalid push subscription' });
+
+  const good = await post('/subscriptions', subscription(VECTOR.uaPublicKey));
+  assert.equal(good.status, 200);
+  assert.equal((await good.json()).deviceName, 'Test phone');
+});
+
+test('subscriptions with an internal endpoint are refused, and never sent to', async () => {
+  for (const endpoint of ['https://169.254.169.254/latest/meta-data/', 'https://[fe80::1]/push', 'https://0.0.0.0/push']) {
+    const res = await post('/subscriptions', subscription(VECTOR.uaPublicKey, endpoint));
+    assert.equal(res.status, 400, endpoint);
+    assert.deepEqual(await res.json(), { error: 'Push endpoint must not point to a private or internal address' });
+  }
+
+  // An endpoint that was saved anyway (or whose DNS changed) is refused when sending
+  const { subscriptions } = await (await fetch(base)).json();
+  const { id } = subscriptions.find(s => s.endpoint === PUBLIC_ENDPOINT);
+  getDb().prepare('UPDATE push_subscriptions SET endpoint = ? WHERE id = ?').run('http://169.254.169.254/push', id);
+  const res = await post(`/subscriptions/${id}/test`, {});
+  assert.equal(res.status, 502);
+  assert.deepEqual(await res.json(), { error: 'The push service rejected the notification' });
+});
+
+test('snoozing needs the token of the notification being snoozed', async () => {
+  // A push service on localhost, so the notification can be read back
+  const ua = createECDH('prime256v1');
+  ua.generateKeys();
+  const authSecret = Buffer.from('fedcba9876543210');
+  const received = [];
+  const pushService = createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push(JSON.parse(decrypt(Buffer.concat(chunks), ua.getPrivateKey(), authSecret)));
+      res.statusCode = 201;
+      res.end();
+    });
+  });
+  await new Promise(resolve => pushService.listen(0, '127.0.0.1', resolve));
+  const endpoint = `http://127.0.0.1:${pushService.address().port}/push/device`;
+  upsertPushSubscription(USER_ID, {
+    endpoint, p256dh: ua.getPublicKey().toString('base64url'), auth: authSecret.toString('base64url'),
+  });
+
+  async function nextNotification(count) {
+    for (let i = 0; i < 100 && received.length < count; i++) await sleep(20);
+    assert.equal(received.length, count);
+    return received[count - 1];
+  }
+  const waiting = (state) => ({ t1: { isClaude: true, state, cwd: '/home/me/app' } });
+
+  try {
+    handleClaudeStates(USER_ID, 'agent-1', 'box', waiting('working'));
+    handleClaudeStates(USER_ID, 'agent-1', 'box', waiting('permission'));
+    const first = await nextNotification(1);
+    assert.equal(first.terminalId, 't1');
+    assert.match(first.snoozeToken, /^[A-Za-z0-9_-]{43}$/);
+
+    const snooze = async (fields) => (await post('/snooze', { endpoint, agentId: 'agent-1', terminalId: 't1', ...fields })).json();
+    assert.deepEqual(await snooze({ token: 'forged' }), { snoozed: false });
+    assert.deepEqual(await snooze({ token: first.snoozeToken }), { snoozed: true });
+
+    // A new alert for the same terminal gets a new token
+    handleClaudeStates(USER_ID, 'agent-1', 'box', waiting('working'));
+    handleClaudeStates(USER_ID, 'agent-1', 'box', waiting('question'));
+    const second = await nextNotification(2);
+    assert.notEqual(second.snoozeToken, first.snoozeToken);
+    assert.deepEqual(await snooze({ token: first.snoozeToken }), { snoozed: false });
+    assert.deepEqual(await snooze({ token: second.snoozeToken }), { snoozed: true });
+
+    const unknown = await post('/snooze', { endpoint: 'https://push.example.com/other', agentId: 'agent-1', terminalId: 't1', token: second.snoozeToken });
+    assert.equal(unknown.status, 404);
+  } finally {
+    forgetAgentStates(USER_ID, 'agent-1');
+    pushService.close();
+  }
+});
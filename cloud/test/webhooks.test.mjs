@@ -0,0 +1,177 @@
+/**
+ * Outgoing webhook tests (src/notifications/webhooks.js): the delivery
+ * signature, project filters, URL checks, and the refusal to reach internal addresses when
+ * a webhook is saved and when it is sent (src/notifications/outbound.js).
+ *
+ * Run: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'assert/strict';
+import { createHmac } from 'crypto';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+
+// config.js reads DATABASE_PATH and NODE_ENV at import time
+const dataDir = mkdtempSync(join(tmpdir(), '49agents-webhooks-test-'));
+process.env.DATABASE_PATH = join(dataDir, 'test.db');
+delete process.env.NODE_ENV;
+const { config } = await import('../src/config.js');
+const { initDatabase, getDb } = await import('../src/db/index.js');
+const { createWebhook, getDelivery, getDeliveries } = await import('../src/db/webhooks.js');
+const {
+  signPayload, validateWebhookUrl, checkWebhookTarget,
+  sendTestEvent, handleClaudeStates,
+} = await import('../src/notifications/webhooks.js');
+const { isAllowedAddress } = await import('../src/notifications/outbound.js');
+
+const USER_ID = 'user-webhooks-test';
+const FILTER_USER_ID = 'user-webhooks-filter-test';
+
+before(() => {
+  initDatabase();
+  getDb().prepare('INSERT INTO users (id, display_name) VALUES (?, ?)').run(USER_ID, 'Webhook Tester');
+  getDb().prepare('INSERT INTO users (id, display_name) VALUES (?, ?)').run(FILTER_USER_ID, 'Filter Tester');
+});
+
+after(() => {
+  getDb().close();
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+/** Run fn with config.nodeEnv set to production. */
+async function inProduction(fn) {
+  const previous = config.nodeEnv;
+  config.nodeEnv = 'production';
+  try {
+    return await fn();
+  } finally {
+    config.nodeEnv = previous;
+  }
+}
+
+/** Wait for a delivery's first attempt to be recorded. */
+async function firstAttempt(deliveryId) {
+  for (let i = 0; i < 100; i++) {
+    const delivery = getDelivery(deliveryId);
+    if (delivery.attempts > 0) return delivery;
+    await sleep(20);
+  }
+  throw new Error('delivery was never attempted');
+}
+
+test('signPayload is the hex HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  const body = JSON.stringify({ event: 'webhook.test' });
+  const expected = createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+  assert.equal(signPayload('whsec_test', '1700000000', body), expected);
+  assert.notEqual(signPayload('whsec_other', '1700000000', body), expected);
+  assert.notEqual(signPayload('whsec_test', '1700000001', body), expected);
+});
+
+test('path filters match the directory and below, not siblings that share a prefix', () => {
+  const webhook = createWebhook(FILTER_USER_ID, {
+    name: 'app', url: 'http://127.0.0.1:9/hook', format: 'generic', filters: { projects: ['/home/me/app/'] },
+  });
+  const cwds = ['/home/me/app', '/home/me/app/packages/web', '/home/me/app-old', '/home/me/apple', '/home/me'];
+  const states = (state) => Object.fromEntries(cwds.map((cwd, i) => [`t${i}`, { isClaude: true, state, cwd }]));
+  handleClaudeStates(FILTER_USER_ID, 'agent-1', 'box', states('working'));
+  handleClaudeStates(FILTER_USER_ID, 'agent-1', 'box', states('idle'));
+
+  const matched = getDeliveries(webhook.id).map(d => getDelivery(d.id).payload.terminal.cwd).sort();
+  assert.deepEqual(matched, ['/home/me/app', '/home/me/app/packages/web']);
+});
+
+test('validateWebhookUrl accepts http(s) outside production and https only in production', async () => {
+  assert.equal(validateWebhookUrl('https://hooks.example.com/x'), null);
+  assert.equal(validateWebhookUrl('http://hooks.example.com/x'), null);
+  assert.equal(validateWebhookUrl('not a url'), 'url must be a valid URL');
+  assert.equal(validateWebhookUrl('ftp://hooks.example.com/x'), 'url must use http or https');
+  await inProduction(() => {
+    assert.equal(validateWebhookUrl('https://hooks.example.com/x'), null);
+    assert.equal(validateWebhookUrl('http://hooks.example.com/x'), 'url must use https');
+  });
+});
+
+test('isAllowedAddress always refuses link-local, metadata and reserved addresses', () => {
+  for (const allowPrivate of [true, false]) {
+    for (const address of ['169.254.169.254', '0.0.0.0', '224.0.0.1', '255.255.255.255', '::', 'fe80::1', 'ff02::1', '::ffff:169.254.169.254']) {
+      assert.equal(isAllowedAddress(address, allowPrivate), false, `${address} (allowPrivate ${allowPrivate})`);
+    }
+  }
+  assert.equal(isAllowedAddress('not-an-ip', true), false);
+});
+
+test('isAllowedAddress refuses loopback and private networks only when asked', () => {
+  const privateAddresses = ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.10', '100.64.0.1', '::1', 'fd00::1', '::ffff:10.0.0.1'];
+  for (const address of privateAddresses) {
+    assert.equal(isAllowedAddress(address, false), false, address);
+    assert.equal(isAllowedAddress(address, true), true, address);
+  }
+  for (const address of ['93.184.216.34', '172.32.0.1', '2606:4700::1111']) {
+    assert.equal(isAllowedAddress(address, false), true, address);
+  }
+});
+
+test('checkWebhookTarget refuses internal hosts when a webhook is saved', async () => {
+  assert.equal(await checkWebhookTarget('http://169.254.169.254/latest/meta-data/'), 'url must not point to a private or internal address');
+  assert.equal(await checkWebhookTarget('http://[fe80::1]/'), 'url must not point to a private or internal address');
+  assert.equal(await checkWebhookTarget('http://127.0.0.1:8080/hook'), null);
+  assert.equal(await checkWebhookTarget('http://localhost:8080/hook'), null);
+  assert.equal(await checkWebhookTarget('ftp://example.com/'), 'url must use http or https');
+  assert.equal(await checkWebhookTarget('http://does-not-exist.invalid/'), 'url host could not be resolved');
+
+  await inProduction(async () => {
+    assert.equal(await checkWebhookTarget('https://10.0.0.5/hook'), 'url must not point to a private or internal address');
+    assert.equal(await checkWebhookTarget('https://localhost/hook'), 'url must not point to a private or internal address');
+  });
+});
+
+test('deliveries are signed and posted to allowed targets', async () => {
+  const received = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const webhook = createWebhook(USER_ID, {
+      name: 'local', url: `http://127.0.0.1:${server.address().port}/hook`, format: 'generic', filters: {},
+    });
+    const delivery = await firstAttempt(sendTestEvent(webhook).id);
+    assert.equal(delivery.status, 'success');
+    assert.equal(delivery.response_status, 200);
+
+    const [{ headers, body }] = received;
+    assert.equal(headers['x-49agents-event'], 'webhook.test');
+    assert.equal(headers['x-49agents-delivery'], delivery.id);
+    assert.equal(headers['content-type'], 'application/json');
+    const expected = createHmac('sha256', webhook.secret).update(`${headers['x-49agents-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-49agents-signature'], `sha256=${expected}`);
+    assert.equal(JSON.parse(body).event, 'webhook.test');
+  } finally {
+    server.close();
+  }
+});
+
+test('deliveries to internal addresses are refused at send time', async () => {
+  // Saved directly, as if DNS had answered differently when it was checked
+  const webhook = createWebhook(USER_ID, {
+    name: 'metadata', url: 'http://169.254.169.254/latest/meta-data/', format: 'generic', filters: {},
+  });
+  const delivery = await firstAttempt(sendTestEvent(webhook).id);
+  assert.equal(delivery.response_status, null);
+  assert.match(delivery.error, /private or internal address/);
+
+  const local = createWebhook(USER_ID, {
+    name: 'loopback', url: 'https://localhost:9/hook', format: 'generic', filters: {},
+  });
+  const refused = await inProduction(async () => firstAttempt(sendTestEvent(local).id));
+  assert.match(refused.error, /localhost resolves to a private or internal address/);
+});
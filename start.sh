@@ -150,11 +150,15 @@ if [ "$RUN_AGENT" = true ]; then
     install_tmux
   fi
 
-  if ! command -v ttyd &>/dev/null; then
-    install_ttyd
+  # ttyd is not needed with the in-process tmux backend (TC_TERMINAL_BACKEND=tmux)
+  if [ "${TC_TERMINAL_BACKEND:-ttyd}" = "tmux" ]; then
+    echo -e "${GREEN}tmux is ready.${NC}"
+  else
+    if ! command -v ttyd &>/dev/null; then
+      install_ttyd
+    fi
+    echo -e "${GREEN}tmux and ttyd are ready.${NC}"
   fi
-
-  echo -e "${GREEN}tmux and ttyd are ready.${NC}"
   echo ""
 fi
 